@@ -4,6 +4,7 @@
  */
 
 import { GRID_SIZES } from '../../shared/HexMath.js';
+import { BOSS_DEFAULTS, BOSS_MIN_INTERVAL, BOSS_TYPE_DEFAULTS } from '../../shared/StageDefaults.js';
 
 // Re-export grid sizes for convenience
 export { GRID_SIZES };
@@ -29,7 +30,9 @@ export const TOOLS = {
     LINE: 'line',
     EYEDROPPER: 'eyedropper',
     HAND: 'hand',
-    ZOOM: 'zoom'
+    ZOOM: 'zoom',
+    KEY: 'key',
+    BOSS: 'boss'
 };
 
 // Brush size definitions (Section 2.4)
@@ -60,6 +63,49 @@ export const DURABILITY_COLORS = {
     10: '#E57373'  // Red 300
 };
 
+// Key groups for key/lock blocks (lock.linkedKeyId === key.keyId)
+export const KEY_GROUPS = [
+    { id: 'A', color: '#FFD54F' },
+    { id: 'B', color: '#4FC3F7' },
+    { id: 'C', color: '#F06292' },
+    { id: 'D', color: '#81C784' },
+    { id: 'E', color: '#BA68C8' },
+    { id: 'F', color: '#FF8A65' }
+];
+
+// Boss defaults (shared with the game)
+export { BOSS_DEFAULTS, BOSS_MIN_INTERVAL };
+
+// Boss types (shared with the game), with each type's defaults filled in from BOSS_DEFAULTS
+export const BOSS_TYPES = Object.entries(BOSS_TYPE_DEFAULTS).map(([id, type]) => ({
+    id,
+    name: type.name,
+    abilities: type.abilities,
+    defaults: { ...BOSS_DEFAULTS, ...type.defaults }
+}));
+
+// New phase added in the boss panel (at = HP fraction)
+export const BOSS_PHASE_DEFAULTS = {
+    at: 0.5,
+    speed: 1.5
+};
+
+// Boss abilities (panel labels)
+export const BOSS_ABILITIES = [
+    { id: 'block_regen', name: 'ブロック再生' },
+    { id: 'ball_catch', name: 'ボールキャッチ' },
+    { id: 'debuff_release', name: 'デバフ放出' },
+    { id: 'turret_fire', name: '砲撃' }
+];
+
+// Boss debuffs (panel labels)
+export const BOSS_DEBUFFS = [
+    { id: 'slow', name: 'スロー' },
+    { id: 'reverse', name: 'リバース' },
+    { id: 'short', name: 'ショート' },
+    { id: 'disarm', name: 'ディスアーム' }
+];
+
 // Line type definitions (Section 2.3)
 export const LINE_TYPES = {
     COLLISION: {
@@ -160,27 +206,8 @@ export const MESSAGE_TYPES = {
     TIP: { icon: '💡', className: 'tip' }
 };
 
-// Stage defaults
-export const STAGE_DEFAULTS = {
-    initialLives: 3,
-    clearBonus: 1000,
-    powerGemChance: 0.15,
-    resetGemsOnClear: false,
-    blockGuide: {
-        enabled: true,
-        probability: 0.5,
-        angleLimit: 30
-    },
-    weaponCosts: {
-        slow: 1,
-        wide: 2,
-        double: 2,
-        laser: 3,
-        shield: 4,
-        magnet: 4,
-        ghost: 4
-    }
-};
+// Stage defaults (shared with the game)
+export { STAGE_DEFAULTS } from '../../shared/StageDefaults.js';
 
 // Tap mode defaults
 export const TAP_DEFAULTS = {
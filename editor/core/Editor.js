@@ -13,6 +13,7 @@ import { Events } from './Events.js';
 import { LayerManager } from '../managers/LayerManager.js';
 import { BlockManager } from '../managers/BlockManager.js';
 import { LineManager } from '../managers/LineManager.js';
+import { BossManager } from '../managers/BossManager.js';
 import { StageManager } from '../managers/StageManager.js';
 import { StartupManager } from '../managers/StartupManager.js';
 import { RenderSystem } from '../systems/RenderSystem.js';
@@ -34,6 +35,7 @@ export class Editor {
         this.blockManager = new BlockManager(this.layerManager, this);
         this.lineManager = new LineManager();
         this.lineManager.editor = this; // HistorySystem アクセス用
+        this.bossManager = new BossManager(this);
 
         // History (Undo/Redo)
         this.historySystem = new HistorySystem(this);
@@ -76,6 +78,7 @@ export class Editor {
         this.renderSystem.layerManager = this.layerManager;
         this.renderSystem.lineManager = this.lineManager;
         this.renderSystem.blockManager = this.blockManager;
+        this.renderSystem.bossManager = this.bossManager;
 
         // Initialize events
         this.events = new Events(this);
@@ -148,6 +151,13 @@ export class Editor {
             this.emit('linesChanged', this.lineManager.getAllLines());
         };
 
+        this.bossManager.onBossChange = (boss) => {
+            this.isDirty = true;
+            this._syncBossToStage();
+            this.render();
+            this.emit('bossChanged', boss);
+        };
+
         this.lineManager.onSelectionChange = (line) => {
             this.emit('lineSelected', line);
         };
@@ -263,6 +273,8 @@ export class Editor {
             // No stage - clear everything
             this.layerManager.clear();
             this.lineManager.clear();
+            this.bossManager.clear();
+            this.emit('bossChanged', null);
             if (this.renderSystem) {
                 this.renderSystem.setSize(CANVAS_CONFIG.defaultWidth, CANVAS_CONFIG.defaultHeight);
                 this.renderSystem.setGridSize('medium');
@@ -288,6 +300,10 @@ export class Editor {
         // Ensure default paddle/missline exist (fixes old data without lines)
         this._ensureDefaultLines(stage.canvas.width, stage.canvas.height);
 
+        // Load boss
+        this.bossManager.loadFromStage(stage.boss);
+        this.emit('bossChanged', this.bossManager.getBoss());
+
         // Render
         this.render();
 
@@ -319,6 +335,17 @@ export class Editor {
         stage.lines = this.lineManager.serialize();
     }
 
+    /**
+     * Sync current boss to stage data
+     * @private
+     */
+    _syncBossToStage() {
+        const stage = this.getCurrentStage();
+        if (!stage) return;
+
+        stage.boss = this.bossManager.serialize();
+    }
+
     /**
      * Auto-save current project to localStorage
      * @private
@@ -642,7 +669,7 @@ export class Editor {
                         { x: size / 2, y: 0 },
                         { x: size / 2, y: canvasHeight }
                     ];
-                    normalSide = 'left'; // Right
+                    normalSide = 'right'; // Right
                     break;
                 case 'right':
                     // Vertical line (top→bottom), ball should fly LEFT
@@ -650,7 +677,7 @@ export class Editor {
                         { x: canvasWidth - size / 2, y: 0 },
                         { x: canvasWidth - size / 2, y: canvasHeight }
                     ];
-                    normalSide = 'right'; // Left
+                    normalSide = 'left'; // Left
                     break;
             }
 
@@ -738,9 +765,7 @@ export class Editor {
      */
     resetView() {
         if (this.renderSystem) {
-            this.renderSystem.scale = 1;
-            this.renderSystem.offsetX = 0;
-            this.renderSystem.offsetY = 0;
+            this.renderSystem.setTransform(1, 0, 0);
             this.render();
             this.emit('zoomChanged', 1);
         }
@@ -782,6 +807,13 @@ export class Editor {
     async previewStage() {
         await this.projectFileSystem.saveForPreview();
     }
+
+    /**
+     * Preview all stages as a campaign in game runtime
+     */
+    async previewCampaign() {
+        await this.projectFileSystem.saveCampaignForPreview();
+    }
 }
 
 // Export singleton instance
@@ -163,7 +163,7 @@ export class Events {
         const hex = pixelToHex(coords.x, coords.y, gridSize);
 
         // Check if we need to switch to a block layer for block operations
-        const isBlockTool = [TOOLS.BRUSH, TOOLS.ERASER, TOOLS.FILL].includes(tool);
+        const isBlockTool = [TOOLS.BRUSH, TOOLS.ERASER, TOOLS.FILL, TOOLS.KEY].includes(tool);
         if (isBlockTool && !await this._ensureBlockLayerActive()) {
             return; // User cancelled or no block layer available
         }
@@ -211,6 +211,34 @@ export class Events {
                 this._handleSelectTool(coords, e);
                 break;
 
+            case TOOLS.KEY:
+                // Click = key, Shift+Click = lock (toggle within current key group)
+                if (this.editor.blockManager.getBlock(hex.row, hex.col)) {
+                    this.editor.beginAction();
+                    this.editor.blockManager.toggleKeyRole(
+                        hex.row, hex.col,
+                        this.shiftPressed ? 'lock' : 'key'
+                    );
+                    this.editor.endAction();
+                    this.editor.render();
+                }
+                break;
+
+            case TOOLS.BOSS:
+                // Click = place/move boss, Shift+Click = remove
+                if (!this.shiftPressed && !this.editor.blockManager.isValidPosition(hex.row, hex.col)) {
+                    this.editor.emit('message', { type: 'warning', text: 'ゲームエリアの外にはボスを配置できません' });
+                    break;
+                }
+                this.editor.beginAction();
+                if (this.shiftPressed) {
+                    this.editor.bossManager.remove();
+                } else {
+                    this.editor.bossManager.place(hex.row, hex.col);
+                }
+                this.editor.endAction();
+                break;
+
             case TOOLS.EYEDROPPER:
                 const sampleBlock = this.editor.blockManager.getBlock(hex.row, hex.col);
                 if (sampleBlock) {
@@ -494,14 +522,20 @@ export class Events {
         // Zoom
         const delta = e.deltaY > 0 ? -ZOOM_CONFIG.step : ZOOM_CONFIG.step;
         let newScale = this.editor.renderSystem.scale + delta;
+        // Rounded so repeated steps land on the same zoom levels (e.g. 1.2, not 1.2000000000000002)
+        newScale = Math.round(newScale * 100) / 100;
         newScale = Math.max(ZOOM_CONFIG.min, Math.min(ZOOM_CONFIG.max, newScale));
 
-        this.editor.renderSystem.scale = newScale;
+        const { offsetX, offsetY } = this.editor.renderSystem;
+        this.editor.renderSystem.setTransform(newScale, offsetX, offsetY);
 
         // Adjust offset to zoom towards cursor
         const afterZoom = this.editor.renderSystem.screenToCanvas(screen.x, screen.y);
-        this.editor.renderSystem.offsetX += (afterZoom.x - beforeZoom.x) * newScale;
-        this.editor.renderSystem.offsetY += (afterZoom.y - beforeZoom.y) * newScale;
+        this.editor.renderSystem.setTransform(
+            newScale,
+            offsetX + (afterZoom.x - beforeZoom.x) * newScale,
+            offsetY + (afterZoom.y - beforeZoom.y) * newScale
+        );
 
         this.editor.render();
         this.editor.emit('zoomChanged', newScale);
@@ -655,6 +689,12 @@ export class Events {
                 case 'KeyV':
                     this.editor.setTool(TOOLS.SELECT);
                     break;
+                case 'KeyK':
+                    this.editor.setTool(TOOLS.KEY);
+                    break;
+                case 'KeyO':
+                    this.editor.setTool(TOOLS.BOSS);
+                    break;
             }
         }
 
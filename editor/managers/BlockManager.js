@@ -7,7 +7,7 @@
  */
 
 import { getHexKey, parseHexKey, getHexNeighbors, hexToPixel, getMaxRow, getMaxCol, isValidHexPosition } from '../../shared/HexMath.js';
-import { BLOCK_DEFAULTS, BRUSH_SIZES, DURABILITY_COLORS } from '../core/Config.js';
+import { BLOCK_DEFAULTS, BRUSH_SIZES, DURABILITY_COLORS, KEY_GROUPS } from '../core/Config.js';
 
 export class BlockManager {
     /**
@@ -22,6 +22,7 @@ export class BlockManager {
         this.currentDurability = BLOCK_DEFAULTS.durability;
         this.currentColor = BLOCK_DEFAULTS.color;
         this.brushSize = 'M';
+        this.currentKeyId = KEY_GROUPS[0].id;
 
         // Selection state
         this.selectedHexes = new Set();
@@ -297,6 +298,63 @@ export class BlockManager {
         return true;
     }
 
+    /**
+     * Set current key group (for key tool)
+     * @param {string} keyId
+     */
+    setKeyId(keyId) {
+        this.currentKeyId = keyId;
+    }
+
+    /**
+     * Toggle a block's key/lock role in the current key group.
+     * Assigning a block that already has this role in the group clears it.
+     * @param {number} row
+     * @param {number} col
+     * @param {'key'|'lock'} role
+     * @returns {boolean} True if the block was changed
+     */
+    toggleKeyRole(row, col, role) {
+        const block = this.getBlock(row, col);
+        if (!block) return false;
+
+        const groupField = role === 'key' ? 'keyId' : 'linkedKeyId';
+        const alreadyAssigned = block.blockType === role && block[groupField] === this.currentKeyId;
+
+        return this.updateBlock(row, col, {
+            blockType: alreadyAssigned ? undefined : role,
+            keyId: !alreadyAssigned && role === 'key' ? this.currentKeyId : undefined,
+            linkedKeyId: !alreadyAssigned && role === 'lock' ? this.currentKeyId : undefined
+        });
+    }
+
+    /**
+     * Collect key/lock blocks across all block layers, grouped by key group
+     * @returns {Map<string, {keys: Object[], locks: Object[]}>}
+     */
+    getKeyGroups() {
+        const groups = new Map();
+        const getGroup = (keyId) => {
+            if (!groups.has(keyId)) {
+                groups.set(keyId, { keys: [], locks: [] });
+            }
+            return groups.get(keyId);
+        };
+
+        for (const layer of this.layerManager.getAllLayers()) {
+            if (layer.type !== 'block') continue;
+            for (const block of layer.blocks.values()) {
+                if (block.blockType === 'key' && block.keyId) {
+                    getGroup(block.keyId).keys.push(block);
+                } else if (block.blockType === 'lock' && block.linkedKeyId) {
+                    getGroup(block.linkedKeyId).locks.push(block);
+                }
+            }
+        }
+
+        return groups;
+    }
+
     /**
      * Flood fill - change durability of connected same-durability blocks
      * @param {number} row
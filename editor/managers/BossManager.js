@@ -0,0 +1,176 @@
+/**
+ * BossManager.js - Boss Placement
+ * Based on specification.md Section 2.9
+ *
+ * Manages the boss of the current stage (at most one): its hex position
+ * and the settings edited in the boss panel. The data has the same shape
+ * as the game's stage `boss` block (see game/BossConfig.js).
+ */
+
+import { BOSS_DEFAULTS } from '../core/Config.js';
+
+/**
+ * @typedef {Object} BossData
+ * @property {string} type - Boss type ID (BOSS_TYPES)
+ * @property {number} row - Center hex row
+ * @property {number} col - Center hex column
+ * @property {number} health
+ * @property {number} size - Body radius in hex radii
+ * @property {number} moveInterval
+ * @property {string[]} abilities
+ * @property {Object<string, number>} abilityIntervals
+ * @property {number} catchHoldTime
+ * @property {string[]} debuffTypes
+ * @property {number} hitScore
+ * @property {number} defeatScore
+ * @property {number} laserDamage
+ * @property {number} rewardGems
+ * @property {{body: string, legs: string, eyes: string}} colors
+ * @property {{at: number, speed?: number, abilities?: string[], colors?: Object}[]} phases - HP-threshold phases
+ */
+
+export class BossManager {
+    /**
+     * @param {import('../core/Editor.js').Editor} editor - Editor reference for history and bounds
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        /** @type {BossData|null} */
+        this.boss = null;
+
+        // Undo/Redo: suppress notifications during batch apply
+        this._suppressNotify = false;
+
+        // Event callbacks
+        this.onBossChange = null;
+    }
+
+    /**
+     * Get the current boss
+     * @returns {BossData|null}
+     */
+    getBoss() {
+        return this.boss;
+    }
+
+    /**
+     * Place the boss on a hex (new boss with default settings, or move the existing one)
+     * @param {number} row
+     * @param {number} col
+     * @returns {boolean} - False if the hex is outside the game area or unchanged
+     */
+    place(row, col) {
+        if (!this.editor.blockManager.isValidPosition(row, col)) return false;
+        if (this.boss && this.boss.row === row && this.boss.col === col) return false;
+
+        const oldValue = this.boss;
+        this.boss = this.boss
+            ? { ...this._copy(this.boss), row, col }
+            : { row, col, ...this._copy(BOSS_DEFAULTS) };
+
+        this._recordHistory(oldValue, this.boss);
+        this._emitChange();
+        return true;
+    }
+
+    /**
+     * Update boss settings
+     * @param {Partial<BossData>} props - Nested objects (colors, abilityIntervals) are merged
+     * @returns {boolean} - False if there is no boss
+     */
+    update(props) {
+        if (!this.boss) return false;
+
+        const oldValue = this.boss;
+        const next = { ...this._copy(this.boss), ...props };
+        if (props.colors) {
+            next.colors = { ...oldValue.colors, ...props.colors };
+        }
+        if (props.abilityIntervals) {
+            next.abilityIntervals = { ...oldValue.abilityIntervals, ...props.abilityIntervals };
+        }
+        this.boss = next;
+
+        this._recordHistory(oldValue, this.boss);
+        this._emitChange();
+        return true;
+    }
+
+    /**
+     * Remove the boss
+     * @returns {boolean} - False if there is no boss
+     */
+    remove() {
+        if (!this.boss) return false;
+
+        const oldValue = this.boss;
+        this.boss = null;
+
+        this._recordHistory(oldValue, null);
+        this._emitChange();
+        return true;
+    }
+
+    /**
+     * Load boss from stage data
+     * @param {BossData|null|undefined} boss
+     */
+    loadFromStage(boss) {
+        this.boss = boss ? this._copy(boss) : null;
+        // Note: don't emit change to avoid infinite loop with editor sync
+    }
+
+    /**
+     * Clear the boss (no stage)
+     */
+    clear() {
+        this.boss = null;
+    }
+
+    /**
+     * Serialize for stage data
+     * @returns {BossData|null}
+     */
+    serialize() {
+        return this.boss ? this._copy(this.boss) : null;
+    }
+
+    /**
+     * Deep copy boss data
+     * @private
+     * @param {Object} boss
+     * @returns {Object}
+     */
+    _copy(boss) {
+        return JSON.parse(JSON.stringify(boss));
+    }
+
+    /**
+     * Emit change event
+     * @private
+     */
+    _emitChange() {
+        if (this._suppressNotify) return;
+        if (this.onBossChange) {
+            this.onBossChange(this.boss);
+        }
+    }
+
+    /**
+     * Record a boss change to the history system if an action is being recorded.
+     * @private
+     * @param {BossData|null} oldValue
+     * @param {BossData|null} newValue
+     */
+    _recordHistory(oldValue, newValue) {
+        const history = this.editor?.historySystem;
+        if (history && history.currentAction) {
+            history.recordChange({
+                type: 'boss',
+                oldValue: oldValue ? this._copy(oldValue) : null,
+                newValue: newValue ? this._copy(newValue) : null
+            });
+        }
+    }
+}
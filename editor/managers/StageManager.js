@@ -18,6 +18,7 @@ import { CANVAS_CONFIG, STAGE_DEFAULTS } from '../core/Config.js';
  * @property {Object|null} baseLayer - Base layer data (background)
  * @property {Array} layers - Layer data array
  * @property {Array} lines - Line data array
+ * @property {import('./BossManager.js').BossData|null} boss - Boss placement and settings
  * @property {Object} meta - Stage metadata
  */
 
@@ -57,17 +58,11 @@ export class StageManager {
             baseLayer: null,
             layers: [],
             lines: [],
+            boss: null,
             meta: {
-                initialLives: STAGE_DEFAULTS?.initialLives || 3,
-                clearBonus: STAGE_DEFAULTS?.clearBonus || 1000,
-                powerGemChance: STAGE_DEFAULTS?.powerGemChance || 0.15,
-                resetGemsOnClear: false,
-                blockGuide: {
-                    enabled: true,
-                    probability: 0.5,
-                    angleLimit: 30
-                },
-                boss: null
+                ...STAGE_DEFAULTS,
+                weaponCosts: { ...STAGE_DEFAULTS.weaponCosts },
+                blockGuide: { ...STAGE_DEFAULTS.blockGuide }
             }
         };
 
@@ -335,6 +330,7 @@ export class StageManager {
             backgrounds,
             blocks,
             lines: stage.lines,
+            boss: stage.boss ?? null,
             meta: stage.meta
         };
     }
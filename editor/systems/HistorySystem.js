@@ -2,7 +2,7 @@
  * HistorySystem.js - Undo/Redo System
  * Ported from Hexposed, adapted for HexBreaker's multi-layer architecture.
  *
- * Records block and line changes as actions (groups of changes).
+ * Records block, line and boss changes as actions (groups of changes).
  * Each action can be undone/redone as a unit.
  */
 
@@ -36,7 +36,7 @@ export class HistorySystem {
 
     /**
      * Record a single change within the current action.
-     * @param {BlockChange|LineChange} change
+     * @param {BlockChange|LineChange|BossChange} change
      */
     recordChange(change) {
         if (this.currentAction) {
@@ -76,6 +76,7 @@ export class HistorySystem {
         // Suppress change notifications during undo
         this.editor.blockManager._suppressNotify = true;
         this.editor.lineManager._suppressNotify = true;
+        this.editor.bossManager._suppressNotify = true;
 
         // Apply changes in reverse order
         for (const change of action.changes.slice().reverse()) {
@@ -88,6 +89,7 @@ export class HistorySystem {
         // Restore notifications and sync once
         this.editor.blockManager._suppressNotify = false;
         this.editor.lineManager._suppressNotify = false;
+        this.editor.bossManager._suppressNotify = false;
         this._syncAndRender();
 
         this.redoStack.push(redoAction);
@@ -106,6 +108,7 @@ export class HistorySystem {
         // Suppress change notifications during redo
         this.editor.blockManager._suppressNotify = true;
         this.editor.lineManager._suppressNotify = true;
+        this.editor.bossManager._suppressNotify = true;
 
         // Apply changes in reverse order
         for (const change of action.changes.slice().reverse()) {
@@ -118,6 +121,7 @@ export class HistorySystem {
         // Restore notifications and sync once
         this.editor.blockManager._suppressNotify = false;
         this.editor.lineManager._suppressNotify = false;
+        this.editor.bossManager._suppressNotify = false;
         this._syncAndRender();
 
         this.undoStack.push(undoAction);
@@ -127,9 +131,9 @@ export class HistorySystem {
     /**
      * Apply a single change and return its reverse.
      * @private
-     * @param {BlockChange|LineChange} change
+     * @param {BlockChange|LineChange|BossChange} change
      * @param {boolean} isUndo - true for undo, false for redo
-     * @returns {BlockChange|LineChange|null}
+     * @returns {BlockChange|LineChange|BossChange|null}
      */
     _applyChange(change, isUndo) {
         switch (change.type) {
@@ -137,6 +141,8 @@ export class HistorySystem {
                 return this._applyBlockChange(change, isUndo);
             case 'line':
                 return this._applyLineChange(change, isUndo);
+            case 'boss':
+                return this._applyBossChange(change, isUndo);
             default:
                 console.error(`[HistorySystem] Unknown change type: ${change.type}`);
                 return null;
@@ -235,6 +241,21 @@ export class HistorySystem {
         }
     }
 
+    /**
+     * Apply a boss change and return the change for the opposite stack.
+     * The change keeps its direction: undo restores oldValue, redo newValue.
+     * @private
+     * @param {BossChange} change - { type:'boss', oldValue, newValue }
+     * @param {boolean} isUndo
+     * @returns {BossChange}
+     */
+    _applyBossChange(change, isUndo) {
+        const targetValue = isUndo ? change.oldValue : change.newValue;
+        this.editor.bossManager.loadFromStage(targetValue);
+
+        return { ...change };
+    }
+
     /**
      * Sync stage data and render after undo/redo.
      * @private
@@ -243,9 +264,11 @@ export class HistorySystem {
         this.editor.isDirty = true;
         this.editor._syncLayersToStage();
         this.editor._syncLinesToStage();
+        this.editor._syncBossToStage();
         this.editor.render();
         this.editor.emit('blocksChanged');
         this.editor.emit('linesChanged', this.editor.lineManager.getAllLines());
+        this.editor.emit('bossChanged', this.editor.bossManager.getBoss());
     }
 
     /**
@@ -280,7 +303,7 @@ export class HistorySystem {
 
 /**
  * @typedef {Object} Action
- * @property {(BlockChange|LineChange)[]} changes
+ * @property {(BlockChange|LineChange|BossChange)[]} changes
  */
 
 /**
@@ -301,3 +324,10 @@ export class HistorySystem {
  * @property {Object} [oldLine] - Line data before change (for update)
  * @property {Object} [newLine] - Line data after change (for update)
  */
+
+/**
+ * @typedef {Object} BossChange
+ * @property {'boss'} type
+ * @property {Object|null} oldValue - Boss data before change (null if there was no boss)
+ * @property {Object|null} newValue - Boss data after change (null if removed)
+ */
@@ -376,6 +376,81 @@ export class ProjectFileSystem {
     // プレビュー
     // =========================================================================
 
+    /**
+     * プロジェクト全体をキャンペーンとしてエクスポート（ゲーム用JSON）
+     * @returns {Promise<boolean>}
+     */
+    async exportCampaign() {
+        const closeLoading = this.dialogs.showLoading('キャンペーンをエクスポート中...');
+
+        try {
+            const data = this._serializeCampaign();
+            const json = JSON.stringify(data, null, 2);
+
+            await this.fileManager.saveAs(
+                json,
+                `${data.projectName}_campaign.json`,
+                'application/json'
+            );
+
+            this.dialogs.toast(`キャンペーンをエクスポートしました (${data.stages.length}ステージ)`, 'success');
+            return true;
+
+        } catch (error) {
+            console.error('キャンペーンエクスポートエラー:', error);
+            this.dialogs.toast(`エクスポートに失敗しました: ${error.message}`, 'error');
+            return false;
+
+        } finally {
+            closeLoading();
+        }
+    }
+
+    /**
+     * キャンペーン全体をプレビュー用に保存してゲームを開く
+     * @returns {Promise<boolean>}
+     */
+    async saveCampaignForPreview() {
+        try {
+            const data = this._serializeCampaign();
+
+            await previewStorage.save(data);
+            window.open('game_index.html', '_blank');
+
+            return true;
+
+        } catch (error) {
+            console.error('キャンペーンプレビューエラー:', error);
+            this.dialogs.toast(`プレビューに失敗しました: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * 全ステージをキャンペーン形式でシリアライズ
+     * @returns {Object}
+     * @private
+     */
+    _serializeCampaign() {
+        const stages = this.editor.stageManager.stages;
+        if (!stages || stages.length === 0) {
+            throw new Error('ステージがありません');
+        }
+
+        // 現在の状態を同期
+        this.editor._syncLayersToStage();
+        this.editor._syncLinesToStage();
+
+        // ブロック描画設定を取得
+        const blockRenderSettings = this.editor.uiController?.getBlockRenderSettings() || null;
+
+        return this.serialization.serializeCampaignForGame(
+            stages,
+            this.currentProjectName,
+            blockRenderSettings
+        );
+    }
+
     /**
      * プレビュー用にステージをIndexedDBに保存してゲームを開く
      * @returns {Promise<boolean>}
@@ -6,8 +6,9 @@
  */
 
 import { GRID_SIZES, hexToPixel, getHexVertices, getMaxRow, getMaxCol } from '../../shared/HexMath.js';
-import { CANVAS_CONFIG, SELECTION_COLORS, LINE_TYPES, VERTEX_HANDLE, TOOLS } from '../core/Config.js';
+import { CANVAS_CONFIG, SELECTION_COLORS, LINE_TYPES, VERTEX_HANDLE, TOOLS, KEY_GROUPS, BOSS_DEFAULTS, BOSS_TYPES } from '../core/Config.js';
 import { drawHexBlock, drawLine } from '../../shared/Renderer.js';
+import { HexSpriteCache } from '../../shared/HexSpriteCache.js';
 
 export class RenderSystem {
     /**
@@ -38,6 +39,7 @@ export class RenderSystem {
         this.layerManager = null;
         this.lineManager = null;
         this.blockManager = null;
+        this.bossManager = null;
 
         // Hover state
         this.hoverHex = null;
@@ -48,6 +50,9 @@ export class RenderSystem {
         // Current tool (for brush preview)
         this.currentTool = null;
 
+        // Pre-rendered blocks (rebuilt on render setting changes)
+        this.blockSprites = new HexSpriteCache();
+
         this._initCanvas();
     }
 
@@ -93,6 +98,10 @@ export class RenderSystem {
      * @param {number} offsetY
      */
     setTransform(scale, offsetX, offsetY) {
+        // Sprites are rendered per zoom level: drop the old level's set
+        if (scale !== this.scale) {
+            this.blockSprites.clear();
+        }
         this.scale = scale;
         this.offsetX = offsetX;
         this.offsetY = offsetY;
@@ -199,7 +208,8 @@ export class RenderSystem {
 
         // Draw hover hex(es) - use brush size for brush/eraser tools
         // LINE ツール選択時はホバーハイライトをスキップ（グリッドスナップで頂点に合わせるため）
-        if (this.hoverHex && this.currentTool !== TOOLS.LINE) {
+        // BOSS ツールはボスの範囲をプレビューするため単一ヘックスのハイライトは不要
+        if (this.hoverHex && this.currentTool !== TOOLS.LINE && this.currentTool !== TOOLS.BOSS) {
             const useBrushSize = this.currentTool === TOOLS.BRUSH ||
                                  this.currentTool === TOOLS.ERASER;
             const color = this.isErasing ? SELECTION_COLORS.eraser : SELECTION_COLORS.hover;
@@ -224,6 +234,16 @@ export class RenderSystem {
             }
         }
 
+        // Draw key/lock links (key tool only)
+        if (this.currentTool === TOOLS.KEY && this.blockManager) {
+            this._drawKeyLinks(ctx);
+        }
+
+        // Draw boss footprint (placed boss, and placement preview for the boss tool)
+        if (this.bossManager) {
+            this._drawBossOverlay(ctx);
+        }
+
         // Draw line drawing preview
         if (this.lineManager && this.lineManager.isDrawing && this.lineManager.currentPoints.length > 0) {
             this._drawLinePreview(ctx, this.lineManager.currentPoints);
@@ -279,16 +299,23 @@ export class RenderSystem {
         const sourceLayer = layer.sourceLayerId ?
             this.layerManager.getLayer(layer.sourceLayerId) : null;
 
+        const clipImage = sourceLayer?.image || null;
+
         for (const [key, block] of layer.blocks) {
             const center = hexToPixel(block.row, block.col, this.gridSize);
-
-            // Use shared renderer for block drawing
-            drawHexBlock(ctx, center.x, center.y, this.gridSize.radius, block.color, {
+            const options = {
                 durability: block.durability,
                 gemDrop: block.gemDrop,
                 blockType: block.blockType,
-                clipImage: sourceLayer?.image || null
-            });
+                clipImage
+            };
+
+            // Clipped blocks differ per cell, so only shared looks go through the sprite cache
+            if (clipImage) {
+                drawHexBlock(ctx, center.x, center.y, this.gridSize.radius, block.color, options);
+            } else {
+                this.blockSprites.draw(ctx, center.x, center.y, this.gridSize.radius, block.color, options, this.scale);
+            }
         }
     }
 
@@ -536,6 +563,169 @@ export class RenderSystem {
         ctx.fill();
     }
 
+    /**
+     * Draw key group links: lock-to-key connectors and group labels
+     * Locks whose group has no key are marked red (they never lock in game).
+     * @private
+     */
+    _drawKeyLinks(ctx) {
+        const radius = this.gridSize.radius;
+        const groups = this.blockManager.getKeyGroups();
+
+        ctx.save();
+        ctx.font = `bold ${Math.max(10, Math.round(radius * 0.6))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const [keyId, group] of groups) {
+            const color = KEY_GROUPS.find(g => g.id === keyId)?.color || '#FFFFFF';
+            const keyCenters = group.keys.map(b => hexToPixel(b.row, b.col, this.gridSize));
+            const lockCenters = group.locks.map(b => hexToPixel(b.row, b.col, this.gridSize));
+
+            // Connectors from every lock to every key of its group
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.7;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            for (const lock of lockCenters) {
+                for (const key of keyCenters) {
+                    ctx.beginPath();
+                    ctx.moveTo(lock.x, lock.y);
+                    ctx.lineTo(key.x, key.y);
+                    ctx.stroke();
+                }
+            }
+            ctx.setLineDash([]);
+
+            // Group rings and labels (keys: single ring, locks: double ring)
+            ctx.globalAlpha = 1;
+            for (const pos of keyCenters) {
+                this._drawKeyGroupBadge(ctx, pos, radius, color, keyId, false);
+            }
+            const orphan = keyCenters.length === 0;
+            for (const pos of lockCenters) {
+                this._drawKeyGroupBadge(ctx, pos, radius, orphan ? '#FF4444' : color, keyId, true);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw a key group ring with its group label
+     * @private
+     */
+    _drawKeyGroupBadge(ctx, pos, radius, color, label, isLock) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+
+        if (isLock) {
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius * 0.65, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#000000';
+        ctx.fillText(label, pos.x + 1, pos.y - radius * 0.45 + 1);
+        ctx.fillStyle = color;
+        ctx.fillText(label, pos.x, pos.y - radius * 0.45);
+    }
+
+    /**
+     * Draw the placed boss and, with the boss tool, where a click would put it
+     * @private
+     */
+    _drawBossOverlay(ctx) {
+        const boss = this.bossManager.getBoss();
+        if (boss) {
+            this._drawBossFootprint(ctx, boss, 1);
+        }
+
+        const hover = this.hoverHex;
+        if (this.currentTool === TOOLS.BOSS && hover && hover.row >= 0 && hover.col >= 0 &&
+            !(boss && boss.row === hover.row && boss.col === hover.col)) {
+            this._drawBossFootprint(ctx, { ...(boss || BOSS_DEFAULTS), row: hover.row, col: hover.col }, 0.4);
+        }
+    }
+
+    /**
+     * Draw a boss footprint: covered hexes, body, leg reach and eyes, type and HP
+     * (body radius = hex radius x size, spider legs reach 1.2x the body as in game/entities/bosses/SpiderBoss.js)
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} boss - Boss data (type, row, col, size, colors, health, phases)
+     * @param {number} alpha - Overall opacity (placement preview is faint)
+     */
+    _drawBossFootprint(ctx, boss, alpha) {
+        const center = hexToPixel(boss.row, boss.col, this.gridSize);
+        const bodyRadius = this.gridSize.radius * boss.size;
+        const legRadius = bodyRadius * 1.2;
+        const colors = boss.colors;
+        const type = BOSS_TYPES.find(t => t.id === (boss.type ?? BOSS_DEFAULTS.type)) ?? BOSS_TYPES[0];
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+
+        // Hexes whose center lies under the body
+        const rowSpan = Math.ceil(bodyRadius / this.gridSize.verticalSpacing) + 1;
+        const colSpan = Math.ceil(bodyRadius / this.gridSize.width) + 1;
+        for (let row = Math.max(0, boss.row - rowSpan); row <= boss.row + rowSpan; row++) {
+            for (let col = Math.max(0, boss.col - colSpan); col <= boss.col + colSpan; col++) {
+                const pos = hexToPixel(row, col, this.gridSize);
+                if (Math.hypot(pos.x - center.x, pos.y - center.y) <= bodyRadius) {
+                    this._drawHexHighlight(ctx, row, col, 'rgba(255, 255, 255, 0.15)');
+                }
+            }
+        }
+
+        // Leg reach (spider only)
+        ctx.strokeStyle = colors.legs;
+        ctx.lineWidth = 2;
+        if (type.id === 'spider') {
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, legRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Body
+        ctx.fillStyle = colors.body;
+        ctx.globalAlpha = alpha * 0.6;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, bodyRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = colors.legs;
+        ctx.stroke();
+
+        // Eyes
+        const eyeOffset = bodyRadius * 0.3;
+        const eyeRadius = Math.max(2, bodyRadius * 0.12);
+        ctx.fillStyle = colors.eyes;
+        for (const side of [-1, 1]) {
+            ctx.beginPath();
+            ctx.arc(center.x + side * eyeOffset, center.y - eyeOffset * 0.5, eyeRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Type and HP label (phase count if any)
+        const phaseCount = boss.phases?.length ?? 0;
+        const label = `${type.name} HP ${boss.health}` + (phaseCount > 0 ? ` (${phaseCount}フェーズ)` : '');
+        ctx.font = `bold ${Math.max(10, Math.round(this.gridSize.radius * 0.6))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#000000';
+        ctx.fillText(label, center.x + 1, center.y + bodyRadius * 0.45 + 1);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(label, center.x, center.y + bodyRadius * 0.45);
+
+        ctx.restore();
+    }
+
     /**
      * Draw line preview during drawing
      * @private
@@ -160,6 +160,23 @@ export class SerializationService {
     // ステージ（ゲームエクスポート用）
     // =========================================================================
 
+    /**
+     * プロジェクト全体をキャンペーン形式でシリアライズ
+     * ステージは StageManager の並び順（reorderStages の結果）のまま出力する
+     * @param {Object[]} stages - StageManager.stages
+     * @param {string} projectName
+     * @param {Object} blockRenderSettings - ブロック描画設定
+     * @returns {Object}
+     */
+    serializeCampaignForGame(stages, projectName, blockRenderSettings = null) {
+        return {
+            type: 'campaign',
+            version: this.VERSION,
+            projectName: projectName || 'Untitled',
+            stages: stages.map(stage => this.serializeStageForGame(stage, blockRenderSettings))
+        };
+    }
+
     /**
      * 単一ステージをゲーム用形式でシリアライズ
      * @param {Object} stage
@@ -186,6 +203,7 @@ export class SerializationService {
 
         return {
             version: this.VERSION,
+            stageId: stage.id ?? null,
             stageName: stage.name,
             canvas: stage.canvas,
             gridSize: {
@@ -198,6 +216,7 @@ export class SerializationService {
             backgrounds,
             blocks,
             lines: stage.lines || [],
+            boss: stage.boss ?? null,
             meta: stage.meta || {},
             blockRenderSettings: blockRenderSettings || null
         };
@@ -9,6 +9,7 @@ import { TOOLS, BRUSH_SIZES } from '../core/Config.js';
 import { MessageController } from './controllers/MessageController.js';
 import { BlockRenderSettingsController } from './controllers/BlockRenderSettingsController.js';
 import { BlockifyController } from './controllers/BlockifyController.js';
+import { BossPanelController } from './controllers/BossPanelController.js';
 import { ContextMenuController } from './controllers/ContextMenuController.js';
 import { LayerPanelController } from './controllers/LayerPanelController.js';
 import { StagePanelController } from './controllers/StagePanelController.js';
@@ -54,6 +55,10 @@ export class UIController {
             editor,
             (type, text) => this._addMessage(type, text)
         );
+        this.bossPanelController = new BossPanelController(
+            editor,
+            (type, text) => this._addMessage(type, text)
+        );
     }
 
     /**
@@ -143,6 +148,8 @@ export class UIController {
             brushSizeButtons: this.elements.brushSizeButtons,
             durabilityButtons: this.elements.durabilityButtons,
             colorPicker: this.elements.colorPicker,
+            keySettings: this.elements.keySettings,
+            keyGroupSelector: this.elements.keyGroupSelector,
             lineTypeButtons: this.elements.lineTypeButtons,
             lineColorPicker: this.elements.lineColorPicker,
             lineThickness: this.elements.lineThickness,
@@ -165,6 +172,19 @@ export class UIController {
             pathSpeed: this.elements.pathSpeed
         });
 
+        this.bossPanelController.init({
+            bossSettings: this.elements.bossSettings,
+            bossFields: this.elements.bossFields,
+            bossType: this.elements.bossType,
+            bossInputs: this.elements.bossInputs,
+            bossAbilityList: this.elements.bossAbilityList,
+            bossDebuffList: this.elements.bossDebuffList,
+            bossColors: this.elements.bossColors,
+            bossPhaseList: this.elements.bossPhaseList,
+            addBossPhaseBtn: this.elements.addBossPhaseBtn,
+            removeBossBtn: this.elements.removeBossBtn
+        });
+
         this._bindToolbarEvents();
         this._bindMenuEvents();
         this._bindEditorEvents();
@@ -219,6 +239,35 @@ export class UIController {
             durabilityButtons: document.querySelectorAll('.durability-btn'),
             colorPicker: document.getElementById('block-color'),
 
+            // Key group settings
+            keySettings: document.getElementById('key-settings'),
+            keyGroupSelector: document.getElementById('key-group-selector'),
+
+            // Boss settings
+            bossSettings: document.getElementById('boss-settings'),
+            bossFields: document.getElementById('boss-fields'),
+            bossType: document.getElementById('boss-type'),
+            bossInputs: {
+                health: document.getElementById('boss-health'),
+                size: document.getElementById('boss-size'),
+                moveInterval: document.getElementById('boss-move-interval'),
+                catchHoldTime: document.getElementById('boss-catch-hold-time'),
+                hitScore: document.getElementById('boss-hit-score'),
+                defeatScore: document.getElementById('boss-defeat-score'),
+                laserDamage: document.getElementById('boss-laser-damage'),
+                rewardGems: document.getElementById('boss-reward-gems')
+            },
+            bossAbilityList: document.getElementById('boss-ability-list'),
+            bossDebuffList: document.getElementById('boss-debuff-list'),
+            bossColors: {
+                body: document.getElementById('boss-color-body'),
+                legs: document.getElementById('boss-color-legs'),
+                eyes: document.getElementById('boss-color-eyes')
+            },
+            bossPhaseList: document.getElementById('boss-phase-list'),
+            addBossPhaseBtn: document.getElementById('btn-add-boss-phase'),
+            removeBossBtn: document.getElementById('btn-remove-boss'),
+
             // Line properties
             lineTypeButtons: document.querySelectorAll('.line-type-btn'),
             lineColorPicker: document.getElementById('line-color'),
@@ -300,7 +349,7 @@ export class UIController {
         };
 
         // Cache tool buttons
-        const tools = [TOOLS.SELECT, TOOLS.BRUSH, TOOLS.ERASER, TOOLS.FILL, TOOLS.LINE, TOOLS.EYEDROPPER];
+        const tools = [TOOLS.SELECT, TOOLS.BRUSH, TOOLS.ERASER, TOOLS.FILL, TOOLS.LINE, TOOLS.EYEDROPPER, TOOLS.KEY, TOOLS.BOSS];
         for (const tool of tools) {
             this.elements.toolButtons[tool] = document.getElementById(`tool-${tool}`);
         }
@@ -356,6 +405,8 @@ export class UIController {
         document.getElementById('menu-save')?.addEventListener('click', () => this._saveProject());
         document.getElementById('menu-save-as')?.addEventListener('click', () => this._saveProjectAs());
         document.getElementById('menu-export')?.addEventListener('click', () => this._exportStage());
+        document.getElementById('menu-export-campaign')?.addEventListener('click', () => this._exportCampaign());
+        document.getElementById('menu-preview-campaign')?.addEventListener('click', () => this.editor.previewCampaign());
         document.getElementById('menu-undo')?.addEventListener('click', () => this.editor.undo());
         document.getElementById('menu-redo')?.addEventListener('click', () => this.editor.redo());
         document.getElementById('menu-toggle-grid')?.addEventListener('click', () => this.editor.toggleGrid());
@@ -429,6 +480,14 @@ export class UIController {
         await this.editor.projectFileSystem.exportCurrentStage();
     }
 
+    /**
+     * Export all stages as a campaign JSON
+     * @private
+     */
+    async _exportCampaign() {
+        await this.editor.projectFileSystem.exportCampaign();
+    }
+
     /**
      * Add message to message panel (delegates to MessageController)
      * @param {string} type - Message type
@@ -5,7 +5,7 @@
  * Extracted from UIController.js for single responsibility.
  */
 
-import { RENDER_CONFIG } from '../../../shared/Renderer.js';
+import { RENDER_CONFIG, applyBlockRenderConfig, markBlockRenderConfigChanged } from '../../../shared/Renderer.js';
 
 export class BlockRenderSettingsController {
     /**
@@ -116,14 +116,14 @@ export class BlockRenderSettingsController {
             if (this.elements.fillColor) {
                 this.elements.fillColor.disabled = useBlockColor;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Fill color
         this._bindElement('fillColor', 'input', (e) => {
             if (this.elements.fillUseBlockColor && !this.elements.fillUseBlockColor.checked) {
                 RENDER_CONFIG.block.fill.color = e.target.value;
-                this.editor.render();
+                this._onConfigChanged();
             }
         });
 
@@ -134,13 +134,13 @@ export class BlockRenderSettingsController {
             if (this.elements.fillOpacityValue) {
                 this.elements.fillOpacityValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Border color
         this._bindElement('borderColor', 'input', (e) => {
             RENDER_CONFIG.block.border.color = e.target.value;
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Border width
@@ -150,13 +150,13 @@ export class BlockRenderSettingsController {
             if (this.elements.borderWidthValue) {
                 this.elements.borderWidthValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss highlight color
         this._bindElement('embossHighlightColor', 'input', (e) => {
             RENDER_CONFIG.block.emboss.highlightColor = e.target.value;
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss highlight opacity
@@ -166,13 +166,13 @@ export class BlockRenderSettingsController {
             if (this.elements.embossHighlightOpacityValue) {
                 this.elements.embossHighlightOpacityValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss shadow color
         this._bindElement('embossShadowColor', 'input', (e) => {
             RENDER_CONFIG.block.emboss.shadowColor = e.target.value;
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss shadow opacity
@@ -182,7 +182,7 @@ export class BlockRenderSettingsController {
             if (this.elements.embossShadowOpacityValue) {
                 this.elements.embossShadowOpacityValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss width
@@ -192,7 +192,7 @@ export class BlockRenderSettingsController {
             if (this.elements.embossWidthValue) {
                 this.elements.embossWidthValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
 
         // Emboss inset
@@ -202,7 +202,7 @@ export class BlockRenderSettingsController {
             if (this.elements.embossInsetValue) {
                 this.elements.embossInsetValue.textContent = value;
             }
-            this.editor.render();
+            this._onConfigChanged();
         });
     }
 
@@ -297,16 +297,17 @@ export class BlockRenderSettingsController {
      * @param {Object} settings
      */
     applySettings(settings) {
-        if (settings?.fill) {
-            Object.assign(RENDER_CONFIG.block.fill, settings.fill);
-        }
-        if (settings?.border) {
-            Object.assign(RENDER_CONFIG.block.border, settings.border);
-        }
-        if (settings?.emboss) {
-            Object.assign(RENDER_CONFIG.block.emboss, settings.emboss);
-        }
+        applyBlockRenderConfig(settings);
         this._updateUI();
         this.editor.render();
     }
+
+    /**
+     * Redraw after RENDER_CONFIG was edited (cached block sprites are rebuilt)
+     * @private
+     */
+    _onConfigChanged() {
+        markBlockRenderConfigChanged();
+        this.editor.render();
+    }
 }
@@ -0,0 +1,429 @@
+/**
+ * BossPanelController.js - Boss Settings Panel Controller
+ * Based on specification.md Section 2.9
+ *
+ * Edits the placed boss (type, HP, size, abilities and their intervals,
+ * debuffs, rewards, colors, HP-threshold phases). Every committed field
+ * change is one undo step.
+ */
+
+import {
+    TOOLS, BOSS_DEFAULTS, BOSS_MIN_INTERVAL, BOSS_TYPES, BOSS_PHASE_DEFAULTS, BOSS_ABILITIES, BOSS_DEBUFFS
+} from '../../core/Config.js';
+
+/** Numeric fields: element key -> boss property and validation */
+const NUMBER_FIELDS = {
+    health: { prop: 'health', min: 1, integer: true },
+    size: { prop: 'size', min: 1, max: 6 },
+    moveInterval: { prop: 'moveInterval', min: BOSS_MIN_INTERVAL },
+    catchHoldTime: { prop: 'catchHoldTime', min: 0 },
+    hitScore: { prop: 'hitScore', min: 0 },
+    defeatScore: { prop: 'defeatScore', min: 0 },
+    laserDamage: { prop: 'laserDamage', min: 0 },
+    rewardGems: { prop: 'rewardGems', min: 0, integer: true }
+};
+
+export class BossPanelController {
+    /**
+     * @param {import('../../core/Editor.js').Editor} editor
+     * @param {Function} addMessage - Message callback function
+     */
+    constructor(editor, addMessage) {
+        this.editor = editor;
+        this._addMessage = addMessage;
+
+        // DOM element references
+        this.elements = {};
+
+        /** @type {Object<string, {row: HTMLElement, checkbox: HTMLInputElement, interval: HTMLInputElement}>} */
+        this._abilityInputs = {};
+
+        /** @type {Object<string, HTMLInputElement>} */
+        this._debuffInputs = {};
+    }
+
+    /**
+     * Initialize the controller
+     * @param {Object} elements - Cached DOM elements from UIController
+     */
+    init(elements) {
+        this.elements = elements;
+        if (!this.elements.bossSettings) {
+            console.warn('[BossPanelController] Boss settings panel not found');
+            return;
+        }
+
+        this._buildLists();
+        this._bindEvents();
+        this._bindEditorEvents();
+        this._updateVisibility(this.editor.currentTool);
+        this._updateFields(this.editor.bossManager.getBoss());
+    }
+
+    /**
+     * Build type options and ability / debuff rows (from BOSS_TYPES / BOSS_ABILITIES / BOSS_DEBUFFS)
+     * @private
+     */
+    _buildLists() {
+        if (this.elements.bossType) {
+            for (const type of BOSS_TYPES) {
+                this.elements.bossType.add(new Option(type.name, type.id));
+            }
+        }
+
+        if (this.elements.bossAbilityList) {
+            for (const ability of BOSS_ABILITIES) {
+                const row = document.createElement('div');
+                row.className = 'boss-ability-row';
+
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                label.append(checkbox, ability.name);
+
+                const interval = document.createElement('input');
+                interval.type = 'number';
+                interval.className = 'input input--small';
+                interval.min = String(BOSS_MIN_INTERVAL);
+                interval.step = '500';
+                interval.title = `${ability.name}の間隔(ms)`;
+
+                row.append(label, interval);
+                this.elements.bossAbilityList.appendChild(row);
+                this._abilityInputs[ability.id] = { row, checkbox, interval };
+            }
+        }
+
+        if (this.elements.bossDebuffList) {
+            for (const debuff of BOSS_DEBUFFS) {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                label.append(checkbox, debuff.name);
+
+                this.elements.bossDebuffList.appendChild(label);
+                this._debuffInputs[debuff.id] = checkbox;
+            }
+        }
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        this.elements.bossType?.addEventListener('change', () => {
+            this._changeType(this.elements.bossType.value);
+        });
+
+        for (const [key, field] of Object.entries(NUMBER_FIELDS)) {
+            const input = this.elements.bossInputs?.[key];
+            if (!input) continue;
+            input.addEventListener('change', () => {
+                const value = this._readNumber(input, field);
+                if (value === null) {
+                    this._addMessage('warning', `${input.previousElementSibling?.textContent || field.prop} の値が不正です`);
+                    this._updateFields(this.editor.bossManager.getBoss());
+                    return;
+                }
+                this._commit({ [field.prop]: value });
+            });
+        }
+
+        for (const [id, { checkbox, interval }] of Object.entries(this._abilityInputs)) {
+            checkbox.addEventListener('change', () => {
+                const boss = this.editor.bossManager.getBoss();
+                if (!boss) return;
+                const abilities = this._allowedAbilities(boss)
+                    .filter(a => a === id ? checkbox.checked : boss.abilities.includes(a));
+                this._commit({ abilities });
+            });
+            interval.addEventListener('change', () => {
+                const value = this._readNumber(interval, { min: BOSS_MIN_INTERVAL });
+                if (value === null) {
+                    this._addMessage('warning', '能力の間隔が不正です');
+                    this._updateFields(this.editor.bossManager.getBoss());
+                    return;
+                }
+                this._commit({ abilityIntervals: { [id]: value } });
+            });
+        }
+
+        for (const [id, checkbox] of Object.entries(this._debuffInputs)) {
+            checkbox.addEventListener('change', () => {
+                const boss = this.editor.bossManager.getBoss();
+                if (!boss) return;
+                const debuffTypes = BOSS_DEBUFFS
+                    .map(d => d.id)
+                    .filter(d => d === id ? checkbox.checked : boss.debuffTypes.includes(d));
+                this._commit({ debuffTypes });
+            });
+        }
+
+        for (const [part, input] of Object.entries(this.elements.bossColors || {})) {
+            if (!input) continue;
+            // 'change' fires once when the picker closes (one undo step per pick)
+            input.addEventListener('change', () => {
+                this._commit({ colors: { [part]: input.value } });
+            });
+        }
+
+        this.elements.addBossPhaseBtn?.addEventListener('click', () => {
+            const boss = this.editor.bossManager.getBoss();
+            if (!boss) return;
+            const phases = boss.phases ?? [];
+            // Each new phase starts below the lowest one
+            const at = phases.length > 0
+                ? Math.round(Math.min(...phases.map(p => p.at)) * 50) / 100
+                : BOSS_PHASE_DEFAULTS.at;
+            this._commit({
+                phases: [...phases, {
+                    at: Math.max(0.01, at),
+                    speed: BOSS_PHASE_DEFAULTS.speed,
+                    abilities: [...boss.abilities],
+                    colors: { body: boss.colors.body }
+                }]
+            });
+        });
+
+        this.elements.removeBossBtn?.addEventListener('click', () => {
+            this.editor.beginAction();
+            this.editor.bossManager.remove();
+            this.editor.endAction();
+        });
+    }
+
+    /**
+     * Bind editor event handlers
+     * @private
+     */
+    _bindEditorEvents() {
+        this.editor.on('toolChanged', (tool) => this._updateVisibility(tool));
+        this.editor.on('bossChanged', (boss) => this._updateFields(boss));
+    }
+
+    /**
+     * Switch the boss type: take the type's size, abilities and colors,
+     * and drop abilities the type cannot use from the phases
+     * @private
+     * @param {string} typeId
+     */
+    _changeType(typeId) {
+        const boss = this.editor.bossManager.getBoss();
+        const type = BOSS_TYPES.find(t => t.id === typeId);
+        if (!boss || !type) return;
+
+        this._commit({
+            type: type.id,
+            size: type.defaults.size,
+            abilities: [...type.defaults.abilities],
+            colors: { ...type.defaults.colors },
+            phases: (boss.phases ?? []).map(phase => ({
+                ...phase,
+                abilities: phase.abilities?.filter(a => type.abilities.includes(a))
+            }))
+        });
+    }
+
+    /**
+     * Change one phase
+     * @private
+     * @param {number} index
+     * @param {Object|null} props - null removes the phase
+     */
+    _commitPhase(index, props) {
+        const boss = this.editor.bossManager.getBoss();
+        if (!boss) return;
+
+        const phases = [...(boss.phases ?? [])];
+        if (props) {
+            phases[index] = { ...phases[index], ...props };
+        } else {
+            phases.splice(index, 1);
+        }
+        this._commit({ phases });
+    }
+
+    /**
+     * Abilities the boss type can use (BOSS_ABILITIES order)
+     * @private
+     * @param {Object} boss
+     * @returns {string[]}
+     */
+    _allowedAbilities(boss) {
+        const type = BOSS_TYPES.find(t => t.id === (boss.type ?? BOSS_DEFAULTS.type)) ?? BOSS_TYPES[0];
+        return BOSS_ABILITIES.map(a => a.id).filter(id => type.abilities.includes(id));
+    }
+
+    /**
+     * Apply a settings change as one undo step
+     * @private
+     * @param {Object} props
+     */
+    _commit(props) {
+        this.editor.beginAction();
+        this.editor.bossManager.update(props);
+        this.editor.endAction();
+    }
+
+    /**
+     * Read a number input
+     * @private
+     * @param {HTMLInputElement} input
+     * @param {{min?: number, max?: number, integer?: boolean}} field
+     * @returns {number|null} - null if invalid
+     */
+    _readNumber(input, field) {
+        const value = Number(input.value);
+        if (input.value === '' || !Number.isFinite(value)) return null;
+        if (field.integer && !Number.isInteger(value)) return null;
+        if (field.min !== undefined && value < field.min) return null;
+        if (field.max !== undefined && value > field.max) return null;
+        return value;
+    }
+
+    /**
+     * Show the panel only for the boss tool
+     * @private
+     * @param {string} tool
+     */
+    _updateVisibility(tool) {
+        this.elements.bossSettings.style.display = tool === TOOLS.BOSS ? '' : 'none';
+    }
+
+    /**
+     * Reflect boss data in the fields (hidden while no boss is placed)
+     * @private
+     * @param {Object|null} boss
+     */
+    _updateFields(boss) {
+        if (this.elements.bossFields) {
+            this.elements.bossFields.style.display = boss ? '' : 'none';
+        }
+        if (!boss) return;
+
+        if (this.elements.bossType) {
+            this.elements.bossType.value = boss.type ?? BOSS_DEFAULTS.type;
+        }
+
+        for (const [key, field] of Object.entries(NUMBER_FIELDS)) {
+            const input = this.elements.bossInputs?.[key];
+            if (input) input.value = boss[field.prop];
+        }
+
+        const allowed = this._allowedAbilities(boss);
+        for (const [id, { row, checkbox, interval }] of Object.entries(this._abilityInputs)) {
+            row.style.display = allowed.includes(id) ? '' : 'none';
+            checkbox.checked = boss.abilities.includes(id);
+            interval.value = boss.abilityIntervals[id] ?? BOSS_DEFAULTS.abilityIntervals[id];
+            interval.disabled = !checkbox.checked;
+        }
+
+        // Debuffs are carried by released projectiles and turret shots
+        const releasesDebuffs = boss.abilities.includes('debuff_release') || boss.abilities.includes('turret_fire');
+        for (const [id, checkbox] of Object.entries(this._debuffInputs)) {
+            checkbox.checked = boss.debuffTypes.includes(id);
+            checkbox.disabled = !releasesDebuffs;
+        }
+
+        for (const [part, input] of Object.entries(this.elements.bossColors || {})) {
+            if (input) input.value = boss.colors[part];
+        }
+
+        this._renderPhases(boss, allowed);
+    }
+
+    /**
+     * Rebuild the phase rows: HP %, speed, body color, abilities, remove
+     * @private
+     * @param {Object} boss
+     * @param {string[]} allowed - Abilities of the boss type
+     */
+    _renderPhases(boss, allowed) {
+        const list = this.elements.bossPhaseList;
+        if (!list) return;
+        list.replaceChildren();
+
+        (boss.phases ?? []).forEach((phase, index) => {
+            const box = document.createElement('div');
+            box.className = 'boss-phase';
+
+            const row = document.createElement('div');
+            row.className = 'boss-phase-row';
+
+            const at = document.createElement('input');
+            at.type = 'number';
+            at.className = 'input input--small';
+            at.min = '1';
+            at.max = '99';
+            at.step = '5';
+            at.title = 'HP がこの割合(%)以下で切替';
+            at.value = Math.round(phase.at * 100);
+            at.addEventListener('change', () => {
+                const value = this._readNumber(at, { min: 1, max: 99 });
+                if (value === null) {
+                    this._addMessage('warning', 'フェーズの HP% は 1〜99 で指定してください');
+                    this._updateFields(this.editor.bossManager.getBoss());
+                    return;
+                }
+                this._commitPhase(index, { at: value / 100 });
+            });
+
+            const speed = document.createElement('input');
+            speed.type = 'number';
+            speed.className = 'input input--small';
+            speed.min = '0.1';
+            speed.step = '0.1';
+            speed.title = '速度倍率';
+            speed.value = phase.speed ?? 1;
+            speed.addEventListener('change', () => {
+                const value = this._readNumber(speed, { min: 0.1 });
+                if (value === null) {
+                    this._addMessage('warning', 'フェーズの速度倍率が不正です');
+                    this._updateFields(this.editor.bossManager.getBoss());
+                    return;
+                }
+                this._commitPhase(index, { speed: value });
+            });
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'color-picker';
+            color.title = '胴体の色';
+            color.value = phase.colors?.body ?? boss.colors.body;
+            color.addEventListener('change', () => {
+                this._commitPhase(index, { colors: { ...phase.colors, body: color.value } });
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn--small btn--danger';
+            remove.textContent = '削除';
+            remove.addEventListener('click', () => this._commitPhase(index, null));
+
+            row.append(at, '% 速度×', speed, color, remove);
+
+            const abilities = document.createElement('div');
+            abilities.className = 'boss-phase-row';
+            for (const ability of BOSS_ABILITIES.filter(a => allowed.includes(a.id))) {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = (phase.abilities ?? boss.abilities).includes(ability.id);
+                checkbox.addEventListener('change', () => {
+                    const current = phase.abilities ?? boss.abilities;
+                    this._commitPhase(index, {
+                        abilities: allowed.filter(a => a === ability.id ? checkbox.checked : current.includes(a))
+                    });
+                });
+                label.append(checkbox, ability.name);
+                abilities.appendChild(label);
+            }
+
+            box.append(row, abilities);
+            list.appendChild(box);
+        });
+    }
+}
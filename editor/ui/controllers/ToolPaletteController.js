@@ -5,7 +5,7 @@
  * Extracted from UIController.js for single responsibility.
  */
 
-import { TOOLS, BRUSH_SIZES, DURABILITY_COLORS, TAP_DEFAULTS } from '../../core/Config.js';
+import { TOOLS, BRUSH_SIZES, DURABILITY_COLORS, TAP_DEFAULTS, KEY_GROUPS } from '../../core/Config.js';
 
 export class ToolPaletteController {
     /**
@@ -43,6 +43,8 @@ export class ToolPaletteController {
             brushSizeButtons: elements.brushSizeButtons,
             durabilityButtons: elements.durabilityButtons,
             colorPicker: elements.colorPicker,
+            keySettings: elements.keySettings,
+            keyGroupSelector: elements.keyGroupSelector,
             lineTypeButtons: elements.lineTypeButtons,
             lineColorPicker: elements.lineColorPicker,
             lineThickness: elements.lineThickness,
@@ -126,6 +128,21 @@ export class ToolPaletteController {
             });
         }
 
+        // Key group buttons (built from KEY_GROUPS)
+        if (this.elements.keyGroupSelector) {
+            for (const group of KEY_GROUPS) {
+                const btn = document.createElement('button');
+                btn.className = 'key-group-btn';
+                btn.dataset.keyId = group.id;
+                btn.style.backgroundColor = group.color;
+                btn.addEventListener('click', () => {
+                    this.editor.blockManager.setKeyId(group.id);
+                    this._updateKeyGroupUI();
+                });
+                this.elements.keyGroupSelector.appendChild(btn);
+            }
+        }
+
         // Line type buttons
         if (this.elements.lineTypeButtons) {
             this.elements.lineTypeButtons.forEach(btn => {
@@ -313,6 +330,7 @@ export class ToolPaletteController {
         this.editor.on('toolChanged', (tool) => this._updateToolUI(tool));
         this.editor.on('durabilityChanged', () => this._updateDurabilityUI());
         this.editor.on('brushSizeChanged', () => this._updateBrushSizeUI());
+        this.editor.on('blocksChanged', () => this._updateKeyGroupUI());
         this.editor.on('lineSelected', (line) => this._updateLinePropertiesUI(line));
     }
 
@@ -324,6 +342,7 @@ export class ToolPaletteController {
         this._updateToolUI(this.editor.currentTool);
         this._updateBrushSizeUI();
         this._updateDurabilityUI();
+        this._updateKeyGroupUI();
     }
 
     /**
@@ -338,6 +357,10 @@ export class ToolPaletteController {
                 btn.classList.toggle('active', tool === activeTool);
             }
         }
+
+        if (this.elements.keySettings) {
+            this.elements.keySettings.style.display = activeTool === TOOLS.KEY ? '' : 'none';
+        }
     }
 
     /**
@@ -370,6 +393,29 @@ export class ToolPaletteController {
         });
     }
 
+    /**
+     * Update key group buttons (active state and key/lock counts)
+     * @private
+     */
+    _updateKeyGroupUI() {
+        if (!this.elements.keyGroupSelector) return;
+
+        const currentKeyId = this.editor.blockManager.currentKeyId;
+        const groups = this.editor.blockManager.getKeyGroups();
+
+        this.elements.keyGroupSelector.querySelectorAll('.key-group-btn').forEach(btn => {
+            const keyId = btn.dataset.keyId;
+            const group = groups.get(keyId);
+            const keys = group ? group.keys.length : 0;
+            const locks = group ? group.locks.length : 0;
+
+            btn.classList.toggle('active', keyId === currentKeyId);
+            btn.textContent = keyId;
+            btn.title = `グループ${keyId}: キー${keys} / ロック${locks}`;
+            btn.classList.toggle('key-group-btn--orphan', locks > 0 && keys === 0);
+        });
+    }
+
     /**
      * Update line properties panel
      * @private
@@ -56,6 +56,10 @@ export class CursorManager {
             case TOOLS.EYEDROPPER:
                 cursor = this._generateEyedropperCursor();
                 break;
+            case TOOLS.KEY:
+            case TOOLS.BOSS:
+                cursor = 'pointer';
+                break;
             default:
                 cursor = 'default';
         }
@@ -0,0 +1,209 @@
+/**
+ * BlockTypes.js - Block Type Registry
+ * Based on game_specification.md Section 5.3
+ *
+ * Everything that differs between kinds of block lives here as hooks:
+ * whether a hit damages the block, what a hit or the destruction does,
+ * whether the block has to go for a stage clear, how lasers treat it and
+ * what is drawn over its hex. GameState, BlockSystem, LaserSystem and
+ * GameRenderSystem only call the hooks, so a new type needs nothing but
+ * an entry here.
+ */
+
+import { drawGemIcon, drawKeyIcon, drawLockIcon } from '../shared/Renderer.js';
+
+/** Type used when the block names none (or an unknown one) */
+export const DEFAULT_BLOCK_TYPE = 'normal';
+
+/**
+ * How a laser treats a block
+ * - pierce: damages the block and flies on
+ * - absorb: damages the block and stops
+ * - ignore: passes through without hitting
+ */
+export const LASER_MODES = {
+    PIERCE: 'pierce',
+    ABSORB: 'absorb',
+    IGNORE: 'ignore'
+};
+
+/**
+ * @typedef {Object} BlockHitContext
+ * @property {'ball'|'ghost'|'laser'} source - What hit the block
+ * @property {import('./GameState.js').GameState} state
+ * @property {import('./systems/GemSystem.js').GemSystem} gemSystem
+ * @property {import('./systems/KeyLockSystem.js').KeyLockSystem} keyLockSystem
+ */
+
+/**
+ * @typedef {Object} BlockTypeDefinition
+ * @property {(block: Object, data: Object) => void} init - Copy type-specific fields from stage data
+ * @property {(block: Object) => boolean} isDestructible - True if a hit damages the block right now
+ * @property {(block: Object) => boolean} countsTowardClear - True if the block must be destroyed to clear
+ * @property {(block: Object, hit: BlockHitContext) => void} onHit - After every hit (damage already applied)
+ * @property {(block: Object, hit: BlockHitContext) => void} onDestroy - After the hit that destroyed the block
+ * @property {(block: Object) => string} laserMode - One of LASER_MODES
+ * @property {((ctx: CanvasRenderingContext2D, x: number, y: number, radius: number, block: Object) => void)|null} renderOverlay
+ *   - Drawn over the block sprite (icons)
+ * @property {(block: Object) => number} overlayState - Changes when the overlay must be redrawn (0-3)
+ */
+
+/** @type {BlockTypeDefinition} - Plain block: dies at 0 durability, may drop a gem */
+const BASE_BLOCK_TYPE = {
+    init() {},
+    isDestructible: () => true,
+    countsTowardClear: () => true,
+    onHit() {},
+    onDestroy(block, hit) {
+        if (hit.gemSystem.rollDrop()) {
+            hit.gemSystem.spawnFromBlock(block);
+        }
+    },
+    laserMode: () => LASER_MODES.PIERCE,
+    renderOverlay: null,
+    overlayState: () => 0
+};
+
+/** @type {Object<string, BlockTypeDefinition>} */
+export const BLOCK_TYPES = {
+    normal: BASE_BLOCK_TYPE,
+
+    // One gem per hit, so durability gems in total
+    guaranteed: {
+        ...BASE_BLOCK_TYPE,
+        onHit(block, hit) {
+            hit.gemSystem.spawnFromBlock(block);
+        },
+        onDestroy() {},
+        renderOverlay(ctx, x, y) {
+            drawGemIcon(ctx, x, y, '#FFD700');
+        }
+    },
+
+    infinite: {
+        ...BASE_BLOCK_TYPE,
+        isDestructible: () => false,
+        countsTowardClear: () => false,
+        // Ghost balls slide through without bouncing, so only bounces and lasers pay out
+        onHit(block, hit) {
+            if (hit.source !== 'ghost') {
+                hit.gemSystem.spawnFromBlock(block);
+            }
+        },
+        laserMode: () => LASER_MODES.ABSORB,
+        renderOverlay(ctx, x, y) {
+            drawGemIcon(ctx, x, y, '#FF00FF');
+        }
+    },
+
+    key: {
+        ...BASE_BLOCK_TYPE,
+        init(block, data) {
+            block.keyId = data.keyId ?? null;  // キーグループ
+        },
+        onDestroy(block, hit) {
+            // Unlock linked locks when the last key of a group breaks
+            hit.keyLockSystem.onBlockDestroyed(block);
+            BASE_BLOCK_TYPE.onDestroy(block, hit);
+        },
+        renderOverlay(ctx, x, y) {
+            drawKeyIcon(ctx, x, y);
+        }
+    },
+
+    lock: {
+        ...BASE_BLOCK_TYPE,
+        init(block, data) {
+            block.linkedKeyId = data.linkedKeyId ?? null;  // 解錠に必要なキーグループ
+            block.locked = false;  // Set by KeyLockSystem.loadFromBlocks
+        },
+        isDestructible: (block) => !block.locked,
+        laserMode: (block) => (block.locked ? LASER_MODES.IGNORE : LASER_MODES.PIERCE),
+        // Unlocked locks lose their padlock icon
+        renderOverlay(ctx, x, y, radius, block) {
+            if (block.locked) {
+                drawLockIcon(ctx, x, y);
+            }
+        },
+        overlayState: (block) => (block.locked ? 1 : 0)
+    }
+};
+
+/**
+ * Add or replace a block type (hooks left out behave like a normal block)
+ * @param {string} id - Value of blockType (or gemDrop) in stage data
+ * @param {Partial<BlockTypeDefinition>} definition
+ */
+export function registerBlockType(id, definition) {
+    BLOCK_TYPES[id] = { ...BASE_BLOCK_TYPE, ...definition };
+}
+
+/**
+ * Type definition of a runtime block
+ * @param {Object} block - Block from GameState.blocks
+ * @returns {BlockTypeDefinition}
+ */
+export function getBlockType(block) {
+    return BLOCK_TYPES[block.type] || BLOCK_TYPES[DEFAULT_BLOCK_TYPE];
+}
+
+/**
+ * Build runtime blocks from stage data
+ * The type comes from blockType, or from gemDrop for the drop types.
+ * @param {Object[]|undefined} blocks - Raw blocks from stage data
+ * @returns {{blocks: Object[], warnings: string[]}}
+ */
+export function createBlocks(blocks) {
+    const unknown = new Map();
+    let ignoredGemDrops = 0;
+
+    const created = (blocks || []).map(data => {
+        let type = DEFAULT_BLOCK_TYPE;
+        if (data.blockType) {
+            if (BLOCK_TYPES[data.blockType]) {
+                type = data.blockType;
+                if (data.gemDrop) ignoredGemDrops++;
+            } else {
+                _count(unknown, `blockType "${data.blockType}"`);
+            }
+        } else if (data.gemDrop) {
+            if (BLOCK_TYPES[data.gemDrop]) {
+                type = data.gemDrop;
+            } else {
+                _count(unknown, `gemDrop "${data.gemDrop}"`);
+            }
+        }
+
+        const block = {
+            row: data.row,
+            col: data.col,
+            type,
+            durability: data.durability || 1,
+            maxDurability: data.durability || 1,
+            color: data.color || '#64B5F6',
+            sourceLayerId: data.sourceLayerId ?? null,  // 画像クリッピング用
+            alive: true
+        };
+        BLOCK_TYPES[type].init(block, data);
+        return block;
+    });
+
+    const warnings = [];
+    for (const [field, count] of unknown) {
+        warnings.push(`ブロックの ${field} が不正です (${count}個) → ${DEFAULT_BLOCK_TYPE} を使用`);
+    }
+    if (ignoredGemDrops > 0) {
+        warnings.push(`blockType と gemDrop を両方持つブロックがあります (${ignoredGemDrops}個) → gemDrop を無視`);
+    }
+
+    return { blocks: created, warnings };
+}
+
+/**
+ * @private
+ * @param {Map<string, number>} counts
+ * @param {string} key
+ */
+function _count(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
@@ -0,0 +1,319 @@
+/**
+ * BossConfig.js - Boss Definition Resolution
+ * Based on game_specification.md Section 5.5
+ *
+ * Validates the `boss` block written by the editor (boss tool) and fills
+ * missing or malformed fields with runtime defaults, like StageMeta.js
+ * does for `meta`. A boss without a valid position is left out. The boss
+ * type (entities/bosses/BossTypes.js) decides which abilities are allowed
+ * and overrides some defaults; phases are checked against the same rules.
+ */
+
+import { resolveDebuffTypes } from './systems/DebuffSystem.js';
+import { BOSS_TYPES, DEFAULT_BOSS_TYPE } from './entities/bosses/BossTypes.js';
+import { BOSS_DEFAULTS, BOSS_MIN_INTERVAL } from '../shared/StageDefaults.js';
+
+/** Runtime defaults (shared with the editor) */
+export const DEFAULT_BOSS_CONFIG = BOSS_DEFAULTS;
+
+/** Allowed body size range (hex radii) */
+const SIZE_RANGE = { min: 1, max: 6 };
+
+/**
+ * @typedef {Object} ResolvedBossConfig
+ * @property {string} type - Boss type ID (see BOSS_TYPES)
+ * @property {number} row - Starting hex row
+ * @property {number} col - Starting hex column
+ * @property {number} health - Hit points (integer >= 1)
+ * @property {number} size - Body radius in hex radii (1-6)
+ * @property {number} moveInterval - ms between moves
+ * @property {string[]} abilities - Enabled ability IDs
+ * @property {Object<string, number>} abilityIntervals - Cooldown per ability ID (ms)
+ * @property {number} catchHoldTime - ms a caught ball is held before it is thrown
+ * @property {string[]} debuffTypes - Debuffs released (see DebuffSystem)
+ * @property {number} hitScore - Score per ball hit
+ * @property {number} defeatScore - Score on defeat
+ * @property {number} laserDamage - Damage per laser hit
+ * @property {number} rewardGems - Gems dropped on defeat (integer >= 0)
+ * @property {{body: string, legs: string, eyes: string}} colors - #RRGGBB colors
+ * @property {BossPhase[]} phases - HP-threshold phases, highest `at` first
+ */
+
+/**
+ * Settings a boss switches to once its HP falls to `at`. Phases apply in
+ * order on top of each other; fields left out keep their current value.
+ * @typedef {Object} BossPhase
+ * @property {number} at - HP fraction that starts the phase (0 < at < 1)
+ * @property {string[]} [abilities]
+ * @property {Object<string, number>} [abilityIntervals]
+ * @property {string[]} [debuffTypes]
+ * @property {number} [moveInterval]
+ * @property {number} [speed] - Movement / attack speed multiplier
+ * @property {{body?: string, legs?: string, eyes?: string}} [colors]
+ */
+
+/**
+ * Validate a boss definition and merge it over the defaults
+ * @param {Object|null|undefined} boss - Raw boss block from stage data
+ * @returns {{config: ResolvedBossConfig|null, warnings: string[]}}
+ */
+export function resolveBossConfig(boss) {
+    const warnings = [];
+
+    if (boss === undefined || boss === null) {
+        return { config: null, warnings };
+    }
+    if (typeof boss !== 'object' || Array.isArray(boss)) {
+        warnings.push('boss が不正です → ボスなし');
+        return { config: null, warnings };
+    }
+    if (!Number.isInteger(boss.row) || boss.row < 0 || !Number.isInteger(boss.col) || boss.col < 0) {
+        warnings.push(`boss の位置が不正です (row: ${_format(boss.row)}, col: ${_format(boss.col)}) → ボスなし`);
+        return { config: null, warnings };
+    }
+
+    let type = DEFAULT_BOSS_TYPE;
+    if (boss.type !== undefined) {
+        if (Object.hasOwn(BOSS_TYPES, boss.type)) {
+            type = boss.type;
+        } else {
+            warnings.push(`boss.type が不正です (${_format(boss.type)}) → ${DEFAULT_BOSS_TYPE} を使用`);
+        }
+    }
+
+    const defaults = _typeDefaults(type);
+    const config = {
+        ...defaults,
+        type,
+        row: boss.row,
+        col: boss.col
+    };
+
+    const check = (key, isValid) => {
+        if (boss[key] === undefined) return;
+        if (isValid(boss[key])) {
+            config[key] = boss[key];
+        } else {
+            warnings.push(`boss.${key} が不正です (${_format(boss[key])}) → ${defaults[key]} を使用`);
+        }
+    };
+
+    check('health', v => Number.isInteger(v) && v >= 1);
+    check('size', v => Number.isFinite(v) && v >= SIZE_RANGE.min && v <= SIZE_RANGE.max);
+    check('moveInterval', _isInterval);
+    check('catchHoldTime', _isAmount);
+    check('hitScore', _isAmount);
+    check('defeatScore', _isAmount);
+    check('laserDamage', _isAmount);
+    check('rewardGems', v => Number.isInteger(v) && v >= 0);
+
+    if (boss.abilities !== undefined) {
+        config.abilities = _resolveAbilities(boss.abilities, type, 'boss.abilities', warnings)
+            ?? config.abilities;
+    }
+    if (boss.abilityIntervals !== undefined) {
+        Object.assign(config.abilityIntervals,
+            _resolveIntervals(boss.abilityIntervals, 'boss.abilityIntervals', warnings));
+    }
+    if (boss.debuffTypes !== undefined) {
+        config.debuffTypes = _resolveDebuffs(boss.debuffTypes, 'boss.debuffTypes', warnings)
+            ?? config.debuffTypes;
+    }
+    if (boss.colors !== undefined) {
+        Object.assign(config.colors, _resolveColors(boss.colors, 'boss.colors', warnings));
+    }
+
+    if (boss.phases !== undefined) {
+        if (Array.isArray(boss.phases)) {
+            config.phases = boss.phases
+                .map((phase, i) => _resolvePhase(phase, type, `boss.phases[${i}]`, warnings))
+                .filter(phase => phase !== null)
+                .sort((a, b) => b.at - a.at);
+        } else {
+            warnings.push('boss.phases が不正です → フェーズなし');
+        }
+    }
+
+    return { config, warnings };
+}
+
+/**
+ * Defaults for a boss type (DEFAULT_BOSS_CONFIG with the type's overrides), deep-copied
+ * @private
+ * @param {string} type
+ * @returns {Object}
+ */
+function _typeDefaults(type) {
+    const overrides = BOSS_TYPES[type].defaults;
+    return {
+        ...DEFAULT_BOSS_CONFIG,
+        ...overrides,
+        abilities: [...(overrides.abilities ?? DEFAULT_BOSS_CONFIG.abilities)],
+        abilityIntervals: { ...DEFAULT_BOSS_CONFIG.abilityIntervals, ...overrides.abilityIntervals },
+        debuffTypes: [...(overrides.debuffTypes ?? DEFAULT_BOSS_CONFIG.debuffTypes)],
+        colors: { ...DEFAULT_BOSS_CONFIG.colors, ...overrides.colors },
+        phases: []
+    };
+}
+
+/**
+ * Validate one phase; null (with a warning) if it has no valid threshold
+ * @private
+ * @returns {BossPhase|null}
+ */
+function _resolvePhase(phase, type, path, warnings) {
+    if (typeof phase !== 'object' || phase === null || Array.isArray(phase)) {
+        warnings.push(`${path} が不正です → 無視`);
+        return null;
+    }
+    if (!Number.isFinite(phase.at) || phase.at <= 0 || phase.at >= 1) {
+        warnings.push(`${path}.at が不正です (${_format(phase.at)}) → フェーズを無視`);
+        return null;
+    }
+
+    const resolved = { at: phase.at };
+
+    if (phase.abilities !== undefined) {
+        const abilities = _resolveAbilities(phase.abilities, type, `${path}.abilities`, warnings);
+        if (abilities) resolved.abilities = abilities;
+    }
+    if (phase.abilityIntervals !== undefined) {
+        resolved.abilityIntervals = _resolveIntervals(phase.abilityIntervals, `${path}.abilityIntervals`, warnings);
+    }
+    if (phase.debuffTypes !== undefined) {
+        const debuffTypes = _resolveDebuffs(phase.debuffTypes, `${path}.debuffTypes`, warnings);
+        if (debuffTypes) resolved.debuffTypes = debuffTypes;
+    }
+    if (phase.moveInterval !== undefined) {
+        if (_isInterval(phase.moveInterval)) {
+            resolved.moveInterval = phase.moveInterval;
+        } else {
+            warnings.push(`${path}.moveInterval が不正です (${_format(phase.moveInterval)}) → 無視`);
+        }
+    }
+    if (phase.speed !== undefined) {
+        if (Number.isFinite(phase.speed) && phase.speed > 0) {
+            resolved.speed = phase.speed;
+        } else {
+            warnings.push(`${path}.speed が不正です (${_format(phase.speed)}) → 無視`);
+        }
+    }
+    if (phase.colors !== undefined) {
+        resolved.colors = _resolveColors(phase.colors, `${path}.colors`, warnings);
+    }
+
+    return resolved;
+}
+
+/**
+ * Known, type-allowed abilities of a list; null if the list is not an array
+ * @private
+ * @returns {string[]|null}
+ */
+function _resolveAbilities(list, type, path, warnings) {
+    if (!Array.isArray(list)) {
+        warnings.push(`${path} が不正です → 無視`);
+        return null;
+    }
+
+    const allowed = BOSS_TYPES[type].abilities;
+    const abilities = [];
+    for (const ability of list) {
+        if (!Object.hasOwn(DEFAULT_BOSS_CONFIG.abilityIntervals, ability)) {
+            warnings.push(`${path}: ${_format(ability)} は未知の能力です → 無視`);
+        } else if (!allowed.includes(ability)) {
+            warnings.push(`${path}: ${_format(ability)} は ${type} では使えません → 無視`);
+        } else if (!abilities.includes(ability)) {
+            abilities.push(ability);
+        }
+    }
+    return abilities;
+}
+
+/**
+ * Valid entries of an ability interval map
+ * @private
+ * @returns {Object<string, number>}
+ */
+function _resolveIntervals(intervals, path, warnings) {
+    const resolved = {};
+    if (typeof intervals !== 'object' || intervals === null || Array.isArray(intervals)) {
+        warnings.push(`${path} が不正です → 無視`);
+        return resolved;
+    }
+
+    for (const [ability, interval] of Object.entries(intervals)) {
+        if (!Object.hasOwn(DEFAULT_BOSS_CONFIG.abilityIntervals, ability)) {
+            warnings.push(`${path}.${ability} は未知の能力です → 無視`);
+        } else if (_isInterval(interval)) {
+            resolved[ability] = interval;
+        } else {
+            warnings.push(`${path}.${ability} が不正です (${_format(interval)}) → 無視`);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Debuff list (see resolveDebuffTypes); null if not an array
+ * @private
+ * @returns {string[]|null}
+ */
+function _resolveDebuffs(list, path, warnings) {
+    if (!Array.isArray(list)) {
+        warnings.push(`${path} が不正です → 無視`);
+        return null;
+    }
+    list.forEach((name, i) => {
+        if (resolveDebuffTypes([name]).length === 0) {
+            warnings.push(`${path}[${i}] が不正です (${_format(name)}) → 無視`);
+        }
+    });
+    return resolveDebuffTypes(list);
+}
+
+/**
+ * Valid #RRGGBB entries of a color map
+ * @private
+ * @returns {{body?: string, legs?: string, eyes?: string}}
+ */
+function _resolveColors(colors, path, warnings) {
+    const resolved = {};
+    if (typeof colors !== 'object' || colors === null || Array.isArray(colors)) {
+        warnings.push(`${path} が不正です → 無視`);
+        return resolved;
+    }
+
+    for (const part of Object.keys(DEFAULT_BOSS_CONFIG.colors)) {
+        if (colors[part] === undefined) continue;
+        if (typeof colors[part] === 'string' && /^#[0-9a-f]{6}$/i.test(colors[part])) {
+            resolved[part] = colors[part];
+        } else {
+            warnings.push(`${path}.${part} が不正です (${_format(colors[part])}) → 無視`);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * @private
+ */
+function _isAmount(value) {
+    return Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Move / ability interval in ms (at least BOSS_MIN_INTERVAL)
+ * @private
+ */
+function _isInterval(value) {
+    return Number.isFinite(value) && value >= BOSS_MIN_INTERVAL;
+}
+
+/**
+ * Format a raw value for a warning message
+ * @private
+ */
+function _format(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
@@ -0,0 +1,236 @@
+/**
+ * CampaignManager.js - Multi-Stage Campaign Progression
+ * Based on game_specification.md Section 7.5
+ *
+ * Holds the ordered stages of a campaign export (editor "キャンペーンをエクスポート"),
+ * tracks the current stage and persists per-stage clear state to localStorage.
+ * Stage 1 is always unlocked; each further stage unlocks when the previous one is cleared.
+ * Progress is keyed by the editor's stage ID (stage name for exports without one), not by
+ * position, so reordering, inserting or editing stages before a re-export keeps each stage's
+ * clear state and best score. The content hash (getStageKey) is stored only to tell that a
+ * stage changed since it was cleared.
+ */
+
+import { loadSettings, saveSettings } from './SettingsStorage.js';
+import { getStageKey } from '../shared/HighScoreStorage.js';
+
+const PROGRESS_KEY_PREFIX = 'hexbreaker_campaign:';
+
+export class CampaignManager {
+    constructor() {
+        /** @type {string|null} - Project name (also the progress storage key) */
+        this.name = null;
+
+        /** @type {Object[]} - Stage data in play order */
+        this.stages = [];
+
+        /** @type {string[]} - Progress keys, parallel to stages */
+        this.stageKeys = [];
+
+        /** @type {string[]} - Content hashes (getStageKey), parallel to stages */
+        this.stageHashes = [];
+
+        /** @type {number} - Index of the stage being played (-1 = none) */
+        this.currentIndex = -1;
+
+        /** @type {{stages: Object<string, {cleared: boolean, bestScore: number, hash: string|null}>}} */
+        this.progress = { stages: {} };
+    }
+
+    /**
+     * Check if loaded data is a campaign export (vs. a single stage)
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    static isCampaignData(data) {
+        return data?.type === 'campaign' && Array.isArray(data.stages);
+    }
+
+    /**
+     * Load a campaign export and restore saved progress
+     * @param {Object} data - {type: 'campaign', projectName, stages}
+     */
+    load(data) {
+        if (!CampaignManager.isCampaignData(data) || data.stages.length === 0) {
+            throw new Error('キャンペーンデータにステージがありません');
+        }
+
+        this.name = data.projectName || 'Untitled';
+        this.stages = data.stages;
+        this.stageKeys = this._progressKeys(data.stages);
+        this.stageHashes = data.stages.map(stage => getStageKey(stage));
+        this.currentIndex = -1;
+        this.progress = this._loadProgress();
+    }
+
+    /**
+     * Whether a campaign is loaded
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.stages.length > 0;
+    }
+
+    /**
+     * Get stage data by index
+     * @param {number} index
+     * @returns {Object|null}
+     */
+    getStage(index) {
+        return this.stages[index] || null;
+    }
+
+    /**
+     * Check if a stage can be selected
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isUnlocked(index) {
+        if (index < 0 || index >= this.stages.length) return false;
+        return index === 0 || this.isCleared(index - 1) || this.isCleared(index);
+    }
+
+    /**
+     * Check if a stage has been cleared at least once
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isCleared(index) {
+        return this._getStageProgress(index)?.cleared === true;
+    }
+
+    /**
+     * Best score recorded for a stage
+     * @param {number} index
+     * @returns {number}
+     */
+    getBestScore(index) {
+        return this._getStageProgress(index)?.bestScore || 0;
+    }
+
+    /**
+     * Check if there is a stage after the current one
+     * @returns {boolean}
+     */
+    hasNext() {
+        return this.currentIndex + 1 < this.stages.length;
+    }
+
+    /**
+     * Check if a cleared stage has been edited since its last clear
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isChangedSinceClear(index) {
+        const entry = this._getStageProgress(index);
+        return !!entry?.hash && entry.hash !== this.stageHashes[index];
+    }
+
+    /**
+     * Stage list for the stage select screen
+     * @returns {{index: number, name: string, unlocked: boolean, cleared: boolean, changed: boolean, bestScore: number}[]}
+     */
+    getStageList() {
+        return this.stages.map((stage, index) => ({
+            index,
+            name: stage.stageName || `Stage ${index + 1}`,
+            unlocked: this.isUnlocked(index),
+            cleared: this.isCleared(index),
+            changed: this.isChangedSinceClear(index),
+            bestScore: this.getBestScore(index)
+        }));
+    }
+
+    /**
+     * Record a clear of the current stage and save progress
+     * @param {number} score - Score at clear (carried campaign score)
+     */
+    markCleared(score) {
+        const index = this.currentIndex;
+        if (index < 0) return;
+
+        this.progress.stages[this.stageKeys[index]] = {
+            cleared: true,
+            bestScore: Math.max(this.getBestScore(index), score),
+            hash: this.stageHashes[index]
+        };
+        this._saveProgress();
+    }
+
+    /**
+     * Erase saved progress for this campaign
+     */
+    resetProgress() {
+        this.progress = { stages: {} };
+        this._saveProgress();
+    }
+
+    /**
+     * Unload the campaign (single stage play)
+     */
+    clear() {
+        this.name = null;
+        this.stages = [];
+        this.stageKeys = [];
+        this.stageHashes = [];
+        this.currentIndex = -1;
+        this.progress = { stages: {} };
+    }
+
+    /**
+     * Progress key per stage: editor stage ID, else the stage name
+     * (repeated names get #2, #3, ... in play order)
+     * @param {Object[]} stages
+     * @returns {string[]}
+     * @private
+     */
+    _progressKeys(stages) {
+        const seen = new Map();
+        return stages.map((stage, index) => {
+            if (typeof stage.stageId === 'string' && stage.stageId) {
+                return `id:${stage.stageId}`;
+            }
+            const name = `name:${stage.stageName || `Stage ${index + 1}`}`;
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            return count > 1 ? `${name}#${count}` : name;
+        });
+    }
+
+    /**
+     * Saved progress entry for a stage
+     * @param {number} index
+     * @returns {{cleared: boolean, bestScore: number}|undefined}
+     * @private
+     */
+    _getStageProgress(index) {
+        const key = this.stageKeys[index];
+        return key !== undefined ? this.progress.stages[key] : undefined;
+    }
+
+    /**
+     * Load progress from localStorage
+     * @private
+     */
+    _loadProgress() {
+        return loadSettings(PROGRESS_KEY_PREFIX + this.name, { stages: {} }, (progress, saved) => {
+            if (!saved.stages || typeof saved.stages !== 'object') return;
+            for (const [key, entry] of Object.entries(saved.stages)) {
+                if (!entry || typeof entry !== 'object') continue;
+                progress.stages[key] = {
+                    cleared: entry.cleared === true,
+                    bestScore: Number.isFinite(entry.bestScore) ? entry.bestScore : 0,
+                    hash: typeof entry.hash === 'string' ? entry.hash : null
+                };
+            }
+        });
+    }
+
+    /**
+     * Save progress to localStorage
+     * @private
+     */
+    _saveProgress() {
+        saveSettings(PROGRESS_KEY_PREFIX + this.name, this.progress);
+    }
+}
@@ -7,7 +7,13 @@
  */
 
 import { GameState, STATES } from './GameState.js';
+import { CampaignManager } from './CampaignManager.js';
+import { StageStats } from './StageStats.js';
+import { GameClock } from './GameClock.js';
+import { SeededRandom } from './SeededRandom.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
 import { InputManager } from './InputManager.js';
+import { InputBindings } from './InputBindings.js';
 import { CollisionSystem } from './physics/CollisionSystem.js';
 import { GRID_SIZES } from '../shared/HexMath.js';
 
@@ -16,22 +22,55 @@ import { GameMessageSystem } from './ui/GameMessageSystem.js';
 import { GemSystem } from './systems/GemSystem.js';
 import { LaserSystem } from './systems/LaserSystem.js';
 import { WeaponSystem, WEAPON_COSTS } from './systems/WeaponSystem.js';
+import { DebuffSystem } from './systems/DebuffSystem.js';
 import { BossSystem } from './systems/BossSystem.js';
+import { KeyLockSystem } from './systems/KeyLockSystem.js';
+import { BlockSystem } from './systems/BlockSystem.js';
 import { GameRenderSystem } from './systems/GameRenderSystem.js';
 import { BallSystem } from './systems/BallSystem.js';
 import { StageLoader } from './systems/StageLoader.js';
 import { TapSystem } from './systems/TapSystem.js';
 import { PathMoveSystem } from './systems/PathMoveSystem.js';
+import { AudioSystem } from './systems/AudioSystem.js';
+import { EffectSystem } from './systems/EffectSystem.js';
+import { DisplaySystem } from './systems/DisplaySystem.js';
+import { GameEventBus, GAME_EVENTS } from './GameEvents.js';
+
+/** Tick length in seconds when the fixed timestep is enabled */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/** Ticks run per animation frame at most (drops time after long stalls) */
+const MAX_STEPS_PER_FRAME = 5;
 
 export class Game {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement|{width: number, height: number}} canvas - Game canvas (only its size when headless)
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Run without DOM: no rendering, DOM input,
+     *   message display or animation loop; advance with step() (see StageSimulator.js)
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.headless = options.headless === true;
+        this.ctx = this.headless ? null : canvas.getContext('2d');
 
         // Core systems
-        this.state = new GameState();
-        this.input = new InputManager(canvas);
-        this.collision = new CollisionSystem();
+        this.clock = new GameClock();
+        this.rng = new SeededRandom();
+        this.state = new GameState(this.clock);
+        this.input = this.headless
+            ? new InputManager(null)
+            : new InputManager(canvas, new InputBindings());
+        this.collision = new CollisionSystem(this.rng);
+
+        /** @type {GameEventBus} - Gameplay and HUD events (see GameEvents.js) */
+        this.events = new GameEventBus();
+        this.audio = new AudioSystem({ enabled: !this.headless });
+        this.audio.attach(this.events);
+
+        /** @type {StageStats} - Results of the current attempt (results screen, high scores) */
+        this.stageStats = new StageStats(this.state, this.clock);
+        this.stageStats.attach(this.events);
 
         // Stage settings
         this.canvasWidth = canvas.width;
@@ -39,38 +78,59 @@ export class Game {
         this.gridSize = GRID_SIZES.medium;
 
         // Initialize sub-systems
-        this.messageSystem = new GameMessageSystem();
-        this.gemSystem = new GemSystem(this.gridSize);
-        this.laserSystem = new LaserSystem();
-        this.weaponSystem = new WeaponSystem(this.messageSystem, this.laserSystem);
-        this.bossSystem = new BossSystem(this.gemSystem);
+        this.messageSystem = new GameMessageSystem({ headless: this.headless });
+        this.gemSystem = new GemSystem(this.gridSize, this.rng, this.events);
+        this.laserSystem = new LaserSystem(this.events);
+        this.weaponSystem = new WeaponSystem(this.messageSystem, this.laserSystem, this.clock, this.events);
+        this.debuffSystem = new DebuffSystem(this.weaponSystem, this.clock, this.events);
+        this.debuffSystem.onChange = () => this._updateUI();
+        this.bossSystem = new BossSystem(this.gemSystem, this.rng, this.events);
         this.renderSystem = new GameRenderSystem(this.ctx, this.canvasWidth, this.canvasHeight);
-        this.ballSystem = new BallSystem(this.collision);
+        this.display = new DisplaySystem(canvas, { enabled: !this.headless });
+        this.display.onChange = (display) => this.renderSystem.setPixelRatio(display.pixelRatio);
+        this.effectSystem = new EffectSystem(this.renderSystem, { enabled: !this.headless });
+        this.effectSystem.attach(this.events);
+        this.ballSystem = new BallSystem(this.collision, this.rng, this.events);
         this.stageLoader = new StageLoader();
         this.tapSystem = new TapSystem();
         this.pathMoveSystem = new PathMoveSystem();
+        this.keyLockSystem = new KeyLockSystem();
+        this.blockSystem = new BlockSystem(this.state, this.gemSystem, this.keyLockSystem, this.bossSystem, this.events);
 
         // Connect render system message callback
         this.renderSystem.showMessage = (text, type, duration) => {
             this.messageSystem.showMessage(text, type, duration);
         };
 
+        // Stage data as passed to loadStage (before runtime mutation)
+        this.sourceStageData = null;
+
+        // Campaign progression (multi-stage export)
+        this.campaign = new CampaignManager();
+
+        /** @type {{score: number, lives: number, gems: number}|null} - State carried into the current stage */
+        this.stageCarry = null;
+
         // Entities (managed externally or by systems)
-        this.paddle = null;
+        /** @type {import('./entities/Paddle.js').Paddle[]} - One paddle per paddle line */
+        this.paddles = [];
         this.shield = null;
 
         // Game loop
         this.lastTime = 0;
         this.running = false;
+        this._frameId = null;
+
+        /** @type {boolean} - Run _update in FIXED_TIMESTEP ticks (required for replays) */
+        this.fixedTimestep = true;
+        this._accumulator = 0;
 
-        // UI callbacks
-        this.onScoreUpdate = null;
-        this.onLivesUpdate = null;
-        this.onGemsUpdate = null;
-        this.onComboUpdate = null;
-        this.onWeaponUpdate = null;
-        this.onGameOver = null;
-        this.onStageClear = null;
+        // Input replay (see Replay.js)
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = new ReplayPlayer();
+
+        /** @type {string|null} - Last reported effect timers (see _updateEffectsUI) */
+        this._effectsSignature = null;
 
         // Bind methods
         this._gameLoop = this._gameLoop.bind(this);
@@ -79,47 +139,76 @@ export class Game {
         this.input.onLaunch = () => this._launchBall();
         this.input.onWeapon = (weaponId) => this._purchaseWeapon(weaponId);
         this.input.onTap = (x, y) => this._handleTap(x, y);
+        this.input.onFullscreen = () => this.display.toggleFullscreen();
 
-        // Window resize handler
-        window.addEventListener('resize', () => this._handleResize());
-    }
-
-    /**
-     * Handle window resize
-     * @private
-     */
-    _handleResize() {
-        if (this.canvasWidth && this.canvasHeight) {
-            this.stageLoader._setupCanvas(this.canvas, this.canvasWidth, this.canvasHeight);
+        // Rescale on resize / fullscreen / DPR change; audio starts on the first user gesture
+        if (!this.headless) {
+            this.display.bind(window);
+            this.audio.bindUnlock(window);
         }
     }
 
     /**
      * Load and start a stage
      * @param {Object} stageData - Stage data from editor
+     * @param {{score: number, lives: number, gems: number}|null} [carry=null] - State carried over from the previous campaign stage
+     * @param {Object} [options]
+     * @param {number} [options.seed] - PRNG seed (random when omitted; replays pass the recorded seed)
      */
-    loadStage(stageData) {
-        const result = this.stageLoader.loadStage(stageData, {
-            canvas: this.canvas,
+    loadStage(stageData, carry = null, options = {}) {
+        // Keep the source data pristine for restart; lines are mutated at runtime by PathMoveSystem
+        this.sourceStageData = stageData;
+        this.stageCarry = carry;
+        this.clock.clear();
+        this._effectsSignature = null;
+
+        // Fresh deterministic run: seed, tick phase, input
+        const seed = options.seed ?? SeededRandom.generateSeed();
+        this.rng.setSeed(seed);
+        this._accumulator = 0;
+        this.replayPlayer.stop();
+        this.input.playback = false;
+        this.input.clearActions();
+
+        if (this.fixedTimestep) {
+            this.replayRecorder.start({ stage: stageData, carry, seed, timestep: FIXED_TIMESTEP });
+        } else {
+            this.replayRecorder.stop();
+        }
+
+        const runtimeData = {
+            ...stageData,
+            lines: JSON.parse(JSON.stringify(stageData.lines || []))
+        };
+
+        const result = this.stageLoader.loadStage(runtimeData, {
+            display: this.display,
             collision: this.collision,
             gemSystem: this.gemSystem,
             renderSystem: this.renderSystem,
             bossSystem: this.bossSystem,
             state: this.state,
             weaponSystem: this.weaponSystem,
+            debuffSystem: this.debuffSystem,
             laserSystem: this.laserSystem,
-            showMessage: (text, type) => this.showMessage(text, type)
+            keyLockSystem: this.keyLockSystem,
+            showMessage: (text, type) => this.showMessage(text, type),
+            headless: this.headless
         });
 
         this.canvasWidth = result.canvasWidth;
         this.canvasHeight = result.canvasHeight;
+        this.input.setViewSize(this.canvasWidth, this.canvasHeight);
         this.gridSize = result.gridSize;
-        this.paddle = result.paddle;
+        this.events.emit(GAME_EVENTS.WEAPON_COSTS_CHANGED, { costs: this.weaponSystem.costs });
+        this.paddles = result.paddles;
         this.shield = result.shield;
+        this.effectSystem.load(runtimeData.lines, this.paddles, this.gridSize);
 
-        // Deep copy lines for runtime mutation by PathMoveSystem
-        if (this.state.stageData.lines) {
-            this.state.stageData.lines = JSON.parse(JSON.stringify(this.state.stageData.lines));
+        if (carry) {
+            this.state.score = carry.score;
+            this.state.lives = carry.lives;
+            this.state.gems = carry.gems;
         }
 
         // Initialize tap system and path movement
@@ -128,16 +217,29 @@ export class Game {
 
         // Clear and create initial ball
         this.ballSystem.clear();
-        this.ballSystem.createBall(this.paddle);
+        this.ballSystem.createBall(this.paddles[0]);
 
-        // Start game
+        this.events.emit(GAME_EVENTS.STAGE_LOADED, {
+            stageData: this.state.stageData,
+            meta: this.state.meta,
+            hasBoss: this.state.hasBoss
+        });
+
+        // Start game (the loop keeps running across stage loads; never start a second one)
+        const loopRunning = this.running;
         this.running = true;
-        this.lastTime = performance.now();
 
-        requestAnimationFrame(() => {
-            this.stageLoader._setupCanvas(this.canvas, this.canvasWidth, this.canvasHeight);
-            requestAnimationFrame(this._gameLoop);
-        });
+        if (!this.headless) {
+            this.lastTime = performance.now();
+
+            requestAnimationFrame(() => {
+                // Refit once the page layout (HUD, footer) has settled
+                this.display.fit();
+                if (!loopRunning) {
+                    this._frameId = requestAnimationFrame(this._gameLoop);
+                }
+            });
+        }
 
         this._updateUI();
     }
@@ -149,6 +251,50 @@ export class Game {
         this.loadStage(this.stageLoader.generateTestStageData());
     }
 
+    // =========================================================================
+    // Campaign
+    // =========================================================================
+
+    /**
+     * Load a campaign export (does not start a stage; show stage select first)
+     * @param {Object} campaignData - {type: 'campaign', projectName, stages}
+     */
+    loadCampaign(campaignData) {
+        this.stop();
+        this.campaign.load(campaignData);
+    }
+
+    /**
+     * Start a campaign stage from stage select with fresh score, lives and gems
+     * @param {number} index - Stage index
+     * @returns {boolean} - False if the stage is locked
+     */
+    startCampaignStage(index) {
+        if (!this.campaign.isUnlocked(index)) return false;
+
+        this.campaign.currentIndex = index;
+        this.loadStage(this.campaign.getStage(index));
+        return true;
+    }
+
+    /**
+     * Advance to the next campaign stage, carrying score, lives and gems
+     * (gems are already 0 here when the cleared stage had resetGemsOnClear)
+     * @returns {boolean} - False if there is no next stage
+     */
+    advanceCampaign() {
+        if (!this.campaign.isActive || !this.campaign.hasNext()) return false;
+
+        const carry = {
+            score: this.state.score,
+            lives: this.state.lives,
+            gems: this.state.gems
+        };
+        this.campaign.currentIndex++;
+        this.loadStage(this.campaign.getStage(this.campaign.currentIndex), carry);
+        return true;
+    }
+
     /**
      * Launch ball from paddle
      * @private
@@ -166,13 +312,70 @@ export class Game {
 
         const dt = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
+        this.input.pollGamepads();
 
-        if (this.state.state === STATES.PLAYING) {
-            this._update(dt);
+        // Effects keep playing over the clear / game over screens, but not while paused
+        if (this.state.state !== STATES.PAUSED) {
+            this.effectSystem.update(dt);
+        }
+
+        this._followReplayContinue();
+
+        if (this.state.state !== STATES.PLAYING) {
+            // Input while paused or on an overlay must not fire on resume
+            this.input.clearActions();
+        } else if (this.fixedTimestep || this.replayPlayer.isPlaying) {
+            this._stepFixed(dt);
+        } else {
+            this._tick(dt);
         }
 
         this._render();
-        requestAnimationFrame(this._gameLoop);
+        this._frameId = requestAnimationFrame(this._gameLoop);
+    }
+
+    /**
+     * Run as many fixed ticks as the elapsed frame time covers
+     * @param {number} frameDt - Elapsed real time in seconds
+     * @private
+     */
+    _stepFixed(frameDt) {
+        const step = this.replayPlayer.isPlaying ? this.replayPlayer.replay.timestep : FIXED_TIMESTEP;
+        this._accumulator += frameDt;
+
+        let steps = 0;
+        while (this._accumulator >= step && this.state.state === STATES.PLAYING) {
+            if (steps >= MAX_STEPS_PER_FRAME) {
+                this._accumulator = 0;
+                break;
+            }
+            this._tick(step);
+            this._accumulator -= step;
+            steps++;
+        }
+    }
+
+    /**
+     * Run one tick: take input (live or replayed), record it, apply actions, update
+     * @param {number} dt - Tick length in seconds
+     * @private
+     */
+    _tick(dt) {
+        let frame;
+        if (this.replayPlayer.isPlaying) {
+            frame = this.replayPlayer.nextFrame();
+            this.input.applyFrame(frame);
+        } else {
+            frame = this.input.captureFrame();
+        }
+
+        this.replayRecorder.record(frame);
+        this.input.dispatchActions(frame.actions);
+        this._update(dt);
+
+        if (this.replayPlayer.isPlaying && this.replayPlayer.isFinished) {
+            this._endReplay();
+        }
     }
 
     /**
@@ -182,53 +385,54 @@ export class Game {
     _update(dt) {
         const speedMultiplier = this.input.getSpeedMultiplier();
 
-        // Update path movement (before paddle, so lines are at new positions)
-        const pathDelta = this.pathMoveSystem.update(dt);
+        // Advance timed effects (stops while paused, follows fast-forward)
+        this.clock.advance(dt * speedMultiplier);
+        this._updateEffectsUI();
 
-        // Apply conveyor-belt effect to paddle
-        if (this.paddle.visible && (pathDelta.x !== 0 || pathDelta.y !== 0)) {
-            this.paddle.x += pathDelta.x;
-            this.paddle.y += pathDelta.y;
-            this.paddle.minX += pathDelta.x;
-            this.paddle.maxX += pathDelta.x;
-        }
+        // Update path movement (before paddle, so the paddle rides its moved line)
+        this.pathMoveSystem.update(dt);
 
         // Update weapon system (handles laser/magnet/ghost input)
-        this.weaponSystem.update(dt, this.input, this.ballSystem.balls, this.paddle);
+        this.weaponSystem.update(dt, this.input, this.ballSystem.balls, this.paddles);
 
         // Update laser system
-        this.laserSystem.update(dt, this.state.blocks, this.gridSize, (block, laser) => {
-            this._onBlockHitByLaser(block);
+        this.laserSystem.update(dt, this.collision.blockIndex, this.gridSize, (block, laser) => {
+            if (this.blockSystem.hitByLaser(block, laser)) {
+                this._updateUI();
+            }
         });
 
-        // Update paddle
-        this.paddle.update(this.input, this.canvasWidth);
+        // Update paddles
+        for (const paddle of this.paddles) {
+            paddle.update(dt, this.input, this.ballSystem.balls);
+        }
 
         // Update balls
         this.ballSystem.update(dt, speedMultiplier, {
-            paddle: this.paddle,
+            paddles: this.paddles,
             shield: this.shield,
             weaponSystem: this.weaponSystem,
             canvasWidth: this.canvasWidth,
             canvasHeight: this.canvasHeight,
             input: this.input,
             stageData: this.state.stageData,
-            blocks: this.state.blocks,
-            state: this.state,
-            bossSystem: this.bossSystem,
-            gemSystem: this.gemSystem
+            meta: this.state.meta,
+            blockSystem: this.blockSystem
         }, {
-            onMiss: () => this._loseLife(),
+            onMiss: (missPaddle) => this._loseLife(missPaddle),
             onUIUpdate: () => this._updateUI()
         });
 
         // Update gems
-        this.gemSystem.update(dt, this.paddle, this.canvasHeight, (gem) => {
+        this.gemSystem.update(dt, this.paddles, { width: this.canvasWidth, height: this.canvasHeight }, (gem) => {
             this.state.addGems(1);
             this.state.addScore(100);
             this._updateUI();
         });
 
+        // Update unlock animations
+        this.keyLockSystem.update(dt);
+
         // Update tap effects (pass balls to reset wasHitInTapArea flags and continue hit detection)
         if (this.tapSystem.active) {
             this.tapSystem.update(dt, this.ballSystem.balls);
@@ -252,11 +456,11 @@ export class Game {
     _updateBoss(dt) {
         this.bossSystem.update(dt, {
             balls: this.ballSystem.balls,
-            blocks: this.state.blocks,
-            paddle: this.paddle,
+            blockIndex: this.collision.blockIndex,
+            paddles: this.paddles,
             canvasWidth: this.canvasWidth,
             canvasHeight: this.canvasHeight,
-            onDebuffHit: (type) => this._applyDebuff(type)
+            onDebuffHit: (type) => this.debuffSystem.apply(type, this.paddles)
         });
 
         // Ball collisions with boss
@@ -272,62 +476,21 @@ export class Game {
         }
     }
 
-    /**
-     * Apply debuff effect from boss
-     * @private
-     */
-    _applyDebuff(type) {
-        switch (type) {
-            case 'slow':
-                this.ballSystem.balls.forEach(ball => ball.setSpeedMultiplier(0.5));
-                setTimeout(() => {
-                    this.ballSystem.balls.forEach(ball => ball.setSpeedMultiplier(1.0));
-                }, 5000);
-                break;
-            case 'shrink':
-                this.paddle.setWidthMultiplier(0.6);
-                setTimeout(() => {
-                    this.paddle.setWidthMultiplier(1.0);
-                }, 5000);
-                break;
-        }
-    }
-
-    /**
-     * Handle block hit by laser
-     * @private
-     */
-    _onBlockHitByLaser(block) {
-        block.durability--;
-        this.state.addScore(10);
-
-        if (block.durability <= 0) {
-            block.alive = false;
-            this.state.addScore(50);
-            this.state.incrementCombo();
-
-            if (this.gemSystem.shouldDropGem(block)) {
-                this.gemSystem.spawnFromBlock(block);
-            }
-        }
-
-        this._updateUI();
-    }
-
     /**
      * Handle losing a life
+     * @param {Object|null} [missPaddle] - Paddle whose miss line was crossed (respawn there)
      * @private
      */
-    _loseLife() {
+    _loseLife(missPaddle = null) {
         const gameOver = this.state.loseLife();
 
+        this.events.emit(GAME_EVENTS.LIFE_LOST, { lives: this.state.lives, gameOver, paddle: missPaddle });
+
         if (gameOver) {
             this.state.state = STATES.GAMEOVER;
-            if (this.onGameOver) {
-                this.onGameOver(this.state.score);
-            }
+            this.events.emit(GAME_EVENTS.GAME_OVER, { score: this.state.score });
         } else {
-            this.ballSystem.createBall(this.paddle);
+            this.ballSystem.createBall(missPaddle || this.paddles[0]);
         }
 
         this._updateUI();
@@ -343,7 +506,7 @@ export class Game {
         const success = this.weaponSystem.purchase(weaponId, {
             state: this.state,
             balls: this.ballSystem.balls,
-            paddle: this.paddle,
+            paddles: this.paddles,
             shield: this.shield
         });
 
@@ -358,9 +521,23 @@ export class Game {
      */
     _stageClear() {
         this.state.state = STATES.CLEAR;
-        if (this.onStageClear) {
-            this.onStageClear(this.state.score);
+
+        // Clear bonus (not multiplied by combo)
+        const { clearBonus, resetGemsOnClear } = this.state.meta;
+        if (clearBonus > 0) {
+            this.state.score += clearBonus;
+            this.showMessage(`CLEAR BONUS +${clearBonus.toLocaleString()}`, 'success');
         }
+        if (resetGemsOnClear) {
+            this.state.gems = 0;
+        }
+        this._updateUI();
+
+        if (this.campaign.isActive) {
+            this.campaign.markCleared(this.state.score);
+        }
+
+        this.events.emit(GAME_EVENTS.STAGE_CLEAR, { score: this.state.score });
     }
 
     /**
@@ -368,14 +545,43 @@ export class Game {
      * @private
      */
     _updateUI() {
-        if (this.onScoreUpdate) this.onScoreUpdate(this.state.score);
-        if (this.onLivesUpdate) this.onLivesUpdate(this.state.lives);
-        if (this.onGemsUpdate) this.onGemsUpdate(this.state.gems);
-        if (this.onComboUpdate) this.onComboUpdate(this.state.combo);
+        this.events.emit(GAME_EVENTS.SCORE_CHANGED, { score: this.state.score });
+        this.events.emit(GAME_EVENTS.LIVES_CHANGED, { lives: this.state.lives });
+        this.events.emit(GAME_EVENTS.GEMS_CHANGED, { gems: this.state.gems });
+        this.events.emit(GAME_EVENTS.COMBO_CHANGED, { combo: this.state.combo });
+        this.events.emit(GAME_EVENTS.WEAPONS_CHANGED, {
+            availability: this.weaponSystem.getAvailability(this.state.gems)
+        });
 
-        if (this.onWeaponUpdate) {
-            this.onWeaponUpdate(this.weaponSystem.getAvailability(this.state.gems));
-        }
+        this._updateEffectsUI();
+    }
+
+    /**
+     * Report remaining durations of timed weapons and debuffs
+     * Only emits effectsChanged when the displayed (whole-second) values change.
+     * @private
+     */
+    _updateEffectsUI() {
+        const effects = [
+            ...this.weaponSystem.getActiveTimers().map(timer => ({
+                kind: 'weapon',
+                id: timer.weaponId,
+                remaining: timer.remaining,
+                duration: timer.duration
+            })),
+            ...this.clock.getTimers('debuff:').map(timer => ({
+                kind: 'debuff',
+                id: timer.key.slice('debuff:'.length),
+                remaining: timer.remaining,
+                duration: timer.duration
+            }))
+        ];
+
+        const signature = effects.map(e => `${e.kind}:${e.id}:${Math.ceil(e.remaining)}`).join(',');
+        if (signature === this._effectsSignature) return;
+        this._effectsSignature = signature;
+
+        this.events.emit(GAME_EVENTS.EFFECTS_CHANGED, { effects });
     }
 
     /**
@@ -387,11 +593,16 @@ export class Game {
         this.renderSystem.render({
             state: this.state,
             balls: this.ballSystem.balls,
-            paddle: this.paddle,
+            paddles: this.paddles,
             shield: this.shield,
-            gridSize: this.gridSize
+            gridSize: this.gridSize,
+            movingLines: this.pathMoveSystem.movingLines,
+            effects: this.effectSystem
         });
 
+        // Render unlock animations
+        this.keyLockSystem.render(this.ctx);
+
         // Render tap area
         this.tapSystem.render(this.ctx);
 
@@ -403,6 +614,9 @@ export class Game {
 
         // Render boss
         this.bossSystem.render(this.ctx);
+
+        // Particles and popups on top
+        this.effectSystem.render(this.ctx);
     }
 
     /**
@@ -417,31 +631,131 @@ export class Game {
         // Hit ball and collect gem simultaneously
         this.tapSystem.handleTap(x, y, this.ballSystem.balls);
 
-        // Collect gem in same hitRadius
-        this.gemSystem.collectByTap(x, y, this.tapSystem.hitRadius, (gem) => {
+        // Collect gem in the tapped area's hitRadius
+        const hitRadius = this.tapSystem.getAreaAt(x, y)?.hitRadius ?? this.tapSystem.hitRadius;
+        this.gemSystem.collectByTap(x, y, hitRadius, () => {
             this.state.addGems(1);
-            // Spawn +1 popup at gem position
-            this.tapSystem.spawnTextEffect(gem.x, gem.y, '+1');
         });
     }
 
     /**
-     * Restart game
+     * Continue after game over (game_specification.md 7.2)
+     * Lives are refilled and blocks and boss keep their state; held gems,
+     * falling gems, weapon effects and debuffs are lost.
+     * @returns {boolean} - False when not on game over or no continues are left
+     */
+    continueGame() {
+        if (this.state.state !== STATES.GAMEOVER || this.state.continuesLeft === 0) return false;
+
+        this.state.continueGame();
+        this.weaponSystem.forfeit({ paddles: this.paddles, shield: this.shield });
+        this.debuffSystem.clear();
+        this.gemSystem.clear();
+
+        this.ballSystem.clear();
+        this.ballSystem.createBall(this.paddles[0]);
+
+        this._accumulator = 0;
+        this.input.clearActions();
+        this.replayRecorder.recordContinue();
+
+        this.events.emit(GAME_EVENTS.CONTINUED, {
+            continues: this.state.continues,
+            continuesLeft: this.state.continuesLeft
+        });
+        this._updateUI();
+        return true;
+    }
+
+    /**
+     * Continue on game over where the replayed player did
+     * @private
+     */
+    _followReplayContinue() {
+        if (this.state.state === STATES.GAMEOVER && this.replayPlayer.continuesNext) {
+            this.continueGame();
+        }
+    }
+
+    /**
+     * Restart the current stage (campaign stages restart with the state they were entered with)
      */
     restart() {
-        if (this.state.stageData) {
-            this.loadStage(this.state.stageData);
+        if (this.sourceStageData) {
+            this.loadStage(this.sourceStageData, this.stageCarry);
         } else {
             this.loadTestStage();
         }
     }
 
+    /**
+     * Advance one fixed tick without the animation loop (headless runs)
+     * Input is taken from the InputManager state and queued actions as usual.
+     * @returns {boolean} - False once the stage is no longer being played
+     */
+    step() {
+        this._followReplayContinue();
+        if (this.state.state !== STATES.PLAYING) return false;
+
+        this._tick(FIXED_TIMESTEP);
+        return this.state.state === STATES.PLAYING;
+    }
+
+    /**
+     * Enable or disable the fixed timestep
+     * Recording needs fixed ticks, so disabling it also stops the current recording.
+     * @param {boolean} enabled
+     */
+    setFixedTimestep(enabled) {
+        this.fixedTimestep = enabled;
+        this._accumulator = 0;
+        if (!enabled) {
+            this.replayRecorder.stop();
+        }
+    }
+
+    /**
+     * Get the recording of the current stage attempt
+     * @returns {import('./Replay.js').ReplayData|null}
+     */
+    getReplay() {
+        return this.replayRecorder.hasData ? this.replayRecorder.toReplay() : null;
+    }
+
+    /**
+     * Load a replay's stage and play its recorded input back
+     * @param {import('./Replay.js').ReplayData} replay
+     * @throws {Error} If the replay is invalid
+     */
+    playReplay(replay) {
+        ReplayPlayer.validate(replay);
+
+        this.loadStage(replay.stage, replay.carry, { seed: replay.seed });
+        this.stageStats.markReplay();
+        this.replayPlayer.start(replay);
+        this.input.playback = true;
+        this.showMessage(`▶ リプレイ再生中 (seed ${replay.seed})`, 'info');
+    }
+
+    /**
+     * Hand control back to the player after the last replayed tick
+     * @private
+     */
+    _endReplay() {
+        this.replayPlayer.stop();
+        this.input.playback = false;
+        this.showMessage('リプレイ終了 — 操作を引き継ぎます', 'info');
+
+        this.events.emit(GAME_EVENTS.REPLAY_ENDED);
+    }
+
     /**
      * Pause game
      */
     pause() {
         if (this.state.state === STATES.PLAYING) {
             this.state.state = STATES.PAUSED;
+            this.events.emit(GAME_EVENTS.PAUSED);
         }
     }
 
@@ -451,6 +765,7 @@ export class Game {
     resume() {
         if (this.state.state === STATES.PAUSED) {
             this.state.state = STATES.PLAYING;
+            this.events.emit(GAME_EVENTS.RESUMED);
         }
     }
 
@@ -459,6 +774,11 @@ export class Game {
      */
     stop() {
         this.running = false;
+        this.audio.stopBgm();
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
     }
 
     // =========================================================================
@@ -0,0 +1,134 @@
+/**
+ * GameClock.js - Game-Time Scheduler
+ * Based on game_specification.md Section 2.1
+ *
+ * Replaces wall-clock setTimeout for gameplay effects. Time only advances
+ * through advance(dt) from Game._update, so timers stop while paused and
+ * follow the fast-forward multiplier.
+ *
+ * Timers are keyed ('weapon:slow', 'debuff:short', 'combo', ...).
+ * Scheduling an existing key restarts it, so re-activating an effect
+ * extends it instead of being cut short by the older timer.
+ */
+
+export class GameClock {
+    constructor() {
+        /** @type {number} - Elapsed game time in seconds */
+        this.time = 0;
+
+        /** @type {Map<string, {dueTime: number, duration: number, callback: Function}>} */
+        this.timers = new Map();
+
+        /** @type {number} - Counter for anonymous timer keys */
+        this._nextId = 1;
+    }
+
+    /**
+     * Schedule a callback after a game-time delay
+     * @param {number} delay - Delay in seconds
+     * @param {Function} callback - Called once when the timer expires
+     * @param {string|null} [key=null] - Timer key; replaces a pending timer with the same key
+     * @returns {string} - Timer key (generated when omitted)
+     */
+    schedule(delay, callback, key = null) {
+        const timerKey = key ?? `timer:${this._nextId++}`;
+        this.timers.set(timerKey, {
+            dueTime: this.time + delay,
+            duration: delay,
+            callback
+        });
+        return timerKey;
+    }
+
+    /**
+     * Cancel a pending timer
+     * @param {string} key
+     * @returns {boolean} - True if a timer was cancelled
+     */
+    cancel(key) {
+        return this.timers.delete(key);
+    }
+
+    /**
+     * Cancel all timers whose key starts with a prefix
+     * @param {string} prefix - e.g. 'weapon:'
+     */
+    cancelByPrefix(prefix) {
+        for (const key of [...this.timers.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.timers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Check if a timer is pending
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.timers.has(key);
+    }
+
+    /**
+     * Get remaining time of a timer
+     * @param {string} key
+     * @returns {number} - Seconds left (0 if not pending)
+     */
+    getRemaining(key) {
+        const timer = this.timers.get(key);
+        return timer ? Math.max(0, timer.dueTime - this.time) : 0;
+    }
+
+    /**
+     * List pending timers whose key starts with a prefix
+     * @param {string} prefix
+     * @returns {{key: string, remaining: number, duration: number}[]}
+     */
+    getTimers(prefix) {
+        const result = [];
+        for (const [key, timer] of this.timers) {
+            if (key.startsWith(prefix)) {
+                result.push({
+                    key,
+                    remaining: Math.max(0, timer.dueTime - this.time),
+                    duration: timer.duration
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Advance game time and fire expired timers in due order
+     * @param {number} dt - Game-time delta in seconds
+     */
+    advance(dt) {
+        this.time += dt;
+
+        const due = [];
+        for (const [key, timer] of this.timers) {
+            if (timer.dueTime <= this.time) {
+                due.push([key, timer]);
+            }
+        }
+        if (due.length === 0) return;
+
+        due.sort((a, b) => a[1].dueTime - b[1].dueTime);
+
+        for (const [key, timer] of due) {
+            // Skip timers cancelled or rescheduled by an earlier callback
+            if (this.timers.get(key) !== timer) continue;
+            this.timers.delete(key);
+            timer.callback();
+        }
+    }
+
+    /**
+     * Drop all timers and reset time (for new stage)
+     */
+    clear() {
+        this.timers.clear();
+        this.time = 0;
+    }
+}
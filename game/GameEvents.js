@@ -0,0 +1,194 @@
+/**
+ * GameEvents.js - Game Event Bus and Event Catalog
+ * Based on game_specification.md Section 2.7
+ *
+ * Core systems announce what happened (block destroyed, gem collected,
+ * boss ability used, ...) on one bus owned by Game. Audio, HUD, effects
+ * and tools subscribe without the core systems knowing about them.
+ *
+ * Events are synchronous and fire inside the tick that caused them.
+ * Subscribers must not change game state, or replays and headless runs
+ * stop being deterministic.
+ */
+
+/**
+ * Event names. Payload of each event: see GameEventMap.
+ * @readonly
+ * @enum {string}
+ */
+export const GAME_EVENTS = Object.freeze({
+    // HUD state
+    SCORE_CHANGED: 'scoreChanged',
+    LIVES_CHANGED: 'livesChanged',
+    GEMS_CHANGED: 'gemsChanged',
+    COMBO_CHANGED: 'comboChanged',
+    WEAPONS_CHANGED: 'weaponsChanged',
+    WEAPON_COSTS_CHANGED: 'weaponCostsChanged',
+    EFFECTS_CHANGED: 'effectsChanged',
+
+    // Game flow
+    STAGE_LOADED: 'stageLoaded',
+    STAGE_CLEAR: 'stageClear',
+    GAME_OVER: 'gameOver',
+    CONTINUED: 'continued',
+    LIFE_LOST: 'lifeLost',
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    REPLAY_ENDED: 'replayEnded',
+
+    // Ball
+    BALL_LAUNCHED: 'ballLaunched',
+    BALL_LOST: 'ballLost',
+    WALL_HIT: 'wallHit',
+    LINE_HIT: 'lineHit',
+    PADDLE_HIT: 'paddleHit',
+    SHIELD_HIT: 'shieldHit',
+
+    // Blocks
+    BLOCK_HIT: 'blockHit',
+    BLOCK_DESTROYED: 'blockDestroyed',
+
+    // Gems and weapons
+    GEM_SPAWNED: 'gemSpawned',
+    GEM_COLLECTED: 'gemCollected',
+    WEAPON_ACTIVATED: 'weaponActivated',
+    WEAPON_EXPIRED: 'weaponExpired',
+    LASER_FIRED: 'laserFired',
+
+    // Boss
+    BOSS_HIT: 'bossHit',
+    BOSS_DEFEATED: 'bossDefeated',
+    BOSS_ABILITY: 'bossAbility',
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',
+    DEBUFF_APPLIED: 'debuffApplied',
+    DEBUFF_EXPIRED: 'debuffExpired'
+});
+
+/**
+ * Payload per event name
+ * @typedef {Object} GameEventMap
+ * @property {{score: number}} scoreChanged
+ * @property {{lives: number}} livesChanged
+ * @property {{gems: number}} gemsChanged
+ * @property {{combo: number}} comboChanged
+ * @property {{availability: Object<string, boolean>}} weaponsChanged - Affordable weapons
+ * @property {{costs: Object<string, number>}} weaponCostsChanged - Costs of the loaded stage
+ * @property {{effects: {kind: 'weapon'|'debuff', id: string, remaining: number, duration: number}[]}} effectsChanged
+ *   - Timed effects (only when a whole-second value changes)
+ * @property {{stageData: Object, meta: Object, hasBoss: boolean}} stageLoaded
+ * @property {{score: number}} stageClear
+ * @property {{score: number}} gameOver
+ * @property {{continues: number, continuesLeft: number|null}} continued - Play resumed after game over
+ *   (continuesLeft null = unlimited)
+ * @property {{lives: number, gameOver: boolean, paddle: Object|null}} lifeLost - Last ball missed
+ * @property {{}} paused
+ * @property {{}} resumed
+ * @property {{}} replayEnded
+ * @property {{balls: Object[]}} ballLaunched - Balls that left their paddle
+ * @property {{ball: Object, paddle: Object|null}} ballLost - A ball crossed a miss line (paddle = owner of the line)
+ * @property {{ball: Object, wall: 'left'|'right'|'top'}} wallHit
+ * @property {{ball: Object, line: Object}} lineHit - Collision line
+ * @property {{ball: Object, paddle: Object, caught: boolean}} paddleHit - caught = held by MAGNET
+ * @property {{ball: Object}} shieldHit
+ * @property {{block: Object, source: 'ball'|'ghost'|'laser', locked: boolean, destroyed: boolean}} blockHit
+ *   - Every hit; locked = no damage taken (locked lock, infinite block), destroyed = this hit broke the block
+ * @property {{block: Object, source: 'ball'|'ghost'|'laser'}} blockDestroyed - Follows the destroying blockHit
+ * @property {{gem: Object, source: 'block'|'boss'}} gemSpawned
+ * @property {{gem: Object, by: 'paddle'|'tap'}} gemCollected
+ * @property {{weaponId: string, cost: number}} weaponActivated
+ * @property {{weaponId: string}} weaponExpired - Weapon effect ended (timer ran out, replaced by
+ *   another of LASER / MAGNET / GHOST, or LASER stock used up)
+ * @property {{count: number}} laserFired - Lasers in the volley
+ * @property {{boss: Object, part: {x: number, y: number, radius: number}, source: 'ball'|'laser', defeated: boolean}} bossHit
+ *   - part = hit circle of the boss (body, serpent segment, splitter body)
+ * @property {{boss: Object}} bossDefeated - Follows the defeating bossHit
+ * @property {{boss: Object, ability: string}} bossAbility - See BOSS_ABILITIES
+ * @property {{boss: Object, phase: number}} bossPhaseChanged - HP fell to a phase threshold
+ *   (phase = index in boss.phases; follows the bossHit)
+ * @property {{type: string, refreshed: boolean}} debuffApplied - Boss debuff projectile hit a paddle
+ *   (refreshed = was already active, timer restarted)
+ * @property {{type: string}} debuffExpired - Debuff ended (timer ran out or continue)
+ */
+
+/** @type {Set<string>} */
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+export class GameEventBus {
+    constructor() {
+        /** @type {Map<string, Function[]>} */
+        this._handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @template {keyof GameEventMap} K
+     * @param {K} event - GAME_EVENTS value
+     * @param {function(GameEventMap[K]): void} handler
+     * @returns {function(): void} - Unsubscribe
+     */
+    on(event, handler) {
+        this._assertKnown(event);
+
+        if (!this._handlers.has(event)) {
+            this._handlers.set(event, []);
+        }
+        this._handlers.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event
+     * @param {Function} handler
+     */
+    off(event, handler) {
+        const handlers = this._handlers.get(event);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index >= 0) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify all subscribers of an event. A failing subscriber is logged and
+     * does not stop the others (or the tick that emitted the event).
+     * @template {keyof GameEventMap} K
+     * @param {K} event - GAME_EVENTS value
+     * @param {GameEventMap[K]} [payload={}]
+     */
+    emit(event, payload = {}) {
+        this._assertKnown(event);
+
+        const handlers = this._handlers.get(event);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers may unsubscribe while being called
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Game event handler failed (${event}):`, e);
+            }
+        }
+    }
+
+    /**
+     * Drop all subscribers
+     */
+    clear() {
+        this._handlers.clear();
+    }
+
+    /**
+     * Reject names missing from GAME_EVENTS (typos would otherwise fail silently)
+     * @private
+     * @param {string} event
+     */
+    _assertKnown(event) {
+        if (!KNOWN_EVENTS.has(event)) {
+            throw new Error(`Unknown game event: ${event}`);
+        }
+    }
+}
@@ -3,6 +3,12 @@
  * Based on game_specification.md Section 2.2
  */
 
+import { DEFAULT_STAGE_META } from './StageMeta.js';
+import { createBlocks, getBlockType } from './BlockTypes.js';
+
+/** Seconds of game time before the combo resets */
+export const COMBO_TIMEOUT = 2;
+
 export const STATES = {
     TITLE: 'title',
     PLAYING: 'playing',
@@ -12,17 +18,24 @@ export const STATES = {
 };
 
 export class GameState {
-    constructor() {
+    /**
+     * @param {import('./GameClock.js').GameClock} clock - Game clock for the combo timer
+     */
+    constructor(clock) {
+        this.clock = clock;
         this.state = STATES.TITLE;
         this.score = 0;
         this.lives = 3;
         this.gems = 0;
+        /** @type {number} - Continues used in this stage */
+        this.continues = 0;
         this.combo = 0;
-        this.comboTimer = null;
         this.activeWeapons = {};
 
         // Stage data
         this.stageData = null;
+        /** @type {import('./StageMeta.js').ResolvedStageMeta} - Validated stage meta */
+        this.meta = DEFAULT_STAGE_META;
         this.blocks = [];
         this.initialBlockCount = 0;
 
@@ -37,46 +50,57 @@ export class GameState {
     reset() {
         this.state = STATES.PLAYING;
         this.score = 0;
-        this.lives = this.stageData?.meta?.initialLives || 3;
+        this.lives = this.meta.initialLives;
         this.gems = 0;
+        this.continues = 0;
         this.combo = 0;
         this.activeWeapons = {};
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-            this.comboTimer = null;
-        }
+        this.clock.cancel('combo');
+    }
+
+    /**
+     * Continues left in this stage
+     * @returns {number|null} - null = unlimited
+     */
+    get continuesLeft() {
+        const max = this.meta.maxContinues;
+        return max === null ? null : Math.max(0, max - this.continues);
+    }
+
+    /**
+     * Continue after game over: lives refilled, held gems lost, play resumes
+     * Blocks and boss are left as they are.
+     */
+    continueGame() {
+        this.continues++;
+        this.lives = this.meta.initialLives;
+        this.gems = 0;
+        this.combo = 0;
+        this.activeWeapons = {};
+        this.clock.cancel('combo');
+        this.state = STATES.PLAYING;
     }
 
     /**
      * Load stage data
      * @param {Object} data - Stage data from editor
+     * @param {import('./StageMeta.js').ResolvedStageMeta} [meta] - Validated stage meta
+     * @returns {string[]} - Warnings for blocks of an unknown type (loaded as normal blocks)
      */
-    loadStage(data) {
+    loadStage(data, meta = DEFAULT_STAGE_META) {
         this.stageData = data;
-        this.blocks = [];
+        this.meta = meta;
 
-        // Extract blocks from stage data
-        if (data.blocks) {
-            this.blocks = data.blocks.map(block => ({
-                row: block.row,
-                col: block.col,
-                durability: block.durability || 1,
-                maxDurability: block.durability || 1,
-                color: block.color || '#64B5F6',
-                gemDrop: block.gemDrop || null,
-                blockType: block.blockType || null,
-                sourceLayerId: block.sourceLayerId ?? null,  // 画像クリッピング用
-                alive: true
-            }));
-        }
-
-        this.initialBlockCount = this.blocks.filter(b =>
-            b.blockType !== 'infinite' && b.gemDrop !== 'infinite'
-        ).length;
+        // Extract blocks from stage data (type-specific fields come from BlockTypes.js)
+        const { blocks, warnings } = createBlocks(data.blocks);
+        this.blocks = blocks;
+        this.initialBlockCount = this.blocks.filter(b => getBlockType(b).countsTowardClear(b)).length;
 
         // Boss state
         this.hasBoss = !!data.boss;
         this.bossDefeated = false;
+
+        return warnings;
     }
 
     /**
@@ -94,14 +118,10 @@ export class GameState {
     incrementCombo() {
         this.combo++;
 
-        // Reset combo timer
-        if (this.comboTimer) {
-            clearTimeout(this.comboTimer);
-        }
-
-        this.comboTimer = setTimeout(() => {
+        // Restart combo timer
+        this.clock.schedule(COMBO_TIMEOUT, () => {
             this.combo = 0;
-        }, 2000); // COMBO_TIMEOUT
+        }, 'combo');
     }
 
     /**
@@ -127,18 +147,12 @@ export class GameState {
      * @returns {boolean}
      */
     isCleared() {
-        const aliveDestructible = this.blocks.filter(b =>
-            b.alive &&
-            b.blockType !== 'infinite' &&
-            b.gemDrop !== 'infinite'
-        );
-
         // If stage has boss, boss must also be defeated
         if (this.hasBoss && !this.bossDefeated) {
             return false;
         }
 
-        return aliveDestructible.length === 0;
+        return this.getRemainingBlocks() === 0;
     }
 
     /**
@@ -149,14 +163,10 @@ export class GameState {
     }
 
     /**
-     * Get remaining destructible blocks
+     * Get remaining blocks that count toward the clear
      * @returns {number}
      */
     getRemainingBlocks() {
-        return this.blocks.filter(b =>
-            b.alive &&
-            b.blockType !== 'infinite' &&
-            b.gemDrop !== 'infinite'
-        ).length;
+        return this.blocks.filter(b => b.alive && getBlockType(b).countsTowardClear(b)).length;
     }
 }
@@ -0,0 +1,331 @@
+/**
+ * InputBindings.js - Action Mapping for Keyboard and Gamepad
+ * Based on game_specification.md Section 2.3
+ *
+ * Game code asks for actions (launch, fire, weapon N, ...) instead of
+ * physical keys. Each action holds a list of keyboard codes
+ * (KeyboardEvent.code) and gamepad buttons (standard mapping indices).
+ * Player changes are saved to localStorage.
+ */
+
+import { loadSettings, saveSettings } from './SettingsStorage.js';
+
+/** localStorage key for saved bindings */
+const SETTINGS_KEY = 'hexbreaker_controls';
+
+/** Keyboard codes an action can hold (the settings screen shows one slot each) */
+export const KEY_SLOTS = 2;
+
+/**
+ * Bindable actions
+ * @readonly
+ * @enum {string}
+ */
+export const INPUT_ACTIONS = Object.freeze({
+    LAUNCH: 'launch',
+    FIRE: 'fire',
+    FAST_FORWARD: 'fastForward',
+    PAUSE: 'pause',
+    FULLSCREEN: 'fullscreen',
+    MUTE: 'mute',
+    PADDLE_LEFT: 'paddleLeft',
+    PADDLE_RIGHT: 'paddleRight',
+    PADDLE_UP: 'paddleUp',
+    PADDLE_DOWN: 'paddleDown',
+    WEAPON_1: 'weapon1',
+    WEAPON_2: 'weapon2',
+    WEAPON_3: 'weapon3',
+    WEAPON_4: 'weapon4',
+    WEAPON_5: 'weapon5',
+    WEAPON_6: 'weapon6',
+    WEAPON_7: 'weapon7'
+});
+
+/** Weapon ID bought by each weapon action */
+export const WEAPON_ACTIONS = {
+    weapon1: 'slow',
+    weapon2: 'wide',
+    weapon3: 'double',
+    weapon4: 'laser',
+    weapon5: 'shield',
+    weapon6: 'magnet',
+    weapon7: 'ghost'
+};
+
+/** Display names for the settings screen */
+export const ACTION_LABELS = {
+    launch: 'ボール発射',
+    fire: 'ウエポン使用（長押し）',
+    fastForward: '倍速',
+    pause: 'ポーズ',
+    fullscreen: 'フルスクリーン',
+    mute: 'ミュート',
+    paddleLeft: 'パドル ←',
+    paddleRight: 'パドル →',
+    paddleUp: 'パドル ↑',
+    paddleDown: 'パドル ↓',
+    weapon1: 'SLOW',
+    weapon2: 'EXPAND',
+    weapon3: 'DOUBLE',
+    weapon4: 'LASER',
+    weapon5: 'SHIELD',
+    weapon6: 'MAGNET',
+    weapon7: 'GHOST'
+};
+
+/**
+ * @typedef {Object} ActionBinding
+ * @property {string[]} keys - KeyboardEvent.code values
+ * @property {number[]} buttons - Gamepad button indices (standard mapping)
+ */
+
+/** @type {Object<string, ActionBinding>} */
+export const DEFAULT_BINDINGS = {
+    launch: { keys: ['Space'], buttons: [0] },
+    fire: { keys: ['Space'], buttons: [0] },
+    fastForward: { keys: [], buttons: [7] },
+    pause: { keys: ['Escape'], buttons: [9] },
+    // No default button: browsers only allow fullscreen from a user gesture (gamepad presses are not)
+    fullscreen: { keys: ['KeyF'], buttons: [] },
+    mute: { keys: ['KeyM'], buttons: [] },
+    paddleLeft: { keys: ['ArrowLeft', 'KeyA'], buttons: [14] },
+    paddleRight: { keys: ['ArrowRight', 'KeyD'], buttons: [15] },
+    paddleUp: { keys: ['ArrowUp', 'KeyW'], buttons: [12] },
+    paddleDown: { keys: ['ArrowDown', 'KeyS'], buttons: [13] },
+    weapon1: { keys: ['Digit1', 'Numpad1'], buttons: [2] },
+    weapon2: { keys: ['Digit2', 'Numpad2'], buttons: [3] },
+    weapon3: { keys: ['Digit3', 'Numpad3'], buttons: [4] },
+    weapon4: { keys: ['Digit4', 'Numpad4'], buttons: [5] },
+    weapon5: { keys: ['Digit5', 'Numpad5'], buttons: [1] },
+    weapon6: { keys: ['Digit6', 'Numpad6'], buttons: [6] },
+    weapon7: { keys: ['Digit7', 'Numpad7'], buttons: [11] }
+};
+
+/**
+ * Action pairs that may share an input (Space / A launch the ball and hold the weapon)
+ * @type {string[][]}
+ */
+const SHARED_ACTIONS = [['launch', 'fire']];
+
+/** Standard gamepad button names (index = button) */
+const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start', 'L3', 'R3', 'D↑', 'D↓', 'D←', 'D→', 'Home'
+];
+
+/** Short names for keyboard codes without an obvious label */
+const KEY_NAMES = {
+    Space: 'Space',
+    Escape: 'Esc',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+/**
+ * Label for a keyboard code ('KeyA' → 'A', 'Digit1' → '1', 'Numpad1' → 'Num1')
+ * @param {string} code
+ * @returns {string}
+ */
+export function formatKey(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num${code.slice(6)}`;
+    return code;
+}
+
+/**
+ * Label for a gamepad button index
+ * @param {number} button
+ * @returns {string}
+ */
+export function formatButton(button) {
+    return BUTTON_NAMES[button] ?? `B${button}`;
+}
+
+/**
+ * Deep copy of the default bindings
+ * @returns {Object<string, ActionBinding>}
+ */
+function cloneDefaults() {
+    const bindings = {};
+    for (const [action, binding] of Object.entries(DEFAULT_BINDINGS)) {
+        bindings[action] = { keys: [...binding.keys], buttons: [...binding.buttons] };
+    }
+    return bindings;
+}
+
+export class InputBindings {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Load from / save to localStorage (false for headless runs)
+     */
+    constructor({ persist = true } = {}) {
+        /** @type {boolean} */
+        this.persist = persist && typeof localStorage !== 'undefined';
+
+        /** @type {Object<string, ActionBinding>} */
+        this.bindings = this.persist ? this._load() : cloneDefaults();
+
+        /** @type {Function[]} - Called after any change */
+        this._listeners = [];
+    }
+
+    /**
+     * Register a callback for binding changes
+     * @param {Function} listener
+     * @returns {function(): void} - Unsubscribe
+     */
+    addChangeListener(listener) {
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Keyboard codes bound to an action
+     * @param {string} action - INPUT_ACTIONS value
+     * @returns {string[]}
+     */
+    getKeys(action) {
+        return this.bindings[action].keys;
+    }
+
+    /**
+     * Gamepad buttons bound to an action
+     * @param {string} action - INPUT_ACTIONS value
+     * @returns {number[]}
+     */
+    getButtons(action) {
+        return this.bindings[action].buttons;
+    }
+
+    /**
+     * Actions triggered by a keyboard code
+     * @param {string} code
+     * @returns {string[]}
+     */
+    actionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(code));
+    }
+
+    /**
+     * Actions triggered by a gamepad button
+     * @param {number} button
+     * @returns {string[]}
+     */
+    actionsForButton(button) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].buttons.includes(button));
+    }
+
+    /**
+     * Bind a keyboard code to one key slot of an action. The code is taken away
+     * from other actions unless the two may share it.
+     * @param {string} action - INPUT_ACTIONS value
+     * @param {number} slot - 0 .. KEY_SLOTS-1
+     * @param {string|null} code - null clears the slot
+     */
+    setKey(action, slot, code) {
+        const keys = this.bindings[action].keys;
+
+        if (code === null) {
+            if (slot < keys.length) keys.splice(slot, 1);
+        } else {
+            this._unbind('keys', action, code);
+            const existing = keys.indexOf(code);
+            if (existing >= 0) {
+                // Already in the other slot: swap the two
+                if (slot < keys.length) {
+                    keys[existing] = keys[slot];
+                    keys[slot] = code;
+                }
+            } else if (slot < keys.length) {
+                keys[slot] = code;
+            } else {
+                keys.push(code);
+            }
+        }
+
+        this._changed();
+    }
+
+    /**
+     * Bind a gamepad button to an action (one button per action)
+     * @param {string} action - INPUT_ACTIONS value
+     * @param {number|null} button - null clears the binding
+     */
+    setButton(action, button) {
+        if (button !== null) {
+            this._unbind('buttons', action, button);
+        }
+        this.bindings[action].buttons = button === null ? [] : [button];
+        this._changed();
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    reset() {
+        this.bindings = cloneDefaults();
+        this._changed();
+    }
+
+    /**
+     * Remove an input from every action that may not share it with `action`
+     * @private
+     * @param {'keys'|'buttons'} field
+     * @param {string} action
+     * @param {string|number} input
+     */
+    _unbind(field, action, input) {
+        for (const [other, binding] of Object.entries(this.bindings)) {
+            if (other === action) continue;
+            const shared = SHARED_ACTIONS.some(pair => pair.includes(action) && pair.includes(other));
+            if (shared) continue;
+
+            const index = binding[field].indexOf(input);
+            if (index >= 0) binding[field].splice(index, 1);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _changed() {
+        this._save();
+        for (const listener of this._listeners) {
+            listener();
+        }
+    }
+
+    /**
+     * Load saved bindings on top of the defaults (unknown actions and bad entries are dropped)
+     * @private
+     * @returns {Object<string, ActionBinding>}
+     */
+    _load() {
+        return loadSettings(SETTINGS_KEY, cloneDefaults(), (bindings, saved) => {
+            for (const action of Object.keys(bindings)) {
+                const entry = saved[action];
+                if (!entry) continue;
+                if (Array.isArray(entry.keys)) {
+                    bindings[action].keys = entry.keys.filter(code => typeof code === 'string').slice(0, KEY_SLOTS);
+                }
+                if (Array.isArray(entry.buttons)) {
+                    bindings[action].buttons = entry.buttons.filter(Number.isInteger);
+                }
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        if (!this.persist) return;
+        saveSettings(SETTINGS_KEY, this.bindings);
+    }
+}
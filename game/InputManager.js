@@ -1,65 +1,126 @@
 /**
  * InputManager.js - Input Handling
  * Based on game_specification.md Section 2.3
+ *
+ * DOM events and gamepad polling only update held state and queue discrete
+ * actions (launch, weapon, tap). Game consumes them once per tick via
+ * captureFrame(), so every action lands on a tick boundary and can be
+ * recorded for replays.
+ *
+ * Keyboard and gamepad go through InputBindings: held actions are resolved
+ * into axisX / axisY / fire / fastForward when an input changes, so frames
+ * (and replays) do not depend on the player's bindings.
+ */
+
+import { InputBindings, INPUT_ACTIONS, WEAPON_ACTIONS } from './InputBindings.js';
+
+/** Stick deflection below this is ignored */
+const STICK_DEADZONE = 0.2;
+
+/** Stick values are rounded to this step (keeps replay deltas small) */
+const STICK_STEP = 0.05;
+
+/** Two fingers must stay down this long before fast-forward starts (ms) */
+const TWO_FINGER_HOLD_MS = 300;
+
+/**
+ * @typedef {Object} InputFrame
+ * @property {number} mouseX
+ * @property {number} mouseY
+ * @property {boolean} mouseDown
+ * @property {boolean} rightMouseDown
+ * @property {number} axisX - Paddle axis from keys / d-pad / stick (-1 .. 1)
+ * @property {number} axisY - Paddle axis from keys / d-pad / stick (-1 .. 1)
+ * @property {boolean} fire - Fire action held (keyboard / gamepad)
+ * @property {boolean} fastForward - Fast-forward action held (keyboard / gamepad)
+ * @property {Object[]} actions - Discrete actions this tick ({type: 'launch'|'weapon'|'tap', ...})
  */
 
 export class InputManager {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement|null} canvas - Event target; null for headless runs (state set directly or via applyFrame)
+     * @param {InputBindings} [bindings] - Keyboard / gamepad action mapping
+     */
+    constructor(canvas, bindings = new InputBindings({ persist: false })) {
         this.canvas = canvas;
+        this.bindings = bindings;
         this.mouseX = 0;
         this.mouseY = 0;
         this.mouseDown = false;
         this.rightMouseDown = false;
         this.keys = {};
 
-        // Callback functions
+        // Held actions resolved from keys and gamepads (see _updateHeld)
+        this.axisX = 0;
+        this.axisY = 0;
+        this.fire = false;
+        this.fastForward = false;
+
+        /** @type {Map<number, boolean[]>} - Button states per gamepad index at the last poll */
+        this._padButtons = new Map();
+
+        /** @type {Set<string>} - Actions held on any gamepad */
+        this._padHeld = new Set();
+
+        /** @type {{x: number, y: number}} - Left stick, summed over gamepads */
+        this._stick = { x: 0, y: 0 };
+
+        /** @type {{device: 'key'|'button', callback: function((string|number|null)): void}|null} - Pending rebind */
+        this._capture = null;
+
+        /** @type {Object[]} - Actions queued since the last tick */
+        this.actions = [];
+
+        /** @type {Map<number, {x: number, y: number}>} - Touch/pen pointers currently down, by pointerId (oldest first) */
+        this.pointers = new Map();
+
+        /** @type {number|null} - Touch/pen pointer driving mouseX/mouseY/mouseDown */
+        this._primaryPointerId = null;
+
+        /** @type {number|null} - Pending two-finger fast-forward timer */
+        this._fastForwardTimer = null;
+
+        /** @type {boolean} - Replay playback drives the state; live input is ignored */
+        this.playback = false;
+
+        // Callback functions (dispatched per tick by dispatchActions)
         this.onLaunch = null;
         this.onWeapon = null;
         this.onTap = null;
+        /** @type {Function|null} - Pause key / button; called at once (works while paused and in replays) */
+        this.onPause = null;
+        /** @type {Function|null} - Fullscreen key; called at once inside the key event (browsers require a user gesture) */
+        this.onFullscreen = null;
+        /** @type {Function|null} - Mute key / button; called at once (works while paused and in replays) */
+        this.onMute = null;
 
-        this._bindEvents();
-    }
+        /** @type {{width: number, height: number}|null} - Stage size pointer positions map to (null = canvas size) */
+        this.viewSize = null;
 
-    _bindEvents() {
-        // Mouse move
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            this.mouseX = (e.clientX - rect.left) * scaleX;
-            this.mouseY = (e.clientY - rect.top) * scaleY;
-        });
+        this.bindings.addChangeListener(() => this._updateHeld());
 
-        // Mouse down
-        this.canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 0) {
-                this.mouseDown = true;
-                if (this.onTap) this.onTap(this.mouseX, this.mouseY);
-                if (this.onLaunch) this.onLaunch();
-            } else if (e.button === 2) {
-                this.rightMouseDown = true;
-            }
-        });
+        if (canvas) {
+            this._bindEvents();
+        }
+    }
 
-        // Mouse up (window level to catch release outside canvas)
-        window.addEventListener('mouseup', (e) => {
-            if (e.button === 0) {
-                this.mouseDown = false;
-            } else if (e.button === 2) {
-                this.rightMouseDown = false;
-            }
-        });
+    _bindEvents() {
+        // Pointer input (mouse, touch, pen). Captured pointers keep reporting
+        // moves and releases outside the canvas.
+        this.canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this._onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this._onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this._onPointerUp(e));
 
-        // Reset flags when mouse leaves window or context menu opens
+        // Reset flags when window loses focus or context menu opens
         window.addEventListener('blur', () => {
-            this.mouseDown = false;
-            this.rightMouseDown = false;
+            if (this.playback) return;
+            this._releaseAll();
         });
 
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.mouseDown = false;
-                this.rightMouseDown = false;
+            if (document.hidden && !this.playback) {
+                this._releaseAll();
             }
         });
 
@@ -70,33 +131,434 @@ export class InputManager {
 
         // Keyboard
         document.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
-
-            // Weapon shortcuts (1-7)
-            if (e.key >= '1' && e.key <= '7') {
-                if (this.onWeapon) {
-                    const weapons = ['slow', 'wide', 'double', 'laser', 'shield', 'magnet', 'ghost'];
-                    this.onWeapon(weapons[parseInt(e.key) - 1]);
+            if (this._capture) {
+                e.preventDefault();
+                if (e.code === 'Escape') {
+                    this._finishCapture(null);
+                } else if (this._capture.device === 'key') {
+                    this._finishCapture(e.code);
                 }
+                return;
             }
+            if (e.repeat) return;
 
-            // Space to launch
-            if (e.code === 'Space') {
-                if (this.onLaunch) this.onLaunch();
+            for (const action of this.bindings.actionsForKey(e.code)) {
+                this._triggerAction(action);
             }
+
+            if (this.playback) return;
+            this.keys[e.code] = true;
+            this._updateHeld();
         });
 
         document.addEventListener('keyup', (e) => {
+            if (this.playback) return;
             this.keys[e.code] = false;
+            this._updateHeld();
         });
     }
 
+    /**
+     * Read connected gamepads: queue actions for new presses and update the
+     * held state. Game calls this once per animation frame (also while paused).
+     */
+    pollGamepads() {
+        if (!this.canvas || !navigator.getGamepads) return;
+
+        const held = new Set();
+        let stickX = 0;
+        let stickY = 0;
+
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+
+            const previous = this._padButtons.get(pad.index) || [];
+            const pressed = pad.buttons.map(button => button.pressed);
+
+            pressed.forEach((down, button) => {
+                if (!down) return;
+                if (!previous[button]) {
+                    this._onButtonPress(button);
+                }
+                for (const action of this.bindings.actionsForButton(button)) {
+                    held.add(action);
+                }
+            });
+
+            this._padButtons.set(pad.index, pressed);
+            stickX += this._readStick(pad.axes[0]);
+            stickY += this._readStick(pad.axes[1]);
+        }
+
+        if (this.playback) return;
+        this._padHeld = held;
+        this._stick = { x: stickX, y: stickY };
+        this._updateHeld();
+    }
+
+    /**
+     * Wait for the next key or gamepad button (settings screen rebinding).
+     * Escape cancels: the callback gets null.
+     * @param {'key'|'button'} device
+     * @param {function((string|number|null)): void} callback - Key code / button index / null
+     */
+    captureNextInput(device, callback) {
+        this.cancelCapture();
+        this._capture = { device, callback };
+    }
+
+    /**
+     * Stop waiting for a rebind input (the pending callback gets null)
+     */
+    cancelCapture() {
+        if (this._capture) {
+            this._finishCapture(null);
+        }
+    }
+
+    /**
+     * Whether a rebind is waiting for input
+     * @returns {boolean}
+     */
+    get isCapturing() {
+        return this._capture !== null;
+    }
+
+    /**
+     * @private
+     * @param {number} button
+     */
+    _onButtonPress(button) {
+        if (this._capture) {
+            if (this._capture.device === 'button') {
+                this._finishCapture(button);
+            }
+            return;
+        }
+
+        for (const action of this.bindings.actionsForButton(button)) {
+            this._triggerAction(action);
+        }
+    }
+
+    /**
+     * Fire the one-shot part of an action (pause, mute, launch, weapon purchase)
+     * @private
+     * @param {string} action - INPUT_ACTIONS value
+     */
+    _triggerAction(action) {
+        if (action === INPUT_ACTIONS.PAUSE) {
+            if (this.onPause) this.onPause();
+            return;
+        }
+        if (action === INPUT_ACTIONS.FULLSCREEN) {
+            if (this.onFullscreen) this.onFullscreen();
+            return;
+        }
+        if (action === INPUT_ACTIONS.MUTE) {
+            if (this.onMute) this.onMute();
+            return;
+        }
+        if (action === INPUT_ACTIONS.LAUNCH) {
+            this.queueAction({ type: 'launch' });
+        } else if (WEAPON_ACTIONS[action]) {
+            this.queueAction({ type: 'weapon', weaponId: WEAPON_ACTIONS[action] });
+        }
+    }
+
+    /**
+     * @private
+     * @param {string|number|null} value - Key code / button index / null (cancelled)
+     */
+    _finishCapture(value) {
+        const { callback } = this._capture;
+        this._capture = null;
+        callback(value);
+    }
+
+    /**
+     * Apply the deadzone and rounding to one stick axis
+     * @private
+     * @param {number} [value]
+     * @returns {number}
+     */
+    _readStick(value = 0) {
+        if (Math.abs(value) < STICK_DEADZONE) return 0;
+        // Rescale so the output starts at 0 just past the deadzone
+        const scaled = Math.sign(value) * (Math.abs(value) - STICK_DEADZONE) / (1 - STICK_DEADZONE);
+        return Math.round(scaled / STICK_STEP) * STICK_STEP;
+    }
+
+    /**
+     * Resolve held keys and gamepad state into the frame fields
+     * @private
+     */
+    _updateHeld() {
+        const isHeld = (action) => this._padHeld.has(action) ||
+            this.bindings.getKeys(action).some(code => this.keys[code]);
+        const axis = (negative, positive, stick) => {
+            const value = (isHeld(positive) ? 1 : 0) - (isHeld(negative) ? 1 : 0) + stick;
+            return Math.max(-1, Math.min(1, value));
+        };
+
+        this.axisX = axis(INPUT_ACTIONS.PADDLE_LEFT, INPUT_ACTIONS.PADDLE_RIGHT, this._stick.x);
+        this.axisY = axis(INPUT_ACTIONS.PADDLE_UP, INPUT_ACTIONS.PADDLE_DOWN, this._stick.y);
+        this.fire = isHeld(INPUT_ACTIONS.FIRE);
+        this.fastForward = isHeld(INPUT_ACTIONS.FAST_FORWARD);
+    }
+
+    /**
+     * Set the stage size pointer positions are reported in. The canvas backing
+     * store is larger on HiDPI screens, so its pixel size cannot be used.
+     * @param {number} width
+     * @param {number} height
+     */
+    setViewSize(width, height) {
+        this.viewSize = { width, height };
+    }
+
+    /**
+     * Convert a pointer event position to stage coordinates
+     * @private
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    _toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const view = this.viewSize || this.canvas;
+        const scaleX = view.width / rect.width;
+        const scaleY = view.height / rect.height;
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * @private
+     * @param {PointerEvent} e
+     */
+    _onPointerDown(e) {
+        if (this.playback) return;
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+
+        const pos = this._toCanvas(e);
+
+        if (e.pointerType === 'mouse') {
+            this.mouseX = pos.x;
+            this.mouseY = pos.y;
+            this._applyMouseButtons(e.buttons);
+            return;
+        }
+
+        // Touch / pen: every finger taps where it lands
+        this.pointers.set(e.pointerId, pos);
+        if (this._primaryPointerId === null) {
+            this._primaryPointerId = e.pointerId;
+            this.mouseX = pos.x;
+            this.mouseY = pos.y;
+            this.mouseDown = true;
+        }
+        this.queueAction({ type: 'tap', x: pos.x, y: pos.y });
+        this.queueAction({ type: 'launch' });
+
+        if (this.pointers.size >= 2 && this._fastForwardTimer === null) {
+            this._fastForwardTimer = setTimeout(() => {
+                this._fastForwardTimer = null;
+                if (this.pointers.size >= 2) {
+                    this.rightMouseDown = true;
+                }
+            }, TWO_FINGER_HOLD_MS);
+        }
+    }
+
+    /**
+     * @private
+     * @param {PointerEvent} e
+     */
+    _onPointerMove(e) {
+        if (this.playback) return;
+        const pos = this._toCanvas(e);
+
+        if (e.pointerType === 'mouse') {
+            this.mouseX = pos.x;
+            this.mouseY = pos.y;
+            // Pressing a second button while one is held only fires pointermove.
+            // Uncaptured moves are drags that started outside the canvas.
+            if (this.canvas.hasPointerCapture(e.pointerId)) {
+                this._applyMouseButtons(e.buttons);
+            }
+            return;
+        }
+
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, pos);
+        if (e.pointerId === this._primaryPointerId) {
+            this.mouseX = pos.x;
+            this.mouseY = pos.y;
+        }
+    }
+
+    /**
+     * Handles pointerup and pointercancel
+     * @private
+     * @param {PointerEvent} e
+     */
+    _onPointerUp(e) {
+        if (this.playback) return;
+
+        if (e.pointerType === 'mouse') {
+            this._applyMouseButtons(e.buttons);
+            return;
+        }
+
+        if (!this.pointers.delete(e.pointerId)) return;
+
+        // Oldest remaining finger takes over the paddle
+        if (e.pointerId === this._primaryPointerId) {
+            const next = this.pointers.entries().next().value;
+            if (next) {
+                const [pointerId, pos] = next;
+                this._primaryPointerId = pointerId;
+                this.mouseX = pos.x;
+                this.mouseY = pos.y;
+            } else {
+                this._primaryPointerId = null;
+                this.mouseDown = false;
+            }
+        }
+
+        if (this.pointers.size < 2) {
+            this._cancelFastForward();
+        }
+    }
+
+    /**
+     * Update button state from PointerEvent.buttons; a new left press taps and launches
+     * @private
+     * @param {number} buttons - Bitmask (1 = left, 2 = right)
+     */
+    _applyMouseButtons(buttons) {
+        const left = (buttons & 1) !== 0;
+        if (left && !this.mouseDown) {
+            this.queueAction({ type: 'tap', x: this.mouseX, y: this.mouseY });
+            this.queueAction({ type: 'launch' });
+        }
+        this.mouseDown = left;
+        this.rightMouseDown = (buttons & 2) !== 0;
+    }
+
+    /**
+     * Stop two-finger fast-forward (running or pending)
+     * @private
+     */
+    _cancelFastForward() {
+        if (this._fastForwardTimer !== null) {
+            clearTimeout(this._fastForwardTimer);
+            this._fastForwardTimer = null;
+        }
+        this.rightMouseDown = false;
+    }
+
+    /**
+     * Release mouse buttons, touch pointers and keys (their release events may never arrive)
+     * @private
+     */
+    _releaseAll() {
+        this.pointers.clear();
+        this._primaryPointerId = null;
+        this._cancelFastForward();
+        this.mouseDown = false;
+        this.keys = {};
+        this._updateHeld();
+    }
+
+    /**
+     * Queue a discrete action for the next tick (also used by on-screen weapon buttons)
+     * @param {Object} action - {type: 'launch'} | {type: 'weapon', weaponId} | {type: 'tap', x, y}
+     */
+    queueAction(action) {
+        if (this.playback) return;
+        this.actions.push(action);
+    }
+
+    /**
+     * Drop queued actions (input received while the game is not running a tick)
+     */
+    clearActions() {
+        this.actions = [];
+    }
+
+    /**
+     * Snapshot the input for this tick and consume the queued actions
+     * @returns {InputFrame}
+     */
+    captureFrame() {
+        const frame = {
+            mouseX: this.mouseX,
+            mouseY: this.mouseY,
+            mouseDown: this.mouseDown,
+            rightMouseDown: this.rightMouseDown,
+            axisX: this.axisX,
+            axisY: this.axisY,
+            fire: this.fire,
+            fastForward: this.fastForward,
+            actions: this.actions
+        };
+        this.actions = [];
+        return frame;
+    }
+
+    /**
+     * Overwrite the held state from a frame (replay playback)
+     * @param {InputFrame} frame
+     */
+    applyFrame(frame) {
+        this.mouseX = frame.mouseX;
+        this.mouseY = frame.mouseY;
+        this.mouseDown = frame.mouseDown;
+        this.rightMouseDown = frame.rightMouseDown;
+        this.axisX = frame.axisX;
+        this.axisY = frame.axisY;
+        this.fire = frame.fire;
+        this.fastForward = frame.fastForward;
+    }
+
+    /**
+     * Invoke the callbacks for a tick's actions
+     * @param {Object[]} actions
+     */
+    dispatchActions(actions) {
+        for (const action of actions) {
+            switch (action.type) {
+                case 'launch':
+                    if (this.onLaunch) this.onLaunch();
+                    break;
+                case 'weapon':
+                    if (this.onWeapon) this.onWeapon(action.weaponId);
+                    break;
+                case 'tap':
+                    if (this.onTap) this.onTap(action.x, action.y);
+                    break;
+            }
+        }
+    }
+
     /**
      * Get speed multiplier for fast-forward
-     * @returns {number} 1.0 normal, 2.0-3.0 when right-click held
+     * @returns {number} 1.0 normal, 2.0-3.0 when right-click, two fingers or the fast-forward action held
      */
     getSpeedMultiplier() {
-        return this.rightMouseDown ? 2.5 : 1.0;
+        return this.rightMouseDown || this.fastForward ? 2.5 : 1.0;
+    }
+
+    /**
+     * Whether the weapon use input is held (LASER / MAGNET / GHOST)
+     * @returns {boolean}
+     */
+    isFireHeld() {
+        return this.mouseDown || this.fire;
     }
 
     /**
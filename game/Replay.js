@@ -0,0 +1,262 @@
+/**
+ * Replay.js - Input Replay Recording and Playback
+ * Based on game_specification.md Section 2.5
+ *
+ * A replay is the stage data, the PRNG seed and the per-tick input of one
+ * stage attempt. With the fixed timestep, feeding the same input back into
+ * the same stage and seed reproduces the run exactly.
+ *
+ * Frames are stored as deltas: an entry is written only on ticks where the
+ * held input changed or an action occurred. A continue after game over is
+ * stored on the first tick played after it (continue: true).
+ */
+
+/** Replay file format version */
+export const REPLAY_VERSION = 3;
+
+/** Held-state fields compared between ticks */
+const STATE_FIELDS = ['mouseX', 'mouseY', 'mouseDown', 'rightMouseDown', 'axisX', 'axisY', 'fire', 'fastForward'];
+
+/**
+ * @typedef {Object} ReplayData
+ * @property {'replay'} type
+ * @property {number} version - REPLAY_VERSION
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} seed - SeededRandom seed at stage load
+ * @property {number} timestep - Fixed tick length in seconds
+ * @property {number} tickCount - Number of recorded ticks
+ * @property {Object} stage - Stage data as passed to Game.loadStage
+ * @property {Object|null} carry - Campaign carry-over ({score, lives, gems})
+ * @property {Object[]} frames - Delta frames ({tick, ...changed fields, actions?, continue?})
+ */
+
+export class ReplayRecorder {
+    constructor() {
+        /** @type {boolean} */
+        this.recording = false;
+
+        /** @type {Object|null} - {stage, carry, seed, timestep} of the recorded attempt */
+        this.header = null;
+
+        /** @type {Object[]} - Delta frames */
+        this.frames = [];
+
+        /** @type {number} - Ticks recorded so far */
+        this.tick = 0;
+
+        /** @type {import('./InputManager.js').InputFrame|null} */
+        this._last = null;
+
+        /** @type {boolean} - Continue to store on the next recorded tick */
+        this._continued = false;
+    }
+
+    /**
+     * Start recording a stage attempt (discards the previous recording)
+     * @param {{stage: Object, carry: Object|null, seed: number, timestep: number}} header
+     */
+    start(header) {
+        this.recording = true;
+        this.header = header;
+        this.frames = [];
+        this.tick = 0;
+        this._last = null;
+        this._continued = false;
+    }
+
+    /**
+     * Note a continue after game over (stored with the next tick)
+     */
+    recordContinue() {
+        if (this.recording) {
+            this._continued = true;
+        }
+    }
+
+    /**
+     * Stop recording (the recorded data stays available)
+     */
+    stop() {
+        this.recording = false;
+    }
+
+    /**
+     * Whether there is anything to save
+     * @returns {boolean}
+     */
+    get hasData() {
+        return this.header !== null && this.tick > 0;
+    }
+
+    /**
+     * Record the input of one tick
+     * @param {import('./InputManager.js').InputFrame} frame
+     */
+    record(frame) {
+        if (!this.recording) return;
+
+        const entry = { tick: this.tick };
+        let changed = false;
+
+        for (const field of STATE_FIELDS) {
+            if (!this._last || frame[field] !== this._last[field]) {
+                entry[field] = frame[field];
+                changed = true;
+            }
+        }
+        if (frame.actions.length > 0) {
+            entry.actions = frame.actions.map(action => ({ ...action }));
+            changed = true;
+        }
+        if (this._continued) {
+            entry.continue = true;
+            this._continued = false;
+            changed = true;
+        }
+
+        if (changed) {
+            this.frames.push(entry);
+        }
+        this._last = frame;
+        this.tick++;
+    }
+
+    /**
+     * Build the replay file contents
+     * @returns {ReplayData}
+     */
+    toReplay() {
+        return {
+            type: 'replay',
+            version: REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            seed: this.header.seed,
+            timestep: this.header.timestep,
+            tickCount: this.tick,
+            stage: this.header.stage,
+            carry: this.header.carry,
+            frames: this.frames
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor() {
+        /** @type {ReplayData|null} */
+        this.replay = null;
+
+        /** @type {number} - Next tick to play */
+        this.tick = 0;
+
+        /** @type {number} - Next frame index */
+        this._frameIndex = 0;
+
+        /** @type {import('./InputManager.js').InputFrame|null} - Held state so far */
+        this._state = null;
+    }
+
+    /**
+     * Check if loaded data is a replay file
+     * @param {Object} data
+     * @returns {boolean}
+     */
+    static isReplayData(data) {
+        return data?.type === 'replay';
+    }
+
+    /**
+     * Validate replay data
+     * @param {Object} data
+     * @throws {Error} If the replay cannot be played
+     */
+    static validate(data) {
+        if (!ReplayPlayer.isReplayData(data)) {
+            throw new Error('リプレイファイルではありません');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`未対応のリプレイバージョンです (${data.version})`);
+        }
+        if (!data.stage || !Array.isArray(data.frames) || !Number.isFinite(data.timestep) || data.timestep <= 0) {
+            throw new Error('リプレイデータが壊れています');
+        }
+    }
+
+    /**
+     * Start playback
+     * @param {ReplayData} replay
+     */
+    start(replay) {
+        ReplayPlayer.validate(replay);
+
+        this.replay = replay;
+        this.tick = 0;
+        this._frameIndex = 0;
+        this._state = {
+            mouseX: 0,
+            mouseY: 0,
+            mouseDown: false,
+            rightMouseDown: false,
+            axisX: 0,
+            axisY: 0,
+            fire: false,
+            fastForward: false
+        };
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        this.replay = null;
+    }
+
+    /**
+     * Whether a replay is being played
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Whether all recorded ticks have been played
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return !this.replay || this.tick >= this.replay.tickCount;
+    }
+
+    /**
+     * Whether the player continued after game over before the next tick
+     * @returns {boolean}
+     */
+    get continuesNext() {
+        if (!this.replay) return false;
+        const entry = this.replay.frames[this._frameIndex];
+        return !!entry && entry.tick === this.tick && entry.continue === true;
+    }
+
+    /**
+     * Get the input of the next tick
+     * @returns {import('./InputManager.js').InputFrame}
+     */
+    nextFrame() {
+        const frames = this.replay.frames;
+        let actions = [];
+
+        if (this._frameIndex < frames.length && frames[this._frameIndex].tick === this.tick) {
+            const entry = frames[this._frameIndex++];
+            for (const field of STATE_FIELDS) {
+                if (entry[field] !== undefined) {
+                    this._state[field] = entry[field];
+                }
+            }
+            if (entry.actions) {
+                actions = entry.actions;
+            }
+        }
+
+        this.tick++;
+        return { ...this._state, actions };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * SeededRandom.js - Deterministic Pseudo-Random Number Generator
+ *
+ * Mulberry32 PRNG. Every gameplay random decision (ball launch spread,
+ * block guide, gem drops, boss AI) draws from one instance owned by Game,
+ * reseeded per stage load, so a seed plus recorded input reproduces a run.
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed (random when omitted)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Generate a fresh seed from the non-deterministic Math.random
+     * @returns {number}
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Reset the sequence
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        /** @type {number} - Seed the current sequence started from */
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) (drop-in replacement for Math.random)
+     * @returns {number}
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Random integer in [0, max)
+     * @param {number} max
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     * @template T
+     * @param {T[]} array
+     * @returns {T|undefined}
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * SettingsStorage.js - Player Settings in localStorage
+ *
+ * One JSON entry per settings group.
+ * Saved data is never trusted: each group passes a validator that copies
+ * only well-formed fields over its defaults. Storage errors (private mode,
+ * quota, broken JSON) are logged and leave the defaults in place.
+ */
+
+/**
+ * Load saved settings over the defaults
+ * @template T
+ * @param {string} key - localStorage key
+ * @param {T} defaults - Fresh copy of the defaults (filled in and returned)
+ * @param {(settings: T, saved: Object) => void} validate - Copies the valid fields of saved onto settings
+ * @returns {T}
+ */
+export function loadSettings(key, defaults, validate) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+            validate(defaults, saved);
+        }
+    } catch (e) {
+        console.warn(`Failed to load settings (${key}):`, e);
+    }
+    return defaults;
+}
+
+/**
+ * Save settings
+ * @param {string} key - localStorage key
+ * @param {Object} settings
+ */
+export function saveSettings(key, settings) {
+    try {
+        localStorage.setItem(key, JSON.stringify(settings));
+    } catch (e) {
+        console.warn(`Failed to save settings (${key}):`, e);
+    }
+}
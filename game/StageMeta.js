@@ -0,0 +1,125 @@
+/**
+ * StageMeta.js - Stage Metadata Resolution
+ * Based on game_specification.md Section 7.4
+ *
+ * Validates the `meta` block written by the editor (StageManager.createStage)
+ * and fills missing or malformed fields with runtime defaults.
+ */
+
+import { STAGE_DEFAULTS } from '../shared/StageDefaults.js';
+import { isBgmFile } from './systems/AudioSystem.js';
+import { BGM_TRACKS } from './audio/SoundPatches.js';
+
+/** Runtime defaults (shared with the editor) */
+export const DEFAULT_STAGE_META = STAGE_DEFAULTS;
+
+/**
+ * @typedef {Object} ResolvedStageMeta
+ * @property {number} initialLives - Lives at stage start (integer >= 1)
+ * @property {number} clearBonus - Score awarded on clear (>= 0)
+ * @property {number} powerGemChance - Gem drop chance for normal blocks (0-1)
+ * @property {boolean} resetGemsOnClear - Discard held gems on clear
+ * @property {string|null} bgm - BGM track ID or audio file path (null = automatic)
+ * @property {number|null} maxContinues - Continues allowed after game over (0 = none, null = unlimited)
+ * @property {{enabled: boolean, probability: number, angleLimit: number}} blockGuide - Stage default
+ *   Block Guide (probability 0-1, angleLimit in degrees 0-180); lines may override it
+ * @property {Object<string, number>} weaponCosts - Gem cost per weapon ID (integer >= 1)
+ */
+
+/**
+ * Validate stage meta and merge it over the defaults
+ * @param {Object|undefined} meta - Raw stage meta from stage data
+ * @returns {{meta: ResolvedStageMeta, warnings: string[]}}
+ */
+export function resolveStageMeta(meta) {
+    const resolved = {
+        ...DEFAULT_STAGE_META,
+        blockGuide: { ...DEFAULT_STAGE_META.blockGuide },
+        weaponCosts: { ...DEFAULT_STAGE_META.weaponCosts }
+    };
+    const warnings = [];
+
+    if (meta === undefined || meta === null) {
+        return { meta: resolved, warnings };
+    }
+    if (typeof meta !== 'object' || Array.isArray(meta)) {
+        warnings.push('meta が不正です → デフォルト設定を使用');
+        return { meta: resolved, warnings };
+    }
+
+    const check = (key, isValid) => {
+        if (meta[key] === undefined) return;
+        if (isValid(meta[key])) {
+            resolved[key] = meta[key];
+        } else {
+            warnings.push(`meta.${key} が不正です (${_format(meta[key])}) → ${DEFAULT_STAGE_META[key]} を使用`);
+        }
+    };
+
+    check('initialLives', v => Number.isInteger(v) && v >= 1);
+    check('clearBonus', v => Number.isFinite(v) && v >= 0);
+    check('powerGemChance', v => Number.isFinite(v) && v >= 0 && v <= 1);
+    check('resetGemsOnClear', v => typeof v === 'boolean');
+
+    if (meta.bgm !== undefined && meta.bgm !== null) {
+        if (typeof meta.bgm === 'string' && (Object.hasOwn(BGM_TRACKS, meta.bgm) || isBgmFile(meta.bgm))) {
+            resolved.bgm = meta.bgm;
+        } else {
+            warnings.push(`meta.bgm が不正です (${_format(meta.bgm)}) → 自動選択`);
+        }
+    }
+
+    if (meta.maxContinues !== undefined && meta.maxContinues !== null) {
+        if (Number.isInteger(meta.maxContinues) && meta.maxContinues >= 0) {
+            resolved.maxContinues = meta.maxContinues;
+        } else {
+            warnings.push(`meta.maxContinues が不正です (${_format(meta.maxContinues)}) → 無制限`);
+        }
+    }
+
+    const guide = meta.blockGuide;
+    if (guide !== undefined && guide !== null) {
+        if (typeof guide !== 'object' || Array.isArray(guide)) {
+            warnings.push('meta.blockGuide が不正です → デフォルト設定を使用');
+        } else {
+            const checkGuide = (key, isValid) => {
+                if (guide[key] === undefined) return;
+                if (isValid(guide[key])) {
+                    resolved.blockGuide[key] = guide[key];
+                } else {
+                    warnings.push(`meta.blockGuide.${key} が不正です (${_format(guide[key])}) → ${DEFAULT_STAGE_META.blockGuide[key]} を使用`);
+                }
+            };
+            checkGuide('enabled', v => typeof v === 'boolean');
+            checkGuide('probability', v => Number.isFinite(v) && v >= 0 && v <= 1);
+            checkGuide('angleLimit', v => Number.isFinite(v) && v >= 0 && v <= 180);
+        }
+    }
+
+    const costs = meta.weaponCosts;
+    if (costs !== undefined) {
+        if (typeof costs !== 'object' || costs === null || Array.isArray(costs)) {
+            warnings.push('meta.weaponCosts が不正です → デフォルトコストを使用');
+        } else {
+            for (const [weaponId, cost] of Object.entries(costs)) {
+                if (!Object.hasOwn(DEFAULT_STAGE_META.weaponCosts, weaponId)) {
+                    warnings.push(`meta.weaponCosts.${weaponId} は未知のウエポンです → 無視`);
+                } else if (Number.isInteger(cost) && cost >= 1) {
+                    resolved.weaponCosts[weaponId] = cost;
+                } else {
+                    warnings.push(`meta.weaponCosts.${weaponId} が不正です (${_format(cost)}) → ${DEFAULT_STAGE_META.weaponCosts[weaponId]} を使用`);
+                }
+            }
+        }
+    }
+
+    return { meta: resolved, warnings };
+}
+
+/**
+ * Format a raw value for a warning message
+ * @private
+ */
+function _format(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
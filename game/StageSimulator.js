@@ -0,0 +1,441 @@
+/**
+ * StageSimulator.js - Headless Stage Balance Simulation
+ * Based on game_specification.md Section 2.6
+ *
+ * Plays a stage in a headless Game (no canvas / DOM) with a bot, once per
+ * seed, and aggregates clear rate, time to clear, gems earned and stuck-ball
+ * incidents. Runs are deterministic: the same stage, seed and bot always
+ * produce the same result. CLI: tools/simulate_stage.mjs
+ */
+
+import { Game, FIXED_TIMESTEP } from './Game.js';
+import { STATES } from './GameState.js';
+import { PADDLE_CONTROLS } from './entities/Paddle.js';
+import { getPointAtDistance, projectOntoPolyline, getAxisRange } from './physics/PolylineMath.js';
+import { ReplayPlayer } from './Replay.js';
+import { SeededRandom } from './SeededRandom.js';
+
+/** Default simulation options */
+export const SIMULATION_DEFAULTS = {
+    runs: 20,             // Number of runs (seeds seed .. seed + runs - 1)
+    seed: 1,              // First seed
+    maxTime: 600,         // Game seconds before a run counts as timeout
+    stuckTime: 30,        // Game seconds in flight without scoring = one stuck incident
+    launchDelay: 0.5,     // Bot wait before launching an attached ball (seconds)
+    bot: 'auto',          // 'auto' | 'idle' | 'script'
+    script: null,         // Replay data for the 'script' bot
+    keepReplays: false    // Attach the replay of every run that did not clear
+};
+
+/** Canvas size used when the stage does not specify one (matches game_index.html) */
+const HEADLESS_CANVAS = { width: 1280, height: 720 };
+
+// =============================================================================
+// Bots
+// =============================================================================
+
+/** Seconds between auto bot aim changes */
+const AIM_INTERVAL = 1.5;
+
+/** Auto bot pointer / paddle speed in px per second (same as Paddle.autoSpeed) */
+const BOT_SPEED = 480;
+
+/**
+ * Input field each paddle control mode reads
+ * AUTO paddles track the ball themselves and read the axis on the line's
+ * main direction (field null = picked from the pose) as an aim shift.
+ */
+const CONTROL_INPUTS = {
+    [PADDLE_CONTROLS.MOUSE_X]: { field: 'mouseX', axis: 'x', mouse: true, inverted: false },
+    [PADDLE_CONTROLS.MOUSE_X_INV]: { field: 'mouseX', axis: 'x', mouse: true, inverted: true },
+    [PADDLE_CONTROLS.MOUSE_Y]: { field: 'mouseY', axis: 'y', mouse: true, inverted: false },
+    [PADDLE_CONTROLS.MOUSE_Y_INV]: { field: 'mouseY', axis: 'y', mouse: true, inverted: true },
+    [PADDLE_CONTROLS.KEY_X]: { field: 'axisX', axis: 'x', mouse: false, inverted: false },
+    [PADDLE_CONTROLS.KEY_X_INV]: { field: 'axisX', axis: 'x', mouse: false, inverted: true },
+    [PADDLE_CONTROLS.KEY_Y]: { field: 'axisY', axis: 'y', mouse: false, inverted: false },
+    [PADDLE_CONTROLS.KEY_Y_INV]: { field: 'axisY', axis: 'y', mouse: false, inverted: true },
+    [PADDLE_CONTROLS.AUTO]: { field: null, axis: null, mouse: false, inverted: false }
+};
+
+/**
+ * Auto bot: steers each paddle toward the ball with a changing aim offset,
+ * launches attached balls after launchDelay and taps balls in tap areas.
+ * It plays only through the InputManager (pointer, paddle axis, actions),
+ * so the recorded replay reproduces the run. Pointer and axis move at
+ * BOT_SPEED; when paddles share an input field, the one with the closest
+ * approaching ball gets it. Paddles the stage sets to AUTO track on their
+ * own; the bot only shifts their meeting point through the axis. Aim is
+ * drawn from its own PRNG so it does not shift the game's random sequence.
+ */
+class AutoBot {
+    constructor(options, seed) {
+        this.launchTicks = Math.round(options.launchDelay / FIXED_TIMESTEP);
+        this.aimTicks = Math.round(AIM_INTERVAL / FIXED_TIMESTEP);
+        this.rng = new SeededRandom(seed ^ 0x9E3779B9);
+        this._attachedTicks = 0;
+
+        /** @type {number[]} - Aim offset per paddle (arc length from the ball) */
+        this._offsets = [];
+    }
+
+    /**
+     * Prepare the freshly loaded stage
+     * @param {Game} game
+     */
+    start(game) {
+        // Pointer starts on the first paddle, so mouse paddles do not jump
+        const paddle = game.paddles[0];
+        game.input.mouseX = paddle.x;
+        game.input.mouseY = paddle.y;
+    }
+
+    /**
+     * Set input for the next tick
+     * @param {Game} game
+     */
+    beforeTick(game, tick) {
+        const balls = game.ballSystem.balls;
+
+        // Re-aim: hit the ball somewhere within the paddle instead of dead center
+        if (tick % this.aimTicks === 0) {
+            this._offsets = game.paddles.map(paddle => (this.rng.next() - 0.5) * paddle.width * 0.7);
+        }
+
+        this._steer(game, balls);
+
+        if (balls.some(ball => ball.attached)) {
+            if (++this._attachedTicks >= this.launchTicks) {
+                game.input.queueAction({ type: 'launch' });
+                this._attachedTicks = 0;
+            }
+        } else {
+            this._attachedTicks = 0;
+        }
+
+        if (game.tapSystem.active) {
+            for (const ball of balls) {
+                if (ball.attached || ball.wasHitInTapArea) continue;
+                if (game.tapSystem.getAreaAt(ball.x, ball.y)) {
+                    game.input.queueAction({ type: 'tap', x: ball.x, y: ball.y });
+                }
+            }
+        }
+    }
+
+    /**
+     * Move the pointer and paddle axes toward each paddle's aim point
+     * @private
+     */
+    _steer(game, balls) {
+        const input = game.input;
+        const step = BOT_SPEED * FIXED_TIMESTEP;
+
+        /** @type {Map<string, {value: number, urgency: number}>} */
+        const claims = new Map();
+
+        game.paddles.forEach((paddle, index) => {
+            const control = CONTROL_INPUTS[paddle.control];
+            if (!control) return;
+
+            const target = this._findTarget(paddle, balls);
+            if (!target) return;
+
+            const pose = getPointAtDistance(paddle.polyline, paddle.distance);
+            const field = control.field || (Math.abs(pose.tx) >= Math.abs(pose.ty) ? 'axisX' : 'axisY');
+
+            const claim = claims.get(field);
+            if (claim && claim.urgency <= target.urgency) return;
+
+            // REVERSE debuff flips the control, like it does for a player
+            const inverted = control.inverted !== paddle.inputReversed;
+            const offset = this._offsets[index] || 0;
+            const aimDistance = target.distance + offset;
+            let value;
+
+            if (paddle.control === PADDLE_CONTROLS.AUTO) {
+                // Paddle shifts its meeting point by axis * tangent * width / 2
+                const tangent = field === 'axisX' ? pose.tx : pose.ty;
+                const amount = Math.max(-1, Math.min(1, offset / (paddle.width / 2) / tangent));
+                value = amount * (inverted ? -1 : 1);
+            } else if (control.mouse) {
+                const aim = getPointAtDistance(paddle.polyline, aimDistance)[control.axis];
+                const range = getAxisRange(paddle.polyline, control.axis);
+                const pointer = inverted ? range.min + range.max - aim : aim;
+                value = _approach(input[control.field], pointer, step);
+            } else {
+                // Axis direction that moves the paddle along the line toward the aim
+                const lineDirection = (control.axis === 'x' ? pose.tx : pose.ty) >= 0 ? 1 : -1;
+                const speed = paddle.keySpeed * paddle.moveSpeedMultiplier * FIXED_TIMESTEP;
+                const amount = Math.max(-1, Math.min(1, (aimDistance - paddle.distance) / speed));
+                value = amount * lineDirection * (inverted ? -1 : 1);
+            }
+
+            claims.set(field, { value, urgency: target.urgency });
+        });
+
+        // Axes are held input: release the ones no paddle needs
+        input.axisX = 0;
+        input.axisY = 0;
+        for (const [field, claim] of claims) {
+            input[field] = claim.value;
+        }
+    }
+
+    /**
+     * The ball a paddle should meet: approaching balls first, then the closest
+     * (same choice as Paddle AUTO control)
+     * @private
+     * @returns {{distance: number, urgency: number}|null}
+     */
+    _findTarget(paddle, balls) {
+        let target = null;
+
+        for (const ball of balls) {
+            if (ball.attached || !ball.active) continue;
+
+            const projection = projectOntoPolyline(paddle.polyline, ball.x, ball.y);
+            if (!projection) continue;
+
+            const approaching = ball.dx * paddle.normal.x + ball.dy * paddle.normal.y < 0;
+            const urgency = projection.offset + (approaching ? 0 : 100000);
+            if (!target || urgency < target.urgency) {
+                target = { distance: projection.distance, urgency };
+            }
+        }
+
+        return target;
+    }
+}
+
+/**
+ * Idle bot: launches but never moves the paddle (baseline for "how far does luck get you").
+ * The pointer stays where start() put it, on the first paddle, so mouse paddles stay put.
+ */
+class IdleBot extends AutoBot {
+    beforeTick(game) {
+        const balls = game.ballSystem.balls;
+        if (balls.some(ball => ball.attached) && ++this._attachedTicks >= this.launchTicks) {
+            game.input.queueAction({ type: 'launch' });
+            this._attachedTicks = 0;
+        }
+    }
+}
+
+/**
+ * Script bot: feeds the input frames of a recorded replay, then holds the last state
+ */
+class ScriptBot {
+    constructor(options) {
+        if (!options.script) {
+            throw new Error('script bot requires a replay (options.script)');
+        }
+        ReplayPlayer.validate(options.script);
+        this.player = new ReplayPlayer();
+        this.script = options.script;
+    }
+
+    start() {
+        this.player.start(this.script);
+    }
+
+    beforeTick(game) {
+        if (this.player.isFinished) return;
+
+        const frame = this.player.nextFrame();
+        game.input.applyFrame(frame);
+        for (const action of frame.actions) {
+            game.input.queueAction(action);
+        }
+    }
+}
+
+/** Bot constructors by name */
+export const BOTS = {
+    auto: AutoBot,
+    idle: IdleBot,
+    script: ScriptBot
+};
+
+// =============================================================================
+// Simulation
+// =============================================================================
+
+/**
+ * @typedef {Object} RunResult
+ * @property {number} seed
+ * @property {'clear'|'gameover'|'timeout'} result
+ * @property {number} time - Game seconds played
+ * @property {number} score
+ * @property {number} gemsEarned - Gems collected (purchases not subtracted)
+ * @property {number} livesLost
+ * @property {number} stuckIncidents - Stretches of stuckTime with a ball in flight and no score
+ * @property {number} blocksRemaining
+ * @property {Object} [replay] - Replay of the run (keepReplays, non-clear runs only)
+ */
+
+/**
+ * Play one run of a stage
+ * @param {Object} stageData - Exported stage data
+ * @param {number} seed
+ * @param {Object} options - Resolved simulation options
+ * @returns {{result: RunResult, warnings: string[]}}
+ */
+export function simulateRun(stageData, seed, options) {
+    const game = new Game(stageData.canvas || HEADLESS_CANVAS, { headless: true });
+    game.loadStage(stageData, null, { seed });
+
+    const BotClass = BOTS[options.bot];
+    if (!BotClass) {
+        throw new Error(`unknown bot "${options.bot}" (${Object.keys(BOTS).join(', ')})`);
+    }
+    const bot = new BotClass(options, seed);
+    bot.start(game);
+
+    const maxTicks = Math.ceil(options.maxTime / FIXED_TIMESTEP);
+    const stuckTicks = Math.ceil(options.stuckTime / FIXED_TIMESTEP);
+
+    let tick = 0;
+    let gemsEarned = 0;
+    let livesLost = 0;
+    let stuckIncidents = 0;
+    let idleTicks = 0;
+    let lastGems = game.state.gems;
+    let lastLives = game.state.lives;
+    let lastScore = game.state.score;
+
+    while (tick < maxTicks && game.state.state === STATES.PLAYING) {
+        bot.beforeTick(game, tick);
+        game.step();
+        tick++;
+
+        const { gems, lives, score } = game.state;
+        if (gems > lastGems) gemsEarned += gems - lastGems;
+        if (lives < lastLives) livesLost += lastLives - lives;
+        lastGems = gems;
+        lastLives = lives;
+
+        // Stuck detection: a ball keeps flying but nothing scores
+        const inFlight = game.ballSystem.balls.some(ball => ball.active && !ball.attached);
+        if (score !== lastScore || !inFlight) {
+            idleTicks = 0;
+        } else if (++idleTicks >= stuckTicks) {
+            stuckIncidents++;
+            idleTicks = 0;
+        }
+        lastScore = score;
+    }
+
+    const resultType = game.state.state === STATES.CLEAR ? 'clear'
+        : game.state.state === STATES.GAMEOVER ? 'gameover'
+            : 'timeout';
+
+    /** @type {RunResult} */
+    const result = {
+        seed,
+        result: resultType,
+        time: _round(tick * FIXED_TIMESTEP),
+        score: game.state.score,
+        gemsEarned,
+        livesLost,
+        stuckIncidents,
+        blocksRemaining: game.state.getRemainingBlocks()
+    };
+
+    if (options.keepReplays && resultType !== 'clear') {
+        result.replay = game.getReplay();
+    }
+
+    const warnings = game.getMessageLog()
+        .filter(entry => entry.type === 'warning' || entry.type === 'error')
+        .map(entry => entry.text);
+
+    return { result, warnings };
+}
+
+/**
+ * Simulate a stage over several seeds and summarize
+ * @param {Object} stageData - Exported stage data
+ * @param {Object} [options] - See SIMULATION_DEFAULTS
+ * @returns {{stageName: string, options: Object, summary: Object, warnings: string[], runs: RunResult[]}}
+ */
+export function simulateStage(stageData, options = {}) {
+    const resolved = { ...SIMULATION_DEFAULTS, ...options };
+    const runs = [];
+    let warnings = [];
+
+    for (let i = 0; i < resolved.runs; i++) {
+        const run = simulateRun(stageData, resolved.seed + i, resolved);
+        runs.push(run.result);
+        if (i === 0) warnings = run.warnings;
+    }
+
+    const { script, keepReplays, ...reportedOptions } = resolved;
+
+    return {
+        stageName: stageData.stageName || 'stage',
+        options: reportedOptions,
+        summary: summarizeRuns(runs),
+        warnings,
+        runs
+    };
+}
+
+/**
+ * Aggregate run results
+ * @param {RunResult[]} runs
+ * @returns {Object}
+ */
+export function summarizeRuns(runs) {
+    const count = runs.length;
+    const cleared = runs.filter(run => run.result === 'clear');
+    const rate = (type) => count > 0 ? _round(runs.filter(run => run.result === type).length / count) : 0;
+
+    return {
+        runs: count,
+        clearRate: rate('clear'),
+        gameOverRate: rate('gameover'),
+        timeoutRate: rate('timeout'),
+        timeToClear: _stats(cleared.map(run => run.time)),
+        gemsEarned: _stats(runs.map(run => run.gemsEarned)),
+        livesLost: _stats(runs.map(run => run.livesLost)),
+        stuckIncidents: {
+            total: runs.reduce((sum, run) => sum + run.stuckIncidents, 0),
+            runsAffected: runs.filter(run => run.stuckIncidents > 0).length
+        }
+    };
+}
+
+/**
+ * Min / mean / median / max of a list (null when empty)
+ * @private
+ */
+function _stats(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+    return {
+        min: sorted[0],
+        mean: _round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        median: _round(median),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Move a value toward a target by at most maxStep
+ * @private
+ */
+function _approach(value, target, maxStep) {
+    return value + Math.max(-maxStep, Math.min(maxStep, target - value));
+}
+
+/**
+ * Round to 2 decimals for the report
+ * @private
+ */
+function _round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,128 @@
+/**
+ * StageStats.js - Per-attempt Stage Statistics
+ * Based on game_specification.md Section 7
+ *
+ * Counts what happens during one stage attempt (time, combo, blocks,
+ * gems, weapons) from game events, for the results screen and the high
+ * score table. Like every other subscriber it only reads game state.
+ */
+
+import { GAME_EVENTS } from './GameEvents.js';
+
+/**
+ * @typedef {Object} StageResult
+ * @property {boolean} cleared
+ * @property {boolean} replay - The attempt was (partly) a replay playback
+ * @property {number} score - Points earned in this stage, clear bonus included
+ * @property {number} startScore - Score carried in from the previous campaign stage
+ * @property {number} totalScore - Score at the end (startScore + score)
+ * @property {number} clearBonus - meta.clearBonus when cleared, else 0
+ * @property {number} time - Seconds of game time
+ * @property {number} continues - Continues used
+ * @property {number} maxCombo
+ * @property {number} blocksDestroyed
+ * @property {number} blocksTotal - Destructible blocks at the start
+ * @property {number} gemsCollected
+ * @property {number} gemsSpent
+ * @property {Object<string, number>} weaponsUsed - Activations per weapon ID
+ */
+
+export class StageStats {
+    /**
+     * @param {import('./GameState.js').GameState} state
+     * @param {import('./GameClock.js').GameClock} clock
+     */
+    constructor(state, clock) {
+        this.state = state;
+        this.clock = clock;
+        this.reset();
+    }
+
+    /**
+     * Start counting a new attempt at the current score and time
+     */
+    reset() {
+        this.startScore = this.state.score;
+        this.startTime = this.clock.time;
+        /** @type {number|null} - Game time when the attempt ended (null while playing) */
+        this.endTime = null;
+        this.cleared = false;
+        this.clearBonus = 0;
+        this.replay = false;
+        this.continues = 0;
+        this.maxCombo = 0;
+        this.blocksDestroyed = 0;
+        this.gemsCollected = 0;
+        this.gemsSpent = 0;
+        /** @type {Object<string, number>} */
+        this.weaponsUsed = {};
+    }
+
+    /**
+     * Mark the attempt as replay playback (not eligible for high scores)
+     */
+    markReplay() {
+        this.replay = true;
+    }
+
+    /**
+     * Count events from the bus
+     * @param {import('./GameEvents.js').GameEventBus} events
+     * @returns {function(): void} - Unsubscribe all
+     */
+    attach(events) {
+        const offs = [
+            events.on(GAME_EVENTS.STAGE_LOADED, () => this.reset()),
+            events.on(GAME_EVENTS.COMBO_CHANGED, ({ combo }) => {
+                this.maxCombo = Math.max(this.maxCombo, combo);
+            }),
+            events.on(GAME_EVENTS.BLOCK_DESTROYED, () => {
+                this.blocksDestroyed++;
+            }),
+            events.on(GAME_EVENTS.GEM_COLLECTED, () => {
+                this.gemsCollected++;
+            }),
+            events.on(GAME_EVENTS.WEAPON_ACTIVATED, ({ weaponId, cost }) => {
+                this.gemsSpent += cost;
+                this.weaponsUsed[weaponId] = (this.weaponsUsed[weaponId] || 0) + 1;
+            }),
+            events.on(GAME_EVENTS.STAGE_CLEAR, () => {
+                this.cleared = true;
+                this.clearBonus = Math.max(0, this.state.meta.clearBonus || 0);
+                this.endTime = this.clock.time;
+            }),
+            events.on(GAME_EVENTS.GAME_OVER, () => {
+                this.endTime = this.clock.time;
+            }),
+            events.on(GAME_EVENTS.CONTINUED, ({ continues }) => {
+                this.continues = continues;
+                this.endTime = null;
+            })
+        ];
+        return () => offs.forEach(off => off());
+    }
+
+    /**
+     * Result of the current attempt (live values while still playing)
+     * @returns {StageResult}
+     */
+    getResult() {
+        const endTime = this.endTime ?? this.clock.time;
+        return {
+            cleared: this.cleared,
+            replay: this.replay,
+            score: this.state.score - this.startScore,
+            startScore: this.startScore,
+            totalScore: this.state.score,
+            clearBonus: this.clearBonus,
+            time: Math.max(0, endTime - this.startTime),
+            continues: this.continues,
+            maxCombo: this.maxCombo,
+            blocksDestroyed: this.blocksDestroyed,
+            blocksTotal: this.state.initialBlockCount,
+            gemsCollected: this.gemsCollected,
+            gemsSpent: this.gemsSpent,
+            weaponsUsed: { ...this.weaponsUsed }
+        };
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * SoundPatches.js - Synthesized Sound Effects and Procedural BGM
+ * Based on game_specification.md Section 8
+ *
+ * WebAudio oscillator patches, tuned in tools/sound_tester.html (the
+ * values here are the tester's slider defaults). Every patch plays into
+ * the given output node, so AudioSystem controls the volume.
+ */
+
+/**
+ * @typedef {Object} ToneOptions
+ * @property {OscillatorType} type - Oscillator waveform
+ * @property {number} freq - Start frequency (Hz)
+ * @property {number} [endFreq] - Exponential glide target (Hz)
+ * @property {number} start - Start time (AudioContext time)
+ * @property {number} dur - Duration (seconds)
+ * @property {number} gain - Peak gain
+ * @property {number} [attack=0] - Linear attack time (seconds); 0 = instant
+ */
+
+/**
+ * Play one enveloped oscillator note
+ * @param {AudioContext} ctx
+ * @param {AudioNode} out
+ * @param {ToneOptions} options
+ * @returns {OscillatorNode}
+ */
+function tone(ctx, out, { type, freq, endFreq, start, dur, gain, attack = 0 }) {
+    const osc = ctx.createOscillator();
+    const amp = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (endFreq) {
+        osc.frequency.exponentialRampToValueAtTime(endFreq, start + dur);
+    }
+
+    if (attack > 0) {
+        amp.gain.setValueAtTime(0, start);
+        amp.gain.linearRampToValueAtTime(gain, start + attack);
+    } else {
+        amp.gain.setValueAtTime(gain, start);
+    }
+    amp.gain.exponentialRampToValueAtTime(0.01, start + dur);
+
+    osc.connect(amp);
+    amp.connect(out);
+    osc.start(start);
+    osc.stop(start + dur);
+    return osc;
+}
+
+// =============================================================================
+// Sound effects
+// =============================================================================
+
+/**
+ * Sound effect patches by ID: (ctx, out, time) => void
+ * @type {Object<string, function(AudioContext, AudioNode, number): void>}
+ */
+export const SFX_PATCHES = {
+    // Bouncy sine (walls and collision lines)
+    wall_hit(ctx, out, t) {
+        tone(ctx, out, { type: 'sine', freq: 412, endFreq: 412 * 0.8, start: t, dur: 0.06, gain: 0.25 });
+    },
+
+    // Lighter beep for a hit that does not destroy the block
+    block_hit(ctx, out, t) {
+        tone(ctx, out, { type: 'triangle', freq: 500, start: t, dur: 0.05, gain: 0.15 });
+    },
+
+    // Descending burst
+    block_destroy(ctx, out, t) {
+        tone(ctx, out, { type: 'sawtooth', freq: 800, endFreq: 200, start: t, dur: 0.12, gain: 0.3 });
+    },
+
+    // Short square beep
+    paddle_hit(ctx, out, t) {
+        tone(ctx, out, { type: 'square', freq: 600, start: t, dur: 0.08, gain: 0.2 });
+    },
+
+    // Ascending sparkle
+    gem_collect(ctx, out, t) {
+        tone(ctx, out, { type: 'sine', freq: 600, endFreq: 1200, start: t, dur: 0.2, gain: 0.2 });
+    },
+
+    // Three rising notes
+    weapon_activate(ctx, out, t) {
+        const dur = 0.382;
+        for (let i = 0; i < 3; i++) {
+            tone(ctx, out, {
+                type: 'triangle',
+                freq: 507 * (1 + i * 0.25),
+                start: t + i * (dur / 4),
+                dur: dur / 3,
+                gain: 0.2,
+                attack: 0.02
+            });
+        }
+    },
+
+    // Metallic sweep: two detuned saws with a fast square-LFO vibrato
+    laser_fire(ctx, out, t) {
+        const freq = 1000;
+        const dur = 0.4;
+        const wobble = 20;
+        const peakTime = t + dur * 0.15;
+        const holdTime = t + dur * 0.7;
+
+        const osc1 = ctx.createOscillator();
+        const osc2 = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const lfo = ctx.createOscillator();
+        const lfoGain = ctx.createGain();
+
+        lfo.type = 'square';
+        lfo.frequency.setValueAtTime(30 + wobble, t);
+        lfoGain.gain.setValueAtTime(wobble * 2, t);
+        lfo.connect(lfoGain);
+        lfoGain.connect(osc1.frequency);
+        lfoGain.connect(osc2.frequency);
+
+        // Second saw sits 0.01 x freq above the first for thickness
+        [[osc1, 0], [osc2, 0.01]].forEach(([osc, detune]) => {
+            osc.type = 'sawtooth';
+            osc.frequency.setValueAtTime(freq * (1 + detune), t);
+            osc.frequency.linearRampToValueAtTime(freq * (1.5 + detune), peakTime);
+            osc.frequency.setValueAtTime(freq * (1.5 + detune), holdTime);
+            osc.frequency.exponentialRampToValueAtTime(freq * (0.5 + detune), t + dur);
+            osc.connect(gain);
+        });
+
+        gain.gain.setValueAtTime(0, t);
+        gain.gain.linearRampToValueAtTime(0.25, t + 0.01);
+        gain.gain.setValueAtTime(0.2, peakTime);
+        gain.gain.setValueAtTime(0.15, holdTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, t + dur);
+        gain.connect(out);
+
+        for (const osc of [lfo, osc1, osc2]) {
+            osc.start(t);
+            osc.stop(t + dur);
+        }
+    },
+
+    // Heavy thump
+    boss_hit(ctx, out, t) {
+        tone(ctx, out, { type: 'sine', freq: 200, endFreq: 100, start: t, dur: 0.2, gain: 0.4 });
+    },
+
+    // Thump followed by a long falling rumble
+    boss_defeat(ctx, out, t) {
+        tone(ctx, out, { type: 'sine', freq: 200, endFreq: 100, start: t, dur: 0.2, gain: 0.4 });
+        tone(ctx, out, { type: 'sawtooth', freq: 300, endFreq: 40, start: t + 0.15, dur: 1.2, gain: 0.3 });
+    },
+
+    // Falling blip when a ball is lost (lives remain)
+    ball_lost(ctx, out, t) {
+        tone(ctx, out, { type: 'triangle', freq: 440, endFreq: 110, start: t, dur: 0.35, gain: 0.25 });
+    },
+
+    // Four-note fanfare
+    stage_clear(ctx, out, t) {
+        [1, 1.25, 1.5, 2].forEach((mult, i) => {
+            tone(ctx, out, { type: 'square', freq: 400 * mult, start: t + i * 0.15, dur: 0.3, gain: 0.15, attack: 0.02 });
+        });
+    },
+
+    // Descending sad notes
+    game_over(ctx, out, t) {
+        [1, 0.9, 0.8, 0.6].forEach((mult, i) => {
+            tone(ctx, out, { type: 'triangle', freq: 400 * mult, start: t + i * 0.3, dur: 0.4, gain: 0.2, attack: 0.02 });
+        });
+    }
+};
+
+// =============================================================================
+// Procedural BGM
+// =============================================================================
+
+/** BGM played when a stage has no meta.bgm */
+export const DEFAULT_STAGE_BGM = 'bgm_stage_01';
+
+/** BGM played when a boss stage has no meta.bgm */
+export const DEFAULT_BOSS_BGM = 'bgm_boss';
+
+/**
+ * @typedef {Object} BgmTrack
+ * @property {number} bpm - Tempo (one pattern step = an eighth note)
+ * @property {number} root - Root frequency (Hz); notes are semitone offsets from it
+ * @property {boolean} loop - Repeat the pattern (false = play once)
+ * @property {OscillatorType} leadWave
+ * @property {OscillatorType} bassWave
+ * @property {(number|null)[]} lead - Semitone offsets per step (null = rest)
+ * @property {(number|null)[]} bass - Semitone offsets per step, one octave down (null = rest)
+ */
+
+/** @type {Object<string, BgmTrack>} - Procedural tracks by BGM ID (spec 8.2) */
+export const BGM_TRACKS = {
+    // Up-tempo, bright
+    bgm_stage_01: {
+        bpm: 140, root: 220, loop: true, leadWave: 'square', bassWave: 'triangle',
+        lead: [
+            12, null, 16, 19, null, 16, 12, null, 14, null, 17, 21, null, 17, 14, null,
+            16, null, 19, 24, null, 19, 16, null, 14, 12, 11, null, 12, null, null, null
+        ],
+        bass: [0, null, 0, null, 5, null, 5, null, 7, null, 7, null, 5, null, 4, null]
+    },
+
+    // Mid-tempo, calm
+    bgm_stage_02: {
+        bpm: 100, root: 220, loop: true, leadWave: 'sine', bassWave: 'triangle',
+        lead: [
+            12, null, 15, null, 17, null, 15, null, 10, null, 12, null, null, null, null, null,
+            12, null, 15, null, 19, null, 17, null, 15, null, 12, null, null, null, null, null
+        ],
+        bass: [0, null, null, null, -2, null, null, null, -4, null, null, null, -5, null, null, null]
+    },
+
+    // Tense, driving
+    bgm_boss: {
+        bpm: 160, root: 110, loop: true, leadWave: 'sawtooth', bassWave: 'sawtooth',
+        lead: [
+            null, null, 19, null, 18, null, 19, null, null, null, 22, null, 20, null, 19, null,
+            null, null, 19, null, 18, null, 15, null, 13, null, 12, null, null, null, null, null
+        ],
+        bass: [12, 12, 24, 12, 13, 12, 24, 12, 12, 12, 24, 12, 11, 12, 23, 12]
+    },
+
+    // Victory loop behind the clear screen
+    bgm_clear: {
+        bpm: 96, root: 220, loop: true, leadWave: 'triangle', bassWave: 'sine',
+        lead: [12, 16, 19, 24, 19, 16, 12, null, 14, 17, 21, 26, 21, 17, 14, null],
+        bass: [0, null, null, null, null, null, null, null, 5, null, null, null, null, null, null, null]
+    },
+
+    // Slow, sad loop behind the game over screen
+    bgm_gameover: {
+        bpm: 72, root: 220, loop: true, leadWave: 'sine', bassWave: 'triangle',
+        lead: [12, null, 11, null, 8, null, null, null, 7, null, 5, null, 3, null, null, null],
+        bass: [0, null, null, null, null, null, null, null, -4, null, null, null, null, null, null, null]
+    }
+};
+
+/**
+ * Number of steps in one pass of a track
+ * @param {BgmTrack} track
+ * @returns {number}
+ */
+export function getTrackLength(track) {
+    return Math.max(track.lead.length, track.bass.length);
+}
+
+/**
+ * Schedule the notes of one BGM step
+ * @param {AudioContext} ctx
+ * @param {AudioNode} out
+ * @param {BgmTrack} track
+ * @param {number} step - Step index (wraps per voice)
+ * @param {number} time - Step start (AudioContext time)
+ * @param {number} stepDur - Step length (seconds)
+ */
+export function scheduleBgmStep(ctx, out, track, step, time, stepDur) {
+    const lead = track.lead[step % track.lead.length];
+    const bass = track.bass[step % track.bass.length];
+
+    if (lead !== null) {
+        tone(ctx, out, {
+            type: track.leadWave,
+            freq: track.root * Math.pow(2, lead / 12),
+            start: time,
+            dur: stepDur * 0.9,
+            gain: 0.08,
+            attack: 0.01
+        });
+    }
+    if (bass !== null) {
+        tone(ctx, out, {
+            type: track.bassWave,
+            freq: (track.root / 2) * Math.pow(2, bass / 12),
+            start: time,
+            dur: stepDur * 1.8,
+            gain: 0.12,
+            attack: 0.01
+        });
+    }
+}
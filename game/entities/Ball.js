@@ -14,14 +14,11 @@ export class Ball {
         this.dx = 0;
         this.dy = 0;
         this.attached = true; // Attached to paddle initially
+        this.attachedPaddle = null; // Paddle the ball is held by (launch direction)
         this.color = '#FFFFFF';
         this.trail = []; // For visual trail effect
         this.active = true; // Ball is active
 
-        // Collision tracking to prevent repeated collisions
-        this.lastLineHitId = null;
-        this.lastLineHitTime = 0;
-
         // Tap mode: true if already hit while in tap area (reset when leaving area)
         this.wasHitInTapArea = false;
 
@@ -31,9 +28,10 @@ export class Ball {
 
     /**
      * Launch the ball
-     * @param {number} angle - Launch angle in radians
+     * @param {number} [angle] - Launch angle in radians (default: into the play field
+     *   from the holding paddle, straight up without one)
      */
-    launch(angle = -Math.PI / 2) {
+    launch(angle = this.attachedPaddle ? this.attachedPaddle.getLaunchAngle() : -Math.PI / 2) {
         if (!this.attached) return;
 
         this.attached = false;
@@ -48,11 +46,11 @@ export class Ball {
     }
 
     /**
-     * Update ball position
+     * Update per-frame ball state (flash, trail). Movement is done by
+     * BallSystem in collision-checked sub-steps.
      * @param {number} dt - Delta time in seconds
-     * @param {number} inputSpeedMultiplier - Global speed multiplier from input
      */
-    update(dt, inputSpeedMultiplier = 1.0) {
+    update(dt) {
         if (!this.active) return;
 
         // Note: wasHitInTapArea is reset by TapSystem when ball leaves tap area
@@ -62,18 +60,23 @@ export class Ball {
             this.flashTime -= dt;
         }
 
-        // Apply speed multiplier (Base * Weapon * Input)
-        const currentSpeed = this.speed * this.speedMultiplier * inputSpeedMultiplier;
-
         // Store trail position
         this.trail.push({ x: this.x, y: this.y });
         if (this.trail.length > 5) {
             this.trail.shift();
         }
+    }
 
-        // Move
-        this.x += this.dx * currentSpeed * (dt * 60);
-        this.y += this.dy * currentSpeed * (dt * 60);
+    /**
+     * Distance the ball travels this frame
+     * @param {number} dt - Delta time in seconds
+     * @param {number} inputSpeedMultiplier - Global speed multiplier from input
+     * @returns {number} - Pixels
+     */
+    getTravelDistance(dt, inputSpeedMultiplier = 1.0) {
+        // Apply speed multiplier (Base * Weapon * Input)
+        const currentSpeed = this.speed * this.speedMultiplier * inputSpeedMultiplier;
+        return currentSpeed * (dt * 60);
     }
 
     /**
@@ -91,26 +94,23 @@ export class Ball {
     /**
      * Reflect off paddle with angle variation
      * @param {number} offsetRatio - Position on paddle (-1 to 1, center = 0)
+     * @param {{x: number, y: number}} [normal] - Paddle normal toward the play field (default: up)
      */
-    reflectFromPaddle(offsetRatio) {
-        // Angle based on hit position: ±60 degrees from vertical
+    reflectFromPaddle(offsetRatio, normal = { x: 0, y: -1 }) {
+        // Angle based on hit position: ±60 degrees from the paddle normal
         const maxAngle = Math.PI / 3; // 60 degrees
-        const angle = -Math.PI / 2 + offsetRatio * maxAngle;
+        const angle = Math.atan2(normal.y, normal.x) + offsetRatio * maxAngle;
 
         this.dx = Math.cos(angle);
         this.dy = Math.sin(angle);
-
-        // Ensure ball goes up
-        if (this.dy > 0) {
-            this.dy = -this.dy;
-        }
     }
 
     /**
      * Apply random scatter to prevent infinite loops
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG
      */
-    applyRandomScatter() {
-        const scatterAngle = (Math.random() - 0.5) * Math.PI / 6; // ±15 degrees
+    applyRandomScatter(rng) {
+        const scatterAngle = (rng.next() - 0.5) * Math.PI / 6; // ±15 degrees
         const cos = Math.cos(scatterAngle);
         const sin = Math.sin(scatterAngle);
         const newDx = this.dx * cos - this.dy * sin;
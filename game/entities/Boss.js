@@ -1,12 +1,15 @@
 /**
- * Boss.js - Boss Entity (Spider-type)
- * Based on game_specification.md Boss Feature
+ * Boss.js - Boss Entity Base
+ * Based on game_specification.md Section 5.5
  *
- * A spider-like boss that moves across the hex grid,
- * regenerates blocks, catches balls, and releases debuffs.
+ * Shared part of every boss type (see bosses/BossTypes.js): health and
+ * HP-threshold phases, hit flash and stun, the common abilities (block
+ * regeneration, ball catch, debuff release), projectiles and the health
+ * bar. A type supplies its movement (_updateBehavior), its body shape
+ * (getHitCircles) and its look (_renderBody).
  */
 
-import { hexToPixel, getHexNeighbors, getHexKey, GRID_SIZES } from '../../shared/HexMath.js';
+import { hexToPixel, getHexNeighbors } from '../../shared/HexMath.js';
 
 /**
  * Boss states
@@ -26,23 +29,37 @@ export const BOSS_STATES = {
 export const BOSS_ABILITIES = {
     BLOCK_REGEN: 'block_regen',    // Regenerate destroyed blocks
     BALL_CATCH: 'ball_catch',       // Catch and redirect ball
-    DEBUFF_RELEASE: 'debuff_release' // Release debuff projectiles
+    DEBUFF_RELEASE: 'debuff_release', // Release debuff projectiles
+    TURRET_FIRE: 'turret_fire'      // Aimed shots at a paddle (turret only)
 };
 
+/**
+ * Projectile colors by debuff (outer glow, inner core)
+ */
+const DEBUFF_COLORS = {
+    slow: ['#FF5722', '#FFEB3B'],
+    reverse: ['#AB47BC', '#F3E5F5'],
+    short: ['#E53935', '#FFCDD2'],
+    disarm: ['#607D8B', '#ECEFF1']
+};
+
+/** Distance kept from the bottom edge while moving (paddle area) */
+const PADDLE_AREA_MARGIN = 100;
+
 export class Boss {
     /**
-     * @param {Object} config - Boss configuration from stage data
-     * @param {number} config.row - Starting row
-     * @param {number} config.col - Starting column
-     * @param {number} config.health - Total health
-     * @param {string} config.gridSize - Grid size key
-     * @param {string[]} [config.abilities] - Enabled abilities
+     * @param {import('../BossConfig.js').ResolvedBossConfig} config - Boss definition (resolveBossConfig)
+     * @param {Object} gridSize - Grid size of the stage (radius, width, height, verticalSpacing)
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG for AI decisions
      */
-    constructor(config) {
+    constructor(config, gridSize, rng) {
+        this.rng = rng;
+        this.type = config.type;
+
         // Grid position
         this.row = config.row;
         this.col = config.col;
-        this.gridSize = GRID_SIZES[config.gridSize] || GRID_SIZES.medium;
+        this.gridSize = gridSize;
 
         // Pixel position (center)
         const pos = hexToPixel(this.row, this.col, this.gridSize);
@@ -52,12 +69,11 @@ export class Boss {
         this.targetY = this.y;
 
         // Health
-        this.maxHealth = config.health || 50;
+        this.maxHealth = config.health;
         this.health = this.maxHealth;
 
         // Visual size (spans multiple hexes)
-        this.radius = this.gridSize.radius * 2.5;
-        this.legSpan = this.gridSize.radius * 3;
+        this.radius = this.gridSize.radius * config.size;
 
         // State
         this.state = BOSS_STATES.IDLE;
@@ -65,32 +81,25 @@ export class Boss {
 
         // Movement
         this.moveSpeed = 0.5; // Hexes per second
+        this.speedMultiplier = 1.0; // Raised by phases
         this.moveCooldown = 0;
-        this.moveInterval = 2000; // ms between moves
+        this.moveInterval = config.moveInterval; // ms between moves
         this.path = [];
 
         // Abilities
-        this.abilities = config.abilities || [
-            BOSS_ABILITIES.BLOCK_REGEN,
-            BOSS_ABILITIES.BALL_CATCH,
-            BOSS_ABILITIES.DEBUFF_RELEASE
-        ];
+        this.abilities = [...config.abilities];
+
+        // Debuffs carried by released projectiles (one picked per projectile)
+        this.debuffTypes = [...config.debuffTypes];
 
         // Ability cooldowns (ms)
-        this.abilityCooldowns = {
-            [BOSS_ABILITIES.BLOCK_REGEN]: 0,
-            [BOSS_ABILITIES.BALL_CATCH]: 0,
-            [BOSS_ABILITIES.DEBUFF_RELEASE]: 0
-        };
-        this.abilityIntervals = {
-            [BOSS_ABILITIES.BLOCK_REGEN]: 5000,
-            [BOSS_ABILITIES.BALL_CATCH]: 3000,
-            [BOSS_ABILITIES.DEBUFF_RELEASE]: 8000
-        };
+        this.abilityCooldowns = {};
+        this.abilityIntervals = { ...config.abilityIntervals };
 
-        // Caught ball reference
+        // Caught ball reference (held at the caught part)
         this.caughtBall = null;
-        this.catchHoldTime = 1500; // ms to hold ball before redirecting
+        this.catchPart = null;
+        this.catchHoldTime = config.catchHoldTime; // ms to hold ball before redirecting
         this.catchTimer = 0;
 
         // Stun
@@ -99,32 +108,34 @@ export class Boss {
 
         // Animation
         this.animationTime = 0;
-        this.legPhase = 0;
         this.hitFlash = 0;
 
         // Colors
-        this.bodyColor = '#6A1B9A';
-        this.legColor = '#9C27B0';
-        this.eyeColor = '#FF5722';
+        this.bodyColor = config.colors.body;
+        this.legColor = config.colors.legs;
+        this.eyeColor = config.colors.eyes;
+
+        // HP-threshold phases (sorted by `at`, highest first), applied in order
+        this.phases = config.phases;
+        this.phaseIndex = -1;
 
         // Active flag
         this.active = true;
 
-        // Debuff projectiles
-        this.debuffProjectiles = [];
+        // Debuff projectiles and shots
+        this.projectiles = [];
     }
 
     /**
      * Update boss
      * @param {number} dt - Delta time in seconds
-     * @param {Object} context - Game context {blocks, balls, paddle, gameState}
+     * @param {Object} context - Game context {blockIndex, balls, paddles, onDebuffHit, onAbility}
      */
     update(dt, context) {
         if (!this.active) return;
 
         const dtMs = dt * 1000;
         this.animationTime += dt;
-        this.legPhase = Math.sin(this.animationTime * 4) * 0.3;
 
         // Decrease cooldowns
         for (const ability of Object.keys(this.abilityCooldowns)) {
@@ -136,13 +147,11 @@ export class Boss {
             this.hitFlash -= dt * 5;
         }
 
-        // State machine
+        // State machine (idle and moving belong to the boss type)
         switch (this.state) {
             case BOSS_STATES.IDLE:
-                this._updateIdle(dt, dtMs, context);
-                break;
             case BOSS_STATES.MOVING:
-                this._updateMoving(dt, context);
+                this._updateBehavior(dt, dtMs, context);
                 break;
             case BOSS_STATES.ATTACKING:
                 this._updateAttacking(dt, dtMs, context);
@@ -155,68 +164,19 @@ export class Boss {
                 break;
         }
 
-        // Update debuff projectiles
-        this._updateDebuffProjectiles(dt, context);
+        // Update projectiles
+        this._updateProjectiles(dt, context);
     }
 
     /**
-     * Update idle state
-     * @private
+     * Movement and ability use while idle or moving (boss type)
+     * @protected
+     * @param {number} dt - Seconds
+     * @param {number} dtMs - Milliseconds
+     * @param {Object} context
      */
-    _updateIdle(dt, dtMs, context) {
-        this.moveCooldown -= dtMs;
-
-        // Try to use abilities
+    _updateBehavior(dt, dtMs, context) {
         this._tryUseAbilities(context);
-
-        // Move periodically
-        if (this.moveCooldown <= 0) {
-            this._planMove(context);
-            if (this.path.length > 0) {
-                this.state = BOSS_STATES.MOVING;
-            }
-            this.moveCooldown = this.moveInterval;
-        }
-    }
-
-    /**
-     * Update moving state
-     * @private
-     */
-    _updateMoving(dt, context) {
-        // Lerp towards target position
-        const speed = this.moveSpeed * this.gridSize.width * dt;
-        const dx = this.targetX - this.x;
-        const dy = this.targetY - this.y;
-        const dist = Math.hypot(dx, dy);
-
-        if (dist < speed || dist < 1) {
-            // Arrived at target
-            this.x = this.targetX;
-            this.y = this.targetY;
-
-            // Update grid position
-            const nextStep = this.path.shift();
-            if (nextStep) {
-                this.row = nextStep.row;
-                this.col = nextStep.col;
-            }
-
-            if (this.path.length > 0) {
-                // Continue to next waypoint
-                const next = this.path[0];
-                const pos = hexToPixel(next.row, next.col, this.gridSize);
-                this.targetX = pos.x;
-                this.targetY = pos.y;
-            } else {
-                // Finished moving
-                this.state = BOSS_STATES.IDLE;
-            }
-        } else {
-            // Move towards target
-            this.x += (dx / dist) * speed;
-            this.y += (dy / dist) * speed;
-        }
     }
 
     /**
@@ -227,9 +187,10 @@ export class Boss {
         if (this.caughtBall) {
             this.catchTimer += dtMs;
 
-            // Hold ball at center
-            this.caughtBall.x = this.x;
-            this.caughtBall.y = this.y;
+            // Hold ball at the part that caught it
+            const holder = this.catchPart || this;
+            this.caughtBall.x = holder.x;
+            this.caughtBall.y = holder.y;
             this.caughtBall.dx = 0;
             this.caughtBall.dy = 0;
 
@@ -254,76 +215,80 @@ export class Boss {
     }
 
     /**
-     * Plan movement path
-     * @private
+     * Whether a hex keeps a body of the given reach inside the play area
+     * @protected
+     * @param {number} row
+     * @param {number} col
+     * @param {number} margin - Distance to keep from the edges (px)
+     * @param {Object} context - {canvasWidth, canvasHeight}
+     * @returns {boolean}
      */
-    _planMove(context) {
-        // Get valid neighbors
-        const neighbors = getHexNeighbors(this.row, this.col);
-
-        // Filter to valid positions (not off-screen, prefer positions with blocks nearby)
-        const validMoves = neighbors.filter(n => {
-            const pos = hexToPixel(n.row, n.col, this.gridSize);
-            return pos.x > this.legSpan &&
-                pos.x < context.canvasWidth - this.legSpan &&
-                pos.y > this.legSpan &&
-                pos.y < context.canvasHeight - this.legSpan - 100; // Stay above paddle area
-        });
-
-        if (validMoves.length === 0) return;
-
-        // Prefer moving towards blocks or towards center
-        const centerX = context.canvasWidth / 2;
-        const centerY = context.canvasHeight / 3;
-
-        validMoves.sort((a, b) => {
-            const posA = hexToPixel(a.row, a.col, this.gridSize);
-            const posB = hexToPixel(b.row, b.col, this.gridSize);
-            const distA = Math.hypot(posA.x - centerX, posA.y - centerY);
-            const distB = Math.hypot(posB.x - centerX, posB.y - centerY);
-            return distA - distB;
-        });
-
-        // Choose random from top 3 moves for variety
-        const choice = validMoves[Math.floor(Math.random() * Math.min(3, validMoves.length))];
-        this.path = [choice];
+    _isInPlayArea(row, col, margin, context) {
+        const pos = hexToPixel(row, col, this.gridSize);
+        return pos.x > margin &&
+            pos.x < context.canvasWidth - margin &&
+            pos.y > margin &&
+            pos.y < context.canvasHeight - margin - PADDLE_AREA_MARGIN;
+    }
 
-        const pos = hexToPixel(choice.row, choice.col, this.gridSize);
-        this.targetX = pos.x;
-        this.targetY = pos.y;
+    /**
+     * Neighbor hexes of a cell that lie in the play area
+     * @protected
+     * @param {number} row
+     * @param {number} col
+     * @param {number} margin
+     * @param {Object} context
+     * @returns {{row: number, col: number}[]}
+     */
+    _getValidMoves(row, col, margin, context) {
+        return getHexNeighbors(row, col).filter(n => this._isInPlayArea(n.row, n.col, margin, context));
     }
 
     /**
-     * Try to use abilities
-     * @private
+     * Use every ability that is ready
+     * @protected
      */
     _tryUseAbilities(context) {
-        // Block regeneration
-        if (this.abilities.includes(BOSS_ABILITIES.BLOCK_REGEN) &&
-            this.abilityCooldowns[BOSS_ABILITIES.BLOCK_REGEN] <= 0) {
-            this._useBlockRegen(context);
-        }
+        for (const ability of this.abilities) {
+            if ((this.abilityCooldowns[ability] || 0) > 0) continue;
 
-        // Ball catch
-        if (this.abilities.includes(BOSS_ABILITIES.BALL_CATCH) &&
-            this.abilityCooldowns[BOSS_ABILITIES.BALL_CATCH] <= 0) {
-            this._tryBallCatch(context);
+            if (this._useAbility(ability, context)) {
+                this.abilityCooldowns[ability] = this.abilityIntervals[ability];
+                if (context.onAbility) {
+                    context.onAbility(ability);
+                }
+            }
         }
+    }
 
-        // Debuff release
-        if (this.abilities.includes(BOSS_ABILITIES.DEBUFF_RELEASE) &&
-            this.abilityCooldowns[BOSS_ABILITIES.DEBUFF_RELEASE] <= 0) {
-            this._useDebuffRelease(context);
+    /**
+     * Use one ability. Types with their own abilities extend this.
+     * @protected
+     * @param {string} ability - BOSS_ABILITIES value
+     * @param {Object} context
+     * @returns {boolean} - True if the ability went off (starts its cooldown)
+     */
+    _useAbility(ability, context) {
+        switch (ability) {
+            case BOSS_ABILITIES.BLOCK_REGEN:
+                return this._useBlockRegen(context);
+            case BOSS_ABILITIES.BALL_CATCH:
+                return this._tryBallCatch(context);
+            case BOSS_ABILITIES.DEBUFF_RELEASE:
+                return this._useDebuffRelease(context);
+            default:
+                return false;
         }
     }
 
     /**
      * Regenerate nearby destroyed blocks
      * @private
+     * @returns {boolean}
      */
     _useBlockRegen(context) {
-        const { blocks, destroyedBlocks } = context;
-        if (!destroyedBlocks || destroyedBlocks.length === 0) return;
+        const { blockIndex, destroyedBlocks } = context;
+        if (!destroyedBlocks || destroyedBlocks.length === 0) return false;
 
         // Find destroyed blocks near the boss
         const regenCandidates = destroyedBlocks.filter(db => {
@@ -332,50 +297,45 @@ export class Boss {
             return dist < this.gridSize.radius * 5;
         });
 
-        if (regenCandidates.length > 0) {
-            // Regenerate up to 3 blocks
-            const toRegen = regenCandidates.slice(0, 3);
-            for (const block of toRegen) {
-                const key = getHexKey(block.row, block.col);
+        if (regenCandidates.length === 0) return false;
 
-                // Find and revive the block
-                const existingBlock = blocks.find(b =>
-                    b.row === block.row && b.col === block.col
-                );
+        // Regenerate up to 3 blocks
+        const toRegen = regenCandidates.slice(0, 3);
+        for (const block of toRegen) {
+            // Find and revive the block
+            const existingBlock = blockIndex.get(block.row, block.col);
 
-                if (existingBlock && !existingBlock.alive) {
-                    existingBlock.alive = true;
-                    existingBlock.durability = 1;
-                }
+            if (existingBlock && !existingBlock.alive) {
+                existingBlock.alive = true;
+                existingBlock.durability = 1;
             }
-
-            this.abilityCooldowns[BOSS_ABILITIES.BLOCK_REGEN] =
-                this.abilityIntervals[BOSS_ABILITIES.BLOCK_REGEN];
         }
+        return true;
     }
 
     /**
-     * Try to catch a ball
+     * Try to catch a ball touching the body
      * @private
+     * @returns {boolean}
      */
     _tryBallCatch(context) {
         const { balls } = context;
-        if (!balls || this.caughtBall) return;
+        if (!balls || this.caughtBall) return false;
 
         for (const ball of balls) {
             if (!ball.active || ball.attached) continue;
 
-            const dist = Math.hypot(ball.x - this.x, ball.y - this.y);
-            if (dist < this.radius) {
+            const part = this.hitTest(ball.x, ball.y, 0);
+            if (part) {
                 // Catch the ball
                 this.caughtBall = ball;
+                this.catchPart = part;
                 this.catchTimer = 0;
                 this.state = BOSS_STATES.ATTACKING;
-                this.abilityCooldowns[BOSS_ABILITIES.BALL_CATCH] =
-                    this.abilityIntervals[BOSS_ABILITIES.BALL_CATCH];
-                break;
+                return true;
             }
         }
+        return false;
     }
 
     /**
@@ -385,10 +345,12 @@ export class Boss {
     _releaseCaughtBall(context) {
         if (!this.caughtBall) return;
 
-        const { paddle } = context;
+        // Aim at a random visible paddle
+        const targets = (context.paddles || []).filter(p => p.visible);
+        const paddle = this.rng.pick(targets);
         if (paddle) {
             // Aim at paddle with some randomness
-            const targetX = paddle.x + (Math.random() - 0.5) * paddle.width;
+            const targetX = paddle.x + (this.rng.next() - 0.5) * paddle.width;
             const targetY = paddle.y;
             const dx = targetX - this.caughtBall.x;
             const dy = targetY - this.caughtBall.y;
@@ -403,44 +365,54 @@ export class Boss {
         }
 
         this.caughtBall = null;
+        this.catchPart = null;
         this.state = BOSS_STATES.IDLE;
     }
 
     /**
      * Release debuff projectiles
      * @private
+     * @returns {boolean}
      */
     _useDebuffRelease(context) {
+        if (this.debuffTypes.length === 0) return false;
+
         // Create debuff projectiles
         const numProjectiles = 3;
         const spreadAngle = Math.PI / 4;
 
         for (let i = 0; i < numProjectiles; i++) {
             const angle = Math.PI / 2 + (i - (numProjectiles - 1) / 2) * (spreadAngle / numProjectiles);
-            this.debuffProjectiles.push({
-                x: this.x,
-                y: this.y,
-                dx: Math.cos(angle),
-                dy: Math.sin(angle),
+            this._spawnProjectile(this.x, this.y, Math.cos(angle), Math.sin(angle), {
                 speed: 3,
                 radius: 6,
-                type: 'slow', // Effect type
-                active: true
+                type: this.rng.pick(this.debuffTypes)
             });
         }
+        return true;
+    }
 
-        this.abilityCooldowns[BOSS_ABILITIES.DEBUFF_RELEASE] =
-            this.abilityIntervals[BOSS_ABILITIES.DEBUFF_RELEASE];
+    /**
+     * Add a projectile that applies its debuff when it hits a paddle
+     * @protected
+     * @param {number} x
+     * @param {number} y
+     * @param {number} dx - Unit direction
+     * @param {number} dy
+     * @param {{speed: number, radius: number, type: string}} props
+     */
+    _spawnProjectile(x, y, dx, dy, { speed, radius, type }) {
+        this.projectiles.push({ x, y, dx, dy, speed, radius, type, active: true });
     }
 
     /**
-     * Update debuff projectiles
+     * Update projectiles
      * @private
      */
-    _updateDebuffProjectiles(dt, context) {
-        const { paddle, canvasWidth, canvasHeight } = context;
+    _updateProjectiles(dt, context) {
+        const { paddles = [], canvasWidth, canvasHeight } = context;
 
-        for (const proj of this.debuffProjectiles) {
+        for (const proj of this.projectiles) {
             if (!proj.active) continue;
 
             // Move projectile
@@ -455,36 +427,41 @@ export class Boss {
             }
 
             // Check paddle collision
-            if (paddle) {
-                const halfWidth = paddle.width / 2;
-                const halfHeight = paddle.height / 2;
-
-                if (proj.x >= paddle.x - halfWidth - proj.radius &&
-                    proj.x <= paddle.x + halfWidth + proj.radius &&
-                    proj.y >= paddle.y - halfHeight - proj.radius &&
-                    proj.y <= paddle.y + halfHeight + proj.radius) {
-                    // Hit paddle - apply debuff
-                    proj.active = false;
-                    if (context.onDebuffHit) {
-                        context.onDebuffHit(proj.type);
-                    }
+            const hitPaddle = paddles.some(paddle =>
+                paddle.visible && paddle.intersectsCircle(proj.x, proj.y, proj.radius)
+            );
+            if (hitPaddle) {
+                // Hit paddle - apply debuff
+                proj.active = false;
+                if (context.onDebuffHit) {
+                    context.onDebuffHit(proj.type);
                 }
             }
         }
 
         // Remove inactive projectiles
-        this.debuffProjectiles = this.debuffProjectiles.filter(p => p.active);
+        this.projectiles = this.projectiles.filter(p => p.active);
     }
 
     /**
      * Take damage
-     * @param {number} amount - Damage amount
+     * @param {number} [amount=1] - Damage amount
+     * @param {Object} [part] - Hit circle returned by hitTest (types with several bodies)
      * @returns {boolean} True if defeated
      */
-    takeDamage(amount = 1) {
+    takeDamage(amount = 1, part = null) {
         if (this.state === BOSS_STATES.DEFEATED) return false;
 
-        this.health -= amount;
+        this.health = Math.max(0, this.health - amount);
+        return this._afterDamage();
+    }
+
+    /**
+     * Hit reaction shared by all types: flash, stun, drop the caught ball, phases, defeat
+     * @protected
+     * @returns {boolean} True if defeated
+     */
+    _afterDamage() {
         this.hitFlash = 1;
 
         // Brief stun on hit
@@ -493,8 +470,9 @@ export class Boss {
 
         // Release caught ball if any
         if (this.caughtBall) {
-            this.caughtBall.applyRandomScatter();
+            this.caughtBall.applyRandomScatter(this.rng);
             this.caughtBall = null;
+            this.catchPart = null;
         }
 
         if (this.health <= 0) {
@@ -504,9 +482,81 @@ export class Boss {
             return true;
         }
 
+        this._updatePhase();
         return false;
     }
 
+    /**
+     * Enter every phase whose threshold the health has fallen to
+     * @private
+     */
+    _updatePhase() {
+        const ratio = this.health / this.maxHealth;
+        while (this.phaseIndex + 1 < this.phases.length && ratio <= this.phases[this.phaseIndex + 1].at) {
+            this.phaseIndex++;
+            this._applyPhase(this.phases[this.phaseIndex]);
+        }
+    }
+
+    /**
+     * Apply a phase on top of the current settings
+     * @protected
+     * @param {import('../BossConfig.js').BossPhase} phase
+     */
+    _applyPhase(phase) {
+        if (phase.abilities) {
+            this.abilities = [...phase.abilities];
+        }
+        if (phase.abilityIntervals) {
+            Object.assign(this.abilityIntervals, phase.abilityIntervals);
+        }
+        if (phase.debuffTypes) {
+            this.debuffTypes = [...phase.debuffTypes];
+        }
+        if (phase.moveInterval !== undefined) {
+            this.moveInterval = phase.moveInterval;
+        }
+        if (phase.speed !== undefined) {
+            this.speedMultiplier = phase.speed;
+        }
+        if (phase.colors) {
+            this.bodyColor = phase.colors.body ?? this.bodyColor;
+            this.legColor = phase.colors.legs ?? this.legColor;
+            this.eyeColor = phase.colors.eyes ?? this.eyeColor;
+        }
+    }
+
+    /**
+     * Circles the balls and lasers collide with. The returned objects stay
+     * live (their x/y follow the body), so a type can use them as parts.
+     * @returns {{x: number, y: number, radius: number}[]}
+     */
+    getHitCircles() {
+        return [this];
+    }
+
+    /**
+     * Find the part a circle touches (the deepest overlap where parts overlap)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius - 0 for a point (laser)
+     * @returns {{x: number, y: number, radius: number}|null}
+     */
+    hitTest(x, y, radius) {
+        if (!this.active) return null;
+
+        let hit = null;
+        let deepest = 0;
+        for (const part of this.getHitCircles()) {
+            const gap = Math.hypot(x - part.x, y - part.y) - part.radius - radius;
+            if (gap < deepest) {
+                hit = part;
+                deepest = gap;
+            }
+        }
+        return hit;
+    }
+
     /**
      * Check collision with ball
      * @param {Ball} ball
@@ -514,9 +564,7 @@ export class Boss {
      */
     checkBallCollision(ball) {
         if (!this.active || ball.attached) return false;
-
-        const dist = Math.hypot(ball.x - this.x, ball.y - this.y);
-        return dist < this.radius + ball.radius;
+        return this.hitTest(ball.x, ball.y, ball.radius) !== null;
     }
 
     /**
@@ -543,136 +591,36 @@ export class Boss {
             ctx.filter = 'saturate(0.5)';
         }
 
-        // Draw legs
-        this._renderLegs(ctx);
-
-        // Draw body
+        // Body of the boss type
         this._renderBody(ctx);
 
-        // Draw eyes
-        this._renderEyes(ctx);
-
         // Health bar
         this._renderHealthBar(ctx);
 
         ctx.restore();
 
-        // Draw debuff projectiles
-        this._renderDebuffProjectiles(ctx);
+        // Draw projectiles
+        this._renderProjectiles(ctx);
     }
 
     /**
-     * Render spider legs
-     * @private
-     */
-    _renderLegs(ctx) {
-        ctx.strokeStyle = this.legColor;
-        ctx.lineWidth = 4;
-        ctx.lineCap = 'round';
-
-        const legCount = 8;
-        const legLength = this.legSpan;
-
-        for (let i = 0; i < legCount; i++) {
-            const side = i < 4 ? -1 : 1;
-            const legIndex = i % 4;
-            const baseAngle = (legIndex * Math.PI / 6 + Math.PI / 6) * side;
-
-            // Leg animation
-            const phase = this.legPhase * (legIndex % 2 === 0 ? 1 : -1);
-
-            ctx.beginPath();
-            ctx.moveTo(this.x, this.y);
-
-            // First segment
-            const midX = this.x + Math.cos(baseAngle + phase) * legLength * 0.5;
-            const midY = this.y + Math.sin(baseAngle + phase) * legLength * 0.5;
-
-            // Second segment (bent knee)
-            const endX = midX + Math.cos(baseAngle + Math.PI / 4 * side) * legLength * 0.6;
-            const endY = midY + Math.abs(Math.sin(baseAngle)) * legLength * 0.4 + legLength * 0.3;
-
-            ctx.quadraticCurveTo(midX, midY, endX, endY);
-            ctx.stroke();
-        }
-    }
-
-    /**
-     * Render body
-     * @private
+     * Draw the body (boss type)
+     * @protected
+     * @param {CanvasRenderingContext2D} ctx
      */
     _renderBody(ctx) {
-        // Shadow
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        ctx.beginPath();
-        ctx.ellipse(this.x, this.y + this.radius * 0.8, this.radius * 0.8, this.radius * 0.3, 0, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Body gradient
-        const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
-            this.x, this.y, this.radius
-        );
-        gradient.addColorStop(0, '#9C27B0');
-        gradient.addColorStop(0.7, this.bodyColor);
-        gradient.addColorStop(1, '#4A148C');
-
-        ctx.fillStyle = gradient;
+        ctx.fillStyle = this.bodyColor;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
         ctx.fill();
-
-        // Body pattern
-        ctx.strokeStyle = '#7B1FA2';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius * 0.6, 0, Math.PI * 2);
-        ctx.stroke();
     }
 
     /**
-     * Render eyes
-     * @private
-     */
-    _renderEyes(ctx) {
-        const eyeRadius = this.radius * 0.15;
-        const eyeSpacing = this.radius * 0.4;
-
-        // Main eyes (larger)
-        for (let i = -1; i <= 1; i += 2) {
-            ctx.fillStyle = this.eyeColor;
-            ctx.beginPath();
-            ctx.arc(this.x + i * eyeSpacing * 0.8, this.y - this.radius * 0.2, eyeRadius, 0, Math.PI * 2);
-            ctx.fill();
-
-            // Pupil
-            ctx.fillStyle = '#000';
-            ctx.beginPath();
-            ctx.arc(this.x + i * eyeSpacing * 0.8, this.y - this.radius * 0.2, eyeRadius * 0.5, 0, Math.PI * 2);
-            ctx.fill();
-
-            // Glow
-            ctx.shadowBlur = 10;
-            ctx.shadowColor = this.eyeColor;
-            ctx.fill();
-            ctx.shadowBlur = 0;
-        }
-
-        // Secondary eyes (smaller)
-        for (let i = -1; i <= 1; i += 2) {
-            ctx.fillStyle = this.eyeColor;
-            ctx.beginPath();
-            ctx.arc(this.x + i * eyeSpacing * 1.2, this.y - this.radius * 0.1, eyeRadius * 0.6, 0, Math.PI * 2);
-            ctx.fill();
-        }
-    }
-
-    /**
-     * Render health bar
+     * Render health bar with phase thresholds
      * @private
      */
     _renderHealthBar(ctx) {
-        const barWidth = this.radius * 2;
+        const barWidth = Math.max(this.radius * 2, 60);
         const barHeight = 8;
         const barX = this.x - barWidth / 2;
         const barY = this.y - this.radius - 20;
@@ -689,6 +637,12 @@ export class Boss {
         ctx.fillStyle = healthColor;
         ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
 
+        // Phase thresholds
+        ctx.fillStyle = '#fff';
+        for (const phase of this.phases) {
+            ctx.fillRect(barX + barWidth * phase.at - 1, barY - 2, 2, barHeight + 4);
+        }
+
         // Border
         ctx.strokeStyle = '#fff';
         ctx.lineWidth = 1;
@@ -696,26 +650,27 @@ export class Boss {
     }
 
     /**
-     * Render debuff projectiles
+     * Render projectiles
      * @private
      */
-    _renderDebuffProjectiles(ctx) {
-        for (const proj of this.debuffProjectiles) {
+    _renderProjectiles(ctx) {
+        for (const proj of this.projectiles) {
             if (!proj.active) continue;
 
+            const [outer, inner] = DEBUFF_COLORS[proj.type] || DEBUFF_COLORS.slow;
             ctx.save();
 
             // Glow
             ctx.shadowBlur = 10;
-            ctx.shadowColor = '#FF5722';
+            ctx.shadowColor = outer;
 
-            ctx.fillStyle = '#FF5722';
+            ctx.fillStyle = outer;
             ctx.beginPath();
             ctx.arc(proj.x, proj.y, proj.radius, 0, Math.PI * 2);
             ctx.fill();
 
             // Inner
-            ctx.fillStyle = '#FFEB3B';
+            ctx.fillStyle = inner;
             ctx.beginPath();
             ctx.arc(proj.x, proj.y, proj.radius * 0.5, 0, Math.PI * 2);
             ctx.fill();
@@ -736,3 +691,15 @@ export class Boss {
         };
     }
 }
+
+/**
+ * Darken a #RRGGBB color
+ * @param {string} hex
+ * @param {number} factor - 0 (black) .. 1 (unchanged)
+ * @returns {string}
+ */
+export function darkenColor(hex, factor) {
+    const value = parseInt(hex.slice(1), 16);
+    const channel = shift => Math.round(((value >> shift) & 0xff) * factor);
+    return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
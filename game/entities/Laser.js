@@ -1,12 +1,14 @@
-
 export class Laser {
     /**
-     * @param {number} x - Starting x position (center of paddle)
-     * @param {number} y - Starting y position (top of paddle)
+     * @param {number} x - Starting x position (paddle face)
+     * @param {number} y - Starting y position (paddle face)
+     * @param {{x: number, y: number}} [direction] - Unit flight direction (default: up)
      */
-    constructor(x, y) {
+    constructor(x, y, direction = { x: 0, y: -1 }) {
         this.x = x;
         this.y = y;
+        this.dx = direction.x;
+        this.dy = direction.y;
         this.width = 6;
         this.height = 24;
         this.speed = 12;
@@ -17,49 +19,59 @@ export class Laser {
 
     /**
      * Update laser position
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
      */
-    update() {
-        this.y -= this.speed;
+    update(width, height) {
+        this.x += this.dx * this.speed;
+        this.y += this.dy * this.speed;
 
-        // Deactivate if off screen
-        if (this.y + this.height < 0) {
+        // Deactivate once the whole beam (tip + tail) is off screen
+        const margin = this.height;
+        if (this.x < -margin || this.x > width + margin || this.y < -margin || this.y > height + margin) {
             this.active = false;
         }
     }
 
     /**
-     * Render laser beam
+     * Render laser beam (x, y is the tip; the beam trails behind it)
      * @param {CanvasRenderingContext2D} ctx 
      */
     render(ctx) {
         ctx.save();
+        ctx.translate(this.x, this.y);
+        // Local -y points along the flight direction
+        ctx.rotate(Math.atan2(this.dx, -this.dy));
 
         // Core
         ctx.fillStyle = '#ffffff';
-        ctx.fillRect(this.x - 2, this.y, 4, this.height);
+        ctx.fillRect(-2, 0, 4, this.height);
 
         // Outer glow
         ctx.fillStyle = this.color;
         ctx.globalAlpha = 0.6;
-        ctx.fillRect(this.x - this.width / 2, this.y, this.width, this.height);
+        ctx.fillRect(-this.width / 2, 0, this.width, this.height);
 
         // Glow effect
         ctx.shadowBlur = 15;
         ctx.shadowColor = this.color;
-        ctx.fillRect(this.x - 2, this.y, 4, this.height);
+        ctx.fillRect(-2, 0, 4, this.height);
 
         ctx.restore();
     }
 
     /**
-     * Get collision bounds
+     * Get collision bounds (axis-aligned box around the beam)
      */
     getBounds() {
+        const tailX = this.x - this.dx * this.height;
+        const tailY = this.y - this.dy * this.height;
+        const half = this.width / 2;
         return {
-            left: this.x - this.width / 2,
-            right: this.x + this.width / 2,
-            top: this.y,
-            bottom: this.y + this.height
+            left: Math.min(this.x, tailX) - half,
+            right: Math.max(this.x, tailX) + half,
+            top: Math.min(this.y, tailY) - half,
+            bottom: Math.max(this.y, tailY) + half
         };
     }
 }
@@ -1,12 +1,58 @@
 /**
  * Paddle.js - Paddle Entity
- * Based on game_specification.md Section 4.2
+ * Based on game_specification.md Section 4.2, 5.2
+ *
+ * The paddle rides along its paddle line (polyline axis) and rotates to
+ * match the current segment. Its "up" side is the line's normalSide.
  */
 
+import {
+    buildPolyline,
+    normalizeDistance,
+    getPointAtDistance,
+    projectOntoPolyline,
+    getDistanceForAxisValue,
+    getAxisRange,
+    getSideNormal
+} from '../physics/PolylineMath.js';
+
+/**
+ * Paddle control modes (same IDs as editor PADDLE_CONTROLS)
+ */
+export const PADDLE_CONTROLS = {
+    MOUSE_X: 'mouse-x',
+    MOUSE_Y: 'mouse-y',
+    MOUSE_X_INV: 'mouse-x-inv',
+    MOUSE_Y_INV: 'mouse-y-inv',
+    KEY_X: 'key-x',
+    KEY_Y: 'key-y',
+    KEY_X_INV: 'key-x-inv',
+    KEY_Y_INV: 'key-y-inv',
+    AUTO: 'auto',
+    TAP: 'tap'
+};
+
+/** Auto mode: step of the aim sequence (golden ratio, spreads the hit points evenly over the paddle) */
+const AUTO_AIM_STEP = 0.6180339887;
+
+/** Auto mode: aim range as a fraction of the paddle width */
+const AUTO_AIM_SPREAD = 0.7;
+
 export class Paddle {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
+    /**
+     * @param {Object} line - Paddle line data from stage
+     * @param {{x: number, y: number}[]} line.points - Paddle axis polyline
+     * @param {boolean} [line.closed] - Whether the axis loops
+     * @param {'left'|'right'} [line.normalSide] - Play field side of the axis
+     * @param {string} [line.paddleControl] - Control mode (PADDLE_CONTROLS)
+     * @param {Object|null} [missLine=null] - Miss line guarding this paddle
+     */
+    constructor(line, missLine = null) {
+        this.line = line;
+        this.missLine = missLine;
+        this.control = this._resolveControl(line.paddleControl);
+        this.normalSide = line.normalSide || 'left';
+
         this.baseWidth = 100;
         this.width = this.baseWidth;
         this.height = 16;
@@ -17,30 +63,46 @@ export class Paddle {
         this.expandLevel = 0; // 0-3
         this.expandLevels = [1.0, 1.25, 1.5, 1.75];
 
-        // Movement bounds
-        this.minX = 0;
-        this.maxX = 1280;
+        // Movement speeds (px/s along the line)
+        this.keySpeed = 600;
+        this.autoSpeed = 480;
+
+        // Boss debuff modifiers (set by DebuffSystem)
+        /** @type {number} - Move speed factor; below 1 the paddle also lags behind the mouse */
+        this.moveSpeedMultiplier = 1.0;
+        /** @type {boolean} - Control input is mirrored */
+        this.inputReversed = false;
+        /** @type {number} - Width factor on top of widthMultiplier */
+        this.debuffWidthMultiplier = 1.0;
+
+        // Auto mode aim: the meeting point moves along the paddle for every approaching ball,
+        // so the ball does not bounce straight back and forth in one column
+        this._autoAimPhase = 0;
+        this._autoAim = 0;
+        this._autoApproaching = false;
+
+        // Position on the line (arc length) and derived pose
+        this.polyline = buildPolyline(line.points, line.closed);
+        this.distance = this.polyline.length / 2;
+        this.x = 0;
+        this.y = 0;
+        this.angle = 0;
+        /** @type {{x: number, y: number}} - Unit normal toward the play field */
+        this.normal = { x: 0, y: -1 };
 
         // Visibility (false in tap mode)
-        this.visible = true;
-    }
+        this.visible = this.control !== PADDLE_CONTROLS.TAP;
 
-    /**
-     * Set movement bounds
-     * @param {number} minX
-     * @param {number} maxX
-     */
-    setBounds(minX, maxX) {
-        this.minX = minX;
-        this.maxX = maxX;
+        this._applyPosition();
     }
 
     /**
-     * Update paddle position based on mouse
+     * Update paddle position based on its control mode
+     * @param {number} dt - Delta time in seconds
      * @param {object} inputManager - Input manager instance
-     * @param {number} canvasWidth - Width of the canvas
+     * @param {Array} [balls] - Ball array (for auto mode)
      */
-    update(inputManager, canvasWidth) {
+    update(dt, inputManager, balls = []) {
         // Width lerping
         if (this.width !== this.targetWidth) {
             this.width += (this.targetWidth - this.width) * 0.1;
@@ -49,10 +111,186 @@ export class Paddle {
             }
         }
 
-        // Mouse follow handling
-        const mouseX = inputManager.mouseX;
-        const halfWidth = this.width / 2;
-        this.x = Math.max(this.minX + halfWidth, Math.min(this.maxX - halfWidth, mouseX));
+        // Line points may be moved by PathMoveSystem
+        this.polyline = buildPolyline(this.line.points, this.line.closed);
+
+        // REVERSE debuff flips the inversion of every control mode
+        const reversed = this.inputReversed;
+
+        switch (this.control) {
+            case PADDLE_CONTROLS.MOUSE_X:
+            case PADDLE_CONTROLS.MOUSE_X_INV:
+                this._followAxis(dt, 'x', inputManager.mouseX, (this.control === PADDLE_CONTROLS.MOUSE_X_INV) !== reversed);
+                break;
+            case PADDLE_CONTROLS.MOUSE_Y:
+            case PADDLE_CONTROLS.MOUSE_Y_INV:
+                this._followAxis(dt, 'y', inputManager.mouseY, (this.control === PADDLE_CONTROLS.MOUSE_Y_INV) !== reversed);
+                break;
+            case PADDLE_CONTROLS.KEY_X:
+            case PADDLE_CONTROLS.KEY_X_INV:
+                this._moveByAxis(dt, inputManager.axisX, 'x', (this.control === PADDLE_CONTROLS.KEY_X_INV) !== reversed);
+                break;
+            case PADDLE_CONTROLS.KEY_Y:
+            case PADDLE_CONTROLS.KEY_Y_INV:
+                this._moveByAxis(dt, inputManager.axisY, 'y', (this.control === PADDLE_CONTROLS.KEY_Y_INV) !== reversed);
+                break;
+            case PADDLE_CONTROLS.AUTO:
+                this._trackBall(dt, balls, inputManager);
+                break;
+            case PADDLE_CONTROLS.TAP:
+                // Tap mode: paddle stays at the line midpoint (ball spawn only)
+                break;
+        }
+
+        this._applyPosition();
+    }
+
+    /**
+     * Follow a mouse coordinate along one screen axis
+     * @private
+     * @param {number} dt
+     * @param {'x'|'y'} axis
+     * @param {number} value - Mouse coordinate
+     * @param {boolean} inverted - Mirror the coordinate across the line's range
+     */
+    _followAxis(dt, axis, value, inverted) {
+        if (inverted) {
+            const range = getAxisRange(this.polyline, axis);
+            value = range.min + range.max - value;
+        }
+        const target = getDistanceForAxisValue(this.polyline, axis, value, this.distance);
+
+        if (this.moveSpeedMultiplier < 1) {
+            // Slowed: chase the pointer at a reduced key speed
+            this._stepToward(target, this.keySpeed * this.moveSpeedMultiplier * dt);
+        } else {
+            this.distance = target;
+        }
+    }
+
+    /**
+     * Move along the line with the paddle axis (keys, d-pad or analog stick)
+     * @private
+     * @param {number} dt
+     * @param {number} value - Axis value (-1 .. 1; the stick gives partial speed)
+     * @param {'x'|'y'} axis - Screen axis the input maps to
+     * @param {boolean} inverted
+     */
+    _moveByAxis(dt, value, axis, inverted) {
+        const direction = inverted ? -value : value;
+        if (direction === 0) return;
+
+        // Travel along the line in whichever direction moves toward the pressed key
+        const pose = getPointAtDistance(this.polyline, this.distance);
+        const tangentAxis = axis === 'x' ? pose.tx : pose.ty;
+        const lineDirection = tangentAxis >= 0 ? 1 : -1;
+
+        this.distance += direction * lineDirection * this.keySpeed * this.moveSpeedMultiplier * dt;
+    }
+
+    /**
+     * Auto mode: move toward the nearest free ball approaching the paddle side.
+     * Each time a ball starts approaching, the meeting point moves to the next
+     * spot of a spread sequence across the paddle, so returns vary in angle.
+     * The paddle axis (keys / stick) shifts the meeting point by up to half the
+     * paddle width along the line, so the player can aim.
+     * @private
+     * @param {number} dt
+     * @param {Array} balls
+     * @param {object} inputManager
+     */
+    _trackBall(dt, balls, inputManager) {
+        let target = null;
+        let targetScore = Infinity;
+        let targetApproaching = false;
+
+        for (const ball of balls) {
+            if (ball.attached || !ball.active) continue;
+
+            const projection = projectOntoPolyline(this.polyline, ball.x, ball.y);
+            if (!projection) continue;
+
+            // Prefer balls moving toward the line, then the closest one
+            const approaching = ball.dx * this.normal.x + ball.dy * this.normal.y < 0;
+            const score = projection.offset + (approaching ? 0 : 100000);
+            if (score < targetScore) {
+                targetScore = score;
+                target = projection;
+                targetApproaching = approaching;
+            }
+        }
+
+        if (!target) return;
+
+        // New approach: pick the next aim point
+        if (targetApproaching && !this._autoApproaching) {
+            this._autoAimPhase = (this._autoAimPhase + AUTO_AIM_STEP) % 1;
+            this._autoAim = (this._autoAimPhase - 0.5) * this.width * AUTO_AIM_SPREAD;
+        }
+        this._autoApproaching = targetApproaching;
+
+        const pose = getPointAtDistance(this.polyline, this.distance);
+        const reversed = this.inputReversed ? -1 : 1;
+        const steer = reversed * (inputManager.axisX * pose.tx + inputManager.axisY * pose.ty) * this.width / 2;
+
+        this._stepToward(target.distance + this._autoAim + steer, this.autoSpeed * this.moveSpeedMultiplier * dt);
+    }
+
+    /**
+     * Move along the line toward a distance by at most maxStep
+     * @private
+     * @param {number} target - Arc length
+     * @param {number} maxStep
+     */
+    _stepToward(target, maxStep) {
+        let delta = target - this.distance;
+        if (this.polyline.closed) {
+            // Shortest way around the loop
+            const length = this.polyline.length;
+            delta = ((delta % length) + length * 1.5) % length - length / 2;
+        }
+
+        this.distance += Math.max(-maxStep, Math.min(maxStep, delta));
+    }
+
+    /**
+     * Clamp distance so the paddle stays on the line, then update pose
+     * @private
+     */
+    _applyPosition() {
+        const polyline = this.polyline;
+        if (polyline.segments.length === 0) return;
+
+        if (polyline.closed) {
+            this.distance = normalizeDistance(polyline, this.distance);
+        } else {
+            const halfWidth = this.width / 2;
+            this.distance = polyline.length <= this.width
+                ? polyline.length / 2
+                : Math.max(halfWidth, Math.min(polyline.length - halfWidth, this.distance));
+        }
+
+        const pose = getPointAtDistance(polyline, this.distance);
+        this.x = pose.x;
+        this.y = pose.y;
+        this.normal = getSideNormal(pose.tx, pose.ty, this.normalSide);
+
+        // Local +x runs along the paddle, local -y faces the play field
+        this.angle = Math.atan2(this.normal.x, -this.normal.y);
+    }
+
+    /**
+     * Normalize legacy / unknown control IDs
+     * @private
+     * @param {string} control
+     * @returns {string}
+     */
+    _resolveControl(control) {
+        if (Object.values(PADDLE_CONTROLS).includes(control)) {
+            return control;
+        }
+        // 'mouse' (old spec) and missing values fall back to horizontal mouse
+        return PADDLE_CONTROLS.MOUSE_X;
     }
 
     /**
@@ -81,21 +319,31 @@ export class Paddle {
     checkCollision(ball) {
         const halfWidth = this.width / 2;
         const halfHeight = this.height / 2;
+        const { x: nx, y: ny } = this.normal;
 
-        // AABB collision with ball
-        const closestX = Math.max(this.x - halfWidth, Math.min(ball.x, this.x + halfWidth));
-        const closestY = Math.max(this.y - halfHeight, Math.min(ball.y, this.y + halfHeight));
+        // Paddle-local axes: u along the paddle, v toward the play field
+        const ux = -ny;
+        const uy = nx;
+        const rx = ball.x - this.x;
+        const ry = ball.y - this.y;
+        const u = rx * ux + ry * uy;
+        const v = rx * nx + ry * ny;
 
-        const dx = ball.x - closestX;
-        const dy = ball.y - closestY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        // Closest point on the paddle rect (local space)
+        const closestU = Math.max(-halfWidth, Math.min(u, halfWidth));
+        const closestV = Math.max(-halfHeight, Math.min(v, halfHeight));
+        const distance = Math.hypot(u - closestU, v - closestV);
 
-        if (distance < ball.radius && ball.dy > 0) {
+        const approaching = ball.dx * nx + ball.dy * ny < 0;
+
+        if (distance < ball.radius && approaching) {
             // Calculate offset ratio (-1 to 1)
-            const offsetRatio = (ball.x - this.x) / halfWidth;
+            const offsetRatio = u / halfWidth;
 
-            // Push ball above paddle
-            ball.y = this.y - halfHeight - ball.radius;
+            // Push ball out on the play field side
+            const pushV = halfHeight + ball.radius;
+            ball.x = this.x + ux * closestU + nx * pushV;
+            ball.y = this.y + uy * closestU + ny * pushV;
 
             return { hit: true, offsetRatio: Math.max(-1, Math.min(1, offsetRatio)) };
         }
@@ -103,17 +351,46 @@ export class Paddle {
         return { hit: false, offsetRatio: 0 };
     }
 
+    /**
+     * Check overlap with a circle (projectiles, pickups)
+     * @param {number} x - Circle center X
+     * @param {number} y - Circle center Y
+     * @param {number} radius
+     * @returns {boolean}
+     */
+    intersectsCircle(x, y, radius) {
+        const { x: nx, y: ny } = this.normal;
+        const rx = x - this.x;
+        const ry = y - this.y;
+        const u = rx * -ny + ry * nx;
+        const v = rx * nx + ry * ny;
+
+        const closestU = Math.max(-this.width / 2, Math.min(u, this.width / 2));
+        const closestV = Math.max(-this.height / 2, Math.min(v, this.height / 2));
+
+        return Math.hypot(u - closestU, v - closestV) <= radius;
+    }
+
     /**
      * Get ball attach position
      * @returns {{x: number, y: number}}
      */
     getBallAttachPosition() {
+        const gap = this.height / 2 + 10; // Ball radius + small gap
         return {
-            x: this.x,
-            y: this.y - this.height / 2 - 10 // Ball radius + small gap
+            x: this.x + this.normal.x * gap,
+            y: this.y + this.normal.y * gap
         };
     }
 
+    /**
+     * Get launch direction (paddle normal, into the play field)
+     * @returns {number} Angle in radians
+     */
+    getLaunchAngle() {
+        return Math.atan2(this.normal.y, this.normal.x);
+    }
+
     /**
      * Enable shooting for the paddle
      */
@@ -149,8 +426,8 @@ export class Paddle {
      */
     getProjectilePosition() {
         return {
-            x: this.x,
-            y: this.y - this.height / 2
+            x: this.x + this.normal.x * this.height / 2,
+            y: this.y + this.normal.y * this.height / 2
         };
     }
 
@@ -161,38 +438,60 @@ export class Paddle {
     render(ctx) {
         if (!this.visible) return;
 
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.angle);
+
         // Glow
         ctx.shadowBlur = 15;
         ctx.shadowColor = this.color;
 
         ctx.fillStyle = this.color;
 
-        // Rounded rectangle paddle
+        // Rounded rectangle paddle (centered on the line to match collision bounds)
         ctx.beginPath();
-        // Draw centered vertically to match collision bounds
-        ctx.roundRect(this.x - this.width / 2, this.y - this.height / 2, this.width, this.height, 8);
+        ctx.roundRect(-halfWidth, -halfHeight, this.width, this.height, 8);
         ctx.fill();
 
         ctx.shadowBlur = 0;
 
-        // Detail line
+        // Detail line (play field side)
         ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.beginPath();
-        ctx.roundRect(this.x - this.width / 2 + 4, this.y - this.height / 2 + 4, this.width - 8, this.height / 2, 4);
+        ctx.roundRect(-halfWidth + 4, -halfHeight + 4, this.width - 8, this.height / 2, 4);
         ctx.fill();
 
         // Border
         ctx.strokeStyle = '#B3E5FC';
         ctx.lineWidth = 1;
-        ctx.strokeRect(this.x - this.width / 2, this.y - this.height / 2, this.width, this.height);
+        ctx.strokeRect(-halfWidth, -halfHeight, this.width, this.height);
+
+        ctx.restore();
     }
 
     /**
      * Set width multiplier
-     * @param {number} multiplier 
+     * @param {number} multiplier
      */
     setWidthMultiplier(multiplier) {
         this.widthMultiplier = multiplier;
-        this.targetWidth = this.baseWidth * multiplier;
+        this.targetWidth = this.baseWidth * this.widthMultiplier * this.debuffWidthMultiplier;
+    }
+
+    /**
+     * Set boss debuff modifiers (DebuffSystem)
+     * @param {Object} modifiers
+     * @param {number} modifiers.moveSpeed - Move speed factor (SLOW)
+     * @param {boolean} modifiers.reversed - Mirror control input (REVERSE)
+     * @param {number} modifiers.width - Width factor (SHORT)
+     */
+    setDebuffModifiers({ moveSpeed, reversed, width }) {
+        this.moveSpeedMultiplier = moveSpeed;
+        this.inputReversed = reversed;
+        this.debuffWidthMultiplier = width;
+        this.targetWidth = this.baseWidth * this.widthMultiplier * this.debuffWidthMultiplier;
     }
 }
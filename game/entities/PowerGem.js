@@ -8,13 +8,20 @@ export class PowerGem {
         this.x = x;
         this.y = y;
         this.radius = 12;
-        this.vy = 2.0; // Fall speed
+        this.speed = 2.0; // Drift speed (px per 1/60 s)
         this.alive = true;
         this.color = '#FFD700'; // Gold
 
-        // Wobble effect
+        /** @type {{x: number, y: number}} - Unit drift direction (set by GemSystem toward the owning paddle) */
+        this.direction = { x: 0, y: 1 };
+
+        /** @type {Object|null} - Paddle the gem drifts toward (nearest at spawn) */
+        this.paddle = null;
+
+        // Position on the drift path (the wobble is added across it)
+        this.pathX = x;
+        this.pathY = y;
         this.wobbleTime = 0;
-        this.initialX = x;
     }
 
     /**
@@ -22,11 +29,15 @@ export class PowerGem {
      * @param {number} dt - Delta time
      */
     update(dt) {
-        this.y += this.vy * (dt * 60); // Frame-based speed adjustment
+        const step = this.speed * (dt * 60); // Frame-based speed adjustment
+        this.pathX += this.direction.x * step;
+        this.pathY += this.direction.y * step;
 
-        // Wobble
+        // Wobble across the drift direction
         this.wobbleTime += dt * 5;
-        this.x = this.initialX + Math.sin(this.wobbleTime) * 3;
+        const wobble = Math.sin(this.wobbleTime) * 3;
+        this.x = this.pathX - this.direction.y * wobble;
+        this.y = this.pathY + this.direction.x * wobble;
     }
 
     /**
@@ -35,30 +46,18 @@ export class PowerGem {
      * @returns {boolean}
      */
     checkCollection(paddle) {
-        // Paddle bounds (centered)
-        const pLeft = paddle.x - paddle.width / 2;
-        const pRight = paddle.x + paddle.width / 2;
-        const pTop = paddle.y - paddle.height / 2;
-        const pBottom = paddle.y + paddle.height / 2;
-
-        // Find closest point on paddle rect to gem center
-        const closeX = Math.max(pLeft, Math.min(this.x, pRight));
-        const closeY = Math.max(pTop, Math.min(this.y, pBottom));
-
-        // Distance from closest point to gem center
-        const dx = this.x - closeX;
-        const dy = this.y - closeY;
-
-        return (dx * dx + dy * dy) < (this.radius * this.radius);
+        return paddle.intersectsCircle(this.x, this.y, this.radius);
     }
 
     /**
-     * Check if off screen
+     * Check if off screen (any side)
+     * @param {number} width
      * @param {number} height
      * @returns {boolean}
      */
-    isOffScreen(height) {
-        return this.y > height + this.radius;
+    isOffScreen(width, height) {
+        return this.x < -this.radius || this.x > width + this.radius ||
+            this.y < -this.radius || this.y > height + this.radius;
     }
 
     /**
@@ -1,10 +1,46 @@
+/**
+ * Shield.js - SHIELD Weapon Barrier
+ * Based on game_specification.md Section 6.1
+ *
+ * The shield runs just in front of each guarded miss line, on the play
+ * field side, and follows the line's shape. A ball heading for the miss
+ * line bounces off it; every bounce uses up one layer of strength.
+ */
+
+import {
+    buildPolyline,
+    projectOntoPolyline,
+    getPointAtDistance,
+    getSideNormal
+} from '../physics/PolylineMath.js';
+
+/** Distance from the guarded line toward the play field (px) */
+const SHIELD_OFFSET = 15;
+
+/** Gap between strength layers (lower layers sit closer to the guarded line) */
+const LAYER_SPACING = 6;
+
+/** Contact tolerance around the shield line (px) */
+const SHIELD_THICKNESS = 5;
+
+/**
+ * @typedef {Object} ShieldGuard
+ * @property {{points: {x: number, y: number}[], closed?: boolean}} line - Guarded line
+ *   (points may be moved by PathMoveSystem)
+ * @property {'left'|'right'} normalSide - Play field side of the line
+ */
 
 export class Shield {
     /**
-     * @param {number} y - Y position of shield (e.g. canvasHeight - 20)
+     * @param {{line: Object, fieldPoint: {x: number, y: number}}[]} guards - Lines to guard, each
+     *   with a point on the play field side (its paddle) that decides which side the shield is on
      */
-    constructor(y) {
-        this.y = y;
+    constructor(guards) {
+        /** @type {ShieldGuard[]} */
+        this.guards = guards.map(({ line, fieldPoint }) => ({
+            line,
+            normalSide: this._resolveSide(line, fieldPoint)
+        }));
         this.active = false;
         this.strength = 0;
         this.maxStrength = 3;
@@ -23,6 +59,14 @@ export class Shield {
         return false;
     }
 
+    /**
+     * Remove the shield completely
+     */
+    deactivate() {
+        this.strength = 0;
+        this.active = false;
+    }
+
     /**
      * Check and handle collision with ball
      * @param {Ball} ball 
@@ -31,17 +75,36 @@ export class Shield {
     checkCollision(ball) {
         if (!this.active) return false;
 
-        // Check if ball hits the shield line from moving down
-        // Allow some tolerance/thickness
-        if (ball.dy > 0 &&
-            ball.y + ball.radius >= this.y - 5 &&
-            ball.y - ball.radius <= this.y + 5) {
+        for (const guard of this.guards) {
+            const polyline = buildPolyline(guard.line.points, guard.line.closed);
+            const projection = projectOntoPolyline(polyline, ball.x, ball.y);
+            if (!projection) continue;
+
+            const pose = getPointAtDistance(polyline, projection.distance);
+            const normal = getSideNormal(pose.tx, pose.ty, guard.normalSide);
+            const rx = ball.x - projection.x;
+            const ry = ball.y - projection.y;
+
+            // Past the ends of an open line
+            const atEnd = !polyline.closed && (projection.distance <= 0 || projection.distance >= polyline.length);
+            if (atEnd && Math.abs(rx * pose.tx + ry * pose.ty) > ball.radius) continue;
+
+            // Only while moving toward the guarded line, within the shield band
+            const v = rx * normal.x + ry * normal.y;
+            const approaching = ball.dx * normal.x + ball.dy * normal.y < 0;
+            if (!approaching ||
+                v - ball.radius > SHIELD_OFFSET + SHIELD_THICKNESS ||
+                v + ball.radius < SHIELD_OFFSET - SHIELD_THICKNESS) {
+                continue;
+            }
 
-            // Reflect ball upward
-            ball.dy = -Math.abs(ball.dy);
+            // Reflect ball back into the play field
+            ball.reflect(normal.x, normal.y);
 
             // Adjust position to avoid sticking
-            ball.y = this.y - ball.radius - 2;
+            const push = SHIELD_OFFSET + ball.radius + 2;
+            ball.x = projection.x + normal.x * push;
+            ball.y = projection.y + normal.y * push;
 
             // Reduce strength
             this.strength--;
@@ -56,30 +119,84 @@ export class Shield {
     /**
      * Render shield
      * @param {CanvasRenderingContext2D} ctx 
-     * @param {number} width - Canvas width
      */
-    render(ctx, width) {
+    render(ctx) {
         if (!this.active) return;
 
         ctx.save();
         ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
         ctx.shadowBlur = 10;
         ctx.shadowColor = this.color;
+        ctx.lineWidth = 3;
 
-        // Draw separate lines based on strength to visualize durability
-        for (let i = 0; i < this.strength; i++) {
-            const yOffset = i * 6; // Space between layers
-            const alpha = 0.8 - (i * 0.2); // Fade out lower layers
+        for (const guard of this.guards) {
+            const polyline = buildPolyline(guard.line.points, guard.line.closed);
+            if (polyline.segments.length === 0) continue;
 
-            ctx.strokeStyle = `rgba(0, 255, 255, ${alpha})`;
-            ctx.lineWidth = 3;
+            // Draw separate lines based on strength to visualize durability
+            for (let i = 0; i < this.strength; i++) {
+                const alpha = 0.8 - (i * 0.2); // Fade out lower layers
+                ctx.strokeStyle = `rgba(0, 255, 255, ${alpha})`;
 
-            ctx.beginPath();
-            ctx.moveTo(10, this.y + yOffset);
-            ctx.lineTo(width - 10, this.y + yOffset);
-            ctx.stroke();
+                const points = this._offsetPoints(polyline, guard.normalSide, SHIELD_OFFSET - i * LAYER_SPACING);
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, points[0].y);
+                for (let j = 1; j < points.length; j++) {
+                    ctx.lineTo(points[j].x, points[j].y);
+                }
+                if (polyline.closed) ctx.closePath();
+                ctx.stroke();
+            }
         }
 
         ctx.restore();
     }
+
+    /**
+     * Vertices of the line moved sideways (averaged normals at the joints)
+     * @private
+     * @param {import('../physics/PolylineMath.js').Polyline} polyline
+     * @param {'left'|'right'} normalSide
+     * @param {number} offset
+     * @returns {{x: number, y: number}[]}
+     */
+    _offsetPoints(polyline, normalSide, offset) {
+        const segments = polyline.segments;
+        const count = polyline.closed ? segments.length : segments.length + 1;
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const next = segments[Math.min(i, segments.length - 1)];
+            const prev = i > 0 ? segments[i - 1] : (polyline.closed ? segments[segments.length - 1] : next);
+            const vertex = i < segments.length ? next.p1 : next.p2;
+
+            const n1 = getSideNormal(prev.tx, prev.ty, normalSide);
+            const n2 = getSideNormal(next.tx, next.ty, normalSide);
+            const nx = n1.x + n2.x;
+            const ny = n1.y + n2.y;
+            const length = Math.hypot(nx, ny) || 1;
+
+            points.push({ x: vertex.x + (nx / length) * offset, y: vertex.y + (ny / length) * offset });
+        }
+        return points;
+    }
+
+    /**
+     * Pick the side of the line facing a point on the play field
+     * @private
+     * @param {Object} line
+     * @param {{x: number, y: number}} fieldPoint
+     * @returns {'left'|'right'}
+     */
+    _resolveSide(line, fieldPoint) {
+        const polyline = buildPolyline(line.points, line.closed);
+        const projection = projectOntoPolyline(polyline, fieldPoint.x, fieldPoint.y);
+        if (!projection) return 'left';
+
+        const pose = getPointAtDistance(polyline, projection.distance);
+        const left = getSideNormal(pose.tx, pose.ty, 'left');
+        const side = (fieldPoint.x - projection.x) * left.x + (fieldPoint.y - projection.y) * left.y;
+        return side >= 0 ? 'left' : 'right';
+    }
 }
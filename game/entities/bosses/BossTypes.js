@@ -0,0 +1,57 @@
+/**
+ * BossTypes.js - Boss Type Registry
+ * Based on game_specification.md Section 5.5
+ *
+ * Maps the stage's boss.type to the class that moves and draws it, the
+ * abilities it may use and the settings it defaults to (merged over
+ * DEFAULT_BOSS_CONFIG in BossConfig.js). Abilities and defaults come from
+ * BOSS_TYPE_DEFAULTS in shared/StageDefaults.js, which the editor reads
+ * too. BossSystem only talks to the shared Boss interface, so a new type
+ * needs nothing but an entry here (and its data in the shared module).
+ */
+
+import { BOSS_DEFAULTS, BOSS_TYPE_DEFAULTS } from '../../../shared/StageDefaults.js';
+import { SpiderBoss } from './SpiderBoss.js';
+import { SerpentBoss } from './SerpentBoss.js';
+import { TurretBoss } from './TurretBoss.js';
+import { SplitterBoss } from './SplitterBoss.js';
+
+/** Type used when the stage does not name one */
+export const DEFAULT_BOSS_TYPE = BOSS_DEFAULTS.type;
+
+/**
+ * @typedef {Object} BossTypeDefinition
+ * @property {typeof import('../Boss.js').Boss} bossClass - Boss subclass (config, gridSize, rng)
+ * @property {string} [name] - Display name (editor boss panel)
+ * @property {string[]} abilities - Ability IDs the type may use
+ * @property {Object} defaults - Settings that differ from DEFAULT_BOSS_CONFIG
+ */
+
+/** @type {Object<string, BossTypeDefinition>} */
+export const BOSS_TYPES = {
+    spider: { bossClass: SpiderBoss, ...BOSS_TYPE_DEFAULTS.spider },
+    serpent: { bossClass: SerpentBoss, ...BOSS_TYPE_DEFAULTS.serpent },
+    turret: { bossClass: TurretBoss, ...BOSS_TYPE_DEFAULTS.turret },
+    splitter: { bossClass: SplitterBoss, ...BOSS_TYPE_DEFAULTS.splitter }
+};
+
+/**
+ * Add or replace a boss type
+ * @param {string} id - Value of boss.type in stage data
+ * @param {BossTypeDefinition} definition
+ */
+export function registerBossType(id, definition) {
+    BOSS_TYPES[id] = definition;
+}
+
+/**
+ * Create the boss entity for a resolved definition
+ * @param {import('../../BossConfig.js').ResolvedBossConfig} config
+ * @param {Object} gridSize - Grid size of the stage
+ * @param {import('../../SeededRandom.js').SeededRandom} rng - Game PRNG
+ * @returns {import('../Boss.js').Boss}
+ */
+export function createBoss(config, gridSize, rng) {
+    const type = BOSS_TYPES[config.type] || BOSS_TYPES[DEFAULT_BOSS_TYPE];
+    return new type.bossClass(config, gridSize, rng);
+}
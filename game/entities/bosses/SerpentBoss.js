@@ -0,0 +1,196 @@
+/**
+ * SerpentBoss.js - Serpent Boss
+ * Based on game_specification.md Section 5.5
+ *
+ * Slithers without resting from hex to hex, never turning straight back,
+ * with a chain of body segments trailing the head. Every segment can be
+ * hit; the body radius (size) is the head's.
+ */
+
+import { Boss, BOSS_STATES, darkenColor } from '../Boss.js';
+import { hexToPixel } from '../../../shared/HexMath.js';
+
+/** Body segments behind the head */
+const SEGMENT_COUNT = 6;
+
+/** Head speed in hexes per second (before phase speed) */
+const SLITHER_SPEED = 1.5;
+
+export class SerpentBoss extends Boss {
+    /**
+     * @param {import('../../BossConfig.js').ResolvedBossConfig} config
+     * @param {Object} gridSize
+     * @param {import('../../SeededRandom.js').SeededRandom} rng
+     */
+    constructor(config, gridSize, rng) {
+        super(config, gridSize, rng);
+
+        // Head first; segments taper towards the tail and start coiled on the head
+        this.head = { x: this.x, y: this.y, radius: this.radius };
+        this.segments = [];
+        for (let i = 1; i <= SEGMENT_COUNT; i++) {
+            this.segments.push({
+                x: this.x,
+                y: this.y,
+                radius: this.radius * (1 - i * 0.4 / SEGMENT_COUNT)
+            });
+        }
+
+        // Hex the head came from (not turned back to)
+        this.lastRow = null;
+        this.lastCol = null;
+    }
+
+    /**
+     * Slither continuously, using abilities on the way
+     * @protected
+     */
+    _updateBehavior(dt, dtMs, context) {
+        this._tryUseAbilities(context);
+        if (this.state === BOSS_STATES.ATTACKING) return;
+
+        if (this.path.length === 0) {
+            this._planMove(context);
+        }
+        this.state = this.path.length > 0 ? BOSS_STATES.MOVING : BOSS_STATES.IDLE;
+        if (this.path.length === 0) return;
+
+        // Move head towards the next hex
+        const speed = SLITHER_SPEED * this.speedMultiplier * this.gridSize.width * dt;
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const dist = Math.hypot(dx, dy);
+
+        if (dist <= speed) {
+            this.x = this.targetX;
+            this.y = this.targetY;
+            const step = this.path.shift();
+            this.lastRow = this.row;
+            this.lastCol = this.col;
+            this.row = step.row;
+            this.col = step.col;
+        } else {
+            this.x += (dx / dist) * speed;
+            this.y += (dy / dist) * speed;
+        }
+
+        this._followHead();
+    }
+
+    /**
+     * Pull each segment after the one in front of it
+     * @private
+     */
+    _followHead() {
+        this.head.x = this.x;
+        this.head.y = this.y;
+
+        let leader = this.head;
+        for (const segment of this.segments) {
+            const spacing = (leader.radius + segment.radius) * 0.7;
+            const dx = segment.x - leader.x;
+            const dy = segment.y - leader.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > spacing) {
+                segment.x = leader.x + (dx / dist) * spacing;
+                segment.y = leader.y + (dy / dist) * spacing;
+            }
+            leader = segment;
+        }
+    }
+
+    /**
+     * Pick the next hex: any neighbor in the play area except the previous one
+     * @private
+     */
+    _planMove(context) {
+        const moves = this._getValidMoves(this.row, this.col, this.radius, context);
+        const forward = moves.filter(m => m.row !== this.lastRow || m.col !== this.lastCol);
+        const choices = forward.length > 0 ? forward : moves;
+        if (choices.length === 0) return;
+
+        const choice = this.rng.pick(choices);
+        this.path = [choice];
+
+        const pos = hexToPixel(choice.row, choice.col, this.gridSize);
+        this.targetX = pos.x;
+        this.targetY = pos.y;
+    }
+
+    /**
+     * Head and every segment
+     */
+    getHitCircles() {
+        return [this.head, ...this.segments];
+    }
+
+    /**
+     * Draw segments from the tail forward, then the head
+     * @protected
+     */
+    _renderBody(ctx) {
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            const segment = this.segments[i];
+            this._renderSegment(ctx, segment);
+
+            // Back stripe
+            ctx.fillStyle = this.legColor;
+            ctx.beginPath();
+            ctx.arc(segment.x, segment.y, segment.radius * 0.35, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        this._renderSegment(ctx, this.head);
+        this._renderHead(ctx);
+    }
+
+    /**
+     * Draw one shaded body circle
+     * @private
+     */
+    _renderSegment(ctx, segment) {
+        const gradient = ctx.createRadialGradient(
+            segment.x - segment.radius * 0.3, segment.y - segment.radius * 0.3, 0,
+            segment.x, segment.y, segment.radius
+        );
+        gradient.addColorStop(0, this.legColor);
+        gradient.addColorStop(0.6, this.bodyColor);
+        gradient.addColorStop(1, darkenColor(this.bodyColor, 0.6));
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(segment.x, segment.y, segment.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw eyes facing the direction of travel
+     * @private
+     */
+    _renderHead(ctx) {
+        const neck = this.segments[0];
+        let angle = Math.atan2(this.y - neck.y, this.x - neck.x);
+        if (neck.x === this.x && neck.y === this.y) angle = Math.PI / 2;
+
+        const eyeRadius = this.radius * 0.2;
+        for (let side = -1; side <= 1; side += 2) {
+            const eyeAngle = angle + side * 0.6;
+            const ex = this.x + Math.cos(eyeAngle) * this.radius * 0.55;
+            const ey = this.y + Math.sin(eyeAngle) * this.radius * 0.55;
+
+            ctx.fillStyle = this.eyeColor;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = this.eyeColor;
+            ctx.beginPath();
+            ctx.arc(ex, ey, eyeRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+
+            // Slit pupil
+            ctx.fillStyle = '#000';
+            ctx.beginPath();
+            ctx.ellipse(ex, ey, eyeRadius * 0.25, eyeRadius * 0.8, angle, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * SpiderBoss.js - Spider Boss
+ * Based on game_specification.md Section 5.5
+ *
+ * The original boss: walks one hex at a time towards the upper middle of
+ * the field, resting moveInterval between steps, on eight animated legs.
+ */
+
+import { Boss, BOSS_STATES, darkenColor } from '../Boss.js';
+import { hexToPixel } from '../../../shared/HexMath.js';
+
+export class SpiderBoss extends Boss {
+    /**
+     * @param {import('../../BossConfig.js').ResolvedBossConfig} config
+     * @param {Object} gridSize
+     * @param {import('../../SeededRandom.js').SeededRandom} rng
+     */
+    constructor(config, gridSize, rng) {
+        super(config, gridSize, rng);
+
+        // Legs reach 1.2x the body
+        this.legSpan = this.radius * 1.2;
+        this.legPhase = 0;
+    }
+
+    /**
+     * Walk or rest, using abilities while resting
+     * @protected
+     */
+    _updateBehavior(dt, dtMs, context) {
+        this.legPhase = Math.sin(this.animationTime * 4 * this.speedMultiplier) * 0.3;
+
+        if (this.state === BOSS_STATES.MOVING) {
+            this._updateMoving(dt);
+        } else {
+            this._updateIdle(dtMs, context);
+        }
+    }
+
+    /**
+     * Update idle state
+     * @private
+     */
+    _updateIdle(dtMs, context) {
+        this.moveCooldown -= dtMs;
+
+        // Try to use abilities
+        this._tryUseAbilities(context);
+
+        // Move periodically
+        if (this.state === BOSS_STATES.IDLE && this.moveCooldown <= 0) {
+            this._planMove(context);
+            if (this.path.length > 0) {
+                this.state = BOSS_STATES.MOVING;
+            }
+            this.moveCooldown = this.moveInterval;
+        }
+    }
+
+    /**
+     * Update moving state
+     * @private
+     */
+    _updateMoving(dt) {
+        // Lerp towards target position
+        const speed = this.moveSpeed * this.speedMultiplier * this.gridSize.width * dt;
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const dist = Math.hypot(dx, dy);
+
+        if (dist < speed || dist < 1) {
+            // Arrived at target
+            this.x = this.targetX;
+            this.y = this.targetY;
+
+            // Update grid position
+            const nextStep = this.path.shift();
+            if (nextStep) {
+                this.row = nextStep.row;
+                this.col = nextStep.col;
+            }
+
+            if (this.path.length > 0) {
+                // Continue to next waypoint
+                const next = this.path[0];
+                const pos = hexToPixel(next.row, next.col, this.gridSize);
+                this.targetX = pos.x;
+                this.targetY = pos.y;
+            } else {
+                // Finished moving
+                this.state = BOSS_STATES.IDLE;
+            }
+        } else {
+            // Move towards target
+            this.x += (dx / dist) * speed;
+            this.y += (dy / dist) * speed;
+        }
+    }
+
+    /**
+     * Plan movement path
+     * @private
+     */
+    _planMove(context) {
+        // Valid positions keep the legs on screen and stay above the paddle area
+        const validMoves = this._getValidMoves(this.row, this.col, this.legSpan, context);
+
+        if (validMoves.length === 0) return;
+
+        // Prefer moving towards blocks or towards center
+        const centerX = context.canvasWidth / 2;
+        const centerY = context.canvasHeight / 3;
+
+        validMoves.sort((a, b) => {
+            const posA = hexToPixel(a.row, a.col, this.gridSize);
+            const posB = hexToPixel(b.row, b.col, this.gridSize);
+            const distA = Math.hypot(posA.x - centerX, posA.y - centerY);
+            const distB = Math.hypot(posB.x - centerX, posB.y - centerY);
+            return distA - distB;
+        });
+
+        // Choose random from top 3 moves for variety
+        const choice = validMoves[this.rng.int(Math.min(3, validMoves.length))];
+        this.path = [choice];
+
+        const pos = hexToPixel(choice.row, choice.col, this.gridSize);
+        this.targetX = pos.x;
+        this.targetY = pos.y;
+    }
+
+    /**
+     * Draw legs, body and eyes
+     * @protected
+     */
+    _renderBody(ctx) {
+        this._renderLegs(ctx);
+        this._renderTorso(ctx);
+        this._renderEyes(ctx);
+    }
+
+    /**
+     * Render spider legs
+     * @private
+     */
+    _renderLegs(ctx) {
+        ctx.strokeStyle = this.legColor;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+
+        const legCount = 8;
+        const legLength = this.legSpan;
+
+        for (let i = 0; i < legCount; i++) {
+            const side = i < 4 ? -1 : 1;
+            const legIndex = i % 4;
+            const baseAngle = (legIndex * Math.PI / 6 + Math.PI / 6) * side;
+
+            // Leg animation
+            const phase = this.legPhase * (legIndex % 2 === 0 ? 1 : -1);
+
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+
+            // First segment
+            const midX = this.x + Math.cos(baseAngle + phase) * legLength * 0.5;
+            const midY = this.y + Math.sin(baseAngle + phase) * legLength * 0.5;
+
+            // Second segment (bent knee)
+            const endX = midX + Math.cos(baseAngle + Math.PI / 4 * side) * legLength * 0.6;
+            const endY = midY + Math.abs(Math.sin(baseAngle)) * legLength * 0.4 + legLength * 0.3;
+
+            ctx.quadraticCurveTo(midX, midY, endX, endY);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Render body
+     * @private
+     */
+    _renderTorso(ctx) {
+        // Shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y + this.radius * 0.8, this.radius * 0.8, this.radius * 0.3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Body gradient
+        const gradient = ctx.createRadialGradient(
+            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
+            this.x, this.y, this.radius
+        );
+        gradient.addColorStop(0, this.legColor);
+        gradient.addColorStop(0.7, this.bodyColor);
+        gradient.addColorStop(1, darkenColor(this.bodyColor, 0.7));
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Body pattern
+        ctx.strokeStyle = this.legColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Render eyes
+     * @private
+     */
+    _renderEyes(ctx) {
+        const eyeRadius = this.radius * 0.15;
+        const eyeSpacing = this.radius * 0.4;
+
+        // Main eyes (larger)
+        for (let i = -1; i <= 1; i += 2) {
+            ctx.fillStyle = this.eyeColor;
+            ctx.beginPath();
+            ctx.arc(this.x + i * eyeSpacing * 0.8, this.y - this.radius * 0.2, eyeRadius, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Pupil
+            ctx.fillStyle = '#000';
+            ctx.beginPath();
+            ctx.arc(this.x + i * eyeSpacing * 0.8, this.y - this.radius * 0.2, eyeRadius * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Glow
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = this.eyeColor;
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        }
+
+        // Secondary eyes (smaller)
+        for (let i = -1; i <= 1; i += 2) {
+            ctx.fillStyle = this.eyeColor;
+            ctx.beginPath();
+            ctx.arc(this.x + i * eyeSpacing * 1.2, this.y - this.radius * 0.1, eyeRadius * 0.6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * SplitterBoss.js - Splitter Boss
+ * Based on game_specification.md Section 5.5
+ *
+ * A blob that divides when hurt: a body that falls to half its health
+ * splits into two smaller bodies sharing what is left, up to MAX_GENERATION
+ * times. Bodies drift on their own and are hit separately; the boss HP is
+ * the sum of all bodies and the boss is defeated when the last one goes.
+ * The boss position (abilities, rewards, health bar) is its largest body.
+ */
+
+import { Boss, BOSS_STATES, darkenColor } from '../Boss.js';
+
+/** How many times a body may split (1 body -> up to 4) */
+const MAX_GENERATION = 2;
+
+/** Body radius relative to the body it split from */
+const CHILD_SCALE = 0.7;
+
+/** Drift speed in hexes per second (before phase speed) */
+const DRIFT_SPEED = 0.6;
+
+/**
+ * @typedef {Object} SplitterBody
+ * @property {number} x
+ * @property {number} y
+ * @property {number} radius
+ * @property {number} health
+ * @property {number} maxHealth - Health the body started with
+ * @property {number} generation - 0 for the original body
+ * @property {number} dx - Drift direction
+ * @property {number} dy
+ */
+
+export class SplitterBoss extends Boss {
+    /**
+     * @param {import('../../BossConfig.js').ResolvedBossConfig} config
+     * @param {Object} gridSize
+     * @param {import('../../SeededRandom.js').SeededRandom} rng
+     */
+    constructor(config, gridSize, rng) {
+        super(config, gridSize, rng);
+
+        /** @type {SplitterBody[]} */
+        this.bodies = [this._createBody(this.x, this.y, this.radius, this.health, 0)];
+
+        // Time until the bodies change direction (ms)
+        this.moveCooldown = this.moveInterval;
+    }
+
+    /**
+     * @private
+     * @returns {SplitterBody}
+     */
+    _createBody(x, y, radius, health, generation) {
+        const angle = this.rng.next() * Math.PI * 2;
+        return {
+            x, y, radius, health, generation,
+            maxHealth: health,
+            dx: Math.cos(angle),
+            dy: Math.sin(angle)
+        };
+    }
+
+    /**
+     * Drift every body, turning each moveInterval; use abilities
+     * @protected
+     */
+    _updateBehavior(dt, dtMs, context) {
+        this.moveCooldown -= dtMs;
+        if (this.moveCooldown <= 0) {
+            for (const body of this.bodies) {
+                const angle = this.rng.next() * Math.PI * 2;
+                body.dx = Math.cos(angle);
+                body.dy = Math.sin(angle);
+            }
+            this.moveCooldown = this.moveInterval;
+        }
+
+        const speed = DRIFT_SPEED * this.speedMultiplier * this.gridSize.width * dt;
+        const bottom = context.canvasHeight - 100;
+        for (const body of this.bodies) {
+            body.x += body.dx * speed;
+            body.y += body.dy * speed;
+
+            // Bounce inside the play area (above the paddle area)
+            if (body.x < body.radius || body.x > context.canvasWidth - body.radius) {
+                body.dx = -body.dx;
+                body.x = Math.max(body.radius, Math.min(context.canvasWidth - body.radius, body.x));
+            }
+            if (body.y < body.radius || body.y > bottom - body.radius) {
+                body.dy = -body.dy;
+                body.y = Math.max(body.radius, Math.min(bottom - body.radius, body.y));
+            }
+        }
+
+        this._syncPosition();
+        this.state = BOSS_STATES.MOVING;
+        this._tryUseAbilities(context);
+    }
+
+    /**
+     * @private
+     * @returns {SplitterBody|undefined}
+     */
+    _largest() {
+        return this.bodies.reduce((a, b) => (b.radius > a.radius ? b : a), this.bodies[0]);
+    }
+
+    /**
+     * Follow the largest body
+     * @private
+     */
+    _syncPosition() {
+        const largest = this._largest();
+        if (largest) {
+            this.x = largest.x;
+            this.y = largest.y;
+            this.radius = largest.radius;
+        }
+    }
+
+    /**
+     * Damage the body that was hit (the largest if none given); split or remove it
+     * @param {number} [amount=1]
+     * @param {SplitterBody} [part]
+     * @returns {boolean} True if defeated
+     */
+    takeDamage(amount = 1, part = null) {
+        if (this.state === BOSS_STATES.DEFEATED) return false;
+
+        const body = this.bodies.includes(part) ? part : this._largest();
+        body.health -= amount;
+
+        const index = this.bodies.indexOf(body);
+        if (body.health <= 0) {
+            this.bodies.splice(index, 1);
+        } else if (body.generation < MAX_GENERATION && body.health <= body.maxHealth / 2 && body.health >= 2) {
+            this.bodies.splice(index, 1, ...this._split(body));
+        }
+
+        this.health = this.bodies.reduce((sum, b) => sum + b.health, 0);
+        this._syncPosition();
+        return this._afterDamage();
+    }
+
+    /**
+     * Two bodies pushed apart, sharing the remaining health
+     * @private
+     * @param {SplitterBody} body
+     * @returns {SplitterBody[]}
+     */
+    _split(body) {
+        const radius = body.radius * CHILD_SCALE;
+        const half = Math.ceil(body.health / 2);
+        const angle = this.rng.next() * Math.PI;
+        const ox = Math.cos(angle) * radius;
+        const oy = Math.sin(angle) * radius;
+
+        const a = this._createBody(body.x + ox, body.y + oy, radius, half, body.generation + 1);
+        const b = this._createBody(body.x - ox, body.y - oy, radius, body.health - half, body.generation + 1);
+        a.dx = Math.cos(angle);
+        a.dy = Math.sin(angle);
+        b.dx = -a.dx;
+        b.dy = -a.dy;
+        return [a, b];
+    }
+
+    /**
+     * Every body
+     */
+    getHitCircles() {
+        return this.bodies;
+    }
+
+    /**
+     * Draw each body as a wobbling blob with a nucleus
+     * @protected
+     */
+    _renderBody(ctx) {
+        for (const body of this.bodies) {
+            const wobble = 1 + Math.sin(this.animationTime * 3 + body.x * 0.05) * 0.05;
+            const rx = body.radius * wobble;
+            const ry = body.radius / wobble;
+
+            const gradient = ctx.createRadialGradient(
+                body.x - body.radius * 0.3, body.y - body.radius * 0.3, 0,
+                body.x, body.y, body.radius
+            );
+            gradient.addColorStop(0, this.legColor);
+            gradient.addColorStop(0.7, this.bodyColor);
+            gradient.addColorStop(1, darkenColor(this.bodyColor, 0.6));
+
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.ellipse(body.x, body.y, rx, ry, 0, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Nucleus (shrinks with the body's health)
+            const nucleus = body.radius * 0.35 * Math.max(0.3, body.health / body.maxHealth);
+            ctx.fillStyle = this.eyeColor;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = this.eyeColor;
+            ctx.beginPath();
+            ctx.arc(body.x, body.y, nucleus, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        }
+    }
+}
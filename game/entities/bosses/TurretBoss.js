@@ -0,0 +1,160 @@
+/**
+ * TurretBoss.js - Turret Core Boss
+ * Based on game_specification.md Section 5.5
+ *
+ * Stays on its hex and tracks the nearest paddle with its barrel. Its own
+ * ability, turret_fire, shoots a volley of aimed debuff shots; phase speed
+ * makes the shots and the barrel faster.
+ */
+
+import { Boss, BOSS_ABILITIES, darkenColor } from '../Boss.js';
+import { getHexVertices } from '../../../shared/HexMath.js';
+
+/** Shot speed (px per frame at 60fps, before phase speed) */
+const SHOT_SPEED = 5;
+
+/** Shots per volley, spread across SHOT_SPREAD radians */
+const SHOTS_PER_VOLLEY = 2;
+const SHOT_SPREAD = 0.2;
+
+/** Barrel turn rate in radians per second (before phase speed) */
+const TURN_RATE = 2;
+
+export class TurretBoss extends Boss {
+    /**
+     * @param {import('../../BossConfig.js').ResolvedBossConfig} config
+     * @param {Object} gridSize
+     * @param {import('../../SeededRandom.js').SeededRandom} rng
+     */
+    constructor(config, gridSize, rng) {
+        super(config, gridSize, rng);
+
+        // Barrel angle (straight down at start)
+        this.aimAngle = Math.PI / 2;
+
+        // Muzzle flash after firing (1 -> 0)
+        this.recoil = 0;
+    }
+
+    /**
+     * Turn towards the nearest paddle and use abilities
+     * @protected
+     */
+    _updateBehavior(dt, dtMs, context) {
+        this.recoil = Math.max(0, this.recoil - dt * 4);
+
+        const target = this._findTarget(context);
+        if (target) {
+            const desired = Math.atan2(target.y - this.y, target.x - this.x);
+            let diff = desired - this.aimAngle;
+            diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+            const maxTurn = TURN_RATE * this.speedMultiplier * dt;
+            this.aimAngle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+        }
+
+        this._tryUseAbilities(context);
+    }
+
+    /**
+     * Nearest visible paddle
+     * @private
+     * @returns {Object|null}
+     */
+    _findTarget(context) {
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const paddle of context.paddles || []) {
+            if (!paddle.visible) continue;
+            const dist = Math.hypot(paddle.x - this.x, paddle.y - this.y);
+            if (dist < nearestDist) {
+                nearest = paddle;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Adds turret_fire to the shared abilities
+     * @protected
+     */
+    _useAbility(ability, context) {
+        if (ability === BOSS_ABILITIES.TURRET_FIRE) {
+            return this._fire(context);
+        }
+        return super._useAbility(ability, context);
+    }
+
+    /**
+     * Fire a volley along the barrel
+     * @private
+     * @returns {boolean}
+     */
+    _fire(context) {
+        if (this.debuffTypes.length === 0 || !this._findTarget(context)) return false;
+
+        const muzzle = this.radius * 1.1;
+        for (let i = 0; i < SHOTS_PER_VOLLEY; i++) {
+            const angle = this.aimAngle + (i - (SHOTS_PER_VOLLEY - 1) / 2) * SHOT_SPREAD;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            this._spawnProjectile(this.x + dx * muzzle, this.y + dy * muzzle, dx, dy, {
+                speed: SHOT_SPEED * this.speedMultiplier,
+                radius: 5,
+                type: this.rng.pick(this.debuffTypes)
+            });
+        }
+        this.recoil = 1;
+        return true;
+    }
+
+    /**
+     * Draw base, dome, barrel and core
+     * @protected
+     */
+    _renderBody(ctx) {
+        // Hexagonal base plate
+        const vertices = getHexVertices(this.x, this.y, this.radius * 1.15);
+        ctx.fillStyle = darkenColor(this.legColor, 0.6);
+        ctx.strokeStyle = this.legColor;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Barrel (pulled back by recoil)
+        const barrelLength = this.radius * (1.1 - this.recoil * 0.2);
+        ctx.strokeStyle = this.legColor;
+        ctx.lineWidth = this.radius * 0.35;
+        ctx.lineCap = 'butt';
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x + Math.cos(this.aimAngle) * barrelLength, this.y + Math.sin(this.aimAngle) * barrelLength);
+        ctx.stroke();
+
+        // Dome
+        const gradient = ctx.createRadialGradient(
+            this.x - this.radius * 0.25, this.y - this.radius * 0.25, 0,
+            this.x, this.y, this.radius * 0.75
+        );
+        gradient.addColorStop(0, this.legColor);
+        gradient.addColorStop(0.7, this.bodyColor);
+        gradient.addColorStop(1, darkenColor(this.bodyColor, 0.7));
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.75, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Core (pulses, brighter right after a shot)
+        const pulse = 0.8 + Math.sin(this.animationTime * 5) * 0.1 + this.recoil * 0.3;
+        ctx.fillStyle = this.eyeColor;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = this.eyeColor;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.25 * pulse, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * BlockIndex.js - Hex-Keyed Block Lookup
+ * Based on game_specification.md Section 3.1
+ *
+ * Broadphase for block queries. Blocks are keyed by getHexKey(row, col), so
+ * a query only visits the grid cells under its area instead of every block.
+ * Destroyed blocks stay indexed (queries skip them), so revived blocks need
+ * no re-indexing.
+ */
+
+import { hexToPixel, pixelToHex, getHexKey, GRID_SIZES } from '../../shared/HexMath.js';
+
+export class BlockIndex {
+    constructor() {
+        /** @type {Map<string, Object>} - Block by hex key */
+        this.cells = new Map();
+
+        /** @type {Object} - Grid size config (from GRID_SIZES) */
+        this.gridSize = GRID_SIZES.medium;
+
+        // Occupied row/col extents (bounds for queries)
+        this.minRow = 0;
+        this.maxRow = -1;
+        this.minCol = 0;
+        this.maxCol = -1;
+    }
+
+    /**
+     * Index the blocks of a stage
+     * @param {Object[]} blocks - Block array from GameState
+     * @param {Object} gridSize - Grid size config (from GRID_SIZES)
+     */
+    load(blocks, gridSize) {
+        this.cells.clear();
+        this.gridSize = gridSize;
+        this.minRow = Infinity;
+        this.maxRow = -Infinity;
+        this.minCol = Infinity;
+        this.maxCol = -Infinity;
+
+        for (const block of blocks) {
+            this.cells.set(getHexKey(block.row, block.col), block);
+            this.minRow = Math.min(this.minRow, block.row);
+            this.maxRow = Math.max(this.maxRow, block.row);
+            this.minCol = Math.min(this.minCol, block.col);
+            this.maxCol = Math.max(this.maxCol, block.col);
+        }
+    }
+
+    /**
+     * Get the block at a cell (alive or not)
+     * @param {number} row
+     * @param {number} col
+     * @returns {Object|null}
+     */
+    get(row, col) {
+        return this.cells.get(getHexKey(row, col)) || null;
+    }
+
+    /**
+     * Get alive blocks whose hex may overlap a rectangle
+     * @param {number} minX
+     * @param {number} minY
+     * @param {number} maxX
+     * @param {number} maxY
+     * @returns {Object[]} - Candidates (callers run the exact test)
+     */
+    queryRect(minX, minY, maxX, maxY) {
+        const result = [];
+        if (this.cells.size === 0) return result;
+
+        const { radius, width, verticalSpacing } = this.gridSize;
+
+        // Cell center y = row * spacing + radius, x = col * width (+ width/2 on odd rows) + width/2
+        const rowMin = Math.max(this.minRow, Math.floor((minY - 2 * radius) / verticalSpacing));
+        const rowMax = Math.min(this.maxRow, Math.ceil(maxY / verticalSpacing));
+        const colMin = Math.max(this.minCol, Math.floor((minX - radius - width) / width));
+        const colMax = Math.min(this.maxCol, Math.ceil((maxX + radius) / width));
+
+        for (let row = rowMin; row <= rowMax; row++) {
+            for (let col = colMin; col <= colMax; col++) {
+                const block = this.cells.get(getHexKey(row, col));
+                if (block && block.alive) {
+                    result.push(block);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the alive block nearest to a point (by hex center) that passes a filter.
+     * Searches outward ring by ring and stops once no farther ring can be closer.
+     * @param {number} x
+     * @param {number} y
+     * @param {function(Object, {x: number, y: number}): boolean} [filter] - (block, center) => accept
+     * @returns {{block: Object, center: {x: number, y: number}, distance: number}|null}
+     */
+    findNearest(x, y, filter = () => true) {
+        if (this.cells.size === 0) return null;
+
+        const origin = pixelToHex(x, y, this.gridSize);
+        const maxLevel = Math.max(
+            Math.abs(origin.row - this.minRow), Math.abs(origin.row - this.maxRow),
+            Math.abs(origin.col - this.minCol), Math.abs(origin.col - this.maxCol)
+        );
+        let best = null;
+
+        for (let level = 0; level <= maxLevel; level++) {
+            // Every cell outside the previous ring is at least this far away
+            if (best && best.distance <= (level - 1) * this.gridSize.verticalSpacing) break;
+
+            for (let dr = -level; dr <= level; dr++) {
+                // Top / bottom rows of the ring are walked fully, the others only at both ends
+                const step = Math.abs(dr) === level ? 1 : 2 * level;
+
+                for (let dc = -level; dc <= level; dc += step) {
+                    const block = this.cells.get(getHexKey(origin.row + dr, origin.col + dc));
+                    if (!block || !block.alive) continue;
+
+                    const center = hexToPixel(block.row, block.col, this.gridSize);
+                    const distance = Math.hypot(center.x - x, center.y - y);
+                    if ((!best || distance < best.distance) && filter(block, center)) {
+                        best = { block, center, distance };
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Drop all blocks
+     */
+    clear() {
+        this.cells.clear();
+        this.maxRow = -1;
+        this.maxCol = -1;
+    }
+}
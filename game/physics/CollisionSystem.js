@@ -1,13 +1,39 @@
 /**
  * CollisionSystem.js - Collision Detection
  * Based on game_specification.md Section 3.1
+ *
+ * Blocks and collision lines use swept (continuous) tests: the ball's move
+ * for a sub-step is checked as a segment, so fast balls cannot tunnel.
+ * Candidates come from the stage's BlockIndex / SegmentGrid broadphase.
  */
 
-import { hexToPixel, pixelToHex, isPointInHex, GRID_SIZES } from '../../shared/HexMath.js';
+import { hexToPixel, pixelToHex, isPointInHex, getHexVertices, GRID_SIZES } from '../../shared/HexMath.js';
+import { BlockIndex } from './BlockIndex.js';
+import { SegmentGrid } from './SegmentGrid.js';
 
 export class CollisionSystem {
-    constructor() {
+    /**
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG (block guide probability)
+     */
+    constructor(rng) {
         this.gridSize = GRID_SIZES.medium;
+        this.rng = rng;
+
+        /** @type {BlockIndex} - Block lookup (also queried by LaserSystem and Boss) */
+        this.blockIndex = new BlockIndex();
+
+        /** @type {SegmentGrid} - Collision line segments */
+        this.lineGrid = new SegmentGrid();
+    }
+
+    /**
+     * Build the broadphase for a stage (after setGridSize)
+     * @param {Object[]} blocks - Block array from GameState
+     * @param {Object[]} [lines] - Stage lines
+     */
+    loadStage(blocks, lines = []) {
+        this.blockIndex.load(blocks, this.gridSize);
+        this.lineGrid.load(lines);
     }
 
     /**
@@ -66,53 +92,44 @@ export class CollisionSystem {
     }
 
     /**
-     * Check ball collision with a hex block
-     * @param {import('../entities/Ball.js').Ball} ball
-     * @param {Object} block - Block data with row, col
-     * @returns {{hit: boolean, normal: {x: number, y: number}}} Collision result
+     * Sweep a ball along a move against all alive blocks and return the first contact.
+     * Contacts are tested against the real hex edges (Minkowski sum of hex and ball),
+     * so the normal is the hit edge's normal, or the radial normal at a hit vertex.
+     *
+     * A ball already overlapping a block only collides while moving into it,
+     * so a reflected ball can always leave.
+     * @param {import('../entities/Ball.js').Ball} ball - Ball at the move start
+     * @param {number} toX - Move end X
+     * @param {number} toY - Move end Y
+     * @param {boolean} [anyOverlap=false] - Also report blocks overlapped while moving out (ghost balls)
+     * @returns {{block: Object, t: number, normal: {x: number, y: number}}|null} - t = fraction of the move
      */
-    checkBlockCollision(ball, block) {
-        if (!block.alive) return { hit: false, normal: null };
-
-        const center = hexToPixel(block.row, block.col, this.gridSize);
-        const dx = ball.x - center.x;
-        const dy = ball.y - center.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Check if ball is within hex radius + ball radius
-        const hitDistance = this.gridSize.radius + ball.radius;
-
-        if (distance < hitDistance) {
-            // Calculate normal (from hex center to ball)
-            const normalX = dx / distance || 0;
-            const normalY = dy / distance || 1;
-
-            return {
-                hit: true,
-                normal: { x: normalX, y: normalY }
-            };
-        }
-
-        return { hit: false, normal: null };
-    }
+    sweepBlocks(ball, toX, toY, anyOverlap = false) {
+        const { radius } = this.gridSize;
+        const mx = toX - ball.x;
+        const my = toY - ball.y;
+        const reach = radius + ball.radius;
+        let best = null;
+
+        const candidates = this.blockIndex.queryRect(
+            Math.min(ball.x, toX) - ball.radius, Math.min(ball.y, toY) - ball.radius,
+            Math.max(ball.x, toX) + ball.radius, Math.max(ball.y, toY) + ball.radius
+        );
+
+        for (const block of candidates) {
+            const center = hexToPixel(block.row, block.col, this.gridSize);
 
-    /**
-     * Find all blocks the ball is colliding with
-     * @param {import('../entities/Ball.js').Ball} ball
-     * @param {Object[]} blocks - Array of block data
-     * @returns {Object[]} Array of hit blocks
-     */
-    findCollidingBlocks(ball, blocks) {
-        const hits = [];
+            // Broad reject: move segment never comes within reach of the hex
+            const near = this._pointToSegmentDistance(center.x, center.y, ball, { x: toX, y: toY });
+            if (near > reach) continue;
 
-        for (const block of blocks) {
-            const result = this.checkBlockCollision(ball, block);
-            if (result.hit) {
-                hits.push({ block, normal: result.normal });
+            const hit = this._sweepHex(ball.x, ball.y, mx, my, ball.radius, center, anyOverlap);
+            if (hit && (!best || hit.t < best.t)) {
+                best = { block, t: hit.t, normal: hit.normal };
             }
         }
 
-        return hits;
+        return best;
     }
 
     /**
@@ -140,7 +157,7 @@ export class CollisionSystem {
      * @param {import('../entities/Ball.js').Ball} ball
      * @param {Object[]} missLines - Array of missline objects
      * @param {number} [threshold=20] - Detection threshold in pixels
-     * @returns {boolean}
+     * @returns {Object|null} - The miss line that was crossed, or null
      */
     checkMissLine(ball, missLines) {
         for (const line of missLines) {
@@ -152,10 +169,10 @@ export class CollisionSystem {
                     line.points[i], line.points[i + 1]
                 );
                 // ボールの端がラインに触れたらミス判定（中心ではなく端を基準）
-                if (dist <= ball.radius) return true;
+                if (dist <= ball.radius) return line;
             }
         }
-        return false;
+        return null;
     }
 
     // =========================================
@@ -163,34 +180,177 @@ export class CollisionSystem {
     // =========================================
 
     /**
-     * Check ball collision with collision lines (polylines)
-     * @param {import('../entities/Ball.js').Ball} ball
-     * @param {Object[]} lines - Array of line objects from stage data
-     * @returns {{hit: boolean, line?: Object, normal?: {x: number, y: number}, segmentIndex?: number}}
+     * Sweep a ball along a move against collision lines (polylines) and return the first contact
+     * @param {import('../entities/Ball.js').Ball} ball - Ball at the move start
+     * @param {number} toX - Move end X
+     * @param {number} toY - Move end Y
+     * @returns {{line: Object, segmentIndex: number, t: number, normal: {x: number, y: number}}|null}
+     */
+    sweepLines(ball, toX, toY) {
+        const mx = toX - ball.x;
+        const my = toY - ball.y;
+        let best = null;
+
+        const candidates = this.lineGrid.queryRect(
+            Math.min(ball.x, toX) - ball.radius, Math.min(ball.y, toY) - ball.radius,
+            Math.max(ball.x, toX) + ball.radius, Math.max(ball.y, toY) + ball.radius
+        );
+
+        for (const segment of candidates) {
+            const hitRadius = ball.radius + segment.halfThickness;
+            const hit = this._sweepCircleSegment(ball.x, ball.y, mx, my, hitRadius, segment.p1, segment.p2);
+            if (hit && (!best || hit.t < best.t)) {
+                best = { line: segment.line, segmentIndex: segment.segmentIndex, t: hit.t, normal: hit.normal };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Sweep a circle against one hex block
+     * @private
+     * @returns {{t: number, normal: {x: number, y: number}}|null}
      */
-    checkLineCollision(ball, lines) {
-        if (!lines || lines.length === 0) return { hit: false };
+    _sweepHex(x0, y0, mx, my, r, center, anyOverlap) {
+        const { radius } = this.gridSize;
+
+        // Center already inside the hex: push out radially (edge tests cannot see it)
+        if (isPointInHex(x0, y0, center.x, center.y, radius)) {
+            const ox = x0 - center.x;
+            const oy = y0 - center.y;
+            const len = Math.hypot(ox, oy);
+            const normal = len > 0 ? { x: ox / len, y: oy / len } : { x: 0, y: -1 };
+            if (anyOverlap || mx * normal.x + my * normal.y < 0) {
+                return { t: 0, normal };
+            }
+            return null;
+        }
 
-        for (const line of lines) {
-            // Only check collision-type lines
-            if (line.type !== 'collision') continue;
-            if (!line.points || line.points.length < 2) continue;
+        const vertices = getHexVertices(center.x, center.y, radius);
+        let best = null;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const hit = this._sweepCircleSegment(
+                x0, y0, mx, my, r,
+                vertices[i], vertices[(i + 1) % vertices.length],
+                anyOverlap
+            );
+            if (hit && (!best || hit.t < best.t)) {
+                best = hit;
+            }
+        }
 
-            for (let i = 0; i < line.points.length - 1; i++) {
-                const p1 = line.points[i];
-                const p2 = line.points[i + 1];
+        return best;
+    }
 
-                const dist = this._pointToSegmentDistance(ball.x, ball.y, p1, p2);
-                const hitThreshold = ball.radius + (line.thickness || 3) / 2;
+    /**
+     * Sweep a circle against a segment (a capsule of radius r around p1-p2).
+     * The normal points from the segment toward the circle at contact.
+     * @private
+     * @param {number} x0 - Circle start X
+     * @param {number} y0 - Circle start Y
+     * @param {number} mx - Move X
+     * @param {number} my - Move Y
+     * @param {number} r - Circle radius (plus half the line thickness)
+     * @param {{x: number, y: number}} p1
+     * @param {{x: number, y: number}} p2
+     * @param {boolean} [anyOverlap=false] - Report a start overlap even when moving away
+     * @returns {{t: number, normal: {x: number, y: number}}|null} - t in [0, 1]
+     */
+    _sweepCircleSegment(x0, y0, mx, my, r, p1, p2, anyOverlap = false) {
+        const ex = p2.x - p1.x;
+        const ey = p2.y - p1.y;
+        const lengthSq = ex * ex + ey * ey;
+
+        // Start overlap: collide only while moving into the segment
+        let u = lengthSq > 0 ? ((x0 - p1.x) * ex + (y0 - p1.y) * ey) / lengthSq : 0;
+        u = Math.max(0, Math.min(1, u));
+        const cx = x0 - (p1.x + ex * u);
+        const cy = y0 - (p1.y + ey * u);
+        const dist = Math.hypot(cx, cy);
+
+        if (dist < r) {
+            const normal = dist > 0 ? { x: cx / dist, y: cy / dist } : this._facingNormal(ex, ey, -mx, -my);
+            if (anyOverlap || mx * normal.x + my * normal.y < 0) {
+                return { t: 0, normal };
+            }
+            return null;
+        }
 
-                if (dist <= hitThreshold) {
-                    const normal = this._getSegmentNormal(p1, p2, ball.x, ball.y);
-                    return { hit: true, line, normal, segmentIndex: i };
+        let best = null;
+
+        // Flat side facing the start point
+        if (lengthSq > 0) {
+            const normal = this._facingNormal(ex, ey, x0 - p1.x, y0 - p1.y);
+            const startDist = (x0 - p1.x) * normal.x + (y0 - p1.y) * normal.y;
+            const approach = mx * normal.x + my * normal.y;
+
+            if (approach < 0) {
+                const t = (r - startDist) / approach;
+                if (t >= 0 && t <= 1) {
+                    const along = ((x0 + mx * t - p1.x) * ex + (y0 + my * t - p1.y) * ey) / lengthSq;
+                    if (along >= 0 && along <= 1) {
+                        best = { t, normal };
+                    }
                 }
             }
         }
 
-        return { hit: false };
+        // Rounded ends (segment endpoints / hex vertices)
+        if (!best) {
+            for (const p of [p1, p2]) {
+                const t = this._sweepCirclePoint(x0, y0, mx, my, r, p);
+                if (t !== null && (!best || t < best.t)) {
+                    best = {
+                        t,
+                        normal: {
+                            x: (x0 + mx * t - p.x) / r,
+                            y: (y0 + my * t - p.y) / r
+                        }
+                    };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * First time a moving circle touches a point
+     * @private
+     * @returns {number|null} - Move fraction in [0, 1], or null
+     */
+    _sweepCirclePoint(x0, y0, mx, my, r, p) {
+        const fx = x0 - p.x;
+        const fy = y0 - p.y;
+        const a = mx * mx + my * my;
+        if (a === 0) return null;
+
+        const b = 2 * (fx * mx + fy * my);
+        const c = fx * fx + fy * fy - r * r;
+        const disc = b * b - 4 * a * c;
+        if (disc < 0) return null;
+
+        const t = (-b - Math.sqrt(disc)) / (2 * a);
+        return t >= 0 && t <= 1 ? t : null;
+    }
+
+    /**
+     * Unit normal of a segment direction on the side of a reference vector
+     * @private
+     */
+    _facingNormal(ex, ey, refX, refY) {
+        const len = Math.hypot(ex, ey);
+        if (len === 0) return { x: 0, y: -1 };
+
+        let nx = -ey / len;
+        let ny = ex / len;
+        if (nx * refX + ny * refY < 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        return { x: nx, y: ny };
     }
 
     /**
@@ -217,92 +377,39 @@ export class CollisionSystem {
         return Math.hypot(px - nearestX, py - nearestY);
     }
 
-    /**
-     * Get normal vector of line segment (pointing toward the ball)
-     * @private
-     */
-    _getSegmentNormal(p1, p2, ballX, ballY) {
-        const dx = p2.x - p1.x;
-        const dy = p2.y - p1.y;
-        const len = Math.hypot(dx, dy);
-
-        if (len === 0) return { x: 0, y: -1 };
-
-        // Perpendicular vector (two possibilities)
-        let nx = -dy / len;
-        let ny = dx / len;
-
-        // Choose the one pointing toward the ball
-        const midX = (p1.x + p2.x) / 2;
-        const midY = (p1.y + p2.y) / 2;
-        const toBallX = ballX - midX;
-        const toBallY = ballY - midY;
-
-        // Dot product to check direction
-        if (nx * toBallX + ny * toBallY < 0) {
-            nx = -nx;
-            ny = -ny;
-        }
-
-        return { x: nx, y: ny };
-    }
-
     /**
      * Apply Block Guide - redirect ball toward nearest block within angle range
      * @param {import('../entities/Ball.js').Ball} ball
      * @param {number} reflectionAngle - Current reflection angle in radians
-     * @param {Object[]} blocks - Array of block objects
      * @param {{probability: number, angleLimit: number}} config - Block guide configuration
      * @returns {boolean} True if guide was applied
      */
-    applyBlockGuide(ball, reflectionAngle, blocks, config) {
+    applyBlockGuide(ball, reflectionAngle, config) {
         // 1. Probability check
-        if (Math.random() >= config.probability) {
+        if (this.rng.next() >= config.probability) {
             return false;
         }
 
         // 2. Find nearest block within angle range
         const angleLimitRad = (config.angleLimit * Math.PI) / 180;
-        let nearestBlock = null;
-        let minDist = Infinity;
-
-        for (const block of blocks) {
-            if (!block.alive) continue;
-
-            const center = hexToPixel(block.row, block.col, this.gridSize);
-            const toBlockX = center.x - ball.x;
-            const toBlockY = center.y - ball.y;
-            const blockAngle = Math.atan2(toBlockY, toBlockX);
+        const nearest = this.blockIndex.findNearest(ball.x, ball.y, (block, center) => {
+            const blockAngle = Math.atan2(center.y - ball.y, center.x - ball.x);
 
             // Calculate angle difference (normalized to -π ~ π)
             let angleDiff = blockAngle - reflectionAngle;
             while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
             while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
 
-            // Check if within angle limit
-            if (Math.abs(angleDiff) <= angleLimitRad) {
-                const dist = Math.hypot(toBlockX, toBlockY);
-                if (dist < minDist) {
-                    minDist = dist;
-                    nearestBlock = block;
-                }
-            }
-        }
+            return Math.abs(angleDiff) <= angleLimitRad;
+        });
 
         // 3. Apply guidance if block found
-        if (nearestBlock) {
-            const center = hexToPixel(nearestBlock.row, nearestBlock.col, this.gridSize);
-            const toBlockX = center.x - ball.x;
-            const toBlockY = center.y - ball.y;
-            const len = Math.hypot(toBlockX, toBlockY);
-
-            if (len > 0) {
-                // Preserve speed, change direction
-                const speed = Math.hypot(ball.dx, ball.dy);
-                ball.dx = (toBlockX / len) * speed;
-                ball.dy = (toBlockY / len) * speed;
-                return true;
-            }
+        if (nearest && nearest.distance > 0) {
+            // Preserve speed, change direction
+            const speed = Math.hypot(ball.dx, ball.dy);
+            ball.dx = ((nearest.center.x - ball.x) / nearest.distance) * speed;
+            ball.dy = ((nearest.center.y - ball.y) / nearest.distance) * speed;
+            return true;
         }
 
         return false;
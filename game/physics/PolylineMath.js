@@ -0,0 +1,211 @@
+/**
+ * PolylineMath.js - Polyline Geometry Helpers
+ *
+ * Arc-length parameterization of editor polylines (paddle lines, misslines).
+ * Used by entities that travel along or attach to a drawn line.
+ *
+ * Normal side convention matches the editor and TapSystem:
+ * 'left' = (-ty, tx), 'right' = (ty, -tx) for segment tangent (tx, ty).
+ */
+
+/**
+ * @typedef {Object} PolylineSegment
+ * @property {{x: number, y: number}} p1 - Segment start
+ * @property {{x: number, y: number}} p2 - Segment end
+ * @property {number} length - Segment length
+ * @property {number} start - Arc-length distance at p1
+ * @property {number} tx - Normalized tangent X
+ * @property {number} ty - Normalized tangent Y
+ */
+
+/**
+ * @typedef {Object} Polyline
+ * @property {PolylineSegment[]} segments - Non-degenerate segments
+ * @property {number} length - Total arc length
+ * @property {boolean} closed - Whether the line loops back to its start
+ */
+
+/**
+ * Build an arc-length parameterized polyline
+ * @param {{x: number, y: number}[]} points - Polyline vertices
+ * @param {boolean} [closed=false] - Whether the last point connects to the first
+ * @returns {Polyline}
+ */
+export function buildPolyline(points, closed = false) {
+    const segments = [];
+    let length = 0;
+
+    if (points && points.length >= 2) {
+        const count = closed ? points.length : points.length - 1;
+        for (let i = 0; i < count; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            const segLen = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            if (segLen === 0) continue;
+
+            segments.push({
+                p1,
+                p2,
+                length: segLen,
+                start: length,
+                tx: (p2.x - p1.x) / segLen,
+                ty: (p2.y - p1.y) / segLen
+            });
+            length += segLen;
+        }
+    }
+
+    return { segments, length, closed: closed && segments.length > 0 };
+}
+
+/**
+ * Wrap (closed) or clamp (open) a distance into the polyline range
+ * @param {Polyline} polyline
+ * @param {number} distance
+ * @returns {number}
+ */
+export function normalizeDistance(polyline, distance) {
+    if (polyline.length === 0) return 0;
+
+    if (polyline.closed) {
+        const wrapped = distance % polyline.length;
+        return wrapped < 0 ? wrapped + polyline.length : wrapped;
+    }
+    return Math.max(0, Math.min(polyline.length, distance));
+}
+
+/**
+ * Get position and tangent at an arc-length distance
+ * @param {Polyline} polyline
+ * @param {number} distance
+ * @returns {{x: number, y: number, tx: number, ty: number, segmentIndex: number}}
+ */
+export function getPointAtDistance(polyline, distance) {
+    const { segments } = polyline;
+    if (segments.length === 0) {
+        return { x: 0, y: 0, tx: 1, ty: 0, segmentIndex: -1 };
+    }
+
+    const d = normalizeDistance(polyline, distance);
+
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        if (d <= seg.start + seg.length || i === segments.length - 1) {
+            const t = Math.max(0, Math.min(seg.length, d - seg.start));
+            return {
+                x: seg.p1.x + seg.tx * t,
+                y: seg.p1.y + seg.ty * t,
+                tx: seg.tx,
+                ty: seg.ty,
+                segmentIndex: i
+            };
+        }
+    }
+
+    // Unreachable: loop always returns on the last segment
+    const last = segments[segments.length - 1];
+    return { x: last.p2.x, y: last.p2.y, tx: last.tx, ty: last.ty, segmentIndex: segments.length - 1 };
+}
+
+/**
+ * Project a point onto the polyline
+ * @param {Polyline} polyline
+ * @param {number} px
+ * @param {number} py
+ * @returns {{distance: number, x: number, y: number, offset: number}|null}
+ *   distance = arc length of the nearest point, offset = distance from the point to the line
+ */
+export function projectOntoPolyline(polyline, px, py) {
+    let best = null;
+
+    for (const seg of polyline.segments) {
+        const along = (px - seg.p1.x) * seg.tx + (py - seg.p1.y) * seg.ty;
+        const t = Math.max(0, Math.min(seg.length, along));
+        const x = seg.p1.x + seg.tx * t;
+        const y = seg.p1.y + seg.ty * t;
+        const offset = Math.hypot(px - x, py - y);
+
+        if (!best || offset < best.offset) {
+            best = { distance: seg.start + t, x, y, offset };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find the arc-length distance where the line reaches a given X or Y coordinate.
+ * When several points match (bent or closed lines), the one nearest to
+ * `nearDistance` wins. Values outside the line's range resolve to the
+ * vertex whose coordinate is closest.
+ * @param {Polyline} polyline
+ * @param {'x'|'y'} axis
+ * @param {number} value - Target coordinate on the axis
+ * @param {number} [nearDistance=0] - Current distance, used to break ties
+ * @returns {number}
+ */
+export function getDistanceForAxisValue(polyline, axis, value, nearDistance = 0) {
+    let bestDistance = null;
+    let bestScore = Infinity;
+
+    const consider = (distance, coordError) => {
+        // Coordinate error dominates; travel distance only breaks ties
+        const score = coordError * 1e6 + _arcGap(polyline, distance, nearDistance);
+        if (score < bestScore) {
+            bestScore = score;
+            bestDistance = distance;
+        }
+    };
+
+    for (const seg of polyline.segments) {
+        const a1 = seg.p1[axis];
+        const a2 = seg.p2[axis];
+
+        if (a1 !== a2 && value >= Math.min(a1, a2) && value <= Math.max(a1, a2)) {
+            consider(seg.start + ((value - a1) / (a2 - a1)) * seg.length, 0);
+        } else {
+            consider(seg.start, Math.abs(a1 - value));
+            consider(seg.start + seg.length, Math.abs(a2 - value));
+        }
+    }
+
+    return bestDistance ?? normalizeDistance(polyline, nearDistance);
+}
+
+/**
+ * Get the coordinate range of the polyline on one axis
+ * @param {Polyline} polyline
+ * @param {'x'|'y'} axis
+ * @returns {{min: number, max: number}}
+ */
+export function getAxisRange(polyline, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const seg of polyline.segments) {
+        min = Math.min(min, seg.p1[axis], seg.p2[axis]);
+        max = Math.max(max, seg.p1[axis], seg.p2[axis]);
+    }
+    return min <= max ? { min, max } : { min: 0, max: 0 };
+}
+
+/**
+ * Get the normal pointing to the given side of a tangent
+ * @param {number} tx - Normalized tangent X
+ * @param {number} ty - Normalized tangent Y
+ * @param {'left'|'right'} normalSide
+ * @returns {{x: number, y: number}}
+ */
+export function getSideNormal(tx, ty, normalSide) {
+    return normalSide === 'right'
+        ? { x: ty, y: -tx }
+        : { x: -ty, y: tx };
+}
+
+/**
+ * Shortest arc-length gap between two distances (wraps on closed lines)
+ * @private
+ */
+function _arcGap(polyline, a, b) {
+    const gap = Math.abs(a - b);
+    return polyline.closed ? Math.min(gap, polyline.length - gap) : gap;
+}
@@ -0,0 +1,161 @@
+/**
+ * SegmentGrid.js - Uniform Grid of Line Segments
+ * Based on game_specification.md Section 3.1
+ *
+ * Broadphase for collision lines. Each segment is stored in every grid
+ * cell its thickness-padded body crosses; a query returns the segments of
+ * the cells under its rectangle, each once.
+ *
+ * Only static lines belong here: collision lines never move, while paddle
+ * lines and misslines ride PathMoveSystem and are checked directly.
+ */
+
+/** Default cell size in pixels */
+const DEFAULT_CELL_SIZE = 64;
+
+/**
+ * @typedef {Object} GridSegment
+ * @property {Object} line - Source line object
+ * @property {number} segmentIndex - Index of p1 in line.points
+ * @property {{x: number, y: number}} p1
+ * @property {{x: number, y: number}} p2
+ * @property {number} halfThickness - Half the line thickness (pixels)
+ */
+
+export class SegmentGrid {
+    /**
+     * @param {number} [cellSize=DEFAULT_CELL_SIZE] - Cell size in pixels
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        /** @type {Map<string, GridSegment[]>} */
+        this.cells = new Map();
+
+        /** @type {number} - Query counter for de-duplicating segments spanning several cells */
+        this._queryId = 0;
+    }
+
+    /**
+     * Index the collision lines of a stage
+     * @param {Object[]} lines - Stage lines (non-collision lines are skipped)
+     */
+    load(lines) {
+        this.cells.clear();
+
+        for (const line of lines) {
+            if (line.type !== 'collision') continue;
+            if (!line.points || line.points.length < 2) continue;
+
+            const halfThickness = (line.thickness || 3) / 2;
+            const count = line.closed ? line.points.length : line.points.length - 1;
+
+            for (let i = 0; i < count; i++) {
+                this._insert({
+                    line,
+                    segmentIndex: i,
+                    p1: line.points[i],
+                    p2: line.points[(i + 1) % line.points.length],
+                    halfThickness,
+                    _queryId: 0
+                });
+            }
+        }
+    }
+
+    /**
+     * Get segments whose cells overlap a rectangle
+     * @param {number} minX
+     * @param {number} minY
+     * @param {number} maxX
+     * @param {number} maxY
+     * @returns {GridSegment[]} - Candidates (callers run the exact test)
+     */
+    queryRect(minX, minY, maxX, maxY) {
+        const result = [];
+        if (this.cells.size === 0) return result;
+
+        const queryId = ++this._queryId;
+        const cx0 = Math.floor(minX / this.cellSize);
+        const cy0 = Math.floor(minY / this.cellSize);
+        const cx1 = Math.floor(maxX / this.cellSize);
+        const cy1 = Math.floor(maxY / this.cellSize);
+
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (!cell) continue;
+
+                for (const segment of cell) {
+                    if (segment._queryId === queryId) continue;
+                    segment._queryId = queryId;
+                    result.push(segment);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Drop all segments
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Add a segment to every cell its padded body crosses
+     * @private
+     * @param {GridSegment} segment
+     */
+    _insert(segment) {
+        const { p1, p2, halfThickness } = segment;
+        const cx0 = Math.floor((Math.min(p1.x, p2.x) - halfThickness) / this.cellSize);
+        const cy0 = Math.floor((Math.min(p1.y, p2.y) - halfThickness) / this.cellSize);
+        const cx1 = Math.floor((Math.max(p1.x, p2.x) + halfThickness) / this.cellSize);
+        const cy1 = Math.floor((Math.max(p1.y, p2.y) + halfThickness) / this.cellSize);
+
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                if (!this._crossesCell(segment, cx, cy)) continue;
+
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(segment);
+            }
+        }
+    }
+
+    /**
+     * Separating-axis test along the segment normal (bounding boxes already overlap)
+     * @private
+     * @param {GridSegment} segment
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {boolean}
+     */
+    _crossesCell(segment, cx, cy) {
+        const { p1, p2, halfThickness } = segment;
+        const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        if (length === 0) return true;
+
+        const nx = -(p2.y - p1.y) / length;
+        const ny = (p2.x - p1.x) / length;
+        const lineOffset = p1.x * nx + p1.y * ny;
+
+        // Cell extent on the normal axis
+        const x0 = cx * this.cellSize;
+        const y0 = cy * this.cellSize;
+        const x1 = x0 + this.cellSize;
+        const y1 = y0 + this.cellSize;
+        const projections = [x0 * nx + y0 * ny, x1 * nx + y0 * ny, x0 * nx + y1 * ny, x1 * nx + y1 * ny];
+
+        return Math.min(...projections) - halfThickness <= lineOffset &&
+            Math.max(...projections) + halfThickness >= lineOffset;
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * AudioSystem.js - Sound Effects and BGM Playback
+ * Based on game_specification.md Section 8
+ *
+ * Plays the synthesized patches of SoundPatches.js through a master / SFX /
+ * BGM gain bus, triggered by game events (attach). Volume settings persist
+ * to localStorage. The AudioContext is created on the first user gesture
+ * (browser autoplay policy); until then sound effects are dropped and the
+ * requested BGM is held back.
+ *
+ * A disabled system (headless mode) accepts every call and does nothing.
+ */
+
+import { SFX_PATCHES, BGM_TRACKS, DEFAULT_STAGE_BGM, DEFAULT_BOSS_BGM, getTrackLength, scheduleBgmStep } from '../audio/SoundPatches.js';
+import { GAME_EVENTS } from '../GameEvents.js';
+import { loadSettings, saveSettings } from '../SettingsStorage.js';
+
+/** localStorage key for volume settings */
+const SETTINGS_KEY = 'hexbreaker_audio';
+
+/** Default volume settings (0..1) */
+export const DEFAULT_AUDIO_SETTINGS = {
+    master: 0.8,
+    sfx: 0.8,
+    bgm: 0.5,
+    muted: false
+};
+
+/** Minimum interval between two plays of the same sound effect (seconds) */
+const SFX_THROTTLE = 0.03;
+
+/** BGM scheduler: timer interval (ms) and how far ahead notes are queued (seconds) */
+const SCHEDULER_INTERVAL = 25;
+const SCHEDULE_AHEAD = 0.1;
+
+/** meta.bgm values that name an audio file instead of a procedural track */
+const BGM_FILE_PATTERN = /\.(mp3|ogg|wav|m4a)$/i;
+
+/**
+ * Check whether a BGM ID refers to an audio file
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isBgmFile(id) {
+    return typeof id === 'string' && BGM_FILE_PATTERN.test(id);
+}
+
+export class AudioSystem {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - False = silent no-op (headless)
+     */
+    constructor({ enabled = true } = {}) {
+        /** @type {boolean} */
+        this.enabled = enabled && typeof window !== 'undefined' &&
+            !!(window.AudioContext || window.webkitAudioContext);
+
+        /** @type {typeof DEFAULT_AUDIO_SETTINGS} */
+        this.settings = this.enabled ? this._loadSettings() : { ...DEFAULT_AUDIO_SETTINGS };
+
+        /** @type {AudioContext|null} */
+        this.ctx = null;
+
+        // Gain bus: sfx / bgm -> master -> destination
+        this._masterGain = null;
+        this._sfxGain = null;
+        this._bgmGain = null;
+
+        /** @type {Map<string, number>} - Last play time per sound effect */
+        this._lastPlayed = new Map();
+
+        /** @type {string|null} - Current BGM ID (kept while the context is locked) */
+        this.currentBgm = null;
+
+        /** @type {string} - Fallback of the current BGM */
+        this._bgmFallback = DEFAULT_STAGE_BGM;
+
+        // Procedural BGM scheduler state
+        this._bgmTrack = null;
+        this._bgmStep = 0;
+        this._bgmNextTime = 0;
+        this._bgmTimer = null;
+
+        // File BGM state
+        this._bgmElement = null;
+        this._bgmSource = null;
+        this._bgmDelayTimer = null;
+
+        /** @type {boolean} - Paused by the game (suspend / resume) */
+        this._suspended = false;
+    }
+
+    /**
+     * Play sounds and switch BGM on game events
+     * @param {import('../GameEvents.js').GameEventBus} events
+     */
+    attach(events) {
+        if (!this.enabled) return;
+
+        const sfx = (id) => () => this.play(id);
+
+        events.on(GAME_EVENTS.WALL_HIT, sfx('wall_hit'));
+        events.on(GAME_EVENTS.LINE_HIT, sfx('wall_hit'));
+        events.on(GAME_EVENTS.SHIELD_HIT, sfx('wall_hit'));
+        events.on(GAME_EVENTS.PADDLE_HIT, sfx('paddle_hit'));
+        events.on(GAME_EVENTS.GEM_COLLECTED, sfx('gem_collect'));
+        events.on(GAME_EVENTS.WEAPON_ACTIVATED, sfx('weapon_activate'));
+        events.on(GAME_EVENTS.LASER_FIRED, sfx('laser_fire'));
+        events.on(GAME_EVENTS.BOSS_DEFEATED, sfx('boss_defeat'));
+
+        events.on(GAME_EVENTS.BLOCK_HIT, ({ locked, destroyed }) => {
+            this.play(locked ? 'wall_hit' : destroyed ? 'block_destroy' : 'block_hit');
+        });
+        events.on(GAME_EVENTS.BOSS_HIT, ({ defeated }) => {
+            if (!defeated) this.play('boss_hit');
+        });
+        events.on(GAME_EVENTS.LIFE_LOST, ({ gameOver }) => {
+            if (!gameOver) this.play('ball_lost');
+        });
+
+        // Stage flow: BGM per stage (meta.bgm or the default for the stage kind)
+        let stageBgm = null;
+        events.on(GAME_EVENTS.STAGE_LOADED, ({ meta, hasBoss }) => {
+            const fallback = hasBoss ? DEFAULT_BOSS_BGM : DEFAULT_STAGE_BGM;
+            stageBgm = { id: meta.bgm || fallback, fallback };
+            this.resume();
+            this.playBgm(stageBgm.id, { fallback });
+        });
+        events.on(GAME_EVENTS.CONTINUED, () => {
+            if (stageBgm) this.playBgm(stageBgm.id, { fallback: stageBgm.fallback });
+        });
+        events.on(GAME_EVENTS.STAGE_CLEAR, () => {
+            this.play('stage_clear');
+            this.playBgm('bgm_clear', { delay: 1 });
+        });
+        events.on(GAME_EVENTS.GAME_OVER, () => {
+            this.play('game_over');
+            this.playBgm('bgm_gameover', { delay: 1.5 });
+        });
+        events.on(GAME_EVENTS.PAUSED, () => this.suspend());
+        events.on(GAME_EVENTS.RESUMED, () => this.resume());
+    }
+
+    /**
+     * Create the AudioContext on the first user gesture
+     * @param {Window} target - Event target for pointerdown / keydown
+     */
+    bindUnlock(target) {
+        if (!this.enabled) return;
+
+        const unlock = () => {
+            this.unlock();
+            target.removeEventListener('pointerdown', unlock);
+            target.removeEventListener('keydown', unlock);
+        };
+        target.addEventListener('pointerdown', unlock);
+        target.addEventListener('keydown', unlock);
+    }
+
+    /**
+     * Create (or resume) the AudioContext. Must run inside a user gesture.
+     */
+    unlock() {
+        if (!this.enabled) return;
+
+        if (!this.ctx) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.ctx = new AudioContextClass();
+
+            this._masterGain = this.ctx.createGain();
+            this._sfxGain = this.ctx.createGain();
+            this._bgmGain = this.ctx.createGain();
+            this._sfxGain.connect(this._masterGain);
+            this._bgmGain.connect(this._masterGain);
+            this._masterGain.connect(this.ctx.destination);
+            this._applyVolumes();
+
+            // Start the BGM requested before the context existed
+            if (this.currentBgm) {
+                this.playBgm(this.currentBgm, { fallback: this._bgmFallback });
+            }
+        }
+
+        if (this.ctx.state === 'suspended' && !this._suspended) {
+            this.ctx.resume();
+        }
+    }
+
+    // =========================================================================
+    // Sound effects
+    // =========================================================================
+
+    /**
+     * Play a sound effect
+     * @param {string} id - Key of SFX_PATCHES
+     */
+    play(id) {
+        if (!this.ctx || this._suspended) return;
+
+        const patch = SFX_PATCHES[id];
+        if (!patch) {
+            console.warn(`Unknown sound effect: ${id}`);
+            return;
+        }
+
+        // Many hits in one frame (multiball, laser volleys) play once
+        const now = this.ctx.currentTime;
+        const last = this._lastPlayed.get(id);
+        if (last !== undefined && now - last < SFX_THROTTLE) return;
+        this._lastPlayed.set(id, now);
+
+        patch(this.ctx, this._sfxGain, now);
+    }
+
+    // =========================================================================
+    // BGM
+    // =========================================================================
+
+    /**
+     * Switch the BGM
+     * @param {string} id - Key of BGM_TRACKS or an audio file path
+     * @param {Object} [options]
+     * @param {number} [options.delay=0] - Seconds before the new BGM starts
+     * @param {string} [options.fallback=DEFAULT_STAGE_BGM] - Procedural track used when a file fails to load
+     */
+    playBgm(id, { delay = 0, fallback = DEFAULT_STAGE_BGM } = {}) {
+        if (!this.enabled) return;
+
+        this.stopBgm();
+        this.currentBgm = id;
+        this._bgmFallback = fallback;
+        if (!this.ctx) return;
+
+        if (isBgmFile(id)) {
+            this._bgmDelayTimer = setTimeout(() => {
+                this._bgmDelayTimer = null;
+                this._playBgmFile(id, fallback);
+            }, delay * 1000);
+            return;
+        }
+
+        const track = BGM_TRACKS[id] || BGM_TRACKS[fallback];
+        if (!track) return;
+
+        this._bgmTrack = track;
+        this._bgmStep = 0;
+        this._bgmNextTime = this.ctx.currentTime + delay;
+        this._bgmTimer = setInterval(() => this._scheduleBgm(), SCHEDULER_INTERVAL);
+        this._scheduleBgm();
+    }
+
+    /**
+     * Stop the BGM (notes already queued fade out on their own)
+     */
+    stopBgm() {
+        this.currentBgm = null;
+        this._bgmTrack = null;
+
+        if (this._bgmTimer !== null) {
+            clearInterval(this._bgmTimer);
+            this._bgmTimer = null;
+        }
+        if (this._bgmDelayTimer !== null) {
+            clearTimeout(this._bgmDelayTimer);
+            this._bgmDelayTimer = null;
+        }
+        if (this._bgmElement) {
+            this._bgmElement.pause();
+            this._bgmElement.removeAttribute('src');
+            this._bgmSource.disconnect();
+            this._bgmElement = null;
+            this._bgmSource = null;
+        }
+    }
+
+    /**
+     * Queue the BGM steps that start within the lookahead window
+     * @private
+     */
+    _scheduleBgm() {
+        const track = this._bgmTrack;
+        if (!track || this._suspended) return;
+
+        const stepDur = 60 / track.bpm / 2;
+        const length = getTrackLength(track);
+
+        while (this._bgmNextTime < this.ctx.currentTime + SCHEDULE_AHEAD) {
+            if (!track.loop && this._bgmStep >= length) {
+                this.stopBgm();
+                return;
+            }
+            scheduleBgmStep(this.ctx, this._bgmGain, track, this._bgmStep, this._bgmNextTime, stepDur);
+            this._bgmStep++;
+            this._bgmNextTime += stepDur;
+        }
+    }
+
+    /**
+     * Stream an audio file into the BGM bus; fall back to a procedural track on error
+     * @private
+     * @param {string} src
+     * @param {string} fallback
+     */
+    _playBgmFile(src, fallback) {
+        const element = new Audio();
+        element.loop = true;
+        element.src = src;
+        element.addEventListener('error', () => {
+            if (this._bgmElement !== element) return;
+            console.warn(`BGM file could not be loaded: ${src}`);
+            this.playBgm(fallback);
+        });
+
+        this._bgmElement = element;
+        this._bgmSource = this.ctx.createMediaElementSource(element);
+        this._bgmSource.connect(this._bgmGain);
+        this.currentBgm = src;
+
+        if (!this._suspended) {
+            element.play().catch(() => {});
+        }
+    }
+
+    // =========================================================================
+    // Pause
+    // =========================================================================
+
+    /**
+     * Pause all audio (game paused)
+     */
+    suspend() {
+        if (!this.enabled) return;
+
+        this._suspended = true;
+        if (this.ctx) this.ctx.suspend();
+        if (this._bgmElement) this._bgmElement.pause();
+    }
+
+    /**
+     * Resume audio paused by suspend()
+     */
+    resume() {
+        if (!this.enabled) return;
+
+        this._suspended = false;
+        if (this.ctx) this.ctx.resume();
+        if (this._bgmElement) this._bgmElement.play().catch(() => {});
+    }
+
+    // =========================================================================
+    // Volume settings
+    // =========================================================================
+
+    /**
+     * Set a channel volume
+     * @param {'master'|'sfx'|'bgm'} channel
+     * @param {number} value - 0..1
+     */
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_AUDIO_SETTINGS) || channel === 'muted') return;
+
+        this.settings[channel] = Math.max(0, Math.min(1, Number(value) || 0));
+        this._applyVolumes();
+        this._saveSettings();
+    }
+
+    /**
+     * Mute or unmute all audio
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.settings.muted = !!muted;
+        this._applyVolumes();
+        this._saveSettings();
+    }
+
+    /**
+     * Toggle mute
+     * @returns {boolean} - New muted state
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+
+    /**
+     * Get a copy of the volume settings
+     * @returns {typeof DEFAULT_AUDIO_SETTINGS}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Push settings to the gain nodes
+     * @private
+     */
+    _applyVolumes() {
+        if (!this.ctx) return;
+
+        const now = this.ctx.currentTime;
+        this._masterGain.gain.setValueAtTime(this.settings.muted ? 0 : this.settings.master, now);
+        this._sfxGain.gain.setValueAtTime(this.settings.sfx, now);
+        this._bgmGain.gain.setValueAtTime(this.settings.bgm, now);
+    }
+
+    /**
+     * Load settings from localStorage
+     * @private
+     * @returns {typeof DEFAULT_AUDIO_SETTINGS}
+     */
+    _loadSettings() {
+        return loadSettings(SETTINGS_KEY, { ...DEFAULT_AUDIO_SETTINGS }, (settings, saved) => {
+            for (const channel of ['master', 'sfx', 'bgm']) {
+                if (Number.isFinite(saved[channel])) {
+                    settings[channel] = Math.max(0, Math.min(1, saved[channel]));
+                }
+            }
+            settings.muted = saved.muted === true;
+        });
+    }
+
+    /**
+     * Save settings to localStorage
+     * @private
+     */
+    _saveSettings() {
+        if (!this.enabled) return;
+
+        saveSettings(SETTINGS_KEY, this.settings);
+    }
+}
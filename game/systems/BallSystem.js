@@ -6,13 +6,27 @@
  */
 
 import { Ball } from '../entities/Ball.js';
+import { GAME_EVENTS } from '../GameEvents.js';
+
+/** Max sub-step length as a fraction of the ball radius (keeps discrete checks from skipping thin targets) */
+const SUBSTEP_RADIUS_RATIO = 1;
+
+/** Max swept contacts resolved in one sub-step (corner pockets) */
+const MAX_CONTACTS_PER_STEP = 4;
+
+/** Distance a ball is kept off a surface after a contact (pixels) */
+const CONTACT_SKIN = 0.01;
 
 export class BallSystem {
     /**
      * @param {Object} collision - CollisionSystem instance
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG (launch spread)
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
      */
-    constructor(collision) {
+    constructor(collision, rng, events) {
         this.collision = collision;
+        this.rng = rng;
+        this.events = events;
 
         /** @type {Ball[]} */
         this.balls = [];
@@ -27,6 +41,7 @@ export class BallSystem {
         const pos = paddle.getBallAttachPosition();
         const ball = new Ball(pos.x, pos.y);
         ball.attached = true;
+        ball.attachedPaddle = paddle;
         this.balls.push(ball);
         return ball;
     }
@@ -37,21 +52,28 @@ export class BallSystem {
      * @returns {boolean} - True if any ball was launched
      */
     launchBalls(messageSystem) {
-        let launched = false;
+        const launched = [];
 
         for (const ball of this.balls) {
             if (ball.attached) {
-                const angle = -Math.PI / 2 + (Math.random() - 0.5) * 0.5;
+                // Launch into the play field along the paddle normal
+                const baseAngle = ball.attachedPaddle ? ball.attachedPaddle.getLaunchAngle() : -Math.PI / 2;
+                const angle = baseAngle + (this.rng.next() - 0.5) * 0.5;
                 ball.launch(angle);
-                launched = true;
+                launched.push(ball);
             }
         }
 
-        if (launched && messageSystem) {
+        if (launched.length === 0) {
+            return false;
+        }
+
+        if (messageSystem) {
             messageSystem.hideMessages();
         }
+        this.events.emit(GAME_EVENTS.BALL_LAUNCHED, { balls: launched });
 
-        return launched;
+        return true;
     }
 
     /**
@@ -59,104 +81,196 @@ export class BallSystem {
      * @param {number} dt - Delta time
      * @param {number} speedMultiplier - Speed multiplier from input
      * @param {Object} context - Update context
-     * @param {Object} context.paddle
+     * @param {Object[]} context.paddles - All paddles (one per paddle line)
      * @param {Object} context.shield
      * @param {Object} context.weaponSystem
      * @param {number} context.canvasWidth
      * @param {number} context.canvasHeight
      * @param {Object} context.input
      * @param {Object} context.stageData
-     * @param {Array} context.blocks
-     * @param {Object} context.state - GameState for scoring
-     * @param {Object} context.bossSystem - BossSystem for tracking destroyed blocks
-     * @param {Object} context.gemSystem - GemSystem for gem drops
+     * @param {import('../StageMeta.js').ResolvedStageMeta} context.meta - Validated stage meta (Block Guide defaults)
+     * @param {Object} context.blockSystem - BlockSystem applying block hits
      * @param {Object} callbacks
-     * @param {Function} callbacks.onMiss - Called when all balls are lost
+     * @param {Function} callbacks.onMiss - Called when all balls are lost, with the paddle owning the crossed miss line (or null)
      * @param {Function} callbacks.onUIUpdate - Called when UI needs update
      */
     update(dt, speedMultiplier, context, callbacks) {
         const {
-            paddle,
+            paddles,
             shield,
             weaponSystem,
             canvasWidth,
             canvasHeight,
             input,
-            stageData,
-            blocks,
-            state,
-            bossSystem,
-            gemSystem
+            stageData
         } = context;
 
+        const missLines = this._getMissLines(stageData);
+
         for (let i = this.balls.length - 1; i >= 0; i--) {
             const ball = this.balls[i];
 
             // Handle attached balls
             if (ball.attached) {
+                const holder = ball.attachedPaddle || paddles[0];
                 if (ball.attachOffset) {
-                    ball.x = paddle.x + ball.attachOffset.x;
-                    ball.y = paddle.y + ball.attachOffset.y;
+                    ball.x = holder.x + ball.attachOffset.x;
+                    ball.y = holder.y + ball.attachOffset.y;
                 } else {
-                    const pos = paddle.getBallAttachPosition();
+                    const pos = holder.getBallAttachPosition();
                     ball.x = pos.x;
                     ball.y = pos.y;
                 }
                 continue;
             }
 
-            // Magnet attraction
-            if (weaponSystem.activeWeapon === 'magnet' && input.isMouseDown) {
-                const dx = paddle.x - ball.x;
-                const dy = (paddle.y - 20) - ball.y;
-                ball.x += dx * 5 * dt;
-                ball.y += dy * 5 * dt;
+            // Magnet attraction (toward the nearest paddle)
+            if (weaponSystem.isUsable('magnet') && input.isFireHeld()) {
+                const target = this._findNearestPaddle(ball, paddles);
+                if (target) {
+                    const pos = target.getBallAttachPosition();
+                    ball.x += (pos.x - ball.x) * 5 * dt;
+                    ball.y += (pos.y - ball.y) * 5 * dt;
+                }
             }
 
-            // Move ball
-            ball.update(dt, speedMultiplier);
+            ball.update(dt);
 
-            // Wall collisions
-            this.collision.checkWallCollision(ball, canvasWidth, canvasHeight);
+            // Move in sub-steps: blocks and collision lines are swept within each
+            // step, and the step length keeps paddles / shield / miss lines from
+            // being skipped at high speed
+            const travel = ball.getTravelDistance(dt, speedMultiplier);
+            const steps = Math.max(1, Math.ceil(travel / (ball.radius * SUBSTEP_RADIUS_RATIO)));
+            let ghostHit = false;
+            let hitMissLine = null;
+            let missed = false;
 
-            // Line collisions
-            this._checkLineCollision(ball, i, stageData, blocks);
+            for (let step = 0; step < steps && !missed; step++) {
+                const fromX = ball.x;
+                const fromY = ball.y;
 
-            // Paddle collision (skip in tap mode)
-            if (paddle.visible) {
-                const paddleHit = paddle.checkCollision(ball);
-                if (paddleHit.hit) {
-                    if (weaponSystem.handleMagnetCatch(ball, paddle)) {
-                        // Ball was caught by magnet
-                    } else {
-                        ball.reflectFromPaddle(paddleHit.offsetRatio);
-                    }
+                this._sweepMove(ball, travel / steps, i, context, callbacks);
+
+                // Ghost balls pass through blocks, damaging one per frame while touching
+                if (ball.isGhost && !ghostHit) {
+                    ghostHit = this._checkGhostBlockHit(ball, fromX, fromY, context, callbacks);
                 }
-            }
 
-            // Shield collision
-            if (shield) {
-                shield.checkCollision(ball);
-            }
+                // Wall collisions
+                const wallHit = this.collision.checkWallCollision(ball, canvasWidth, canvasHeight);
+                if (wallHit.hit) {
+                    this.events.emit(GAME_EVENTS.WALL_HIT, { ball, wall: wallHit.wall });
+                }
+
+                // Paddle collisions (tap mode paddles are invisible and skipped)
+                for (const paddle of paddles) {
+                    if (!paddle.visible) continue;
+
+                    const paddleHit = paddle.checkCollision(ball);
+                    if (paddleHit.hit) {
+                        const caught = weaponSystem.handleMagnetCatch(ball, paddle);
+                        if (!caught) {
+                            ball.reflectFromPaddle(paddleHit.offsetRatio, paddle.normal);
+                        }
+                        this.events.emit(GAME_EVENTS.PADDLE_HIT, { ball, paddle, caught });
+                        break;
+                    }
+                }
+                if (ball.attached) break;
 
-            // Block collisions
-            this._checkBlockCollisions(ball, blocks, state, bossSystem, gemSystem, callbacks);
+                // Shield collision
+                if (shield && shield.checkCollision(ball)) {
+                    this.events.emit(GAME_EVENTS.SHIELD_HIT, { ball });
+                }
 
-            // Miss check (miss lines + canvas bottom fallback)
-            const missLines = this._getMissLines(stageData);
-            const hitMissLine = missLines.length > 0
-                ? this.collision.checkMissLine(ball, missLines)
-                : false;
+                // Miss check (miss lines + canvas bottom fallback)
+                hitMissLine = missLines.length > 0
+                    ? this.collision.checkMissLine(ball, missLines)
+                    : null;
+                missed = hitMissLine !== null || this.collision.checkMiss(ball, canvasHeight);
+            }
 
-            if (hitMissLine || this.collision.checkMiss(ball, canvasHeight)) {
+            if (missed) {
+                const missPaddle = hitMissLine
+                    ? paddles.find(p => p.missLine === hitMissLine) || null
+                    : null;
                 this.balls.splice(i, 1);
+                this.events.emit(GAME_EVENTS.BALL_LOST, { ball, paddle: missPaddle });
+
                 if (this.balls.length === 0) {
-                    callbacks.onMiss();
+                    callbacks.onMiss(missPaddle);
                 }
             }
         }
     }
 
+    /**
+     * Move a ball along its direction, resolving swept contacts with
+     * collision lines and blocks on the way
+     * @private
+     * @param {Ball} ball
+     * @param {number} distance - Pixels to travel
+     * @param {number} ballIndex - Index in balls (Block Guide applies to the primary ball only)
+     * @param {Object} context - update() context
+     * @param {Object} callbacks - update() callbacks
+     */
+    _sweepMove(ball, distance, ballIndex, context, callbacks) {
+        let remaining = distance;
+
+        for (let contact = 0; contact < MAX_CONTACTS_PER_STEP && remaining > 0; contact++) {
+            const dirLen = Math.hypot(ball.dx, ball.dy);
+            if (dirLen === 0) return;
+
+            const toX = ball.x + (ball.dx / dirLen) * remaining;
+            const toY = ball.y + (ball.dy / dirLen) * remaining;
+
+            const lineHit = this.collision.sweepLines(ball, toX, toY);
+            const blockHit = ball.isGhost ? null : this.collision.sweepBlocks(ball, toX, toY);
+            const hit = lineHit && (!blockHit || lineHit.t <= blockHit.t) ? lineHit : blockHit;
+
+            if (!hit) {
+                ball.x = toX;
+                ball.y = toY;
+                return;
+            }
+
+            // Advance to the contact point, kept just off the surface
+            ball.x += (toX - ball.x) * hit.t + hit.normal.x * CONTACT_SKIN;
+            ball.y += (toY - ball.y) * hit.t + hit.normal.y * CONTACT_SKIN;
+            remaining *= 1 - hit.t;
+
+            if (hit === lineHit) {
+                this._onLineHit(ball, ballIndex, lineHit, context);
+            } else {
+                ball.reflect(hit.normal.x, hit.normal.y);
+                this._hitBlock(blockHit.block, 'ball', context, callbacks);
+            }
+        }
+    }
+
+    /**
+     * Find the visible paddle closest to a ball
+     * @private
+     * @param {Ball} ball
+     * @param {Object[]} paddles
+     * @returns {Object|null}
+     */
+    _findNearestPaddle(ball, paddles) {
+        let nearest = null;
+        let nearestDist = Infinity;
+
+        for (const paddle of paddles) {
+            if (!paddle.visible) continue;
+            const dist = Math.hypot(paddle.x - ball.x, paddle.y - ball.y);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = paddle;
+            }
+        }
+
+        return nearest;
+    }
+
     /**
      * Get miss lines from stage data
      * @private
@@ -170,99 +284,80 @@ export class BallSystem {
     }
 
     /**
-     * Check block collisions for a ball
+     * Damage the first block a ghost ball touched during a sub-step
      * @private
+     * @returns {boolean} - True if a block was hit
      */
-    _checkBlockCollisions(ball, blocks, state, bossSystem, gemSystem, callbacks) {
-        const hits = this.collision.findCollidingBlocks(ball, blocks);
-
-        for (const { block, normal } of hits) {
-            if (!ball.isGhost) {
-                ball.reflect(normal.x, normal.y);
-            }
+    _checkGhostBlockHit(ball, fromX, fromY, context, callbacks) {
+        const toX = ball.x;
+        const toY = ball.y;
 
-            block.durability--;
-            state.addScore(10);
+        // Sweep the sub-step from its start, counting blocks the ball is inside of
+        ball.x = fromX;
+        ball.y = fromY;
+        const hit = this.collision.sweepBlocks(ball, toX, toY, true);
+        ball.x = toX;
+        ball.y = toY;
 
-            if (block.durability <= 0) {
-                block.alive = false;
-                state.addScore(50);
-                state.incrementCombo();
+        if (!hit) return false;
 
-                // Track for boss regeneration
-                bossSystem.trackDestroyedBlock(block);
-
-                // Gem drop
-                if (gemSystem.shouldDropGem(block)) {
-                    gemSystem.spawnFromBlock(block);
-                }
-            }
+        this._hitBlock(hit.block, 'ghost', context, callbacks);
+        return true;
+    }
 
+    /**
+     * Apply a ball hit to a block (see BlockSystem.hit)
+     * @private
+     */
+    _hitBlock(block, source, context, callbacks) {
+        if (context.blockSystem.hit(block, source)) {
             callbacks.onUIUpdate();
-            break;
         }
     }
 
     /**
-     * Check collision with lines and apply Block Guide
+     * Reflect off a collision line and apply Block Guide
      * @private
      */
-    _checkLineCollision(ball, ballIndex, stageData, blocks) {
-        // stageData may be null during initialization
-        const lines = stageData?.lines;
-        if (!lines || lines.length === 0) return;
-
-        const lineHit = this.collision.checkLineCollision(ball, lines);
-        if (!lineHit.hit) return;
-
-        // Prevent rapid repeated collisions
-        const lineId = lineHit.line.id || lineHit.segmentIndex;
-        const now = performance.now();
-        const cooldown = 50;
-
-        if (ball.lastLineHitId === lineId && (now - ball.lastLineHitTime) < cooldown) {
-            return;
-        }
-
-        ball.lastLineHitId = lineId;
-        ball.lastLineHitTime = now;
-
-        ball.reflect(lineHit.normal.x, lineHit.normal.y);
-
-        const lineThickness = lineHit.line.thickness || 3;
-        const hitThreshold = ball.radius + lineThickness / 2;
-        const pushDistance = hitThreshold + 2;
-
-        ball.x += lineHit.normal.x * pushDistance;
-        ball.y += lineHit.normal.y * pushDistance;
+    _onLineHit(ball, ballIndex, lineHit, context) {
+        const { normal } = lineHit;
+        ball.reflect(normal.x, normal.y);
+        this.events.emit(GAME_EVENTS.LINE_HIT, { ball, line: lineHit.line });
 
         // Block Guide (primary ball only)
         if (ballIndex === 0) {
-            const config = this._resolveBlockGuideConfig(lineHit.line, stageData);
+            const config = this._resolveBlockGuideConfig(lineHit.line, context.meta);
             if (config?.enabled) {
+                const reflectedX = ball.dx;
+                const reflectedY = ball.dy;
                 const reflectionAngle = Math.atan2(ball.dy, ball.dx);
-                this.collision.applyBlockGuide(ball, reflectionAngle, blocks, config);
+                const guided = this.collision.applyBlockGuide(ball, reflectionAngle, config);
+
+                // Never guide back into the line just hit
+                if (guided && ball.dx * normal.x + ball.dy * normal.y <= 0) {
+                    ball.dx = reflectedX;
+                    ball.dy = reflectedY;
+                }
             }
         }
     }
 
     /**
-     * Resolve Block Guide configuration
+     * Resolve Block Guide configuration (line settings over the stage meta defaults)
      * @private
      */
-    _resolveBlockGuideConfig(line, stageData) {
-        const stageMeta = stageData?.meta?.blockGuide;
+    _resolveBlockGuideConfig(line, meta) {
+        const stageGuide = meta.blockGuide;
         const lineConfig = line?.blockGuide;
 
-        const stageEnabled = stageMeta?.enabled !== false;
         const lineEnabled = lineConfig?.enabled !== false;
 
-        if (!stageEnabled && !lineEnabled) return null;
+        if (!stageGuide.enabled && !lineEnabled) return null;
 
         return {
-            enabled: lineConfig?.enabled ?? stageMeta?.enabled ?? true,
-            probability: lineConfig?.probability ?? stageMeta?.probability ?? 0.5,
-            angleLimit: lineConfig?.angleLimit ?? stageMeta?.angleLimit ?? 30
+            enabled: lineConfig?.enabled ?? stageGuide.enabled,
+            probability: lineConfig?.probability ?? stageGuide.probability,
+            angleLimit: lineConfig?.angleLimit ?? stageGuide.angleLimit
         };
     }
 
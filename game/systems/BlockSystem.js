@@ -0,0 +1,96 @@
+/**
+ * BlockSystem.js - Block Hit System
+ * Based on game_specification.md Section 5.3
+ *
+ * The single path for balls, ghost balls and lasers hitting a block:
+ * damage and score, boss regeneration tracking and the hit events are
+ * shared, and everything type-specific goes through the hooks in
+ * BlockTypes.js.
+ */
+
+import { getBlockType, LASER_MODES } from '../BlockTypes.js';
+import { GAME_EVENTS } from '../GameEvents.js';
+
+/** Score per damaging hit */
+const HIT_SCORE = 10;
+
+/** Extra score for the hit that destroys a block */
+const DESTROY_SCORE = 50;
+
+export class BlockSystem {
+    /**
+     * @param {import('../GameState.js').GameState} state - Scoring and combo
+     * @param {import('./GemSystem.js').GemSystem} gemSystem - Gem drops
+     * @param {import('./KeyLockSystem.js').KeyLockSystem} keyLockSystem - Key/lock groups
+     * @param {import('./BossSystem.js').BossSystem} bossSystem - Destroyed blocks for boss regeneration
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
+     */
+    constructor(state, gemSystem, keyLockSystem, bossSystem, events) {
+        this.state = state;
+        this.gemSystem = gemSystem;
+        this.keyLockSystem = keyLockSystem;
+        this.bossSystem = bossSystem;
+        this.events = events;
+    }
+
+    /**
+     * Apply a hit to a block
+     * Blocks that are not destructible right now (locked, infinite) take no
+     * damage; the hit still runs their onHit hook.
+     * @param {Object} block - Block from GameState.blocks
+     * @param {'ball'|'ghost'|'laser'} source - What hit the block
+     * @returns {boolean} - True if the block took damage
+     */
+    hit(block, source) {
+        const type = getBlockType(block);
+        const damaged = type.isDestructible(block);
+
+        if (damaged) {
+            block.durability--;
+            this.state.addScore(HIT_SCORE);
+
+            if (block.durability <= 0) {
+                block.alive = false;
+                this.state.addScore(DESTROY_SCORE);
+                this.state.incrementCombo();
+            }
+        }
+
+        const context = {
+            source,
+            state: this.state,
+            gemSystem: this.gemSystem,
+            keyLockSystem: this.keyLockSystem
+        };
+        type.onHit(block, context);
+
+        if (!block.alive) {
+            // Track for boss regeneration
+            this.bossSystem.trackDestroyedBlock(block);
+            type.onDestroy(block, context);
+        }
+
+        this.events.emit(GAME_EVENTS.BLOCK_HIT, { block, source, locked: !damaged, destroyed: !block.alive });
+        if (!block.alive) {
+            this.events.emit(GAME_EVENTS.BLOCK_DESTROYED, { block, source });
+        }
+
+        return damaged;
+    }
+
+    /**
+     * Apply a laser touching a block, following the type's laser mode
+     * @param {Object} block - Block from GameState.blocks
+     * @param {import('../entities/Laser.js').Laser} laser - Deactivated if the block absorbs it
+     * @returns {boolean} - True if the block took damage
+     */
+    hitByLaser(block, laser) {
+        const mode = getBlockType(block).laserMode(block);
+        if (mode === LASER_MODES.IGNORE) return false;
+
+        if (mode === LASER_MODES.ABSORB) {
+            laser.active = false;
+        }
+        return this.hit(block, 'laser');
+    }
+}
@@ -3,40 +3,49 @@
  *
  * Handles boss creation, updates, collision detection, and rewards.
  * Coordinates with GemSystem for boss defeat rewards.
+ * Works with any boss type through the Boss interface (hitTest,
+ * takeDamage, phaseIndex); the type itself comes from BossTypes.js.
  */
 
-import { Boss, BOSS_STATES } from '../entities/Boss.js';
+import { createBoss } from '../entities/bosses/BossTypes.js';
+import { GAME_EVENTS } from '../GameEvents.js';
+import { DEFAULT_BOSS_CONFIG } from '../BossConfig.js';
 
 export class BossSystem {
     /**
      * @param {Object} gemSystem - GemSystem instance for spawning rewards
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG (boss AI)
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
      */
-    constructor(gemSystem) {
+    constructor(gemSystem, rng, events) {
         this.gemSystem = gemSystem;
+        this.rng = rng;
+        this.events = events;
 
-        /** @type {Boss|null} */
+        /** @type {import('../entities/Boss.js').Boss|null} */
         this.boss = null;
 
         /** @type {Array<{row: number, col: number, originalColor: string}>} */
         this.destroyedBlocks = [];
 
+        // Scoring and rewards of the loaded boss (see BossConfig.js)
         /** @type {number} - Score bonus for hitting boss */
-        this.hitScore = 100;
+        this.hitScore = DEFAULT_BOSS_CONFIG.hitScore;
 
         /** @type {number} - Score bonus for defeating boss */
-        this.defeatScore = 5000;
+        this.defeatScore = DEFAULT_BOSS_CONFIG.defeatScore;
 
         /** @type {number} - Laser damage to boss */
-        this.laserDamage = 2;
+        this.laserDamage = DEFAULT_BOSS_CONFIG.laserDamage;
 
         /** @type {number} - Number of gems to spawn on defeat */
-        this.rewardGemCount = 10;
+        this.rewardGemCount = DEFAULT_BOSS_CONFIG.rewardGems;
     }
 
     /**
      * Load boss from stage data
-     * @param {Object} bossConfig - Boss configuration from stage
-     * @param {string} gridSize - Grid size key
+     * @param {import('../BossConfig.js').ResolvedBossConfig|null} bossConfig - Validated boss definition
+     * @param {Object} gridSize - Grid size of the stage
      */
     loadBoss(bossConfig, gridSize) {
         if (!bossConfig) {
@@ -44,10 +53,13 @@ export class BossSystem {
             return;
         }
 
-        this.boss = new Boss({
-            ...bossConfig,
-            gridSize: gridSize || 'medium'
-        });
+        this.boss = createBoss(bossConfig, gridSize, this.rng);
+
+        // Scoring and rewards
+        this.hitScore = bossConfig.hitScore;
+        this.defeatScore = bossConfig.defeatScore;
+        this.laserDamage = bossConfig.laserDamage;
+        this.rewardGemCount = bossConfig.rewardGems;
 
         this.destroyedBlocks = [];
     }
@@ -77,8 +89,8 @@ export class BossSystem {
      * @param {number} dt - Delta time
      * @param {Object} context - Game context
      * @param {Array} context.balls - Ball array
-     * @param {Array} context.blocks - Block array from GameState
-     * @param {Object} context.paddle - Paddle entity
+     * @param {import('../physics/BlockIndex.js').BlockIndex} context.blockIndex - Block lookup
+     * @param {Object[]} context.paddles - Paddle entities
      * @param {number} context.canvasWidth
      * @param {number} context.canvasHeight
      * @param {Function} context.onDebuffHit - Callback when debuff hits player
@@ -88,12 +100,13 @@ export class BossSystem {
 
         const bossContext = {
             balls: context.balls,
-            blocks: context.blocks,
+            blockIndex: context.blockIndex,
             destroyedBlocks: this.destroyedBlocks,
-            paddle: context.paddle,
+            paddles: context.paddles,
             canvasWidth: context.canvasWidth,
             canvasHeight: context.canvasHeight,
-            onDebuffHit: context.onDebuffHit
+            onDebuffHit: context.onDebuffHit,
+            onAbility: (ability) => this.events.emit(GAME_EVENTS.BOSS_ABILITY, { boss: this.boss, ability })
         };
 
         this.boss.update(dt, bossContext);
@@ -114,15 +127,13 @@ export class BossSystem {
         let defeated = false;
 
         for (const ball of balls) {
-            if (ball.attached || !ball.active) continue;
-
-            if (this.boss.checkBallCollision(ball)) {
-                // Damage boss
-                const wasDefeated = this.boss.takeDamage(1);
+            if (ball.attached || !ball.active || ball === this.boss.caughtBall) continue;
 
-                // Reflect ball
-                const dx = ball.x - this.boss.x;
-                const dy = ball.y - this.boss.y;
+            const part = this.boss.hitTest(ball.x, ball.y, ball.radius);
+            if (part) {
+                // Reflect ball off the part that was hit
+                const dx = ball.x - part.x;
+                const dy = ball.y - part.y;
                 const len = Math.hypot(dx, dy);
 
                 if (len > 0) {
@@ -132,16 +143,9 @@ export class BossSystem {
                     ball.y += (dy / len) * 10;
                 }
 
-                // Score
-                state.addScore(this.hitScore);
-                state.incrementCombo();
-
                 hitOccurred = true;
 
-                if (wasDefeated) {
-                    state.addScore(this.defeatScore);
-                    state.setBossDefeated();
-                    this._spawnReward();
+                if (this._damage(1, part, 'ball', this.hitScore, state)) {
                     defeated = true;
                     break;
                 }
@@ -168,18 +172,11 @@ export class BossSystem {
         for (const laser of lasers) {
             if (!laser.active) continue;
 
-            const dist = Math.hypot(laser.x - this.boss.x, laser.y - this.boss.y);
-
-            if (dist < this.boss.radius) {
-                const wasDefeated = this.boss.takeDamage(this.laserDamage);
-                state.addScore(50);
-
+            const part = this.boss.hitTest(laser.x, laser.y, 0);
+            if (part) {
                 hitOccurred = true;
 
-                if (wasDefeated) {
-                    state.addScore(this.defeatScore);
-                    state.setBossDefeated();
-                    this._spawnReward();
+                if (this._damage(this.laserDamage, part, 'laser', 50, state)) {
                     defeated = true;
                     break;
                 }
@@ -189,6 +186,39 @@ export class BossSystem {
         return { hit: hitOccurred, defeated };
     }
 
+    /**
+     * Apply a hit: damage, score (ball hits also count for the combo), phase change, and defeat rewards
+     * @private
+     * @param {number} amount - Damage
+     * @param {Object} part - Hit circle from boss.hitTest
+     * @param {string} source - 'ball' or 'laser'
+     * @param {number} score - Score for the hit
+     * @param {Object} state - GameState
+     * @returns {boolean} - True if the boss was defeated
+     */
+    _damage(amount, part, source, score, state) {
+        const phaseBefore = this.boss.phaseIndex;
+        const wasDefeated = this.boss.takeDamage(amount, part);
+
+        state.addScore(score);
+        if (source === 'ball') {
+            state.incrementCombo();
+        }
+        this.events.emit(GAME_EVENTS.BOSS_HIT, { boss: this.boss, part, source, defeated: wasDefeated });
+
+        if (this.boss.phaseIndex !== phaseBefore) {
+            this.events.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, { boss: this.boss, phase: this.boss.phaseIndex });
+        }
+
+        if (wasDefeated) {
+            state.addScore(this.defeatScore);
+            state.setBossDefeated();
+            this._spawnReward();
+            this.events.emit(GAME_EVENTS.BOSS_DEFEATED, { boss: this.boss });
+        }
+        return wasDefeated;
+    }
+
     /**
      * Spawn reward gems when boss is defeated
      * @private
@@ -0,0 +1,137 @@
+/**
+ * DebuffSystem.js - Boss Debuff Effects
+ * Based on game_specification.md Section 5.5
+ *
+ * Applies the debuffs a boss projectile carries when it hits a paddle.
+ * Each debuff runs on the game clock ('debuff:<id>' timers, shown in the
+ * HUD) and is refreshed to its full duration when hit again. The combined
+ * effect is pushed to the paddles (move speed, reversed input, width) and
+ * the weapon system (disarm) whenever the set of active debuffs changes.
+ */
+
+import { GAME_EVENTS } from '../GameEvents.js';
+
+/** Debuff IDs in display order */
+export const DEBUFF_TYPES = ['slow', 'reverse', 'short', 'disarm'];
+
+/** Debuff duration in seconds of game time */
+export const DEBUFF_DURATION = 10;
+
+/** Paddle move speed while slowed */
+const SLOW_MOVE_SPEED = 0.5;
+
+/** Paddle width while shortened */
+const SHORT_WIDTH = 0.5;
+
+/** Older debuff IDs still found in stage data */
+const DEBUFF_ALIASES = {
+    shrink: 'short'
+};
+
+/**
+ * Debuffs a boss may release: known IDs from the stage's list, or all when not set
+ * @param {string[]|undefined} types - boss.debuffTypes from stage data
+ * @returns {string[]}
+ */
+export function resolveDebuffTypes(types) {
+    if (!Array.isArray(types)) {
+        return [...DEBUFF_TYPES];
+    }
+
+    const resolved = [];
+    for (const type of types) {
+        const id = DEBUFF_ALIASES[type] || type;
+        if (DEBUFF_TYPES.includes(id) && !resolved.includes(id)) {
+            resolved.push(id);
+        }
+    }
+    return resolved;
+}
+
+export class DebuffSystem {
+    /**
+     * @param {Object} weaponSystem - WeaponSystem instance (disarm)
+     * @param {import('../GameClock.js').GameClock} clock - Game clock for debuff timers
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
+     */
+    constructor(weaponSystem, clock, events) {
+        this.weaponSystem = weaponSystem;
+        this.clock = clock;
+        this.events = events;
+
+        /** @type {Object[]} - Paddles the current debuffs act on */
+        this.paddles = [];
+
+        /** @type {function(): void|null} - Called after debuffs started or ended (HUD refresh) */
+        this.onChange = null;
+    }
+
+    /**
+     * Start a debuff, or restart its timer if already active
+     * @param {string} type - DEBUFF_TYPES value (legacy 'shrink' = 'short')
+     * @param {Object[]} paddles - Paddle entities
+     * @returns {boolean} - False for unknown debuffs
+     */
+    apply(type, paddles) {
+        const id = DEBUFF_ALIASES[type] || type;
+        if (!DEBUFF_TYPES.includes(id)) return false;
+
+        const refreshed = this.isActive(id);
+        this.paddles = paddles;
+        this.clock.schedule(DEBUFF_DURATION, () => {
+            this._sync();
+            this.events.emit(GAME_EVENTS.DEBUFF_EXPIRED, { type: id });
+            if (this.onChange) this.onChange();
+        }, `debuff:${id}`);
+
+        this._sync();
+        this.events.emit(GAME_EVENTS.DEBUFF_APPLIED, { type: id, refreshed });
+        if (this.onChange) this.onChange();
+        return true;
+    }
+
+    /**
+     * @param {string} type
+     * @returns {boolean}
+     */
+    isActive(type) {
+        return this.clock.has(`debuff:${type}`);
+    }
+
+    /**
+     * End all debuffs at once (continue after game over)
+     */
+    clear() {
+        const ended = DEBUFF_TYPES.filter(type => this.isActive(type));
+        this.clock.cancelByPrefix('debuff:');
+        this._sync();
+
+        for (const type of ended) {
+            this.events.emit(GAME_EVENTS.DEBUFF_EXPIRED, { type });
+        }
+        if (ended.length > 0 && this.onChange) this.onChange();
+    }
+
+    /**
+     * Reset for a new stage (the clock has dropped the timers, paddles are new)
+     */
+    reset() {
+        this.clock.cancelByPrefix('debuff:');
+        this.paddles = [];
+        this._sync();
+    }
+
+    /**
+     * Push the combined effect of the active debuffs to paddles and weapons
+     * @private
+     */
+    _sync() {
+        const modifiers = {
+            moveSpeed: this.isActive('slow') ? SLOW_MOVE_SPEED : 1.0,
+            reversed: this.isActive('reverse'),
+            width: this.isActive('short') ? SHORT_WIDTH : 1.0
+        };
+        this.paddles.forEach(paddle => paddle.setDebuffModifiers(modifiers));
+        this.weaponSystem.disarmed = this.isActive('disarm');
+    }
+}
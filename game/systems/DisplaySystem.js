@@ -0,0 +1,222 @@
+/**
+ * DisplaySystem.js - Canvas Scaling, HiDPI and Fullscreen
+ * Based on game_specification.md Section 2.4
+ *
+ * The stage keeps its own coordinate space (stage width x height). This
+ * system picks the on-screen (CSS) size that fits the available area,
+ * sizes the canvas backing store by devicePixelRatio so the picture stays
+ * sharp, and sets the context transform so all drawing code keeps using
+ * stage coordinates.
+ */
+
+import { loadSettings, saveSettings } from '../SettingsStorage.js';
+
+/** localStorage key for display settings */
+const SETTINGS_KEY = 'hexbreaker_display';
+
+/** Largest backing store (pixels) before the resolution is reduced (4K) */
+const MAX_BACKING_PIXELS = 3840 * 2160;
+
+/**
+ * How the stage is scaled into the available area
+ * @readonly
+ * @enum {string}
+ */
+export const SCALE_MODES = Object.freeze({
+    /** Largest size that fits, bars on the short sides */
+    FIT: 'fit',
+    /** Largest whole number of device pixels per stage pixel (falls back to FIT below 1x) */
+    INTEGER: 'integer'
+});
+
+/**
+ * @typedef {Object} DisplaySettings
+ * @property {string} scaleMode - SCALE_MODES value
+ */
+
+/** @type {DisplaySettings} */
+export const DEFAULT_DISPLAY_SETTINGS = {
+    scaleMode: SCALE_MODES.FIT
+};
+
+export class DisplaySystem {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - false for headless runs (no DOM, no scaling)
+     */
+    constructor(canvas, { enabled = true } = {}) {
+        this.canvas = canvas;
+
+        /** @type {boolean} */
+        this.enabled = enabled;
+
+        /** @type {DisplaySettings} */
+        this.settings = this.enabled ? this._loadSettings() : { ...DEFAULT_DISPLAY_SETTINGS };
+
+        /** @type {number} - Stage width (drawing coordinates) */
+        this.width = canvas?.width || 1280;
+
+        /** @type {number} - Stage height (drawing coordinates) */
+        this.height = canvas?.height || 720;
+
+        /** @type {number} - CSS pixels per stage pixel */
+        this.cssScale = 1;
+
+        /** @type {number} - Backing store pixels per stage pixel */
+        this.pixelRatio = 1;
+
+        /** @type {function(DisplaySystem): void|null} - Called after the canvas was resized */
+        this.onChange = null;
+
+        /** @type {MediaQueryList|null} - Watches the current devicePixelRatio */
+        this._ratioQuery = null;
+    }
+
+    /**
+     * Follow window resizes, fullscreen changes and moves between screens
+     * @param {Window} target
+     */
+    bind(target) {
+        if (!this.enabled) return;
+
+        target.addEventListener('resize', () => this.fit());
+        document.addEventListener('fullscreenchange', () => this.fit());
+        this._watchPixelRatio();
+    }
+
+    /**
+     * Set the stage size and rescale
+     * @param {number} width
+     * @param {number} height
+     */
+    setStageSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.fit();
+    }
+
+    /**
+     * Change the scale mode (saved)
+     * @param {string} mode - SCALE_MODES value
+     */
+    setScaleMode(mode) {
+        if (!Object.values(SCALE_MODES).includes(mode)) return;
+        this.settings.scaleMode = mode;
+        this._saveSettings();
+        this.fit();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isFullscreen() {
+        return typeof document !== 'undefined' && !!document.fullscreenElement;
+    }
+
+    /**
+     * Enter or leave fullscreen (must be called from a user gesture)
+     * @returns {Promise<void>}
+     */
+    async toggleFullscreen() {
+        if (!this.enabled) return;
+
+        try {
+            if (this.isFullscreen) {
+                await document.exitFullscreen();
+            } else {
+                await document.documentElement.requestFullscreen();
+            }
+        } catch (e) {
+            console.warn('Fullscreen request failed:', e);
+        }
+    }
+
+    /**
+     * Recompute the canvas size for the available area
+     */
+    fit() {
+        if (!this.enabled) return;
+
+        const { width: availableWidth, height: availableHeight } = this._availableSize();
+        const dpr = window.devicePixelRatio || 1;
+
+        let cssScale = Math.min(availableWidth / this.width, availableHeight / this.height);
+        if (this.settings.scaleMode === SCALE_MODES.INTEGER && cssScale * dpr >= 1) {
+            // Whole device pixels per stage pixel
+            cssScale = Math.floor(cssScale * dpr) / dpr;
+        }
+        cssScale = Math.max(cssScale, 0.1);
+
+        let pixelRatio = cssScale * dpr;
+        const backingPixels = this.width * this.height * pixelRatio * pixelRatio;
+        if (backingPixels > MAX_BACKING_PIXELS) {
+            pixelRatio *= Math.sqrt(MAX_BACKING_PIXELS / backingPixels);
+        }
+
+        const backingWidth = Math.round(this.width * pixelRatio);
+        const backingHeight = Math.round(this.height * pixelRatio);
+
+        this.cssScale = cssScale;
+        this.pixelRatio = backingWidth / this.width;
+
+        // Resizing clears the canvas and its transform
+        this.canvas.width = backingWidth;
+        this.canvas.height = backingHeight;
+        this.canvas.style.width = `${this.width * cssScale}px`;
+        this.canvas.style.height = `${this.height * cssScale}px`;
+        this.canvas.getContext('2d').setTransform(this.pixelRatio, 0, 0, backingHeight / this.height, 0, 0);
+
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Room for the canvas: its parent element, or the window minus header and footer
+     * @private
+     * @returns {{width: number, height: number}}
+     */
+    _availableSize() {
+        const wrapper = this.canvas.parentElement;
+        if (wrapper && wrapper.offsetWidth > 0) {
+            return { width: wrapper.clientWidth, height: wrapper.clientHeight };
+        }
+        return { width: window.innerWidth, height: window.innerHeight - 150 };
+    }
+
+    /**
+     * Refit when devicePixelRatio changes (browser zoom, window moved to another screen)
+     * @private
+     */
+    _watchPixelRatio() {
+        if (typeof matchMedia !== 'function') return;
+
+        this._ratioQuery = matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this._ratioQuery.addEventListener('change', () => {
+            this._watchPixelRatio();
+            this.fit();
+        }, { once: true });
+    }
+
+    /**
+     * Load settings from localStorage
+     * @private
+     * @returns {DisplaySettings}
+     */
+    _loadSettings() {
+        return loadSettings(SETTINGS_KEY, { ...DEFAULT_DISPLAY_SETTINGS }, (settings, saved) => {
+            if (Object.values(SCALE_MODES).includes(saved.scaleMode)) {
+                settings.scaleMode = saved.scaleMode;
+            }
+        });
+    }
+
+    /**
+     * Save settings to localStorage
+     * @private
+     */
+    _saveSettings() {
+        if (!this.enabled) return;
+
+        saveSettings(SETTINGS_KEY, this.settings);
+    }
+}
@@ -0,0 +1,515 @@
+/**
+ * EffectSystem.js - Particles and Visual Effects
+ * Based on game_specification.md Section 2.4
+ *
+ * Listens to game events and turns them into pooled particles (block
+ * shatter, durability chips, gem sparkles, boss hits, combo popups) and
+ * draws the miss line effects (aurora glow, cracks, suction particles).
+ *
+ * Effects are visual only: they use their own PRNG and never touch game
+ * state, so replays and headless runs are unaffected.
+ */
+
+import { SeededRandom } from '../SeededRandom.js';
+import { GRID_SIZES, hexToPixel } from '../../shared/HexMath.js';
+import { buildPolyline, projectOntoPolyline, getPointAtDistance } from '../physics/PolylineMath.js';
+import { ParticlePool } from '../vfx/ParticlePool.js';
+import { DEFAULT_EFFECTS } from '../vfx/EffectEmitters.js';
+import { loadSettings, saveSettings } from '../SettingsStorage.js';
+
+/** Maximum live particles (further spawns are dropped) */
+const MAX_PARTICLES = 600;
+
+/** localStorage key for effect settings */
+const SETTINGS_KEY = 'hexbreaker_effects';
+
+/** Seconds between ambient suction particles per miss line */
+const SUCTION_INTERVAL = 0.08;
+
+/** Seconds a miss line crack stays visible */
+const CRACK_LIFE = 1.5;
+
+/**
+ * @typedef {Object} EffectSettings
+ * @property {boolean|null} reducedMotion - null = follow the OS prefers-reduced-motion setting
+ */
+
+/** @type {EffectSettings} */
+export const DEFAULT_EFFECT_SETTINGS = {
+    reducedMotion: null
+};
+
+export class EffectSystem {
+    /**
+     * @param {import('./GameRenderSystem.js').GameRenderSystem} renderSystem - Block clip images
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - false for headless runs (no subscriptions, no particles)
+     */
+    constructor(renderSystem, { enabled = true } = {}) {
+        this.renderSystem = renderSystem;
+
+        /** @type {boolean} */
+        this.enabled = enabled;
+
+        /** @type {EffectSettings} */
+        this.settings = this.enabled ? this._loadSettings() : { ...DEFAULT_EFFECT_SETTINGS };
+
+        /** @type {MediaQueryList|null} */
+        this._motionQuery = this.enabled && typeof matchMedia === 'function'
+            ? matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        this.pool = new ParticlePool(MAX_PARTICLES);
+
+        /** @type {SeededRandom} - Visual randomness (separate from the game PRNG) */
+        this.rng = new SeededRandom();
+
+        /** @type {Object} - Grid size config (from GRID_SIZES) */
+        this.gridSize = GRID_SIZES.medium;
+
+        /** @type {{line: Object, paddle: Object|null}[]} - Miss lines and the paddle they guard */
+        this.missLines = [];
+
+        /** @type {{x: number, y: number}|null} - Center of the last hit block (combo popups) */
+        this.lastHit = null;
+
+        /** @type {number} - Last reported combo (comboChanged repeats unchanged values) */
+        this.lastCombo = 0;
+
+        /** @type {number} - Effect clock (seconds) */
+        this.time = 0;
+
+        this._suctionTimer = 0;
+    }
+
+    /**
+     * Whether effects should avoid motion (setting, or the OS preference when unset)
+     * @returns {boolean}
+     */
+    get reducedMotion() {
+        if (this.settings.reducedMotion !== null) {
+            return this.settings.reducedMotion;
+        }
+        return this._motionQuery?.matches ?? false;
+    }
+
+    /**
+     * Set the reduced-motion preference
+     * @param {boolean|null} value - null = follow the OS setting
+     */
+    setReducedMotion(value) {
+        this.settings.reducedMotion = value;
+        this._saveSettings();
+    }
+
+    /**
+     * Subscribe emitters to game events
+     * @param {import('../GameEvents.js').GameEventBus} events
+     * @param {Object<string, Function>} [effects=DEFAULT_EFFECTS] - Emitter per event (see EffectEmitters.js)
+     * @returns {function(): void} - Unsubscribe all
+     */
+    attach(events, effects = DEFAULT_EFFECTS) {
+        const unsubscribers = Object.entries(effects).map(([event, emitter]) => this.subscribe(events, event, emitter));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Subscribe one emitter to one event
+     * @param {import('../GameEvents.js').GameEventBus} events
+     * @param {string} event - GAME_EVENTS value
+     * @param {function(EffectSystem, Object): void} emitter - (fx, payload) => spawn particles
+     * @returns {function(): void} - Unsubscribe
+     */
+    subscribe(events, event, emitter) {
+        if (!this.enabled) return () => {};
+        return events.on(event, (payload) => emitter(this, payload));
+    }
+
+    /**
+     * Reset for a new stage
+     * @param {Object[]} lines - Runtime stage lines (moved by PathMoveSystem)
+     * @param {Object[]} paddles - Paddle entities (miss line owners)
+     * @param {Object} gridSize - Grid size config
+     */
+    load(lines, paddles, gridSize) {
+        this.pool.clear();
+        this.gridSize = gridSize;
+        this.lastHit = null;
+        this.lastCombo = 0;
+        this.time = 0;
+        this._suctionTimer = 0;
+
+        this.missLines = lines
+            .filter(line => line.type === 'missline' && line.points?.length >= 2)
+            .map(line => ({ line, paddle: paddles.find(p => p.missLine === line) || null }));
+    }
+
+    // =========================================================================
+    // Emitter helpers
+    // =========================================================================
+
+    /**
+     * Spawn a particle (see ParticlePool.spawn)
+     * @param {Partial<import('../vfx/ParticlePool.js').Particle>} props
+     * @returns {import('../vfx/ParticlePool.js').Particle|null}
+     */
+    spawn(props) {
+        return this.pool.spawn(props);
+    }
+
+    /**
+     * Random number in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.rng.next() * (max - min);
+    }
+
+    /**
+     * Floating text popup (stays in place with reduced motion)
+     * @param {number} x
+     * @param {number} y
+     * @param {string} text
+     * @param {string} color
+     * @param {number} size - Font size (px)
+     */
+    popup(x, y, text, color, size) {
+        this.spawn({
+            kind: 'text',
+            x,
+            y,
+            vy: this.reducedMotion ? 0 : -50,
+            text,
+            color,
+            size,
+            life: 0.6
+        });
+    }
+
+    /**
+     * Pixel center of a block
+     * @param {Object} block
+     * @returns {{x: number, y: number}}
+     */
+    blockCenter(block) {
+        return hexToPixel(block.row, block.col, this.gridSize);
+    }
+
+    /**
+     * Clip image a block is drawn with, if loaded
+     * @param {Object} block
+     * @returns {HTMLImageElement|null}
+     */
+    blockImage(block) {
+        if (block.sourceLayerId == null) return null;
+        const image = this.renderSystem.getBackgroundById(block.sourceLayerId);
+        return image && image.complete ? image : null;
+    }
+
+    /**
+     * Nearest point on a miss line (any miss line when none is given)
+     * @param {Object|null} line
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number, tx: number, ty: number}} - Point and unit tangent
+     */
+    missLinePoint(line, x, y) {
+        const candidates = line ? [line] : this.missLines.map(entry => entry.line);
+        let best = null;
+
+        for (const candidate of candidates) {
+            if (!candidate.points || candidate.points.length < 2) continue;
+            const polyline = buildPolyline(candidate.points, candidate.closed);
+            const projection = projectOntoPolyline(polyline, x, y);
+            if (projection && (!best || projection.offset < best.offset)) {
+                best = { polyline, distance: projection.distance, offset: projection.offset };
+            }
+        }
+
+        if (!best) return { x, y, tx: 1, ty: 0 };
+        const pose = getPointAtDistance(best.polyline, best.distance);
+        return { x: pose.x, y: pose.y, tx: pose.tx, ty: pose.ty };
+    }
+
+    /**
+     * Crack across a miss line: jagged rays, mostly across the line
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tx - Line tangent
+     * @param {number} ty
+     */
+    crack(x, y, tx, ty) {
+        const points = [];
+        const rays = 5;
+
+        for (let i = 0; i < rays; i++) {
+            // Alternate sides of the line, spread around the normal
+            const side = i % 2 === 0 ? 1 : -1;
+            const spread = this.range(-0.9, 0.9);
+            let dirX = -ty * side + tx * spread;
+            let dirY = tx * side + ty * spread;
+            let px = 0;
+            let py = 0;
+
+            for (let step = 0; step < 3; step++) {
+                const length = this.range(6, 14);
+                const jitter = this.range(-0.5, 0.5);
+                const nx = dirX - dirY * jitter;
+                const ny = dirY + dirX * jitter;
+                const norm = Math.hypot(nx, ny) || 1;
+                dirX = nx / norm;
+                dirY = ny / norm;
+
+                points.push({ x: px, y: py });
+                px += dirX * length;
+                py += dirY * length;
+                points.push({ x: px, y: py });
+            }
+        }
+
+        this.spawn({ kind: 'crack', x, y, points, color: '#FF5252', life: CRACK_LIFE });
+    }
+
+    // =========================================================================
+    // Update / render
+    // =========================================================================
+
+    /**
+     * Advance particles and emit ambient miss line suction
+     * @param {number} dt - Seconds
+     */
+    update(dt) {
+        if (!this.enabled) return;
+
+        this.time += dt;
+        this.pool.update(dt);
+
+        if (this.reducedMotion || this.missLines.length === 0) return;
+
+        this._suctionTimer += dt;
+        while (this._suctionTimer >= SUCTION_INTERVAL) {
+            this._suctionTimer -= SUCTION_INTERVAL;
+            for (const entry of this.missLines) {
+                this._emitSuction(entry);
+            }
+        }
+    }
+
+    /**
+     * Draw miss line aurora and cracks (under blocks, paddles and balls)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    renderBackground(ctx) {
+        if (!this.enabled) return;
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        for (const { line } of this.missLines) {
+            this._renderAurora(ctx, line);
+        }
+
+        for (let i = 0; i < this.pool.count; i++) {
+            const p = this.pool.items[i];
+            if (p.kind === 'crack') {
+                this._renderCrack(ctx, p);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw particles and popups (on top of everything)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    render(ctx) {
+        if (!this.enabled || this.pool.count === 0) return;
+
+        ctx.save();
+        for (let i = 0; i < this.pool.count; i++) {
+            const p = this.pool.items[i];
+            const t = p.age / p.life;
+            const size = p.size + (p.endSize - p.size) * t;
+
+            switch (p.kind) {
+                case 'shard':
+                    this._renderShard(ctx, p, size, t);
+                    break;
+                case 'chip':
+                    ctx.globalAlpha = p.alpha * (1 - t);
+                    ctx.fillStyle = p.color;
+                    ctx.save();
+                    ctx.translate(p.x, p.y);
+                    ctx.rotate(p.rotation);
+                    ctx.fillRect(-size, -size, size * 2, size * 2);
+                    ctx.restore();
+                    break;
+                case 'spark':
+                    ctx.globalAlpha = p.alpha * (1 - t);
+                    ctx.fillStyle = p.color;
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, Math.max(0.5, size), 0, Math.PI * 2);
+                    ctx.fill();
+                    break;
+                case 'ring':
+                    ctx.globalAlpha = p.alpha * (1 - t);
+                    ctx.strokeStyle = p.color;
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                case 'text':
+                    ctx.globalAlpha = 1 - t;
+                    ctx.fillStyle = p.color;
+                    ctx.font = `bold ${size}px Arial`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(p.text, p.x, p.y);
+                    break;
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Spawn one particle beside a miss line, pulled into it
+     * @private
+     * @param {{line: Object, paddle: Object|null}} entry
+     */
+    _emitSuction({ line, paddle }) {
+        const polyline = buildPolyline(line.points, line.closed);
+        if (polyline.length === 0) return;
+
+        const pose = getPointAtDistance(polyline, this.range(0, polyline.length));
+
+        // Come from the play field side (the guarded paddle's side), or either side
+        let nx = -pose.ty;
+        let ny = pose.tx;
+        const side = paddle
+            ? Math.sign(nx * paddle.normal.x + ny * paddle.normal.y) || 1
+            : (this.rng.next() < 0.5 ? -1 : 1);
+        nx *= side;
+        ny *= side;
+
+        const offset = this.range(20, 70);
+        this.spawn({
+            kind: 'spark',
+            x: pose.x + nx * offset,
+            y: pose.y + ny * offset,
+            size: this.range(1, 2),
+            endSize: 0.5,
+            color: '#FF8A80',
+            alpha: 0.6,
+            target: { x: pose.x, y: pose.y },
+            pull: 12,
+            drag: 0.2,
+            life: 0.8
+        });
+    }
+
+    /**
+     * Glowing band along a miss line (color drifts between red and magenta)
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} line
+     */
+    _renderAurora(ctx, line) {
+        const points = line.points;
+        const still = this.reducedMotion;
+        const hue = still ? 340 : 335 + 25 * Math.sin(this.time * 1.3);
+        const pulse = still ? 1 : 0.8 + 0.2 * Math.sin(this.time * 3.1);
+
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        if (line.closed) ctx.closePath();
+
+        for (const [width, alpha] of [[22, 0.05], [10, 0.1], [4, 0.25]]) {
+            ctx.globalAlpha = alpha * pulse;
+            ctx.strokeStyle = `hsl(${hue}, 90%, 60%)`;
+            ctx.lineWidth = width;
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {import('../vfx/ParticlePool.js').Particle} p
+     */
+    _renderCrack(ctx, p) {
+        const t = p.age / p.life;
+        ctx.globalAlpha = p.alpha * (1 - t * t);
+        ctx.strokeStyle = p.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < p.points.length; i += 2) {
+            ctx.moveTo(p.x + p.points[i].x, p.y + p.points[i].y);
+            ctx.lineTo(p.x + p.points[i + 1].x, p.y + p.points[i + 1].y);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Triangle shard, textured with the block image when there is one
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {import('../vfx/ParticlePool.js').Particle} p
+     * @param {number} size
+     * @param {number} t - Life progress (0 .. 1)
+     */
+    _renderShard(ctx, p, size, t) {
+        // Fade out over the last 30% of life
+        ctx.globalAlpha = p.alpha * Math.min(1, (1 - t) / 0.3);
+
+        ctx.save();
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rotation);
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.87, size * 0.5);
+        ctx.lineTo(-size * 0.87, size * 0.5);
+        ctx.closePath();
+
+        if (p.image) {
+            // Clip images are drawn at natural size from the canvas origin (see drawHexBlock)
+            ctx.clip();
+            ctx.drawImage(p.image, p.sx - size, p.sy - size, size * 2, size * 2, -size, -size, size * 2, size * 2);
+        } else {
+            ctx.fillStyle = p.color;
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Load settings from localStorage
+     * @private
+     * @returns {EffectSettings}
+     */
+    _loadSettings() {
+        return loadSettings(SETTINGS_KEY, { ...DEFAULT_EFFECT_SETTINGS }, (settings, saved) => {
+            if (typeof saved.reducedMotion === 'boolean') {
+                settings.reducedMotion = saved.reducedMotion;
+            }
+        });
+    }
+
+    /**
+     * Save settings to localStorage
+     * @private
+     */
+    _saveSettings() {
+        if (!this.enabled) return;
+
+        saveSettings(SETTINGS_KEY, this.settings);
+    }
+}
@@ -3,11 +3,19 @@
  *
  * Handles all game rendering: backgrounds, lines, blocks, and overlays.
  * Uses shared Renderer module for consistent visuals with the editor.
+ *
+ * Content that rarely changes is kept in offscreen layers and composited
+ * each frame: the static layer (clear color, backgrounds, lines that never
+ * move) and the block layer (surviving blocks). Blocks are compared with
+ * their last drawn state every frame and only changed cells are redrawn.
+ * Lines moved by PathMoveSystem, paddles, balls and overlays are drawn live.
  */
 
 import { hexToPixel } from '../../shared/HexMath.js';
-import { drawHexBlock, drawLines, RENDER_CONFIG } from '../../shared/Renderer.js';
+import { applyBlockRenderConfig, drawHexBlock, drawLines, RENDER_CONFIG } from '../../shared/Renderer.js';
+import { HexSpriteCache } from '../../shared/HexSpriteCache.js';
 import { STATES } from '../GameState.js';
+import { getBlockType } from '../BlockTypes.js';
 
 export class GameRenderSystem {
     /**
@@ -20,9 +28,45 @@ export class GameRenderSystem {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
 
+        /** @type {number} - Backing store pixels per stage pixel (see DisplaySystem) */
+        this.pixelRatio = 1;
+
         /** @type {Array} - Background image data */
         this.backgroundImages = [];
 
+        /** @type {Map<number|string, HTMLImageElement>} - Images by background ID (block clipping) */
+        this._imagesById = new Map();
+
+        /** @type {HexSpriteCache} - Pre-rendered blocks */
+        this.blockSprites = new HexSpriteCache();
+
+        /** @type {HTMLCanvasElement|null} - Clear color, backgrounds and static lines */
+        this._staticLayer = null;
+
+        /** @type {HTMLCanvasElement|null} - Surviving blocks */
+        this._blockLayer = null;
+
+        /** @type {boolean} - Static layer needs a full redraw */
+        this._staticDirty = true;
+
+        /** @type {boolean} - Block layer needs a full redraw */
+        this._blocksDirty = true;
+
+        /** @type {Object|null} - Stage data the static layer was drawn from */
+        this._drawnStageData = null;
+
+        /** @type {Set<Object>} - Lines drawn live (moved by PathMoveSystem) */
+        this._movingLines = new Set();
+
+        /** @type {Array|null} - Block array the block layer was drawn from */
+        this._drawnBlocks = null;
+
+        /** @type {Int32Array} - Last drawn look of each block (see _blockSignature) */
+        this._blockStates = new Int32Array(0);
+
+        /** @type {Map<string, number>} - Block index by "row,col" (neighbor lookup) */
+        this._cellIndex = new Map();
+
         /** @type {boolean} - Flag for first render debug message */
         this._blocksMessageShown = false;
 
@@ -38,6 +82,26 @@ export class GameRenderSystem {
     setCanvasSize(width, height) {
         this.canvasWidth = width;
         this.canvasHeight = height;
+        this.invalidate();
+    }
+
+    /**
+     * Match the cached layers and block sprites to the canvas backing store
+     * @param {number} ratio - Backing store pixels per stage pixel
+     */
+    setPixelRatio(ratio) {
+        if (ratio === this.pixelRatio) return;
+        this.pixelRatio = ratio;
+        this.blockSprites.clear();
+        this.invalidate();
+    }
+
+    /**
+     * Redraw the cached layers on the next frame
+     */
+    invalidate() {
+        this._staticDirty = true;
+        this._blocksDirty = true;
     }
 
     /**
@@ -46,6 +110,8 @@ export class GameRenderSystem {
      */
     loadBackgrounds(stageData) {
         this.backgroundImages = [];
+        this._imagesById.clear();
+        this.blockSprites.clear();
         this._blocksMessageShown = false;
 
         const backgrounds = stageData.backgrounds || [];
@@ -54,6 +120,8 @@ export class GameRenderSystem {
         for (const bgData of sorted) {
             if (bgData.imageData) {
                 const img = new Image();
+                // Backgrounds and clipped blocks are cached: redraw once the image arrives
+                img.onload = () => this.invalidate();
                 img.src = bgData.imageData;
                 this.backgroundImages.push({
                     id: bgData.id || null,
@@ -65,6 +133,9 @@ export class GameRenderSystem {
                     zIndex: bgData.zIndex || 0,
                     isBlockSource: bgData.isBlockSource || false
                 });
+                if (bgData.id != null) {
+                    this._imagesById.set(bgData.id, img);
+                }
             }
         }
     }
@@ -74,17 +145,9 @@ export class GameRenderSystem {
      * @param {Object} settings
      */
     applyBlockRenderSettings(settings) {
-        if (!settings) return;
-
-        if (settings.fill) {
-            Object.assign(RENDER_CONFIG.block.fill, settings.fill);
-        }
-        if (settings.border) {
-            Object.assign(RENDER_CONFIG.block.border, settings.border);
-        }
-        if (settings.emboss) {
-            Object.assign(RENDER_CONFIG.block.emboss, settings.emboss);
-        }
+        // Bumps the render config version, so cached block sprites are redrawn
+        applyBlockRenderConfig(settings);
+        this._blocksDirty = true;
     }
 
     /**
@@ -92,35 +155,49 @@ export class GameRenderSystem {
      * @param {Object} context - Render context
      * @param {Object} context.state - GameState
      * @param {Array} context.balls - Ball array
-     * @param {Object} context.paddle - Paddle entity
+     * @param {Object[]} context.paddles - Paddle entities
      * @param {Object} context.shield - Shield entity
      * @param {Object} context.gridSize - Grid size
+     * @param {Set<Object>} [context.movingLines] - Lines that move (PathMoveSystem), drawn every frame
+     * @param {import('./EffectSystem.js').EffectSystem} [context.effects] - Miss line effects (drawn over the lines)
      */
     render(context) {
-        const { state, balls, paddle, shield, gridSize } = context;
+        const { state, balls, paddles, shield, gridSize, movingLines = new Set(), effects } = context;
         const ctx = this.ctx;
 
-        // Clear canvas
-        ctx.fillStyle = '#1a1a2e';
-        ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
-
-        // Draw backgrounds (skip block source images)
-        this._renderBackgrounds();
+        // Static layer: clear color, backgrounds, lines that never move
+        if (state.stageData !== this._drawnStageData || movingLines !== this._movingLines) {
+            this._drawnStageData = state.stageData;
+            this._movingLines = movingLines;
+            this._staticDirty = true;
+        }
+        if (this._staticDirty) {
+            this._renderStaticLayer(state.stageData);
+        }
+        ctx.drawImage(this._staticLayer, 0, 0, this.canvasWidth, this.canvasHeight);
 
-        // Draw lines
-        this._renderLines(state.stageData);
+        // Moving lines (drawn over the static ones)
+        if (movingLines.size > 0) {
+            drawLines(ctx, [...movingLines], { showLabels: false });
+        }
+        if (effects) {
+            effects.renderBackground(ctx);
+        }
 
-        // Draw blocks
-        this._renderBlocks(state.blocks, gridSize);
+        // Block layer: redraw changed cells only
+        this._updateBlockLayer(state.blocks, gridSize);
+        ctx.drawImage(this._blockLayer, 0, 0, this.canvasWidth, this.canvasHeight);
 
-        // Draw paddle (hidden in tap mode)
-        if (paddle.visible) {
-            paddle.render(ctx);
+        // Draw paddles (hidden in tap mode)
+        for (const paddle of paddles) {
+            if (paddle.visible) {
+                paddle.render(ctx);
+            }
         }
 
         // Draw shield
         if (shield) {
-            shield.render(ctx, this.canvasWidth);
+            shield.render(ctx);
         }
 
         // Draw balls
@@ -136,33 +213,107 @@ export class GameRenderSystem {
         }
     }
 
+    /**
+     * Create an offscreen layer matching the canvas backing store (or resize an
+     * existing one). Its context draws in stage coordinates.
+     * @param {HTMLCanvasElement|null} layer
+     * @returns {HTMLCanvasElement}
+     * @private
+     */
+    _sizeLayer(layer) {
+        const canvas = layer || document.createElement('canvas');
+        const width = Math.round(this.canvasWidth * this.pixelRatio);
+        const height = Math.round(this.canvasHeight * this.pixelRatio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        canvas.getContext('2d').setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Redraw the static layer: clear color, backgrounds and lines that never move
+     * @param {Object} stageData
+     * @private
+     */
+    _renderStaticLayer(stageData) {
+        this._staticLayer = this._sizeLayer(this._staticLayer);
+        const ctx = this._staticLayer.getContext('2d');
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
+
+        this._renderBackgrounds(ctx);
+        this._renderLines(ctx, stageData);
+        this._staticDirty = false;
+    }
+
     /**
      * Render background images
+     * @param {CanvasRenderingContext2D} ctx
      * @private
      */
-    _renderBackgrounds() {
+    _renderBackgrounds(ctx) {
         for (const bg of this.backgroundImages) {
             if (bg.isBlockSource) continue; // Skip block source images
             if (bg.image && bg.image.complete) {
-                this.ctx.drawImage(bg.image, bg.x, bg.y, bg.width, bg.height);
+                ctx.drawImage(bg.image, bg.x, bg.y, bg.width, bg.height);
             }
         }
     }
 
     /**
-     * Render lines (collision, paddle, missline, decoration)
+     * Render lines that never move (collision, paddle, missline, decoration)
+     * @param {CanvasRenderingContext2D} ctx
      * @param {Object} stageData
      * @private
      */
-    _renderLines(stageData) {
+    _renderLines(ctx, stageData) {
         const lines = stageData?.lines;
         if (!lines || lines.length === 0) return;
 
-        drawLines(this.ctx, lines, { showLabels: false });
+        const staticLines = lines.filter(line => !this._movingLines.has(line));
+        drawLines(ctx, staticLines, { showLabels: false });
     }
 
     /**
-     * Render hex blocks
+     * Bring the block layer up to date: full redraw after a stage load or
+     * settings change, otherwise only the cells whose look changed
+     * @param {Array} blocks
+     * @param {Object} gridSize
+     * @private
+     */
+    _updateBlockLayer(blocks, gridSize) {
+        this._blockLayer = this._sizeLayer(this._blockLayer);
+
+        if (blocks !== this._drawnBlocks || this._blocksDirty) {
+            this._renderBlocks(blocks, gridSize);
+            return;
+        }
+
+        const changed = [];
+        for (let i = 0; i < blocks.length; i++) {
+            const signature = this._blockSignature(blocks[i]);
+            if (signature !== this._blockStates[i]) {
+                this._blockStates[i] = signature;
+                changed.push(i);
+            }
+        }
+
+        // Many changes at once (boss regen, big laser sweep): one full redraw is cheaper
+        if (changed.length > blocks.length / 4) {
+            this._renderBlocks(blocks, gridSize);
+            return;
+        }
+
+        for (const index of changed) {
+            this._redrawCell(blocks, blocks[index], gridSize);
+        }
+    }
+
+    /**
+     * Redraw every alive block into the block layer
      * @param {Array} blocks
      * @param {Object} gridSize
      * @private
@@ -186,29 +337,99 @@ export class GameRenderSystem {
             );
         }
 
-        for (const block of blocks) {
-            if (!block.alive) continue;
+        const ctx = this._blockLayer.getContext('2d');
+        ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+
+        this._drawnBlocks = blocks;
+        this._blocksDirty = false;
+        this._blockStates = new Int32Array(blocks.length);
+        this._cellIndex.clear();
 
-            const center = hexToPixel(block.row, block.col, gridSize);
+        for (let i = 0; i < blocks.length; i++) {
+            const block = blocks[i];
+            this._blockStates[i] = this._blockSignature(block);
+            this._cellIndex.set(`${block.row},${block.col}`, i);
+            if (block.alive) {
+                this._drawBlock(ctx, block, gridSize);
+            }
+        }
+    }
 
-            // Find clip image from background by sourceLayerId
-            let clipImage = null;
-            if (block.sourceLayerId != null) {
-                const bgEntry = this.backgroundImages.find(bg => bg.id === block.sourceLayerId);
-                if (bgEntry && bgEntry.image) {
-                    clipImage = bgEntry.image;
+    /**
+     * Clear one cell and redraw it with its neighbors (clip-image borders overlap them)
+     * @param {Array} blocks
+     * @param {Object} block - Changed block
+     * @param {Object} gridSize
+     * @private
+     */
+    _redrawCell(blocks, block, gridSize) {
+        const ctx = this._blockLayer.getContext('2d');
+        const center = hexToPixel(block.row, block.col, gridSize);
+        const margin = Math.ceil(gridSize.radius * (1 + RENDER_CONFIG.block.border.widthRatio)) + 3;
+        const x = center.x - margin;
+        const y = center.y - margin;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, margin * 2, margin * 2);
+        ctx.clip();
+        ctx.clearRect(x, y, margin * 2, margin * 2);
+
+        // Rows and columns ±1 cover every block whose drawing reaches into the cell
+        for (let row = block.row - 1; row <= block.row + 1; row++) {
+            for (let col = block.col - 1; col <= block.col + 1; col++) {
+                const index = this._cellIndex.get(`${row},${col}`);
+                if (index !== undefined && blocks[index].alive) {
+                    this._drawBlock(ctx, blocks[index], gridSize);
                 }
             }
+        }
+        ctx.restore();
+    }
 
-            drawHexBlock(this.ctx, center.x, center.y, gridSize.radius, block.color || '#64B5F6', {
+    /**
+     * Draw one block from the sprite cache (clipped blocks directly: each cell
+     * is unique and the block layer already keeps the drawn result)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} block
+     * @param {Object} gridSize
+     * @private
+     */
+    _drawBlock(ctx, block, gridSize) {
+        const center = hexToPixel(block.row, block.col, gridSize);
+        const clipImage = block.sourceLayerId != null ? this.getBackgroundById(block.sourceLayerId) : null;
+
+        const color = block.color || '#64B5F6';
+        if (clipImage) {
+            drawHexBlock(ctx, center.x, center.y, gridSize.radius, color, {
                 durability: block.durability,
-                gemDrop: block.gemDrop,
-                blockType: block.blockType,
                 clipImage: clipImage
             });
+        } else {
+            this.blockSprites.draw(ctx, center.x, center.y, gridSize.radius, color, {
+                durability: block.durability
+            }, this.pixelRatio);
+        }
+
+        // Type icons (gem, key, lock) on top of the sprite
+        const type = getBlockType(block);
+        if (type.renderOverlay) {
+            type.renderOverlay(ctx, center.x, center.y, gridSize.radius, block);
         }
     }
 
+    /**
+     * Everything about a block that changes its look during play, as one number
+     * (0 = not drawn)
+     * @param {Object} block
+     * @returns {number}
+     * @private
+     */
+    _blockSignature(block) {
+        if (!block.alive) return 0;
+        return 1 + getBlockType(block).overlayState(block) + (block.durability || 0) * 4;
+    }
+
     /**
      * Render state overlay (game over / stage clear)
      * @param {string} text - Main text
@@ -247,8 +468,7 @@ export class GameRenderSystem {
      * @returns {HTMLImageElement|null}
      */
     getBackgroundById(id) {
-        const bg = this.backgroundImages.find(b => b.id === id);
-        return bg?.image || null;
+        return this._imagesById.get(id) || null;
     }
 
     /**
@@ -256,6 +476,9 @@ export class GameRenderSystem {
      */
     reset() {
         this.backgroundImages = [];
+        this._imagesById.clear();
+        this.blockSprites.clear();
+        this.invalidate();
         this._blocksMessageShown = false;
     }
 }
@@ -2,27 +2,43 @@
  * GemSystem.js - Power Gem Management System
  *
  * Handles gem spawning, update, collection, and rendering.
- * Gems drop from destroyed blocks and boss defeats.
+ * Gems drop from destroyed blocks and boss defeats and drift toward the
+ * nearest paddle line, against its normal (down for a bottom paddle).
  */
 
 import { PowerGem } from '../entities/PowerGem.js';
 import { hexToPixel } from '../../shared/HexMath.js';
+import { projectOntoPolyline, getPointAtDistance, getSideNormal } from '../physics/PolylineMath.js';
+import { GAME_EVENTS } from '../GameEvents.js';
 
 export class GemSystem {
     /**
      * @param {Object} gridSize - Grid size object with radius property
+     * @param {import('../SeededRandom.js').SeededRandom} rng - Game PRNG (drop rolls, reward spread)
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
      */
-    constructor(gridSize) {
+    constructor(gridSize, rng, events) {
+        this.rng = rng;
+        this.events = events;
+
         /** @type {PowerGem[]} */
         this.gems = [];
 
         /** @type {Object} */
         this.gridSize = gridSize;
 
-        /** @type {number} - Default drop chance for normal blocks */
+        /** @type {number} - Default drop chance for normal blocks (stage meta.powerGemChance) */
         this.defaultDropChance = 0.15;
     }
 
+    /**
+     * Set drop chance for normal blocks (called when stage loads)
+     * @param {number} chance - 0 to 1
+     */
+    setDropChance(chance) {
+        this.defaultDropChance = chance;
+    }
+
     /**
      * Set grid size (called when stage loads)
      * @param {Object} gridSize
@@ -33,23 +49,21 @@ export class GemSystem {
 
     /**
      * Spawn a gem at a block's location
-     * @param {Object} block - Block data with row, col, and optional gemDrop
+     * @param {Object} block - Block data with row and col
      */
     spawnFromBlock(block) {
         const center = hexToPixel(block.row, block.col, this.gridSize);
-        this.gems.push(new PowerGem(center.x, center.y));
+        const gem = new PowerGem(center.x, center.y);
+        this.gems.push(gem);
+        this.events.emit(GAME_EVENTS.GEM_SPAWNED, { gem, source: 'block' });
     }
 
     /**
-     * Check if a block should drop a gem based on its gemDrop property
-     * @param {Object} block - Block data
+     * Roll the drop chance of a normal block (drop types decide in BlockTypes.js)
      * @returns {boolean}
      */
-    shouldDropGem(block) {
-        if (block.gemDrop === 'guaranteed' || block.gemDrop === 'infinite') {
-            return true;
-        }
-        return Math.random() < this.defaultDropChance;
+    rollDrop() {
+        return this.rng.next() < this.defaultDropChance;
     }
 
     /**
@@ -61,28 +75,32 @@ export class GemSystem {
     spawnBossReward(x, y, count = 10) {
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 / count) * i;
-            const distance = 30 + Math.random() * 20;
+            const distance = 30 + this.rng.next() * 20;
             const gemX = x + Math.cos(angle) * distance;
             const gemY = y + Math.sin(angle) * distance;
-            this.gems.push(new PowerGem(gemX, gemY));
+            const gem = new PowerGem(gemX, gemY);
+            this.gems.push(gem);
+            this.events.emit(GAME_EVENTS.GEM_SPAWNED, { gem, source: 'boss' });
         }
     }
 
     /**
      * Update all gems
      * @param {number} dt - Delta time
-     * @param {Object} paddle - Paddle entity
-     * @param {number} canvasHeight - Canvas height for off-screen check
+     * @param {Object[]} paddles - Paddle entities (invisible tap paddles don't collect)
+     * @param {{width: number, height: number}} bounds - Canvas size for the off-screen check
      * @param {Function} onCollect - Callback when gem is collected
      */
-    update(dt, paddle, canvasHeight, onCollect) {
+    update(dt, paddles, bounds, onCollect) {
         for (let i = this.gems.length - 1; i >= 0; i--) {
             const gem = this.gems[i];
+            this._steer(gem, paddles);
             gem.update(dt);
 
             // Collection check
-            if (gem.checkCollection(paddle)) {
+            if (paddles.some(paddle => paddle.visible && gem.checkCollection(paddle))) {
                 this.gems.splice(i, 1);
+                this.events.emit(GAME_EVENTS.GEM_COLLECTED, { gem, by: 'paddle' });
                 if (onCollect) {
                     onCollect(gem);
                 }
@@ -90,12 +108,43 @@ export class GemSystem {
             }
 
             // Off screen check
-            if (gem.isOffScreen(canvasHeight)) {
+            if (gem.isOffScreen(bounds.width, bounds.height)) {
                 this.gems.splice(i, 1);
             }
         }
     }
 
+    /**
+     * Point a gem at its paddle line: against the line normal at the nearest
+     * point, so a gem that missed the paddle keeps going off screen
+     * @private
+     * @param {PowerGem} gem
+     * @param {Object[]} paddles
+     */
+    _steer(gem, paddles) {
+        if (!gem.paddle) {
+            let bestOffset = Infinity;
+            for (const paddle of paddles) {
+                const projection = projectOntoPolyline(paddle.polyline, gem.pathX, gem.pathY);
+                if (projection && projection.offset < bestOffset) {
+                    bestOffset = projection.offset;
+                    gem.paddle = paddle;
+                }
+            }
+            if (!gem.paddle) return;
+        }
+
+        // Paddle lines may be moved by PathMoveSystem: follow the current shape
+        const polyline = gem.paddle.polyline;
+        const projection = projectOntoPolyline(polyline, gem.pathX, gem.pathY);
+        if (!projection) return;
+
+        const pose = getPointAtDistance(polyline, projection.distance);
+        const normal = getSideNormal(pose.tx, pose.ty, gem.paddle.normalSide);
+        gem.direction.x = -normal.x;
+        gem.direction.y = -normal.y;
+    }
+
     /**
      * Render all gems
      * @param {CanvasRenderingContext2D} ctx
@@ -131,6 +180,7 @@ export class GemSystem {
 
         if (closestGem && closestIndex >= 0) {
             this.gems.splice(closestIndex, 1);
+            this.events.emit(GAME_EVENTS.GEM_COLLECTED, { gem: closestGem, by: 'tap' });
             if (onCollect) {
                 onCollect(closestGem);
             }
@@ -0,0 +1,170 @@
+/**
+ * KeyLockSystem.js - Key / Lock Block System
+ * Based on game_specification.md Section 5.3
+ *
+ * Lock blocks are invulnerable while any key block of their key group
+ * (block.keyId === lock.linkedKeyId) is still alive. Destroying the last
+ * key of a group unlocks every linked lock with an unlock animation.
+ * The key and lock block types (BlockTypes.js) read block.locked and call
+ * onBlockDestroyed; this system keeps the groups and the unlock animation.
+ */
+
+import { hexToPixel } from '../../shared/HexMath.js';
+
+export class KeyLockSystem {
+    constructor() {
+        /** @type {Map<string, {keys: Object[], locks: Object[]}>} - Key groups by keyId */
+        this.groups = new Map();
+
+        /** @type {Object} */
+        this.gridSize = null;
+
+        /** @type {Array} - Unlock animations [{x, y, keyX, keyY, age, duration}] */
+        this.unlockEffects = [];
+    }
+
+    /**
+     * Set grid size (called when stage loads)
+     * @param {Object} gridSize
+     */
+    setGridSize(gridSize) {
+        this.gridSize = gridSize;
+    }
+
+    /**
+     * Build key groups from the stage blocks and lock linked locks
+     * Locks without any key in their group start unlocked.
+     * @param {Array} blocks - Block array from GameState
+     */
+    loadFromBlocks(blocks) {
+        this.groups.clear();
+        this.unlockEffects = [];
+
+        const getGroup = (keyId) => {
+            if (!this.groups.has(keyId)) {
+                this.groups.set(keyId, { keys: [], locks: [] });
+            }
+            return this.groups.get(keyId);
+        };
+
+        for (const block of blocks) {
+            if (block.type === 'key' && block.keyId) {
+                getGroup(block.keyId).keys.push(block);
+            } else if (block.type === 'lock' && block.linkedKeyId) {
+                getGroup(block.linkedKeyId).locks.push(block);
+            }
+        }
+
+        for (const block of blocks) {
+            if (block.type !== 'lock') continue;
+            const group = block.linkedKeyId ? this.groups.get(block.linkedKeyId) : null;
+            block.locked = !!group && group.keys.length > 0;
+        }
+    }
+
+    /**
+     * Notify that a block was destroyed; unlocks locks when a key group is complete
+     * @param {Object} block - Destroyed block
+     * @returns {Object[]} - Lock blocks unlocked by this destruction
+     */
+    onBlockDestroyed(block) {
+        if (block.type !== 'key' || !block.keyId) return [];
+
+        const group = this.groups.get(block.keyId);
+        if (!group || group.keys.some(k => k.alive)) return [];
+
+        const unlocked = group.locks.filter(lock => lock.locked);
+        const keyPos = hexToPixel(block.row, block.col, this.gridSize);
+
+        for (const lock of unlocked) {
+            lock.locked = false;
+
+            const pos = hexToPixel(lock.row, lock.col, this.gridSize);
+            this.unlockEffects.push({
+                x: pos.x,
+                y: pos.y,
+                keyX: keyPos.x,
+                keyY: keyPos.y,
+                age: 0,
+                duration: 0.8
+            });
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Update unlock animations
+     * @param {number} dt - Delta time
+     */
+    update(dt) {
+        for (let i = this.unlockEffects.length - 1; i >= 0; i--) {
+            const effect = this.unlockEffects[i];
+            effect.age += dt;
+            if (effect.age >= effect.duration) {
+                this.unlockEffects.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Render unlock animations (key-to-lock beam, burst ring, opening shackle)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    render(ctx) {
+        if (this.unlockEffects.length === 0) return;
+
+        const radius = this.gridSize.radius;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+
+        for (const effect of this.unlockEffects) {
+            const t = effect.age / effect.duration;
+            const fade = 1 - t;
+
+            // Beam from the last key to the lock (first half only)
+            if (t < 0.5) {
+                ctx.globalAlpha = 1 - t * 2;
+                ctx.strokeStyle = '#FFD700';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(effect.keyX, effect.keyY);
+                ctx.lineTo(effect.x, effect.y);
+                ctx.stroke();
+            }
+
+            // Expanding burst ring
+            ctx.globalAlpha = fade;
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 3 * fade + 1;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, radius * (0.6 + t * 1.4), 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Opening padlock: shackle lifts and swings open while fading
+            const size = radius * 0.35;
+            const lift = size * 0.8 * Math.min(1, t * 3);
+            const bodyY = effect.y - size * 0.1;
+
+            ctx.fillStyle = '#FFD700';
+            ctx.fillRect(effect.x - size, bodyY, size * 2, size * 1.4);
+
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = Math.max(2, size * 0.3);
+            ctx.beginPath();
+            ctx.arc(effect.x - size * 0.5 * Math.min(1, t * 3), bodyY - lift, size * 0.7, Math.PI, 0);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Clear all groups and effects
+     */
+    clear() {
+        this.groups.clear();
+        this.unlockEffects = [];
+    }
+}
@@ -2,14 +2,22 @@
  * LaserSystem.js - Laser Weapon Management System
  *
  * Handles laser firing, stock management, cooldown, collision detection with blocks.
- * Lasers penetrate blocks (don't stop on first hit).
+ * Lasers penetrate blocks (don't stop on first hit, unless the block type
+ * absorbs them - see BlockTypes.js) and fly along the firing paddle's
+ * normal, into the play field.
  */
 
 import { Laser } from '../entities/Laser.js';
 import { hexToPixel } from '../../shared/HexMath.js';
+import { GAME_EVENTS } from '../GameEvents.js';
 
 export class LaserSystem {
-    constructor() {
+    /**
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
+     */
+    constructor(events) {
+        this.events = events;
+
         /** @type {Laser[]} */
         this.lasers = [];
 
@@ -24,6 +32,18 @@ export class LaserSystem {
 
         /** @type {number} - Shots added per weapon purchase */
         this.shotsPerPurchase = 5;
+
+        /** @type {{width: number, height: number}} - Canvas size (lasers leaving it are removed) */
+        this.bounds = { width: 1280, height: 720 };
+    }
+
+    /**
+     * Set the canvas size (called when stage loads)
+     * @param {number} width
+     * @param {number} height
+     */
+    setBounds(width, height) {
+        this.bounds = { width, height };
     }
 
     /**
@@ -43,20 +63,42 @@ export class LaserSystem {
     }
 
     /**
-     * Fire a laser from paddle position
-     * @param {number} x - Paddle center X
-     * @param {number} y - Paddle Y position
+     * Fire a laser from a point
+     * @param {number} x - Start X (paddle face)
+     * @param {number} y - Start Y (paddle face)
+     * @param {{x: number, y: number}} [direction] - Unit flight direction (default: up)
      * @returns {boolean} - True if fired successfully
      */
-    fire(x, y) {
+    fire(x, y, direction = { x: 0, y: -1 }) {
         if (!this.canFire()) {
             return false;
         }
 
-        // Create laser above paddle
-        this.lasers.push(new Laser(x, y - 10));
+        this.lasers.push(new Laser(x, y, direction));
         this.stock--;
         this.cooldown = this.cooldownDuration;
+        this.events.emit(GAME_EVENTS.LASER_FIRED, { count: 1 });
+
+        return true;
+    }
+
+    /**
+     * Fire one laser from each paddle along its normal (consumes a single shot)
+     * @param {import('../entities/Paddle.js').Paddle[]} paddles - Firing paddles
+     * @returns {boolean} - True if fired successfully
+     */
+    fireVolley(paddles) {
+        if (paddles.length === 0 || !this.canFire()) {
+            return false;
+        }
+
+        for (const paddle of paddles) {
+            const { x, y } = paddle.getProjectilePosition();
+            this.lasers.push(new Laser(x, y, paddle.normal));
+        }
+        this.stock--;
+        this.cooldown = this.cooldownDuration;
+        this.events.emit(GAME_EVENTS.LASER_FIRED, { count: paddles.length });
 
         return true;
     }
@@ -64,11 +106,11 @@ export class LaserSystem {
     /**
      * Update lasers and check collisions with blocks
      * @param {number} dt - Delta time
-     * @param {Array} blocks - Block array from GameState
+     * @param {import('../physics/BlockIndex.js').BlockIndex} blockIndex - Block lookup
      * @param {Object} gridSize - Grid size for hex calculations
-     * @param {Function} onBlockHit - Callback when block is hit (block, laser) => void
+     * @param {Function} onBlockHit - Callback when block is hit (block, laser) => void; may deactivate the laser
      */
-    update(dt, blocks, gridSize, onBlockHit) {
+    update(dt, blockIndex, gridSize, onBlockHit) {
         // Update cooldown
         if (this.cooldown > 0) {
             this.cooldown -= dt;
@@ -77,7 +119,7 @@ export class LaserSystem {
         // Update and check each laser
         for (let i = this.lasers.length - 1; i >= 0; i--) {
             const laser = this.lasers[i];
-            laser.update();
+            laser.update(this.bounds.width, this.bounds.height);
 
             // Remove inactive lasers
             if (!laser.active) {
@@ -85,8 +127,11 @@ export class LaserSystem {
                 continue;
             }
 
-            // Check block collisions (laser penetrates)
-            this._checkBlockCollisions(laser, blocks, gridSize, onBlockHit);
+            // Check block collisions (laser penetrates unless a block absorbs it)
+            this._checkBlockCollisions(laser, blockIndex, gridSize, onBlockHit);
+            if (!laser.active) {
+                this.lasers.splice(i, 1);
+            }
         }
     }
 
@@ -94,12 +139,11 @@ export class LaserSystem {
      * Check laser collision with blocks
      * @private
      */
-    _checkBlockCollisions(laser, blocks, gridSize, onBlockHit) {
+    _checkBlockCollisions(laser, blockIndex, gridSize, onBlockHit) {
         const laserCenter = { x: laser.x, y: laser.y };
+        const candidates = blockIndex.queryRect(laser.x, laser.y, laser.x, laser.y);
 
-        for (const block of blocks) {
-            if (!block.alive) continue;
-
+        for (const block of candidates) {
             const blockCenter = hexToPixel(block.row, block.col, gridSize);
             const dx = laserCenter.x - blockCenter.x;
             const dy = laserCenter.y - blockCenter.y;
@@ -110,7 +154,8 @@ export class LaserSystem {
                 if (onBlockHit) {
                     onBlockHit(block, laser);
                 }
-                // Laser penetrates - don't break loop
+                // Laser penetrates until a block deactivates it
+                if (!laser.active) break;
             }
         }
     }
@@ -11,6 +11,9 @@ export class PathMoveSystem {
         /** @type {Array} - Movement units */
         this.units = [];
 
+        /** @type {Set<Object>} - Lines moved by any unit (redrawn every frame) */
+        this.movingLines = new Set();
+
         /** @type {{x: number, y: number}} - Last frame's movement delta (for paddle) */
         this.lastDelta = { x: 0, y: 0 };
     }
@@ -21,6 +24,7 @@ export class PathMoveSystem {
      */
     loadFromStage(stageData) {
         this.units = [];
+        this.movingLines = new Set();
         this.lastDelta = { x: 0, y: 0 };
 
         const lines = stageData.lines || [];
@@ -94,6 +98,10 @@ export class PathMoveSystem {
                 isLoop,
                 hasPaddle: group.lines.some(l => l.type === 'paddle')
             });
+
+            for (const line of group.lines) {
+                this.movingLines.add(line);
+            }
         }
     }
 
@@ -8,51 +8,54 @@
 import { GRID_SIZES } from '../../shared/HexMath.js';
 import { Paddle } from '../entities/Paddle.js';
 import { Shield } from '../entities/Shield.js';
+import { resolveStageMeta } from '../StageMeta.js';
+import { resolveBossConfig } from '../BossConfig.js';
 
 export class StageLoader {
-    constructor() {
-        /** @type {number} - Current display scale */
-        this.displayScale = 1;
-    }
-
     /**
      * Load and configure a stage
      * @param {Object} stageData - Stage data from editor
      * @param {Object} context - Game context
-     * @param {HTMLCanvasElement} context.canvas
+     * @param {import('./DisplaySystem.js').DisplaySystem} context.display - Canvas scaling (stage size)
      * @param {Object} context.collision - CollisionSystem
      * @param {Object} context.gemSystem - GemSystem
      * @param {Object} context.renderSystem - GameRenderSystem
      * @param {Object} context.bossSystem - BossSystem
      * @param {Object} context.state - GameState
      * @param {Object} context.weaponSystem - WeaponSystem
+     * @param {Object} context.debuffSystem - DebuffSystem
      * @param {Object} context.laserSystem - LaserSystem
+     * @param {Object} context.keyLockSystem - KeyLockSystem
      * @param {Function} context.showMessage - Message callback
-     * @returns {Object} - { canvasWidth, canvasHeight, gridSize, paddle, shield }
+     * @param {boolean} [context.headless=false] - Skip background images (no DOM)
+     * @returns {Object} - { canvasWidth, canvasHeight, gridSize, paddles, shield }
      */
     loadStage(stageData, context) {
         const {
-            canvas,
+            display,
             collision,
             gemSystem,
             renderSystem,
             bossSystem,
             state,
             weaponSystem,
+            debuffSystem,
             laserSystem,
-            showMessage
+            keyLockSystem,
+            showMessage,
+            headless = false
         } = context;
 
-        // Set canvas size
-        let canvasWidth = canvas.width;
-        let canvasHeight = canvas.height;
+        // Set stage size (the display scales it to the screen; no-op when headless)
+        let canvasWidth = display.width;
+        let canvasHeight = display.height;
 
         if (stageData.canvas) {
             canvasWidth = stageData.canvas.width;
             canvasHeight = stageData.canvas.height;
         }
 
-        this._setupCanvas(canvas, canvasWidth, canvasHeight);
+        display.setStageSize(canvasWidth, canvasHeight);
 
         // Set grid size
         let gridSize = GRID_SIZES.medium;
@@ -71,6 +74,7 @@ export class StageLoader {
         // Update systems with new grid size
         gemSystem.setGridSize(gridSize);
         renderSystem.setCanvasSize(canvasWidth, canvasHeight);
+        laserSystem.setBounds(canvasWidth, canvasHeight);
 
         // Apply block render settings
         if (stageData.blockRenderSettings) {
@@ -84,54 +88,118 @@ export class StageLoader {
         }
 
         // Load backgrounds
-        renderSystem.loadBackgrounds(stageData);
+        if (!headless) {
+            renderSystem.loadBackgrounds(stageData);
+        }
+
+        // Validate stage meta (malformed values fall back to defaults)
+        const { meta, warnings } = resolveStageMeta(stageData.meta);
+        for (const warning of warnings) {
+            showMessage(warning, 'warning');
+        }
 
-        // Load state
-        state.loadStage(stageData);
+        // Validate the boss definition (a boss without a valid position is left out)
+        const { config: bossConfig, warnings: bossWarnings } = resolveBossConfig(stageData.boss);
+        for (const warning of bossWarnings) {
+            showMessage(warning, 'warning');
+        }
+
+        // Load state (blocks of an unknown type become normal blocks)
+        const blockWarnings = state.loadStage({ ...stageData, boss: bossConfig }, meta);
+        for (const warning of blockWarnings) {
+            showMessage(warning, 'warning');
+        }
         state.reset();
 
         // Reset all systems
         gemSystem.clear();
         laserSystem.clear();
         weaponSystem.reset();
+        debuffSystem.reset();
         bossSystem.reset();
 
+        // Link key/lock blocks
+        keyLockSystem.setGridSize(gridSize);
+        keyLockSystem.loadFromBlocks(state.blocks);
+
+        // Build the collision broadphase (block index + line segment grid)
+        collision.loadStage(state.blocks, stageData.lines || []);
+
+        // Apply stage balance settings
+        gemSystem.setDropChance(meta.powerGemChance);
+        weaponSystem.setCosts(meta.weaponCosts);
+
         // Load boss if configured
-        if (stageData.boss) {
-            bossSystem.loadBoss(stageData.boss, stageData.gridSize || 'medium');
+        if (bossConfig) {
+            bossSystem.loadBoss(bossConfig, gridSize);
         }
 
-        // Check for tap mode paddle
-        const paddleLines = (stageData.lines || []).filter(l => l.type === 'paddle');
-        const tapPaddleLine = paddleLines.find(l => l.paddleControl === 'tap');
-
-        // Create paddle and shield
-        const paddle = new Paddle(canvasWidth / 2, canvasHeight - 50);
-        paddle.setBounds(0, canvasWidth);
-
-        if (tapPaddleLine) {
-            paddle.visible = false;
-            // Position paddle at paddle line midpoint (for ball spawn)
-            const points = tapPaddleLine.points;
-            if (points && points.length >= 2) {
-                const mid = Math.floor((points.length - 1) / 2);
-                paddle.x = (points[mid].x + points[mid + 1].x) / 2;
-                paddle.y = (points[mid].y + points[mid + 1].y) / 2;
-            }
-        }
+        // Create one paddle per paddle line (tap mode paddles are invisible)
+        const paddles = this._createPaddles(stageData.lines || [], canvasWidth, canvasHeight);
 
-        const shield = new Shield(canvasHeight - 15);
+        const shield = new Shield(this._createShieldGuards(paddles, canvasWidth, canvasHeight));
 
         return {
             canvasWidth,
             canvasHeight,
             gridSize,
-            paddle,
-            shield,
-            displayScale: this.displayScale
+            paddles,
+            shield
         };
     }
 
+    /**
+     * Create paddles for every usable paddle line, each paired with its miss line
+     * @param {Object[]} lines - Stage lines
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @returns {Paddle[]} - At least one paddle (default bottom paddle if none drawn)
+     * @private
+     */
+    _createPaddles(lines, canvasWidth, canvasHeight) {
+        const paddleLines = lines.filter(l =>
+            l.type === 'paddle' && l.points && l.points.length >= 2
+        );
+
+        if (paddleLines.length === 0) {
+            return [new Paddle(this._createDefaultPaddleLine(canvasWidth, canvasHeight))];
+        }
+
+        return paddleLines.map(line => {
+            const missLine = lines.find(l =>
+                l.type === 'missline' &&
+                (l.id === line.pairedMisslineId || l.pairedPaddleId === line.id)
+            ) || null;
+            return new Paddle(line, missLine);
+        });
+    }
+
+    /**
+     * Lines the SHIELD covers: each paddle's miss line, or the canvas bottom
+     * edge when no paddle has one (the bottom edge is the miss fallback)
+     * @param {Paddle[]} paddles
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @returns {{line: Object, fieldPoint: {x: number, y: number}}[]}
+     * @private
+     */
+    _createShieldGuards(paddles, canvasWidth, canvasHeight) {
+        const guards = [];
+        for (const paddle of paddles) {
+            if (paddle.missLine && !guards.some(guard => guard.line === paddle.missLine)) {
+                guards.push({ line: paddle.missLine, fieldPoint: { x: paddle.x, y: paddle.y } });
+            }
+        }
+
+        if (guards.length === 0) {
+            guards.push({
+                line: { points: [{ x: 0, y: canvasHeight }, { x: canvasWidth, y: canvasHeight }] },
+                fieldPoint: { x: canvasWidth / 2, y: 0 }
+            });
+        }
+        return guards;
+    }
+
     /**
      * Generate test stage data (without loading)
      * @returns {Object} - Stage data for test stage
@@ -159,34 +227,22 @@ export class StageLoader {
     }
 
     /**
-     * Setup canvas size to fit screen
-     * @param {HTMLCanvasElement} canvas
-     * @param {number} width
-     * @param {number} height
+     * Default paddle line for stages without one (bottom, ball flies up)
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @returns {Object} Paddle line data
      * @private
      */
-    _setupCanvas(canvas, width, height) {
-        canvas.width = width;
-        canvas.height = height;
-
-        const wrapper = canvas.parentElement;
-        let availableWidth, availableHeight;
-
-        if (wrapper && wrapper.offsetWidth > 0) {
-            availableWidth = wrapper.clientWidth;
-            availableHeight = wrapper.clientHeight;
-        } else {
-            availableWidth = window.innerWidth;
-            availableHeight = window.innerHeight - 150;
-        }
-
-        const scaleX = availableWidth / canvas.width;
-        const scaleY = availableHeight / canvas.height;
-        const scale = Math.min(scaleX, scaleY, 1);
-
-        canvas.style.width = (canvas.width * scale) + 'px';
-        canvas.style.height = (canvas.height * scale) + 'px';
-        this.displayScale = scale;
+    _createDefaultPaddleLine(canvasWidth, canvasHeight) {
+        return {
+            type: 'paddle',
+            points: [
+                { x: 0, y: canvasHeight - 50 },
+                { x: canvasWidth, y: canvasHeight - 50 }
+            ],
+            normalSide: 'right',
+            paddleControl: 'mouse-x'
+        };
     }
 
     /**
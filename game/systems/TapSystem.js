@@ -8,29 +8,20 @@
 
 export class TapSystem {
     constructor() {
-        /** @type {Object|null} - Paddle line data for tap mode */
-        this.paddleLine = null;
-
-        /** @type {Object|null} - Paired missline data */
-        this.missLine = null;
-
-        /** @type {number} - Tap area distance (paddle to missline, or fallback) */
-        this.tapDistance = 50;
+        /**
+         * @type {Array<{paddleLine: Object, missLine: Object|null, tapDistance: number, normalSide: 'left'|'right', hitRadius: number}>}
+         * - One tap area per tap-mode paddle line
+         */
+        this.areas = [];
 
         /** @type {boolean} - Whether tap mode is active */
         this.active = false;
 
-        /** @type {'left'|'right'} - Normal side (play field side) */
-        this.normalSide = 'left';
-
-        /** @type {number} - Hit radius for ball selection (max distance from click) */
+        /** @type {number} - Default hit radius (used outside any tap area, e.g. gem collection) */
         this.hitRadius = 60;
 
-        /** @type {Array} - Racket effect animations [{x, y, age, duration, radius, hit}] */
+        /** @type {Array} - Racket effect animations [{x, y, age, duration, radius, hit, area}] */
         this.racketEffects = [];
-
-        /** @type {Array} - Text popup effects [{x, y, text, age, duration}] */
-        this.textEffects = [];
     }
 
     /**
@@ -38,51 +29,77 @@ export class TapSystem {
      * @param {Object} stageData
      */
     loadFromStage(stageData) {
-        this.active = false;
-        this.paddleLine = null;
-        this.missLine = null;
+        this.areas = [];
+        this.racketEffects = [];
 
         const lines = stageData.lines || [];
         for (const line of lines) {
-            if (line.type === 'paddle' && line.paddleControl === 'tap') {
-                this.active = true;
-                this.paddleLine = line;
-                this.normalSide = line.normalSide || 'left';
-
-                // Find paired missline if exists
-                if (line.pairedMisslineId) {
-                    this.missLine = lines.find(l => l.id === line.pairedMisslineId) || null;
-                }
+            if (line.type !== 'paddle' || line.paddleControl !== 'tap') continue;
+
+            // Find paired missline if exists
+            const missLine = line.pairedMisslineId
+                ? lines.find(l => l.id === line.pairedMisslineId) || null
+                : null;
+
+            // Calculate tap distance
+            let tapDistance = 50;
+            if (missLine) {
+                // Use actual distance to missline
+                tapDistance = line.pairOffset || 50;
+            } else if (line.tapRange) {
+                // Fallback to tapRange
+                tapDistance = line.tapRange;
+            }
 
-                // Calculate tap distance
-                if (this.missLine) {
-                    // Use actual distance to missline
-                    this.tapDistance = line.pairOffset || 50;
-                } else if (line.tapRange) {
-                    // Fallback to tapRange
-                    this.tapDistance = line.tapRange;
-                } else {
-                    this.tapDistance = 50;
-                }
+            this.areas.push({
+                paddleLine: line,
+                missLine,
+                tapDistance,
+                normalSide: line.normalSide || 'left',
+                // Max distance from click to hit a ball
+                hitRadius: line.hitRadius ?? 60
+            });
+        }
 
-                // Load hit radius (max distance from click to hit a ball)
-                this.hitRadius = line.hitRadius ?? 60;
+        this.active = this.areas.length > 0;
+        this.hitRadius = this.areas[0]?.hitRadius ?? 60;
+    }
 
-                break;
+    /**
+     * Find the tap area containing a point
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null} Tap area, or null if outside all areas
+     */
+    getAreaAt(x, y) {
+        for (const area of this.areas) {
+            if (this._isPointInArea(area, x, y)) {
+                return area;
             }
         }
+        return null;
     }
 
     /**
-     * Check if a point is within the tap area (within tapDistance from paddle line, both sides)
+     * Check if a point is within any tap area (within tapDistance from a paddle line, both sides)
      * @param {number} x
      * @param {number} y
      * @returns {boolean}
      */
     isPointInTapArea(x, y) {
-        if (!this.active || !this.paddleLine) return false;
+        return this.getAreaAt(x, y) !== null;
+    }
 
-        const points = this.paddleLine.points;
+    /**
+     * Check if a point is within one tap area
+     * @param {Object} area
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     * @private
+     */
+    _isPointInArea(area, x, y) {
+        const points = area.paddleLine.points;
         if (!points || points.length < 2) return false;
 
         // Check each segment - tap area is both sides of the paddle line
@@ -94,7 +111,7 @@ export class TapSystem {
             const dist = this._pointToSegmentDistance(x, y, p1, p2);
 
             // Within tap distance = in tap area (both sides of paddle line)
-            if (dist <= this.tapDistance) {
+            if (dist <= area.tapDistance) {
                 return true;
             }
         }
@@ -122,26 +139,12 @@ export class TapSystem {
         if (!this.active) return false;
 
         // クリック位置がタップエリア内かチェック
-        if (!this.isPointInTapArea(clickX, clickY)) return false;
+        const area = this.getAreaAt(clickX, clickY);
+        if (!area) return false;
 
         // Find the closest ball within hitRadius of click point
-        let closestBall = null;
-        let closestDist = this.hitRadius;
-        let closestSegment = -1;
-
-        for (const ball of balls) {
-            if (ball.attached) continue;
-            if (ball.wasHitInTapArea) continue;
-
-            const dist = Math.hypot(clickX - ball.x, clickY - ball.y);
-            if (dist < closestDist) {
-                closestDist = dist;
-                closestBall = ball;
-                closestSegment = this._findClosestSegment(ball.x, ball.y);
-            }
-        }
-
-        const hit = closestBall && closestSegment >= 0;
+        const target = this._findTargetBall(area, clickX, clickY, balls);
+        const hit = target !== null;
 
         // Show racket at click position
         // If no hit yet, racket stays active for continued detection
@@ -150,37 +153,47 @@ export class TapSystem {
             y: clickY,
             age: 0,
             duration: 0.3,
-            radius: this.hitRadius,
+            radius: area.hitRadius,
             hit: hit,
-            active: !hit  // Active = still looking for a ball to hit
+            active: !hit,  // Active = still looking for a ball to hit
+            area
         });
 
         if (!hit) return false;
 
-        // Apply virtual paddle reflection
-        this._applyVirtualPaddleReflection(closestBall, clickX, clickY, closestSegment);
-
-        // Flash the ball
-        closestBall.flashTime = 0.15;
-
-        // Mark as hit (prevents re-hitting until ball leaves tap area)
-        closestBall.wasHitInTapArea = true;
-
+        this._hitBall(area, target.ball, clickX, clickY, target.segmentIndex);
         return true;
     }
 
     /**
      * Try to hit a ball at the given position (used for continued detection)
+     * @param {Object} area - Tap area the racket belongs to
      * @param {number} x - Position X
      * @param {number} y - Position Y
      * @param {Array} balls - Ball array
      * @returns {boolean} - Whether a ball was hit
      * @private
      */
-    _tryHitBallAtPosition(x, y, balls) {
+    _tryHitBallAtPosition(area, x, y, balls) {
+        const target = this._findTargetBall(area, x, y, balls);
+        if (!target) return false;
+
+        this._hitBall(area, target.ball, x, y, target.segmentIndex);
+        return true;
+    }
+
+    /**
+     * Find the closest hittable ball within the area's hitRadius of a point
+     * @param {Object} area
+     * @param {number} x
+     * @param {number} y
+     * @param {Array} balls
+     * @returns {{ball: Object, segmentIndex: number}|null}
+     * @private
+     */
+    _findTargetBall(area, x, y, balls) {
         let closestBall = null;
-        let closestDist = this.hitRadius;
-        let closestSegment = -1;
+        let closestDist = area.hitRadius;
 
         for (const ball of balls) {
             if (ball.attached) continue;
@@ -190,35 +203,42 @@ export class TapSystem {
             if (dist < closestDist) {
                 closestDist = dist;
                 closestBall = ball;
-                closestSegment = this._findClosestSegment(ball.x, ball.y);
             }
         }
 
-        if (!closestBall || closestSegment < 0) return false;
+        if (!closestBall) return null;
+
+        const segmentIndex = this._findClosestSegment(area, closestBall.x, closestBall.y);
+        return segmentIndex >= 0 ? { ball: closestBall, segmentIndex } : null;
+    }
 
+    /**
+     * Reflect, flash and mark a ball hit by a racket
+     * @private
+     */
+    _hitBall(area, ball, x, y, segmentIndex) {
         // Apply virtual paddle reflection
-        this._applyVirtualPaddleReflection(closestBall, x, y, closestSegment);
+        this._applyVirtualPaddleReflection(area, ball, x, y, segmentIndex);
 
         // Flash the ball
-        closestBall.flashTime = 0.15;
-
-        // Mark as hit
-        closestBall.wasHitInTapArea = true;
+        ball.flashTime = 0.15;
 
-        return true;
+        // Mark as hit (prevents re-hitting until ball leaves tap area)
+        ball.wasHitInTapArea = true;
     }
 
     /**
      * Apply virtual paddle reflection to a ball
      * Ball ALWAYS flies toward normalSide direction, with angle adjusted by click position
+     * @param {Object} area
      * @param {Object} ball
      * @param {number} clickX
      * @param {number} clickY
      * @param {number} segmentIndex
      * @private
      */
-    _applyVirtualPaddleReflection(ball, clickX, clickY, segmentIndex) {
-        const points = this.paddleLine.points;
+    _applyVirtualPaddleReflection(area, ball, clickX, clickY, segmentIndex) {
+        const points = area.paddleLine.points;
         const p1 = points[segmentIndex];
         const p2 = points[segmentIndex + 1];
 
@@ -235,7 +255,7 @@ export class TapSystem {
         // Normal vector pointing to normalSide (this is where the ball MUST go)
         // Left of line direction: (-ty, tx), Right: (ty, -tx)
         let nx, ny;
-        if (this.normalSide === 'left') {
+        if (area.normalSide === 'left') {
             nx = -ty;
             ny = tx;
         } else {
@@ -251,7 +271,7 @@ export class TapSystem {
 
         // Normalize offset to [-1, 1] based on hitRadius
         // At hitRadius edge = ±1, center = 0
-        const maxOffset = this.hitRadius;
+        const maxOffset = area.hitRadius;
         const offsetRatio = Math.max(-1, Math.min(1, tangentOffset / maxOffset));
 
         // Base direction is normalSide (the direction ball MUST fly)
@@ -273,16 +293,17 @@ export class TapSystem {
     }
 
     /**
-     * Find the closest segment to a point
+     * Find the closest segment of an area's paddle line to a point
+     * @param {Object} area
      * @param {number} x
      * @param {number} y
      * @returns {number} - Segment index, or -1 if none
      * @private
      */
-    _findClosestSegment(x, y) {
-        if (!this.paddleLine || !this.paddleLine.points) return -1;
+    _findClosestSegment(area, x, y) {
+        const points = area.paddleLine.points;
+        if (!points) return -1;
 
-        const points = this.paddleLine.points;
         let minDist = Infinity;
         let closestIdx = -1;
 
@@ -314,15 +335,16 @@ export class TapSystem {
     }
 
     /**
-     * Get the midpoint of the paddle line (for ball spawn position)
+     * Get the midpoint of a tap paddle line (for ball spawn position)
+     * @param {Object} [area] - Tap area (default: first area)
      * @returns {{x: number, y: number}|null}
      */
-    getPaddleLineMidpoint() {
-        if (!this.paddleLine || !this.paddleLine.points || this.paddleLine.points.length < 2) {
+    getPaddleLineMidpoint(area = this.areas[0]) {
+        const points = area?.paddleLine.points;
+        if (!points || points.length < 2) {
             return null;
         }
 
-        const points = this.paddleLine.points;
         // Use midpoint of middle segment
         const mid = Math.floor((points.length - 1) / 2);
         const p1 = points[mid];
@@ -333,22 +355,6 @@ export class TapSystem {
         };
     }
 
-    /**
-     * Spawn a text popup effect (e.g., "+1" for gem collection)
-     * @param {number} x
-     * @param {number} y
-     * @param {string} text
-     */
-    spawnTextEffect(x, y, text) {
-        this.textEffects.push({
-            x,
-            y,
-            text,
-            age: 0,
-            duration: 0.6
-        });
-    }
-
     /**
      * Update effects and reset hit flags (call from game loop)
      * @param {number} dt - Delta time in seconds
@@ -369,7 +375,7 @@ export class TapSystem {
 
             // If racket is still active (no hit yet), keep trying to hit balls
             if (racket.active && balls.length > 0) {
-                const hitResult = this._tryHitBallAtPosition(racket.x, racket.y, balls);
+                const hitResult = this._tryHitBallAtPosition(racket.area, racket.x, racket.y, balls);
                 if (hitResult) {
                     racket.hit = true;
                     racket.active = false;
@@ -380,14 +386,6 @@ export class TapSystem {
                 this.racketEffects.splice(i, 1);
             }
         }
-
-        // Update text effects
-        for (let i = this.textEffects.length - 1; i >= 0; i--) {
-            this.textEffects[i].age += dt;
-            if (this.textEffects[i].age >= this.textEffects[i].duration) {
-                this.textEffects.splice(i, 1);
-            }
-        }
     }
 
     /**
@@ -396,14 +394,40 @@ export class TapSystem {
      * @param {CanvasRenderingContext2D} ctx
      */
     render(ctx) {
-        if (!this.active || !this.paddleLine) return;
+        if (!this.active) return;
+
+        ctx.save();
 
-        const points = this.paddleLine.points;
+        for (const area of this.areas) {
+            this._renderArea(ctx, area);
+        }
+
+        // Render racket (color based on hit: green=hit, white=miss)
+        for (const racket of this.racketEffects) {
+            const t = racket.age / racket.duration;
+            ctx.globalAlpha = 0.6 * (1 - t);
+            ctx.strokeStyle = racket.hit ? '#00FF00' : '#FFFFFF';
+            ctx.lineWidth = racket.hit ? 3 : 2;
+            ctx.beginPath();
+            ctx.arc(racket.x, racket.y, racket.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Render one tap area (band, paddle line, paired missline)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} area
+     * @private
+     */
+    _renderArea(ctx, area) {
+        const points = area.paddleLine.points;
         if (!points || points.length < 2) return;
 
-        const tapDist = this.tapDistance;
+        const tapDist = area.tapDistance;
 
-        ctx.save();
         ctx.globalAlpha = 0.12;
         ctx.fillStyle = '#00FF88';
 
@@ -443,13 +467,14 @@ export class TapSystem {
         ctx.setLineDash([]);
 
         // Draw missline if exists (dashed red)
-        if (this.missLine && this.missLine.points && this.missLine.points.length >= 2) {
+        const missLine = area.missLine;
+        if (missLine && missLine.points && missLine.points.length >= 2) {
             ctx.globalAlpha = 0.3;
             ctx.strokeStyle = '#FF0000';
             ctx.lineWidth = 2;
             ctx.setLineDash([5, 3]);
             ctx.beginPath();
-            const mp = this.missLine.points;
+            const mp = missLine.points;
             ctx.moveTo(mp[0].x, mp[0].y);
             for (let i = 1; i < mp.length; i++) {
                 ctx.lineTo(mp[i].x, mp[i].y);
@@ -457,33 +482,6 @@ export class TapSystem {
             ctx.stroke();
             ctx.setLineDash([]);
         }
-
-        // Render racket (color based on hit: green=hit, white=miss)
-        for (const racket of this.racketEffects) {
-            const t = racket.age / racket.duration;
-            ctx.globalAlpha = 0.6 * (1 - t);
-            ctx.strokeStyle = racket.hit ? '#00FF00' : '#FFFFFF';
-            ctx.lineWidth = racket.hit ? 3 : 2;
-            ctx.beginPath();
-            ctx.arc(racket.x, racket.y, racket.radius, 0, Math.PI * 2);
-            ctx.stroke();
-        }
-
-        // Render text effects (+1 popup for gem collection)
-        for (const text of this.textEffects) {
-            const t = text.age / text.duration;
-            // Float upward
-            const floatY = text.y - t * 30;
-            // Fade out
-            ctx.globalAlpha = 1 - t;
-            ctx.fillStyle = '#FFD700'; // Gold color
-            ctx.font = 'bold 20px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(text.text, text.x, floatY);
-        }
-
-        ctx.restore();
     }
 
     /**
@@ -2,44 +2,53 @@
  * WeaponSystem.js - Weapon Management System
  *
  * Handles weapon purchases, activation, and effects.
- * Manages active weapon state and timed effects.
+ * Manages active weapon state and timed effects (on the game clock).
  */
 
 import { Ball } from '../entities/Ball.js';
-
-/** Weapon costs in gems */
-export const WEAPON_COSTS = {
-    slow: 1,
-    wide: 2,
-    double: 2,
-    laser: 3,
-    shield: 4,
-    magnet: 4,
-    ghost: 4
-};
-
-/** Weapon durations in milliseconds */
-const WEAPON_DURATIONS = {
-    slow: 15000,
-    wide: 20000,
-    magnet: 20000,
-    ghost: 15000
+import { GAME_EVENTS } from '../GameEvents.js';
+import { STAGE_DEFAULTS } from '../../shared/StageDefaults.js';
+
+/** Default weapon costs in gems (stages may override via meta.weaponCosts) */
+export const WEAPON_COSTS = STAGE_DEFAULTS.weaponCosts;
+
+/** Weapon durations in seconds of game time */
+export const WEAPON_DURATIONS = {
+    slow: 15,
+    wide: 20,
+    magnet: 20,
+    ghost: 15
 };
 
 export class WeaponSystem {
     /**
      * @param {Object} messageSystem - GameMessageSystem instance for showing messages
      * @param {Object} laserSystem - LaserSystem instance for laser weapon
+     * @param {import('../GameClock.js').GameClock} clock - Game clock for timed effects
+     * @param {import('../GameEvents.js').GameEventBus} events - Game event bus
      */
-    constructor(messageSystem, laserSystem) {
+    constructor(messageSystem, laserSystem, clock, events) {
         this.messageSystem = messageSystem;
         this.laserSystem = laserSystem;
+        this.clock = clock;
+        this.events = events;
 
         /** @type {string|null} - Currently active weapon (laser, magnet, ghost) */
         this.activeWeapon = null;
 
-        /** @type {Set<number>} - Active timeout IDs for cleanup */
-        this._activeTimeouts = new Set();
+        /** @type {Object<string, number>} - Weapon costs for the current stage */
+        this.costs = { ...WEAPON_COSTS };
+
+        /** @type {boolean} - DISARM debuff: no purchases, held weapons can't be used (set by DebuffSystem) */
+        this.disarmed = false;
+    }
+
+    /**
+     * Set weapon costs for the current stage
+     * @param {Object<string, number>} costs - Cost per weapon ID (missing IDs keep the default)
+     */
+    setCosts(costs) {
+        this.costs = { ...WEAPON_COSTS, ...costs };
     }
 
     /**
@@ -48,7 +57,7 @@ export class WeaponSystem {
      * @returns {number|undefined}
      */
     getCost(weaponId) {
-        return WEAPON_COSTS[weaponId];
+        return this.costs[weaponId];
     }
 
     /**
@@ -58,20 +67,25 @@ export class WeaponSystem {
      * @returns {boolean}
      */
     canPurchase(weaponId, currentGems) {
-        const cost = WEAPON_COSTS[weaponId];
-        return cost !== undefined && currentGems >= cost;
+        const cost = this.costs[weaponId];
+        return !this.disarmed && cost !== undefined && currentGems >= cost;
     }
 
     /**
      * Purchase and activate a weapon
      * @param {string} weaponId
-     * @param {Object} context - Game context { state, balls, paddle, shield }
+     * @param {Object} context - Game context { state, balls, paddles, shield }
      * @returns {boolean} - True if purchase successful
      */
     purchase(weaponId, context) {
-        const { state, balls, paddle, shield } = context;
+        const { state, balls, paddles, shield } = context;
+
+        if (this.disarmed) {
+            this.messageSystem.showMessage('🚫 Weapons disarmed!', 'warning', 1500);
+            return false;
+        }
 
-        const cost = WEAPON_COSTS[weaponId];
+        const cost = this.costs[weaponId];
         if (!cost || state.gems < cost) {
             return false;
         }
@@ -80,7 +94,8 @@ export class WeaponSystem {
         state.gems -= cost;
 
         // Activate weapon effect
-        this._activate(weaponId, { balls, paddle, shield });
+        this._activate(weaponId, { balls, paddles, shield });
+        this.events.emit(GAME_EVENTS.WEAPON_ACTIVATED, { weaponId, cost });
 
         return true;
     }
@@ -88,11 +103,11 @@ export class WeaponSystem {
     /**
      * Activate weapon effect
      * @param {string} weaponId
-     * @param {Object} context - { balls, paddle, shield }
+     * @param {Object} context - { balls, paddles, shield }
      * @private
      */
     _activate(weaponId, context) {
-        const { balls, paddle, shield } = context;
+        const { balls, paddles, shield } = context;
 
         this.messageSystem.showMessage(`🔫 ${weaponId.toUpperCase()} activated!`, 'info', 2000);
 
@@ -102,7 +117,7 @@ export class WeaponSystem {
                 break;
 
             case 'wide':
-                this._activateWide(paddle);
+                this._activateWide(paddles);
                 break;
 
             case 'double':
@@ -134,27 +149,23 @@ export class WeaponSystem {
     _activateSlow(balls) {
         balls.forEach(ball => ball.setSpeedMultiplier(0.6));
 
-        const timeoutId = setTimeout(() => {
+        this.clock.schedule(WEAPON_DURATIONS.slow, () => {
             balls.forEach(ball => ball.setSpeedMultiplier(1.0));
-            this._activeTimeouts.delete(timeoutId);
-        }, WEAPON_DURATIONS.slow);
-
-        this._activeTimeouts.add(timeoutId);
+            this._emitExpired('slow');
+        }, 'weapon:slow');
     }
 
     /**
-     * Wide: Expand paddle (1.5x for 20s)
+     * Wide: Expand all paddles (1.5x for 20s)
      * @private
      */
-    _activateWide(paddle) {
-        paddle.setWidthMultiplier(1.5);
-
-        const timeoutId = setTimeout(() => {
-            paddle.setWidthMultiplier(1.0);
-            this._activeTimeouts.delete(timeoutId);
-        }, WEAPON_DURATIONS.wide);
+    _activateWide(paddles) {
+        paddles.forEach(paddle => paddle.setWidthMultiplier(1.5));
 
-        this._activeTimeouts.add(timeoutId);
+        this.clock.schedule(WEAPON_DURATIONS.wide, () => {
+            paddles.forEach(paddle => paddle.setWidthMultiplier(1.0));
+            this._emitExpired('wide');
+        }, 'weapon:wide');
     }
 
     /**
@@ -184,7 +195,7 @@ export class WeaponSystem {
      * @private
      */
     _activateLaser() {
-        this.activeWeapon = 'laser';
+        this._switchActiveWeapon('laser');
         this.laserSystem.addStock(5);
     }
 
@@ -203,17 +214,13 @@ export class WeaponSystem {
      * @private
      */
     _activateMagnet() {
-        this.activeWeapon = 'magnet';
+        this._switchActiveWeapon('magnet');
         this.laserSystem.stock = 0; // Clear laser stock when switching
 
-        const timeoutId = setTimeout(() => {
-            if (this.activeWeapon === 'magnet') {
-                this.activeWeapon = null;
-            }
-            this._activeTimeouts.delete(timeoutId);
-        }, WEAPON_DURATIONS.magnet);
-
-        this._activeTimeouts.add(timeoutId);
+        this.clock.schedule(WEAPON_DURATIONS.magnet, () => {
+            this.activeWeapon = null;
+            this._emitExpired('magnet');
+        }, 'weapon:magnet');
     }
 
     /**
@@ -221,17 +228,47 @@ export class WeaponSystem {
      * @private
      */
     _activateGhost() {
-        this.activeWeapon = 'ghost';
+        this._switchActiveWeapon('ghost');
         this.laserSystem.stock = 0; // Clear laser stock when switching
 
-        const timeoutId = setTimeout(() => {
-            if (this.activeWeapon === 'ghost') {
-                this.activeWeapon = null;
-            }
-            this._activeTimeouts.delete(timeoutId);
-        }, WEAPON_DURATIONS.ghost);
+        this.clock.schedule(WEAPON_DURATIONS.ghost, () => {
+            this.activeWeapon = null;
+            this._emitExpired('ghost');
+        }, 'weapon:ghost');
+    }
+
+    /**
+     * Set the exclusive active weapon, dropping the timer of the one it replaces
+     * @param {string} weaponId - laser, magnet or ghost
+     * @private
+     */
+    _switchActiveWeapon(weaponId) {
+        if (this.activeWeapon && this.activeWeapon !== weaponId) {
+            this.clock.cancel(`weapon:${this.activeWeapon}`);
+            this._emitExpired(this.activeWeapon);
+        }
+        this.activeWeapon = weaponId;
+    }
 
-        this._activeTimeouts.add(timeoutId);
+    /**
+     * Announce the end of a weapon effect
+     * @param {string} weaponId
+     * @private
+     */
+    _emitExpired(weaponId) {
+        this.events.emit(GAME_EVENTS.WEAPON_EXPIRED, { weaponId });
+    }
+
+    /**
+     * Get remaining durations of timed weapons
+     * @returns {{weaponId: string, remaining: number, duration: number}[]}
+     */
+    getActiveTimers() {
+        return this.clock.getTimers('weapon:').map(timer => ({
+            weaponId: timer.key.slice('weapon:'.length),
+            remaining: timer.remaining,
+            duration: timer.duration
+        }));
     }
 
     /**
@@ -239,29 +276,39 @@ export class WeaponSystem {
      * @param {number} dt - Delta time
      * @param {Object} input - InputManager
      * @param {Array} balls - Ball array
-     * @param {Object} paddle - Paddle entity
+     * @param {Object[]} paddles - Paddle entities
      */
-    update(dt, input, balls, paddle) {
-        // Laser firing
+    update(dt, input, balls, paddles) {
+        // Laser firing (every visible paddle fires)
         if (this.activeWeapon === 'laser') {
-            if (input.keys[' '] || input.isMouseDown) {
+            if (this.isUsable('laser') && input.isFireHeld()) {
                 if (this.laserSystem.canFire()) {
-                    this.laserSystem.fire(paddle.x, paddle.y);
+                    this.laserSystem.fireVolley(paddles.filter(p => p.visible));
                 }
             }
 
             // Check if laser is depleted
             if (this.laserSystem.isDepleted) {
                 this.activeWeapon = null;
+                this._emitExpired('laser');
             }
         }
 
         // Ghost effect on primary ball
         if (this.activeWeapon === 'ghost' && balls.length > 0) {
-            balls[0].isGhost = input.isMouseDown;
+            balls[0].isGhost = this.isUsable('ghost') && input.isFireHeld();
         }
     }
 
+    /**
+     * Check if the held weapon can be used right now (not disarmed)
+     * @param {string} weaponId - laser, magnet or ghost
+     * @returns {boolean}
+     */
+    isUsable(weaponId) {
+        return this.activeWeapon === weaponId && !this.disarmed;
+    }
+
     /**
      * Handle magnet ball catch
      * @param {Object} ball - Ball that hit paddle
@@ -269,12 +316,13 @@ export class WeaponSystem {
      * @returns {boolean} - True if ball was caught
      */
     handleMagnetCatch(ball, paddle) {
-        if (this.activeWeapon !== 'magnet' || ball.isGhost) {
+        if (!this.isUsable('magnet') || ball.isGhost) {
             return false;
         }
 
         // Attach ball to paddle
         ball.attached = true;
+        ball.attachedPaddle = paddle;
         ball.attachOffset = {
             x: ball.x - paddle.x,
             y: ball.y - paddle.y
@@ -292,23 +340,43 @@ export class WeaponSystem {
      */
     getAvailability(currentGems) {
         const availability = {};
-        for (const [id, cost] of Object.entries(WEAPON_COSTS)) {
-            availability[id] = currentGems >= cost;
+        for (const [id, cost] of Object.entries(this.costs)) {
+            availability[id] = !this.disarmed && currentGems >= cost;
         }
         return availability;
     }
 
+    /**
+     * End all weapon effects at once (continue after game over)
+     * Timed effects are reverted without waiting for their timers.
+     * @param {Object} context - { paddles, shield }
+     */
+    forfeit(context) {
+        const { paddles, shield } = context;
+        const ended = new Set(this.getActiveTimers().map(timer => timer.weaponId));
+        if (this.activeWeapon) {
+            ended.add(this.activeWeapon);
+        }
+
+        this.reset();
+        paddles.forEach(paddle => paddle.setWidthMultiplier(1.0));
+        if (shield) {
+            shield.deactivate();
+        }
+
+        for (const weaponId of ended) {
+            this._emitExpired(weaponId);
+        }
+    }
+
     /**
      * Reset weapon system (for new stage)
      */
     reset() {
         this.activeWeapon = null;
 
-        // Clear all active timeouts
-        for (const timeoutId of this._activeTimeouts) {
-            clearTimeout(timeoutId);
-        }
-        this._activeTimeouts.clear();
+        // Drop all pending weapon timers
+        this.clock.cancelByPrefix('weapon:');
 
         this.laserSystem.clear();
     }
@@ -6,7 +6,14 @@
  */
 
 export class GameMessageSystem {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Keep the log only, never touch the DOM
+     */
+    constructor(options = {}) {
+        /** @type {boolean} */
+        this.headless = options.headless === true;
+
         /** @type {Array<{text: string, type: string, time: number}>} */
         this._messageLog = [];
 
@@ -31,6 +38,7 @@ export class GameMessageSystem {
 
         // Add to log
         this._messageLog.push({ text, type, time: now });
+        if (this.headless) return;
 
         // Get DOM elements
         const hud = document.getElementById(this._hudId);
@@ -111,6 +119,8 @@ export class GameMessageSystem {
      * Hide messages and restore HUD (called when game starts)
      */
     hideMessages() {
+        if (this.headless) return;
+
         const hud = document.getElementById(this._hudId);
         const container = document.getElementById(this._containerId);
         const stack = document.getElementById(this._stackId);
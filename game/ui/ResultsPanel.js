@@ -0,0 +1,296 @@
+/**
+ * ResultsPanel.js - Stage Results and High Score Table
+ * Based on game_specification.md Section 7.6
+ *
+ * Fills a container in the clear / game over overlay with the breakdown
+ * of a StageResult and the stage's top 10. A result that makes the top 10
+ * gets a name field in its row; the result is stored once, either when
+ * the name is submitted or when the overlay is left (commit()). A game
+ * over that is continued is dropped instead (discard()).
+ */
+
+import { getStageKey, rankOf, normalizePlayerName, HIGH_SCORE_LIMIT, PLAYER_NAME_MAX_LENGTH } from '../../shared/HighScoreStorage.js';
+
+/**
+ * Format seconds as m:ss.s
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+}
+
+export class ResultsPanel {
+    /**
+     * @param {HTMLElement} container - Emptied and filled on show()
+     * @param {Object} storage - highScoreStorage (HighScoreStorage.js)
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.weaponLabels] - Display names by weapon ID
+     */
+    constructor(container, storage, { weaponLabels = {} } = {}) {
+        this.container = container;
+        this.storage = storage;
+        this.weaponLabels = weaponLabels;
+
+        /** @type {{stageKey: string, stageName: string, result: Object}|null} - Result not stored yet */
+        this._pending = null;
+
+        /** @type {HTMLInputElement|null} */
+        this._nameInput = null;
+
+        /** @type {number} - Ignores async work from an earlier show() */
+        this._token = 0;
+    }
+
+    /**
+     * Show a result and the stage's ranking
+     * @param {import('../StageStats.js').StageResult} result
+     * @param {Object} stageData - Stage data as loaded (identifies the stage)
+     * @returns {Promise<void>}
+     */
+    async show(result, stageData) {
+        const token = ++this._token;
+        this._pending = null;
+        this._nameInput = null;
+        this.container.innerHTML = '';
+        this.container.appendChild(this._renderBreakdown(result, null));
+
+        if (result.replay) {
+            this.container.appendChild(this._note('リプレイの記録はランキングに登録されません'));
+            return;
+        }
+
+        // Pending before the lookup: leaving the overlay while it loads still stores the play
+        const pending = { stageKey: getStageKey(stageData), stageName: stageData.stageName || 'Untitled', result };
+        this._pending = pending;
+
+        let record = null;
+        try {
+            record = await this.storage.get(pending.stageKey);
+        } catch (e) {
+            console.warn('Failed to load high scores:', e);
+        }
+        // Stale, or already committed (commit() shows the stored ranking)
+        if (token !== this._token || this._pending !== pending) return;
+
+        // Breakdown again with the previous bests for NEW RECORD marks
+        this.container.innerHTML = '';
+        this.container.appendChild(this._renderBreakdown(result, record?.best ?? null));
+
+        const entries = record?.entries ?? [];
+        const preview = {
+            name: '',
+            score: result.score,
+            cleared: result.cleared,
+            continues: result.continues,
+            time: result.time,
+            date: Date.now()
+        };
+        const rank = rankOf(entries, preview);
+
+        if (rank < 0) {
+            this.container.appendChild(this._renderRanking(entries, -1, null));
+            return;
+        }
+
+        const rows = [...entries];
+        rows.splice(rank, 0, preview);
+        this.container.appendChild(this._renderRanking(rows.slice(0, HIGH_SCORE_LIMIT), rank, preview));
+        this._nameInput?.focus();
+    }
+
+    /**
+     * Store the shown result (once). Called by the name field and when the overlay is left.
+     * @returns {Promise<void>}
+     */
+    async commit() {
+        const pending = this._pending;
+        if (!pending) return;
+        this._pending = null;
+
+        const token = this._token;
+        const name = this._nameInput ? normalizePlayerName(this._nameInput.value) : this.storage.loadPlayerName();
+        if (this._nameInput) {
+            this.storage.savePlayerName(name);
+        }
+
+        let outcome = null;
+        try {
+            outcome = await this.storage.submit(pending.stageKey, pending.stageName, pending.result, name);
+        } catch (e) {
+            console.warn('Failed to save high score:', e);
+            return;
+        }
+        if (token !== this._token || !outcome) return;
+
+        this._nameInput = null;
+        this.container.querySelector('.results-ranking')?.remove();
+        this.container.appendChild(this._renderRanking(outcome.record.entries, outcome.rank, null));
+    }
+
+    /**
+     * Drop the shown result without storing it (the attempt goes on after a continue)
+     */
+    discard() {
+        this._token++;
+        this._pending = null;
+        this._nameInput = null;
+    }
+
+    /**
+     * Score breakdown and stats
+     * @private
+     * @param {import('../StageStats.js').StageResult} result
+     * @param {Object|null} best - Stored bests before this result
+     * @returns {HTMLTableElement}
+     */
+    _renderBreakdown(result, best) {
+        const table = document.createElement('table');
+        table.className = 'results-breakdown';
+
+        const addRow = (label, value, { total = false, newRecord = false } = {}) => {
+            const row = table.insertRow();
+            row.classList.toggle('results-total', total);
+            row.insertCell().textContent = label;
+            const cell = row.insertCell();
+            cell.textContent = value;
+            if (newRecord) {
+                const badge = document.createElement('span');
+                badge.className = 'results-new';
+                badge.textContent = 'NEW';
+                cell.appendChild(badge);
+            }
+        };
+
+        const isNew = (value, bestValue) => !!best && !result.replay && value > bestValue;
+
+        if (result.startScore > 0) {
+            addRow('引き継ぎスコア', result.startScore.toLocaleString());
+        }
+        addRow('ステージスコア', (result.score - result.clearBonus).toLocaleString());
+        if (result.cleared) {
+            addRow('クリアボーナス', `+${result.clearBonus.toLocaleString()}`);
+        }
+        addRow('合計', result.totalScore.toLocaleString(), {
+            total: true,
+            newRecord: isNew(result.score, best?.score)
+        });
+        addRow('タイム', formatTime(result.time), {
+            newRecord: !!best && !result.replay && result.cleared && (best.time === null || result.time < best.time)
+        });
+        if (result.continues > 0) {
+            addRow('コンティニュー', `${result.continues}回`);
+        }
+        addRow('最大コンボ', result.maxCombo, { newRecord: isNew(result.maxCombo, best?.maxCombo) });
+        addRow('破壊ブロック', `${result.blocksDestroyed} / ${result.blocksTotal}`);
+        addRow('ジェム', `獲得 ${result.gemsCollected} / 使用 ${result.gemsSpent}`);
+
+        const weapons = Object.entries(result.weaponsUsed)
+            .map(([id, count]) => `${this.weaponLabels[id] || id}×${count}`)
+            .join(' ');
+        addRow('使用ウエポン', weapons || '-');
+
+        return table;
+    }
+
+    /**
+     * Top 10 table
+     * @private
+     * @param {Object[]} entries - Sorted entries to show
+     * @param {number} highlight - Row index of this result (-1 = none)
+     * @param {Object|null} editing - Entry whose row gets the name field
+     * @returns {HTMLElement}
+     */
+    _renderRanking(entries, highlight, editing) {
+        const section = document.createElement('div');
+        section.className = 'results-ranking';
+
+        const title = document.createElement('h3');
+        title.className = 'results-ranking-title';
+        title.textContent = 'TOP 10';
+        section.appendChild(title);
+
+        if (entries.length === 0) {
+            section.appendChild(this._note('まだ記録がありません'));
+            return section;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'results-ranking-table';
+        const head = table.createTHead().insertRow();
+        for (const label of ['#', '名前', 'スコア', 'タイム', 'コンボ']) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            head.appendChild(th);
+        }
+
+        const body = table.createTBody();
+        entries.forEach((entry, index) => {
+            const row = body.insertRow();
+            row.classList.toggle('results-highlight', index === highlight);
+            row.insertCell().textContent = index + 1;
+
+            const nameCell = row.insertCell();
+            if (entry === editing) {
+                nameCell.appendChild(this._createNameField());
+            } else {
+                nameCell.textContent = entry.name;
+            }
+
+            row.insertCell().textContent = entry.score.toLocaleString();
+            row.insertCell().textContent = entry.cleared ? formatTime(entry.time) : '-';
+            row.insertCell().textContent = entry.maxCombo ?? '-';
+        });
+
+        section.appendChild(table);
+        return section;
+    }
+
+    /**
+     * Name input and submit button for the new entry
+     * @private
+     * @returns {HTMLElement}
+     */
+    _createNameField() {
+        const field = document.createElement('form');
+        field.className = 'results-name';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = PLAYER_NAME_MAX_LENGTH;
+        input.value = this.storage.loadPlayerName();
+        input.setAttribute('aria-label', '名前');
+        // Typing must not reach the game's key bindings (pause, fullscreen, mute)
+        input.addEventListener('keydown', (e) => e.stopPropagation());
+        input.addEventListener('keyup', (e) => e.stopPropagation());
+
+        const button = document.createElement('button');
+        button.type = 'submit';
+        button.className = 'btn btn--primary';
+        button.textContent = '登録';
+
+        field.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.commit();
+        });
+
+        field.append(input, button);
+        this._nameInput = input;
+        return field;
+    }
+
+    /**
+     * @private
+     * @param {string} text
+     * @returns {HTMLParagraphElement}
+     */
+    _note(text) {
+        const note = document.createElement('p');
+        note.className = 'results-note';
+        note.textContent = text;
+        return note;
+    }
+}
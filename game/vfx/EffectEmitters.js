@@ -0,0 +1,246 @@
+/**
+ * EffectEmitters.js - Particle Emitters per Game Event
+ * Based on game_specification.md Section 2.4
+ *
+ * Each emitter turns one game event into particles through the
+ * EffectSystem it is given (fx). With reduced motion on, emitters swap
+ * flying particles for short in-place flashes and static popups.
+ */
+
+import { GAME_EVENTS } from '../GameEvents.js';
+
+/** Shards per destroyed block */
+const SHATTER_SHARDS = 10;
+
+/** Chips per durability hit */
+const HIT_CHIPS = 4;
+
+/** Sparkles per collected gem */
+const GEM_SPARKLES = 8;
+
+/** Sparks per boss hit */
+const BOSS_SPARKS = 12;
+
+/**
+ * Spray particles from a point in random directions
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {number} count
+ * @param {number} x
+ * @param {number} y
+ * @param {number} minSpeed
+ * @param {number} maxSpeed
+ * @param {function(number): Object} props - (index) => extra particle fields
+ */
+function burst(fx, count, x, y, minSpeed, maxSpeed, props) {
+    for (let i = 0; i < count; i++) {
+        const angle = fx.range(0, Math.PI * 2);
+        const speed = fx.range(minSpeed, maxSpeed);
+        fx.spawn({
+            x,
+            y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            ...props(i)
+        });
+    }
+}
+
+/**
+ * Expanding ring flash (the reduced-motion stand-in for bursts)
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size - Radius at the end
+ * @param {string} color
+ * @param {number} [life=0.3]
+ */
+function ring(fx, x, y, size, color, life = 0.3) {
+    fx.spawn({
+        kind: 'ring',
+        x,
+        y,
+        size: fx.reducedMotion ? size : size * 0.4,
+        endSize: size,
+        color,
+        alpha: 0.8,
+        life
+    });
+}
+
+/**
+ * Block hit: shatter on destruction, chips on a durability hit, a clink when no damage is taken
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{block: Object, locked: boolean, destroyed: boolean}} payload
+ */
+function blockHit(fx, { block, locked, destroyed }) {
+    const center = fx.blockCenter(block);
+    const radius = fx.gridSize.radius;
+    const color = block.color || '#64B5F6';
+    fx.lastHit = center;
+
+    if (locked) {
+        ring(fx, center.x, center.y, radius * 0.8, '#FFFFFF', 0.2);
+        return;
+    }
+
+    if (fx.reducedMotion) {
+        ring(fx, center.x, center.y, radius, color, destroyed ? 0.35 : 0.2);
+        return;
+    }
+
+    if (!destroyed) {
+        burst(fx, HIT_CHIPS, center.x, center.y, 60, 160, () => ({
+            kind: 'chip',
+            size: radius * 0.12,
+            color,
+            gravity: 400,
+            life: fx.range(0.25, 0.4),
+            spin: fx.range(-10, 10)
+        }));
+        return;
+    }
+
+    // Shards carry a piece of the block image (or its color) from their start point
+    const image = fx.blockImage(block);
+    burst(fx, SHATTER_SHARDS, center.x, center.y, 80, 260, () => {
+        const ox = fx.range(-0.5, 0.5) * radius;
+        const oy = fx.range(-0.5, 0.5) * radius;
+        return {
+            kind: 'shard',
+            x: center.x + ox,
+            y: center.y + oy,
+            size: radius * fx.range(0.25, 0.4),
+            color,
+            image,
+            sx: center.x + ox,
+            sy: center.y + oy,
+            gravity: 600,
+            drag: 0.5,
+            life: fx.range(0.5, 0.8),
+            rotation: fx.range(0, Math.PI * 2),
+            spin: fx.range(-12, 12)
+        };
+    });
+}
+
+/**
+ * Gem collected: rising sparkles and a +1 popup
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{gem: Object}} payload
+ */
+function gemCollected(fx, { gem }) {
+    fx.popup(gem.x, gem.y, '+1', '#FFD700', 20);
+    if (fx.reducedMotion) return;
+
+    burst(fx, GEM_SPARKLES, gem.x, gem.y, 40, 120, () => ({
+        kind: 'spark',
+        size: fx.range(1.5, 3),
+        endSize: 0,
+        color: '#FFF59D',
+        gravity: -80,
+        drag: 0.3,
+        life: fx.range(0.4, 0.6)
+    }));
+}
+
+/**
+ * Boss hit: hot sparks off the part that was hit
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{boss: Object, part: Object}} payload
+ */
+function bossHit(fx, { boss, part }) {
+    const { x, y, radius } = part ?? boss;
+    if (fx.reducedMotion) {
+        ring(fx, x, y, radius * 1.1, '#FF7043', 0.25);
+        return;
+    }
+
+    burst(fx, BOSS_SPARKS, x, y, 150, 320, () => ({
+        kind: 'spark',
+        size: fx.range(2, 3.5),
+        endSize: 0.5,
+        color: fx.range(0, 1) < 0.5 ? '#FFAB40' : '#FFFFFF',
+        drag: 0.2,
+        life: fx.range(0.25, 0.45)
+    }));
+}
+
+/**
+ * Boss defeated: large shard burst and shockwave
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{boss: Object}} payload
+ */
+function bossDefeated(fx, { boss }) {
+    ring(fx, boss.x, boss.y, boss.radius * 3, '#FFAB40', 0.6);
+    if (fx.reducedMotion) return;
+
+    burst(fx, 40, boss.x, boss.y, 120, 420, () => ({
+        kind: 'shard',
+        size: fx.range(4, 9),
+        color: '#E53935',
+        gravity: 300,
+        drag: 0.4,
+        life: fx.range(0.8, 1.4),
+        rotation: fx.range(0, Math.PI * 2),
+        spin: fx.range(-8, 8)
+    }));
+}
+
+/**
+ * Boss phase change: double ring in the new body color and a popup
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{boss: Object, phase: number}} payload
+ */
+function bossPhaseChanged(fx, { boss }) {
+    ring(fx, boss.x, boss.y, boss.radius * 2, boss.bodyColor, 0.5);
+    ring(fx, boss.x, boss.y, boss.radius * 2.6, '#FFFFFF', 0.7);
+    fx.popup(boss.x, boss.y - boss.radius - 30, 'PHASE UP', '#FF7043', 18);
+}
+
+/**
+ * Combo up: popup at the last hit block (comboChanged also repeats unchanged values)
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{combo: number}} payload
+ */
+function comboChanged(fx, { combo }) {
+    const previous = fx.lastCombo;
+    fx.lastCombo = combo;
+    if (combo < 2 || combo <= previous || !fx.lastHit) return;
+    fx.popup(fx.lastHit.x, fx.lastHit.y - fx.gridSize.radius, `${combo} COMBO`, '#80DEEA', 14 + Math.min(combo, 10));
+}
+
+/**
+ * Ball lost: crack in the miss line and the ball pulled into it
+ * @param {import('../systems/EffectSystem.js').EffectSystem} fx
+ * @param {{ball: Object, paddle: Object|null}} payload
+ */
+function ballLost(fx, { ball, paddle }) {
+    const hit = fx.missLinePoint(paddle?.missLine ?? null, ball.x, ball.y);
+    fx.crack(hit.x, hit.y, hit.tx, hit.ty);
+    if (fx.reducedMotion) return;
+
+    burst(fx, 12, ball.x, ball.y, 20, 80, () => ({
+        kind: 'spark',
+        size: fx.range(1.5, 2.5),
+        endSize: 0,
+        color: '#EF9A9A',
+        target: { x: hit.x, y: hit.y },
+        pull: 30,
+        drag: 0.1,
+        life: fx.range(0.4, 0.6)
+    }));
+}
+
+/**
+ * Emitters by event (EffectSystem.attach subscribes all of them)
+ * @type {Object<string, function(import('../systems/EffectSystem.js').EffectSystem, Object): void>}
+ */
+export const DEFAULT_EFFECTS = {
+    [GAME_EVENTS.BLOCK_HIT]: blockHit,
+    [GAME_EVENTS.GEM_COLLECTED]: gemCollected,
+    [GAME_EVENTS.BOSS_HIT]: bossHit,
+    [GAME_EVENTS.BOSS_DEFEATED]: bossDefeated,
+    [GAME_EVENTS.BOSS_PHASE_CHANGED]: bossPhaseChanged,
+    [GAME_EVENTS.COMBO_CHANGED]: comboChanged,
+    [GAME_EVENTS.BALL_LOST]: ballLost
+};
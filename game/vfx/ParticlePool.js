@@ -0,0 +1,149 @@
+/**
+ * ParticlePool.js - Preallocated Particle Storage
+ * Based on game_specification.md Section 2.4
+ *
+ * All particles are created up front and reused, so bursts of effects do
+ * not allocate during play. Live particles are kept at the front of the
+ * array; a dead particle is swapped with the last live one.
+ */
+
+/**
+ * @typedef {Object} Particle
+ * @property {'shard'|'chip'|'spark'|'ring'|'text'|'crack'} kind - Drawing style
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx - Velocity (px/s)
+ * @property {number} vy
+ * @property {number} gravity - Downward acceleration (px/s^2)
+ * @property {number} drag - Velocity kept per second (1 = none)
+ * @property {number} age - Seconds alive
+ * @property {number} life - Seconds until removed
+ * @property {number} size - Radius / half size / font size (px)
+ * @property {number} endSize - Size at the end of life (lerped)
+ * @property {number} rotation - Radians
+ * @property {number} spin - Radians per second
+ * @property {string} color - CSS color
+ * @property {number} alpha - Opacity at birth (fades to 0)
+ * @property {{x: number, y: number}|null} target - Pulled toward this point (suction)
+ * @property {number} pull - Pull strength toward target (1/s²)
+ * @property {CanvasImageSource|null} image - Shard texture (block clip image)
+ * @property {number} sx - Texture source x (canvas coordinates)
+ * @property {number} sy - Texture source y
+ * @property {string} text - Text particles
+ * @property {{x: number, y: number}[]|null} points - Crack segments as point pairs (relative to x, y)
+ */
+
+/** Default values every spawn starts from */
+const PARTICLE_DEFAULTS = {
+    kind: 'spark',
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    gravity: 0,
+    drag: 1,
+    age: 0,
+    life: 0.5,
+    size: 2,
+    endSize: null,
+    rotation: 0,
+    spin: 0,
+    color: '#FFFFFF',
+    alpha: 1,
+    target: null,
+    pull: 0,
+    image: null,
+    sx: 0,
+    sy: 0,
+    text: '',
+    points: null
+};
+
+export class ParticlePool {
+    /**
+     * @param {number} capacity - Maximum live particles
+     */
+    constructor(capacity) {
+        /** @type {Particle[]} */
+        this.items = Array.from({ length: capacity }, () => ({ ...PARTICLE_DEFAULTS }));
+
+        /** @type {number} - Live particles (items[0 .. count-1]) */
+        this.count = 0;
+    }
+
+    /**
+     * Take a particle from the pool
+     * @param {Partial<Particle>} props - Fields to set (the rest get defaults)
+     * @returns {Particle|null} - null when the pool is full (the effect is dropped)
+     */
+    spawn(props) {
+        if (this.count >= this.items.length) return null;
+
+        const particle = this.items[this.count++];
+        Object.assign(particle, PARTICLE_DEFAULTS, props);
+        if (particle.endSize === null) {
+            particle.endSize = particle.size;
+        }
+        return particle;
+    }
+
+    /**
+     * Advance all live particles and recycle expired ones
+     * @param {number} dt - Seconds
+     */
+    update(dt) {
+        let i = 0;
+        while (i < this.count) {
+            const p = this.items[i];
+            p.age += dt;
+
+            if (p.age >= p.life) {
+                this._release(i);
+                continue;
+            }
+
+            if (p.target) {
+                p.vx += (p.target.x - p.x) * p.pull * dt;
+                p.vy += (p.target.y - p.y) * p.pull * dt;
+            }
+            if (p.drag !== 1) {
+                const keep = Math.pow(p.drag, dt);
+                p.vx *= keep;
+                p.vy *= keep;
+            }
+            p.vy += p.gravity * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.rotation += p.spin * dt;
+            i++;
+        }
+    }
+
+    /**
+     * Remove all particles
+     */
+    clear() {
+        for (let i = 0; i < this.count; i++) {
+            this.items[i].image = null;
+            this.items[i].points = null;
+        }
+        this.count = 0;
+    }
+
+    /**
+     * Swap a particle with the last live one and shrink the live range
+     * @private
+     * @param {number} index
+     */
+    _release(index) {
+        const last = this.count - 1;
+        const released = this.items[index];
+        released.image = null;
+        released.points = null;
+        released.target = null;
+
+        this.items[index] = this.items[last];
+        this.items[last] = released;
+        this.count--;
+    }
+}
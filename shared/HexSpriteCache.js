@@ -0,0 +1,203 @@
+/**
+ * HexSpriteCache.js - Pre-rendered Hex Block Sprites
+ *
+ * drawHexBlock builds the hex path, clipping, emboss strokes and text on
+ * every call. This cache renders each distinct block look once into an
+ * offscreen canvas and afterwards draws it with a single drawImage.
+ *
+ * Sprites are keyed by color, durability, gem drop, block type, radius
+ * and resolution. Blocks clipped from an image are also keyed by the
+ * image and their cell position, since each cell shows a different part.
+ * The cache empties itself when RENDER_CONFIG.block changes (see
+ * markBlockRenderConfigChanged in Renderer.js).
+ *
+ * The size limit counts sprite pixels, not sprites: one clipped sprite per
+ * cell at a high zoom is far larger than a few shared ones at 1x.
+ */
+
+import { drawHexBlock, getBlockRenderVersion, RENDER_CONFIG } from './Renderer.js';
+
+/** Sprite pixels kept before the least recently used sprites are dropped (about 32 MB of RGBA) */
+const DEFAULT_MAX_PIXELS = 8 * 1024 * 1024;
+
+/** Sub-pixel steps per pixel for shared (non-clipped) sprites */
+const SUBPIXEL_STEPS = 4;
+
+/** Lowest sprite resolution (editor zoomed far out) */
+const MIN_SCALE = 1 / 8;
+
+export class HexSpriteCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxPixels] - Cache size limit in sprite pixels
+     */
+    constructor({ maxPixels = DEFAULT_MAX_PIXELS } = {}) {
+        /** @type {number} */
+        this.maxPixels = maxPixels;
+
+        /** @type {Map<string, HTMLCanvasElement>} - Insertion order = last use */
+        this.sprites = new Map();
+
+        /** @type {number} - Total pixels of the cached sprites */
+        this.pixels = 0;
+
+        /** @type {number} - RENDER_CONFIG version the sprites were drawn with */
+        this._version = getBlockRenderVersion();
+
+        /** @type {WeakMap<CanvasImageSource, number>} - Stable IDs for clip images */
+        this._imageIds = new WeakMap();
+        this._nextImageId = 1;
+    }
+
+    /**
+     * Draw a block (same arguments as drawHexBlock)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} centerX
+     * @param {number} centerY
+     * @param {number} radius
+     * @param {string} color
+     * @param {Object} [options] - drawHexBlock options
+     * @param {number} [zoom=1] - Device pixels per canvas unit (editor zoom, game pixel ratio)
+     */
+    draw(ctx, centerX, centerY, radius, color, options = {}, zoom = 1) {
+        const { clipImage } = options;
+
+        // Images still loading would be cached blank: draw directly until ready
+        if (clipImage && !this._isReady(clipImage)) {
+            drawHexBlock(ctx, centerX, centerY, radius, color, options);
+            return;
+        }
+
+        if (this._version !== getBlockRenderVersion()) {
+            this.clear();
+            this._version = getBlockRenderVersion();
+        }
+
+        // Rendered at the real resolution (never above what the screen shows)
+        const scale = Math.max(MIN_SCALE, zoom);
+        const deviceX = centerX * scale;
+        const deviceY = centerY * scale;
+        const pixelX = Math.floor(deviceX);
+        const pixelY = Math.floor(deviceY);
+
+        // Clipped sprites are unique to their cell; shared ones only to the sub-pixel offset
+        const fracX = clipImage ? deviceX - pixelX : Math.round((deviceX - pixelX) * SUBPIXEL_STEPS) / SUBPIXEL_STEPS;
+        const fracY = clipImage ? deviceY - pixelY : Math.round((deviceY - pixelY) * SUBPIXEL_STEPS) / SUBPIXEL_STEPS;
+
+        const key = this._key(centerX, centerY, radius, color, options, scale, fracX, fracY);
+        let sprite = this.sprites.get(key);
+        if (sprite) {
+            // Re-insert so eviction drops the least recently used sprite
+            this.sprites.delete(key);
+            this.sprites.set(key, sprite);
+        } else {
+            sprite = this._render(centerX, centerY, radius, color, options, scale, fracX, fracY);
+            this._store(key, sprite);
+        }
+
+        const half = this._half(radius, scale);
+        ctx.drawImage(
+            sprite,
+            (pixelX - half) / scale,
+            (pixelY - half) / scale,
+            sprite.width / scale,
+            sprite.height / scale
+        );
+    }
+
+    /**
+     * Drop all sprites
+     */
+    clear() {
+        this.sprites.clear();
+        this.pixels = 0;
+    }
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    _key(centerX, centerY, radius, color, options, scale, fracX, fracY) {
+        const { durability, gemDrop, blockType, clipImage } = options;
+        let key = `${radius}|${scale}|${color}|${durability > 1 ? durability : ''}|${gemDrop || ''}|${blockType || ''}`;
+
+        if (clipImage) {
+            key += `|${this._imageId(clipImage)}@${centerX},${centerY}`;
+        } else {
+            key += `|${fracX},${fracY}`;
+        }
+        return key;
+    }
+
+    /**
+     * Sprite margin around the center in device pixels (hex + border stroke)
+     * @private
+     * @param {number} radius
+     * @param {number} scale
+     * @returns {number}
+     */
+    _half(radius, scale) {
+        const border = Math.max(1, radius * RENDER_CONFIG.block.border.widthRatio);
+        return Math.ceil((radius + border / 2) * scale) + 2;
+    }
+
+    /**
+     * Render one sprite with drawHexBlock
+     * @private
+     * @returns {HTMLCanvasElement}
+     */
+    _render(centerX, centerY, radius, color, options, scale, fracX, fracY) {
+        const half = this._half(radius, scale);
+        const canvas = document.createElement('canvas');
+        canvas.width = half * 2 + 1;
+        canvas.height = half * 2 + 1;
+
+        // Map the block center to (half + frac) so clip images keep their canvas coordinates
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(scale, 0, 0, scale, half + fracX - centerX * scale, half + fracY - centerY * scale);
+        drawHexBlock(ctx, centerX, centerY, radius, color, options);
+
+        return canvas;
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {HTMLCanvasElement} sprite
+     */
+    _store(key, sprite) {
+        const size = sprite.width * sprite.height;
+        for (const [oldKey, old] of this.sprites) {
+            if (this.pixels + size <= this.maxPixels) break;
+            this.sprites.delete(oldKey);
+            this.pixels -= old.width * old.height;
+        }
+        this.sprites.set(key, sprite);
+        this.pixels += size;
+    }
+
+    /**
+     * @private
+     * @param {CanvasImageSource} image
+     * @returns {number}
+     */
+    _imageId(image) {
+        let id = this._imageIds.get(image);
+        if (id === undefined) {
+            id = this._nextImageId++;
+            this._imageIds.set(image, id);
+        }
+        return id;
+    }
+
+    /**
+     * Whether an image can be drawn (canvases always can)
+     * @private
+     * @param {CanvasImageSource} image
+     * @returns {boolean}
+     */
+    _isReady(image) {
+        if (image.complete === undefined) return true;
+        return image.complete && image.naturalWidth > 0;
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * HighScoreStorage - ステージ別ハイスコア・記録ストレージ
+ *
+ * IndexedDBにステージごとの上位10件とベスト記録を保存
+ * ステージは名前と内容のハッシュで識別（同名でも内容が違えば別ステージ）
+ */
+
+const DB_NAME = 'hexbreaker_scores';
+const DB_VERSION = 1;
+const STORE_NAME = 'stages';
+const PLAYER_NAME_KEY = 'hexbreaker_player_name';
+
+/** ランキング件数 */
+export const HIGH_SCORE_LIMIT = 10;
+
+/** 名前の最大文字数 */
+export const PLAYER_NAME_MAX_LENGTH = 12;
+
+/**
+ * @typedef {Object} HighScoreEntry
+ * @property {string} name
+ * @property {number} score - ステージ内で獲得したスコア（クリアボーナス込み、引き継ぎ分除く）
+ * @property {number} time - 秒（ゲーム内時間）
+ * @property {boolean} cleared
+ * @property {number} continues - コンティニュー回数
+ * @property {number} maxCombo
+ * @property {number} blocksDestroyed
+ * @property {number} gemsCollected
+ * @property {number} gemsSpent
+ * @property {Object<string, number>} weaponsUsed
+ * @property {number} date - 記録日時（ms）
+ */
+
+/**
+ * @typedef {Object} StageRecord
+ * @property {string} stageKey
+ * @property {string} stageName
+ * @property {number} plays
+ * @property {number} clears
+ * @property {{score: number, time: number|null, maxCombo: number, blocksDestroyed: number, gemsCollected: number}} best
+ *   - time はクリア時のみ
+ * @property {HighScoreEntry[]} entries - スコア降順、最大 HIGH_SCORE_LIMIT 件
+ */
+
+/**
+ * ステージ識別キー（ステージ名 + 内容のFNV-1aハッシュ）
+ * 背景画像は含めない（見た目だけの変更で記録を分けない）
+ * @param {Object} stageData
+ * @returns {string}
+ */
+export function getStageKey(stageData) {
+    const content = JSON.stringify({
+        canvas: stageData.canvas ?? null,
+        gridSize: stageData.gridSize ?? null,
+        blocks: stageData.blocks ?? [],
+        lines: stageData.lines ?? [],
+        boss: stageData.boss ?? null,
+        meta: stageData.meta ?? null
+    });
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+        hash ^= content.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    const hex = (hash >>> 0).toString(16).padStart(8, '0');
+    return `${stageData.stageName || 'Untitled'}#${hex}`;
+}
+
+/**
+ * ランキングの並び順（スコア降順 → クリア優先 → コンティニュー少ない順 → タイム昇順 → 先着）
+ * @param {HighScoreEntry} a
+ * @param {HighScoreEntry} b
+ * @returns {number}
+ */
+export function compareEntries(a, b) {
+    return (b.score - a.score)
+        || (Number(b.cleared) - Number(a.cleared))
+        || ((a.continues || 0) - (b.continues || 0))
+        || (a.time - b.time)
+        || (a.date - b.date);
+}
+
+/**
+ * 記録がランキングに入る順位
+ * @param {HighScoreEntry[]} entries - 並び替え済み
+ * @param {HighScoreEntry} entry
+ * @returns {number} - 0始まり。圏外は -1
+ */
+export function rankOf(entries, entry) {
+    if (entry.score <= 0) return -1;
+
+    let rank = entries.findIndex(other => compareEntries(entry, other) < 0);
+    if (rank < 0) rank = entries.length;
+    return rank < HIGH_SCORE_LIMIT ? rank : -1;
+}
+
+/**
+ * 名前を整形（前後の空白除去・長さ制限、空なら 'PLAYER'）
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePlayerName(name) {
+    const trimmed = String(name ?? '').trim().slice(0, PLAYER_NAME_MAX_LENGTH);
+    return trimmed || 'PLAYER';
+}
+
+class HighScoreStorage {
+    constructor() {
+        this._db = null;
+    }
+
+    /**
+     * データベースを開く
+     * @returns {Promise<IDBDatabase>}
+     */
+    async _openDB() {
+        if (this._db) return this._db;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                this._db = request.result;
+                resolve(this._db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME);
+                }
+            };
+        });
+    }
+
+    /**
+     * ステージの記録を読み込み
+     * @param {string} stageKey - getStageKey() の値
+     * @returns {Promise<StageRecord|null>}
+     */
+    async get(stageKey) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const store = tx.objectStore(STORE_NAME);
+            const request = store.get(stageKey);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * プレイ結果を記録（プレイ回数・ベスト記録を更新し、圏内ならランキングに追加）
+     * @param {string} stageKey - getStageKey() の値
+     * @param {string} stageName
+     * @param {import('../game/StageStats.js').StageResult} result
+     * @param {string} name - プレイヤー名
+     * @returns {Promise<{record: StageRecord, rank: number}>} - rank: 0始まり、圏外は -1
+     */
+    async submit(stageKey, stageName, result, name) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORE_NAME);
+            const request = store.get(stageKey);
+            let outcome = null;
+
+            request.onsuccess = () => {
+                const record = request.result || this._createRecord(stageKey, stageName);
+                const entry = this._createEntry(result, name);
+                const rank = rankOf(record.entries, entry);
+
+                record.stageName = stageName;
+                record.plays++;
+                if (result.cleared) record.clears++;
+                this._updateBest(record.best, result);
+
+                if (rank >= 0) {
+                    record.entries.splice(rank, 0, entry);
+                    record.entries.length = Math.min(record.entries.length, HIGH_SCORE_LIMIT);
+                }
+
+                store.put(record, stageKey);
+                outcome = { record, rank };
+            };
+
+            tx.oncomplete = () => resolve(outcome);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * ステージの記録を削除
+     * @param {string} stageKey
+     * @returns {Promise<void>}
+     */
+    async clear(stageKey) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORE_NAME);
+            const request = store.delete(stageKey);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 前回入力したプレイヤー名
+     * @returns {string}
+     */
+    loadPlayerName() {
+        try {
+            return normalizePlayerName(localStorage.getItem(PLAYER_NAME_KEY));
+        } catch (e) {
+            console.warn('Failed to load player name:', e);
+            return normalizePlayerName('');
+        }
+    }
+
+    /**
+     * プレイヤー名を保存（次回の入力欄の初期値）
+     * @param {string} name
+     */
+    savePlayerName(name) {
+        try {
+            localStorage.setItem(PLAYER_NAME_KEY, normalizePlayerName(name));
+        } catch (e) {
+            console.warn('Failed to save player name:', e);
+        }
+    }
+
+    /**
+     * @param {string} stageKey
+     * @param {string} stageName
+     * @returns {StageRecord}
+     */
+    _createRecord(stageKey, stageName) {
+        return {
+            stageKey,
+            stageName,
+            plays: 0,
+            clears: 0,
+            best: { score: 0, time: null, maxCombo: 0, blocksDestroyed: 0, gemsCollected: 0 },
+            entries: []
+        };
+    }
+
+    /**
+     * @param {import('../game/StageStats.js').StageResult} result
+     * @param {string} name
+     * @returns {HighScoreEntry}
+     */
+    _createEntry(result, name) {
+        return {
+            name: normalizePlayerName(name),
+            score: result.score,
+            time: result.time,
+            cleared: result.cleared,
+            continues: result.continues,
+            maxCombo: result.maxCombo,
+            blocksDestroyed: result.blocksDestroyed,
+            gemsCollected: result.gemsCollected,
+            gemsSpent: result.gemsSpent,
+            weaponsUsed: { ...result.weaponsUsed },
+            date: Date.now()
+        };
+    }
+
+    /**
+     * ベスト記録を更新（タイムはクリア時のみ）
+     * @param {StageRecord['best']} best
+     * @param {import('../game/StageStats.js').StageResult} result
+     */
+    _updateBest(best, result) {
+        best.score = Math.max(best.score, result.score);
+        best.maxCombo = Math.max(best.maxCombo, result.maxCombo);
+        best.blocksDestroyed = Math.max(best.blocksDestroyed, result.blocksDestroyed);
+        best.gemsCollected = Math.max(best.gemsCollected, result.gemsCollected);
+        if (result.cleared && (best.time === null || result.time < best.time)) {
+            best.time = result.time;
+        }
+    }
+}
+
+export const highScoreStorage = new HighScoreStorage();
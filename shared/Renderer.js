@@ -70,6 +70,43 @@ export const RENDER_CONFIG = {
     }
 };
 
+/** Bumped whenever RENDER_CONFIG.block changes (sprite caches compare against it) */
+let blockRenderVersion = 0;
+
+/**
+ * Apply block render settings (fill / border / emboss) to RENDER_CONFIG
+ * @param {Object} settings - Partial RENDER_CONFIG.block
+ */
+export function applyBlockRenderConfig(settings) {
+    if (!settings) return;
+
+    if (settings.fill) {
+        Object.assign(RENDER_CONFIG.block.fill, settings.fill);
+    }
+    if (settings.border) {
+        Object.assign(RENDER_CONFIG.block.border, settings.border);
+    }
+    if (settings.emboss) {
+        Object.assign(RENDER_CONFIG.block.emboss, settings.emboss);
+    }
+    markBlockRenderConfigChanged();
+}
+
+/**
+ * Mark RENDER_CONFIG.block as changed (call after editing it directly)
+ */
+export function markBlockRenderConfigChanged() {
+    blockRenderVersion++;
+}
+
+/**
+ * Current block render settings version
+ * @returns {number}
+ */
+export function getBlockRenderVersion() {
+    return blockRenderVersion;
+}
+
 // ========== Helper Functions ==========
 
 /**
@@ -177,15 +214,15 @@ export function drawHexBlock(ctx, centerX, centerY, radius, color, options = {})
 
     // Draw special block indicators
     if (gemDrop === 'guaranteed') {
-        _drawGemIcon(ctx, centerX, centerY, '#FFD700');
+        drawGemIcon(ctx, centerX, centerY, '#FFD700');
     } else if (gemDrop === 'infinite') {
-        _drawGemIcon(ctx, centerX, centerY, '#FF00FF');
+        drawGemIcon(ctx, centerX, centerY, '#FF00FF');
     }
 
     if (blockType === 'key') {
-        _drawKeyIcon(ctx, centerX, centerY);
+        drawKeyIcon(ctx, centerX, centerY);
     } else if (blockType === 'lock') {
-        _drawLockIcon(ctx, centerX, centerY);
+        drawLockIcon(ctx, centerX, centerY);
     }
 }
 
@@ -255,9 +292,12 @@ function _drawDurabilityText(ctx, centerX, centerY, durability) {
 
 /**
  * Draw gem icon
- * @private
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {string} color
  */
-function _drawGemIcon(ctx, centerX, centerY, color) {
+export function drawGemIcon(ctx, centerX, centerY, color) {
     ctx.fillStyle = color;
     ctx.font = '10px sans-serif';
     ctx.textAlign = 'center';
@@ -267,9 +307,11 @@ function _drawGemIcon(ctx, centerX, centerY, color) {
 
 /**
  * Draw key icon
- * @private
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} centerX
+ * @param {number} centerY
  */
-function _drawKeyIcon(ctx, centerX, centerY) {
+export function drawKeyIcon(ctx, centerX, centerY) {
     ctx.font = '14px sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
@@ -278,9 +320,11 @@ function _drawKeyIcon(ctx, centerX, centerY) {
 
 /**
  * Draw lock icon
- * @private
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} centerX
+ * @param {number} centerY
  */
-function _drawLockIcon(ctx, centerX, centerY) {
+export function drawLockIcon(ctx, centerX, centerY) {
     ctx.font = '14px sans-serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
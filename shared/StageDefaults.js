@@ -0,0 +1,98 @@
+/**
+ * StageDefaults.js - Stage and Boss Defaults
+ * Shared by the Editor (new stages, boss tool) and the Game (meta / boss
+ * resolution), so both always start from the same values.
+ *
+ * Based on game_specification.md Sections 5.5 and 7.4
+ */
+
+// Stage meta defaults (game: StageMeta.js)
+export const STAGE_DEFAULTS = {
+    initialLives: 3,
+    clearBonus: 1000,
+    powerGemChance: 0.15,
+    resetGemsOnClear: false,
+    bgm: null,               // BGM track ID or audio file path (null = automatic)
+    maxContinues: null,      // Continues after game over (0 = none, null = unlimited)
+    blockGuide: {
+        enabled: true,
+        probability: 0.5,
+        angleLimit: 30
+    },
+    weaponCosts: {           // Gems per weapon
+        slow: 1,
+        wide: 2,
+        double: 2,
+        laser: 3,
+        shield: 4,
+        magnet: 4,
+        ghost: 4
+    }
+};
+
+// Boss defaults (game: BossConfig.js; type-specific overrides in BOSS_TYPE_DEFAULTS)
+export const BOSS_DEFAULTS = {
+    type: 'spider',
+    health: 50,
+    size: 2.5,                  // Body radius in hex radii (1-6)
+    moveInterval: 2000,         // ms between moves
+    abilities: ['block_regen', 'ball_catch', 'debuff_release'],
+    abilityIntervals: {
+        block_regen: 5000,
+        ball_catch: 3000,
+        debuff_release: 8000,
+        turret_fire: 2500
+    },
+    catchHoldTime: 1500,        // ms a caught ball is held
+    debuffTypes: ['slow', 'reverse', 'short', 'disarm'],
+    hitScore: 100,
+    defeatScore: 5000,
+    laserDamage: 2,
+    rewardGems: 10,
+    colors: {
+        body: '#6A1B9A',
+        legs: '#9C27B0',
+        eyes: '#FF5722'
+    },
+    phases: []                  // [{at, speed, abilities, colors: {body}}]
+};
+
+// Shortest boss move / ability interval in ms (shorter values would act on every game tick)
+export const BOSS_MIN_INTERVAL = 100;
+
+// Boss types (game: entities/bosses/BossTypes.js adds the class that moves and draws each type)
+// abilities = ability IDs the type may use; defaults = settings that differ from BOSS_DEFAULTS
+export const BOSS_TYPE_DEFAULTS = {
+    spider: {
+        name: 'スパイダー',
+        abilities: ['block_regen', 'ball_catch', 'debuff_release'],
+        defaults: {}
+    },
+    serpent: {
+        name: 'サーペント',
+        abilities: ['block_regen', 'ball_catch', 'debuff_release'],
+        defaults: {
+            size: 1.2,
+            abilities: ['ball_catch', 'debuff_release'],
+            colors: { body: '#2E7D32', legs: '#AED581', eyes: '#FFEB3B' }
+        }
+    },
+    turret: {
+        name: 'タレット',
+        abilities: ['block_regen', 'ball_catch', 'debuff_release', 'turret_fire'],
+        defaults: {
+            size: 2,
+            abilities: ['turret_fire', 'block_regen'],
+            colors: { body: '#455A64', legs: '#90A4AE', eyes: '#FF1744' }
+        }
+    },
+    splitter: {
+        name: 'スプリッター',
+        abilities: ['block_regen', 'ball_catch', 'debuff_release'],
+        defaults: {
+            size: 2.5,
+            abilities: ['debuff_release'],
+            colors: { body: '#00838F', legs: '#80DEEA', eyes: '#FFFFFF' }
+        }
+    }
+};
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * simulate_stage.mjs - Headless stage balance runner
+ * Based on game_specification.md Section 2.6
+ *
+ * Usage:
+ *   node tools/simulate_stage.mjs <stage.json> [options]
+ *
+ * Prints a JSON report (per stage: summary + per-run results) to stdout.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { simulateStage, SIMULATION_DEFAULTS } from '../game/StageSimulator.js';
+import { CampaignManager } from '../game/CampaignManager.js';
+
+const USAGE = `使い方: node tools/simulate_stage.mjs <stage.json|campaign.json> [オプション]
+
+  --runs <n>            実行回数（シード seed..seed+n-1）       既定 ${SIMULATION_DEFAULTS.runs}
+  --seed <n>            最初のシード                             既定 ${SIMULATION_DEFAULTS.seed}
+  --max-time <sec>      1回の最大ゲーム時間（超過は timeout）     既定 ${SIMULATION_DEFAULTS.maxTime}
+  --stuck-time <sec>    スコア変化なしでスタック判定する時間      既定 ${SIMULATION_DEFAULTS.stuckTime}
+  --bot <auto|idle>     パドルボット                              既定 ${SIMULATION_DEFAULTS.bot}
+  --script <replay>     リプレイの入力をそのまま流す（script ボット）
+  --stage <index>       キャンペーンの特定ステージのみ（0始まり）
+  --replay-dir <dir>    クリアできなかった実行のリプレイを書き出す
+  --min-clear-rate <r>  クリア率が r 未満のステージがあれば終了コード 1
+  --out <file>          レポートをファイルに書き出す（既定は標準出力）
+`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv
+ * @returns {{file: string|null, options: Object, cli: Object}}
+ */
+function parseArgs(argv) {
+    const options = {};
+    const cli = { stage: null, replayDir: null, minClearRate: null, out: null };
+    let file = null;
+
+    const number = (flag, value) => {
+        const n = Number(value);
+        if (!Number.isFinite(n)) {
+            throw new Error(`${flag} には数値を指定してください (${value})`);
+        }
+        return n;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--runs': options.runs = number(arg, value); i++; break;
+            case '--seed': options.seed = number(arg, value); i++; break;
+            case '--max-time': options.maxTime = number(arg, value); i++; break;
+            case '--stuck-time': options.stuckTime = number(arg, value); i++; break;
+            case '--bot': options.bot = value; i++; break;
+            case '--script':
+                options.bot = 'script';
+                options.script = readJson(value);
+                i++;
+                break;
+            case '--stage': cli.stage = number(arg, value); i++; break;
+            case '--replay-dir': cli.replayDir = value; i++; break;
+            case '--min-clear-rate': cli.minClearRate = number(arg, value); i++; break;
+            case '--out': cli.out = value; i++; break;
+            case '-h':
+            case '--help':
+                return { file: null, options, cli };
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`不明なオプション: ${arg}`);
+                }
+                file = arg;
+        }
+    }
+
+    if (cli.replayDir) {
+        options.keepReplays = true;
+    }
+
+    return { file, options, cli };
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} path
+ * @returns {Object}
+ */
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Move replays out of the report into files
+ * @param {Object} report - simulateStage report
+ * @param {string} dir
+ */
+function writeReplays(report, dir) {
+    mkdirSync(dir, { recursive: true });
+
+    for (const run of report.runs) {
+        if (!run.replay) continue;
+        const fileName = `${report.stageName}_seed${run.seed}_${run.result}.json`.replace(/[\\/:*?"<>|\s]/g, '_');
+        writeFileSync(join(dir, fileName), JSON.stringify(run.replay));
+        run.replay = fileName;
+    }
+}
+
+function main() {
+    const { file, options, cli } = parseArgs(process.argv.slice(2));
+    if (!file) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const data = readJson(file);
+    let stages = [data];
+    let indices = [0];
+
+    if (CampaignManager.isCampaignData(data)) {
+        stages = data.stages;
+        indices = stages.map((_, i) => i);
+        if (cli.stage !== null) {
+            if (!stages[cli.stage]) {
+                throw new Error(`ステージ ${cli.stage} はありません (0..${stages.length - 1})`);
+            }
+            indices = [cli.stage];
+        }
+    }
+
+    const reports = indices.map(index => {
+        const report = { index, ...simulateStage(stages[index], options) };
+        if (cli.replayDir) {
+            writeReplays(report, cli.replayDir);
+        }
+        return report;
+    });
+
+    const output = JSON.stringify(reports.length === 1 ? reports[0] : { stages: reports }, null, 2);
+    if (cli.out) {
+        writeFileSync(cli.out, output + '\n');
+    } else {
+        process.stdout.write(output + '\n');
+    }
+
+    if (cli.minClearRate !== null) {
+        const failing = reports.filter(report => report.summary.clearRate < cli.minClearRate);
+        for (const report of failing) {
+            process.stderr.write(`クリア率不足: ${report.stageName} ${report.summary.clearRate} < ${cli.minClearRate}\n`);
+        }
+        return failing.length > 0 ? 1 : 0;
+    }
+
+    return 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    process.stderr.write(`エラー: ${error.message}\n`);
+    process.exitCode = 2;
+}